@@ -0,0 +1,77 @@
+// compose-upload.js - Nhost function that joins a chunked upload into one storage file
+//
+// The browser uploads large files in parts (src/storageUpload.js) and then calls this
+// with { parts, name, mime_type }; it responds with { file_id } of the assembled file.
+// Every storage request is made with the caller's own access token, so hasura-storage
+// applies the same permissions it would to the browser: only parts the user can read
+// are joined, and only parts they may delete are removed.
+const storageUrl = process.env.NHOST_STORAGE_URL;
+
+const storageError = async (response, action) => {
+  const text = await response.text().catch(() => response.statusText);
+  const error = new Error(`Could not ${action}: ${text}`);
+  error.status = response.status;
+  return error;
+};
+
+const composeUpload = async (req, res) => {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const authorization = req.headers.authorization;
+  if (!authorization) return res.status(401).json({ error: 'Sign in to upload files' });
+
+  const { parts, name, mime_type: mimeType } = req.body || {};
+  if (!Array.isArray(parts) || parts.length === 0 || !parts.every(id => typeof id === 'string') || !name) {
+    return res.status(400).json({ error: 'Expected { parts, name, mime_type }' });
+  }
+
+  const headers = { Authorization: authorization };
+  const boundary = `compose-upload-${crypto.randomUUID()}`;
+  const encoder = new TextEncoder();
+  // Set when reading a part fails mid-stream; fetch only reports a generic failure
+  let partError = null;
+
+  // The same multipart body the browser sends, with the parts streamed in order, so
+  // the function never holds more than one network chunk of the file in memory
+  async function* multipartBody() {
+    yield encoder.encode(`--${boundary}\r\nContent-Disposition: form-data; name="file[]"; filename="${name.replace(/"/g, '%22')}"\r\n`
+      + `Content-Type: ${mimeType || 'application/octet-stream'}\r\n\r\n`);
+    for (const id of parts) {
+      const response = await fetch(`${storageUrl}/files/${id}`, { headers });
+      if (!response.ok) {
+        partError = await storageError(response, `read part ${id}`);
+        throw partError;
+      }
+      for await (const chunk of response.body) yield chunk;
+    }
+    yield encoder.encode(`\r\n--${boundary}\r\nContent-Disposition: form-data; name="metadata[]"; filename=""\r\n`
+      + `Content-Type: application/json\r\n\r\n${JSON.stringify({ name })}\r\n--${boundary}--\r\n`);
+  }
+
+  try {
+    const upload = await fetch(`${storageUrl}/files`, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Type': `multipart/form-data; boundary=${boundary}` },
+      body: multipartBody(),
+      duplex: 'half',
+    }).catch(err => {
+      throw partError || err;
+    });
+    if (!upload.ok) throw partError || await storageError(upload, 'store the assembled file');
+    const uploaded = await upload.json();
+    const fileId = uploaded.processedFiles?.[0]?.id || uploaded.id;
+
+    // The parts are scratch copies; one that fails to delete is clutter, not a broken upload
+    await Promise.all(parts.map(id => fetch(`${storageUrl}/files/${id}`, { method: 'DELETE', headers })
+      .catch(err => console.error(`Could not delete part ${id}:`, err))));
+
+    return res.status(200).json({ file_id: fileId });
+  } catch (err) {
+    console.error('Compose upload error:', err);
+    // A 4xx from storage (usually a part the caller can't read) is passed through as is
+    const status = err.status >= 400 && err.status < 500 ? err.status : 502;
+    return res.status(status).json({ error: err.message });
+  }
+};
+
+export default composeUpload;
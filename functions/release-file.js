@@ -0,0 +1,59 @@
+// release-file.js - Nhost function that deletes a stored file once nothing refers to it
+//
+// One stored file can back analyses in several workspaces (content dedup, the document
+// library, follow-up turns), and a browser only sees the rows it has access to. So the
+// references are counted here with the admin secret, across every row. The delete
+// itself is made with the caller's own access token, so hasura-storage still decides
+// whether this user may remove the file. Called with { file_id }; responds with
+// { deleted } and leaves the file alone while any analysis still points at it.
+const graphqlUrl = process.env.NHOST_GRAPHQL_URL;
+const storageUrl = process.env.NHOST_STORAGE_URL;
+const adminSecret = process.env.NHOST_ADMIN_SECRET;
+
+const COUNT_FILE_REFERENCES = `
+  query CountFileReferences($file_id: uuid!) {
+    chats_aggregate(where: { file_id: { _eq: $file_id } }) {
+      aggregate {
+        count
+      }
+    }
+  }
+`;
+
+const countReferences = async (fileId) => {
+  const response = await fetch(graphqlUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-hasura-admin-secret': adminSecret },
+    body: JSON.stringify({ query: COUNT_FILE_REFERENCES, variables: { file_id: fileId } }),
+  });
+  const { data, errors } = await response.json();
+  if (errors) throw new Error(errors[0]?.message || 'Could not count file references');
+  return data.chats_aggregate.aggregate.count;
+};
+
+const releaseFile = async (req, res) => {
+  if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+
+  const authorization = req.headers.authorization;
+  if (!authorization) return res.status(401).json({ error: 'Sign in to delete files' });
+
+  const { file_id: fileId } = req.body || {};
+  if (typeof fileId !== 'string' || !fileId) return res.status(400).json({ error: 'Expected { file_id }' });
+
+  try {
+    if (await countReferences(fileId) > 0) return res.status(200).json({ deleted: false });
+
+    const response = await fetch(`${storageUrl}/files/${fileId}`, { method: 'DELETE', headers: { Authorization: authorization } });
+    // Already gone is as good as deleted
+    if (!response.ok && response.status !== 404) {
+      const text = await response.text().catch(() => response.statusText);
+      return res.status(response.status).json({ error: text });
+    }
+    return res.status(200).json({ deleted: true });
+  } catch (err) {
+    console.error('Release file error:', err);
+    return res.status(502).json({ error: err.message });
+  }
+};
+
+export default releaseFile;
@@ -0,0 +1,150 @@
+// AnalysisProgress.js - Step timeline and streaming text for a running analysis
+import React, { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+import { CheckCircle, AlertCircle, Clock } from 'lucide-react';
+import { AnalysisResult } from './AnalysisResult';
+import { normalizeProgress, visiblePartial, formatElapsed, STALE_AFTER_MS } from './progress';
+
+// Re-renders once a second so elapsed times keep moving between subscription updates
+const useNow = (active) => {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    if (!active) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [active]);
+  return now;
+};
+
+const Spinner = ({ size }) => (
+  <div style={{ width: size, height: size, border: '2px solid #bfdbfe', borderTopColor: '#2563eb', borderRadius: '50%', animation: 'spin 0.8s linear infinite', flexShrink: 0 }} />
+);
+
+const StepIcon = ({ status }) => {
+  if (status === 'done') return <CheckCircle size={16} color="#059669" />;
+  if (status === 'failed') return <AlertCircle size={16} color="#dc2626" />;
+  if (status === 'running') return <Spinner size={14} />;
+  return <div style={{ width: 14, height: 14, borderRadius: '50%', border: '2px solid #cbd5e1', flexShrink: 0 }} />;
+};
+
+const StepTimeline = ({ steps, now }) => (
+  <div style={{ textAlign: 'left' }}>
+    {steps.map((step, i) => {
+      const duration = step.startedAt && (step.finishedAt || (step.status === 'running' ? now : null));
+      return (
+        <div key={i} style={{ display: 'flex', gap: 12 }}>
+          <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', width: 16 }}>
+            <div style={{ height: 18, display: 'flex', alignItems: 'center' }}><StepIcon status={step.status} /></div>
+            {i < steps.length - 1 && <div style={{ flex: 1, width: 2, minHeight: 10, background: step.status === 'done' ? '#a7f3d0' : '#e2e8f0' }} />}
+          </div>
+          <div style={{ flex: 1, display: 'flex', justifyContent: 'space-between', gap: 10, paddingBottom: 12 }}>
+            <span style={{ fontSize: 13, fontWeight: step.status === 'running' ? 700 : 500, color: step.status === 'waiting' ? '#94a3b8' : '#0f172a' }}>
+              {step.name}
+            </span>
+            {duration && (
+              <span style={{ fontSize: 12, color: '#64748b', fontVariantNumeric: 'tabular-nums' }}>{formatElapsed(duration - step.startedAt)}</span>
+            )}
+          </div>
+        </div>
+      );
+    })}
+  </div>
+);
+
+// Keeps the newest text in view unless the reader has scrolled up
+const StreamingText = ({ text, idPrefix }) => {
+  const box = useRef(null);
+  const pinned = useRef(true);
+
+  useLayoutEffect(() => {
+    if (pinned.current && box.current) box.current.scrollTop = box.current.scrollHeight;
+  }, [text]);
+
+  const handleScroll = () => {
+    const el = box.current;
+    pinned.current = el.scrollHeight - el.scrollTop - el.clientHeight < 40;
+  };
+
+  return (
+    <div ref={box} onScroll={handleScroll}
+      style={{ maxHeight: 360, overflowY: 'auto', textAlign: 'left', background: '#fff', border: '1px solid #e2e8f0', borderRadius: 10, padding: '16px 18px' }}>
+      <AnalysisResult text={text} idPrefix={idPrefix} />
+      <span style={{ display: 'inline-block', width: 7, height: 15, marginTop: 4, background: '#2563eb', verticalAlign: 'text-bottom', animation: 'pulse 1s ease-in-out infinite' }} />
+    </div>
+  );
+};
+
+// `compact` is the inline version used for follow-up turns
+export function AnalysisProgress({ chat, notice = null, compact = false }) {
+  const progress = useMemo(() => normalizeProgress(chat.progress), [chat.progress]);
+  const partial = useMemo(() => visiblePartial(chat.partial_result || ''), [chat.partial_result]);
+  const startedAt = progress?.steps.find(step => step.startedAt)?.startedAt || null;
+  const now = useNow(Boolean(progress));
+
+  const stepLabel = progress?.current && progress.total ? `Step ${progress.current} of ${progress.total}` : null;
+  const agentLabel = progress?.agent ? `${progress.agent} is working` : null;
+  const summary = [stepLabel, agentLabel].filter(Boolean).join(' · ');
+  const isStale = progress?.updatedAt && now - progress.updatedAt > STALE_AFTER_MS;
+
+  const staleNote = isStale && (
+    <p style={{ display: 'flex', alignItems: 'center', gap: 6, color: '#92400e', fontSize: 12, marginTop: 8 }}>
+      <Clock size={12} /> No update for {formatElapsed(now - progress.updatedAt)} — this step can take a while on long documents.
+    </p>
+  );
+  const noticeNote = notice && <p style={{ color: '#92400e', fontSize: 12, marginTop: 8 }}>{notice}</p>;
+
+  if (compact) {
+    return (
+      <div style={{ marginTop: 10 }}>
+        {summary && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12, color: '#475569', marginBottom: partial ? 10 : 0 }}>
+            <Spinner size={12} /> {summary}
+          </div>
+        )}
+        {partial && <StreamingText text={partial} idPrefix={`partial-${chat.id}`} />}
+        {staleNote}
+        {noticeNote}
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ background: '#eff6ff', border: '1px solid #bfdbfe', borderRadius: 14, padding: progress ? '28px 32px' : '56px 32px', textAlign: 'center' }}>
+      {progress ? (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 14, marginBottom: 20, textAlign: 'left' }}>
+          <Spinner size={36} />
+          <div style={{ flex: 1 }}>
+            <h3 style={{ fontSize: 17, fontWeight: 700, color: '#0f172a' }}>{chat.status === 'processing' ? 'Analysis in Progress' : 'Queued for Processing'}</h3>
+            {summary && <p style={{ color: '#475569', fontSize: 13, marginTop: 2 }}>{summary}</p>}
+          </div>
+          {startedAt && (
+            <span title="Elapsed" style={{ fontSize: 13, fontWeight: 600, color: '#1d4ed8', fontVariantNumeric: 'tabular-nums' }}>{formatElapsed(now - startedAt)}</span>
+          )}
+        </div>
+      ) : (
+        <>
+          <div style={{ width: 52, height: 52, border: '3px solid #bfdbfe', borderTopColor: '#2563eb', borderRadius: '50%', animation: 'spin 0.8s linear infinite', margin: '0 auto 20px' }} />
+          <h3 style={{ fontSize: 18, fontWeight: 700, color: '#0f172a', marginBottom: 8 }}>
+            {chat.status === 'processing' ? 'Analysis in Progress' : 'Queued for Processing'}
+          </h3>
+          <p style={{ color: '#475569', fontSize: 14, lineHeight: 1.6 }}>
+            This usually takes 2–3 minutes. Results will appear here automatically, and we'll notify you if you're elsewhere.
+          </p>
+        </>
+      )}
+
+      {progress?.steps.length > 0 && <StepTimeline steps={progress.steps} now={now} />}
+
+      {partial && (
+        <div style={{ marginTop: progress ? 8 : 24 }}>
+          <div style={{ fontSize: 10, fontWeight: 700, color: '#64748b', textTransform: 'uppercase', letterSpacing: '0.08em', marginBottom: 8, textAlign: 'left' }}>
+            Written so far
+          </div>
+          <StreamingText text={partial} idPrefix={`partial-${chat.id}`} />
+        </div>
+      )}
+
+      {staleNote}
+      {noticeNote}
+    </div>
+  );
+}
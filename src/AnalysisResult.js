@@ -0,0 +1,277 @@
+// AnalysisResult.js - Structured rendering of an analysis_result report
+import React, { createContext, useContext, useMemo, useState } from 'react';
+import { ChevronRight, ChevronDown, List, Code, FileText, BookOpen } from 'lucide-react';
+import { parseBlocks, splitSections, buildTableOfContents } from './markdown';
+
+// ============================================
+// INLINE + BLOCK RENDERING
+// ============================================
+// Supplies the click handler for citation chips without threading it through
+// every render helper. Without a provider (exports, print) chips are static.
+const CitationContext = createContext(null);
+
+const CitationChip = ({ token }) => {
+  const onCitationClick = useContext(CitationContext);
+  const chipStyle = {
+    display: 'inline-flex', alignItems: 'center', gap: 3, verticalAlign: 'baseline',
+    padding: '0 6px', margin: '0 2px', borderRadius: 100, fontSize: 11, fontWeight: 700, lineHeight: '18px',
+    background: '#eff6ff', border: '1px solid #bfdbfe', color: '#1d4ed8', fontFamily: 'inherit', whiteSpace: 'nowrap'
+  };
+
+  if (!onCitationClick) return <span style={chipStyle}>{token.text}</span>;
+
+  return (
+    <button
+      type="button"
+      onClick={() => onCitationClick({ page: token.page, quote: token.quote })}
+      title={token.quote ? `Page ${token.page}: "${token.quote}"` : `Open page ${token.page}`}
+      style={{ ...chipStyle, cursor: 'pointer' }}
+    >
+      <BookOpen size={10} /> {token.text}
+    </button>
+  );
+};
+
+const renderInline = (tokens, keyPrefix = 'i') => tokens.map((token, i) => {
+  const key = `${keyPrefix}-${i}`;
+  switch (token.type) {
+    case 'strong':
+      return <strong key={key} style={{ fontWeight: 700, color: '#0f172a' }}>{renderInline(token.children, key)}</strong>;
+    case 'em':
+      return <em key={key}>{renderInline(token.children, key)}</em>;
+    case 'strike':
+      return <s key={key}>{renderInline(token.children, key)}</s>;
+    case 'code':
+      return (
+        <code key={key} style={{ fontFamily: "'Fira Code', 'Courier New', monospace", fontSize: '0.9em', background: '#f1f5f9', border: '1px solid #e2e8f0', borderRadius: 4, padding: '1px 5px' }}>
+          {token.text}
+        </code>
+      );
+    case 'citation':
+      return <CitationChip key={key} token={token} />;
+    case 'link':
+      return (
+        <a key={key} href={token.href} target="_blank" rel="noopener noreferrer" style={{ color: '#2563eb', textDecoration: 'underline' }}>
+          {renderInline(token.children, key)}
+        </a>
+      );
+    default:
+      return <React.Fragment key={key}>{token.text}</React.Fragment>;
+  }
+});
+
+const HEADING_SIZES = { 1: 20, 2: 17, 3: 15, 4: 14, 5: 13, 6: 13 };
+
+const renderBlock = (block, key, idPrefix) => {
+  switch (block.type) {
+    case 'heading': {
+      const Tag = `h${Math.min(block.level + 1, 6)}`;
+      return (
+        <Tag key={key} id={`${idPrefix}-${block.id}`} style={{ fontSize: HEADING_SIZES[block.level], fontWeight: 700, color: '#0f172a', margin: '18px 0 8px', lineHeight: 1.35, scrollMarginTop: 16 }}>
+          {renderInline(block.children, key)}
+        </Tag>
+      );
+    }
+    case 'paragraph':
+      return (
+        <p key={key} style={{ fontSize: 14, color: '#334155', lineHeight: 1.75, margin: '0 0 12px', whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+          {renderInline(block.children, key)}
+        </p>
+      );
+    case 'list': {
+      const Tag = block.ordered ? 'ol' : 'ul';
+      return (
+        <Tag key={key} start={block.ordered ? block.start : undefined} style={{ margin: '0 0 12px', paddingLeft: 22, color: '#334155', fontSize: 14, lineHeight: 1.7 }}>
+          {block.items.map((item, i) => (
+            <li key={i} style={{ marginLeft: item.depth * 18, marginBottom: 4, listStyleType: item.checked !== null ? 'none' : undefined }}>
+              {item.checked !== null && (
+                <input type="checkbox" checked={item.checked} readOnly style={{ marginRight: 6, accentColor: '#2563eb' }} />
+              )}
+              {renderInline(item.children, `${key}-${i}`)}
+            </li>
+          ))}
+        </Tag>
+      );
+    }
+    case 'code':
+      return (
+        <pre key={key} style={{
+          fontSize: 12.5, color: '#334155', fontFamily: "'Fira Code', 'Courier New', monospace",
+          background: '#f8fafc', border: '1px solid #e2e8f0', borderRadius: 10,
+          padding: '14px 16px', margin: '0 0 12px', overflowX: 'auto', lineHeight: 1.6
+        }}>
+          {block.text}
+        </pre>
+      );
+    case 'blockquote':
+      return (
+        <blockquote key={key} style={{ borderLeft: '3px solid #bfdbfe', background: '#f8fafc', padding: '10px 16px', margin: '0 0 12px', borderRadius: '0 8px 8px 0' }}>
+          {block.children.map((child, i) => renderBlock(child, `${key}-${i}`, idPrefix))}
+        </blockquote>
+      );
+    case 'table':
+      return (
+        <div key={key} style={{ overflowX: 'auto', margin: '0 0 14px', border: '1px solid #e2e8f0', borderRadius: 10 }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: 13 }}>
+            <thead>
+              <tr style={{ background: '#f8fafc' }}>
+                {block.header.map((cell, c) => (
+                  <th key={c} style={{ textAlign: block.align[c] || 'left', padding: '9px 12px', fontWeight: 700, color: '#0f172a', borderBottom: '1px solid #e2e8f0', whiteSpace: 'nowrap' }}>
+                    {renderInline(cell, `${key}-h${c}`)}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {block.rows.map((row, r) => (
+                <tr key={r} style={{ borderTop: r ? '1px solid #f1f5f9' : 'none' }}>
+                  {row.map((cell, c) => (
+                    <td key={c} style={{ textAlign: block.align[c] || 'left', padding: '8px 12px', color: '#334155', verticalAlign: 'top' }}>
+                      {renderInline(cell, `${key}-${r}-${c}`)}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      );
+    case 'hr':
+      return <hr key={key} style={{ border: 'none', borderTop: '1px solid #e2e8f0', margin: '16px 0' }} />;
+    default:
+      return null;
+  }
+};
+
+// ============================================
+// SECTIONS + TABLE OF CONTENTS
+// ============================================
+const ResultSection = ({ section, idPrefix, isOpen, onToggle }) => {
+  if (!section.title) {
+    return <div>{section.blocks.map((b, i) => renderBlock(b, `${section.id}-${i}`, idPrefix))}</div>;
+  }
+
+  return (
+    <section style={{ border: '1px solid #e2e8f0', borderRadius: 12, marginBottom: 12, overflow: 'hidden' }}>
+      <button
+        id={`${idPrefix}-${section.id}`}
+        onClick={onToggle}
+        style={{
+          width: '100%', display: 'flex', alignItems: 'center', gap: 8, padding: '12px 16px',
+          background: isOpen ? '#f8fafc' : '#fff', border: 'none', borderBottom: isOpen ? '1px solid #e2e8f0' : 'none',
+          cursor: 'pointer', fontFamily: 'inherit', textAlign: 'left', scrollMarginTop: 16
+        }}
+      >
+        {isOpen ? <ChevronDown size={15} color="#64748b" /> : <ChevronRight size={15} color="#64748b" />}
+        <span style={{ fontSize: 15, fontWeight: 700, color: '#0f172a' }}>{renderInline(section.titleChildren, section.id)}</span>
+        <span style={{ marginLeft: 'auto', fontSize: 11, color: '#94a3b8' }}>{section.blocks.length} blocks</span>
+      </button>
+      {isOpen && (
+        <div style={{ padding: '14px 18px 4px' }}>
+          {section.blocks.map((b, i) => renderBlock(b, `${section.id}-${i}`, idPrefix))}
+        </div>
+      )}
+    </section>
+  );
+};
+
+const TableOfContents = ({ entries, onSelect }) => {
+  const minLevel = Math.min(...entries.map(e => e.level));
+  return (
+    <nav style={{ background: '#f8fafc', border: '1px solid #e2e8f0', borderRadius: 12, padding: '14px 18px', marginBottom: 16 }}>
+      <div style={{ fontSize: 10, fontWeight: 700, color: '#94a3b8', textTransform: 'uppercase', letterSpacing: '0.08em', marginBottom: 8 }}>
+        Contents
+      </div>
+      {entries.map(entry => (
+        <button
+          key={entry.id}
+          onClick={() => onSelect(entry)}
+          style={{
+            display: 'block', background: 'none', border: 'none', cursor: 'pointer', fontFamily: 'inherit',
+            textAlign: 'left', padding: '3px 0', paddingLeft: (entry.level - minLevel) * 14,
+            fontSize: 13, color: entry.level === minLevel ? '#1e40af' : '#475569', fontWeight: entry.level === minLevel ? 600 : 400
+          }}
+        >
+          {entry.title}
+        </button>
+      ))}
+    </nav>
+  );
+};
+
+// Flat, non-interactive rendering used for exports and print.
+export function MarkdownDocument({ text, idPrefix = 'doc' }) {
+  const blocks = useMemo(() => parseBlocks(text), [text]);
+  return <div>{blocks.map((b, i) => renderBlock(b, `b-${i}`, idPrefix))}</div>;
+}
+
+// ============================================
+// ANALYSIS RESULT
+// ============================================
+// `onCitationClick({ page, quote })` turns page citations into links to the source document.
+// `rawText` is what "Raw text" shows when `text` has been trimmed for display (e.g. the
+// metrics and risk blocks taken out); it defaults to `text`.
+export function AnalysisResult({ text, rawText = text, idPrefix = 'result', onCitationClick = null }) {
+  const [showRaw, setShowRaw] = useState(false);
+  const [showToc, setShowToc] = useState(true);
+  const [collapsedIds, setCollapsedIds] = useState([]);
+
+  const { sections, toc } = useMemo(() => {
+    const blocks = parseBlocks(text);
+    return { sections: splitSections(blocks), toc: buildTableOfContents(blocks) };
+  }, [text]);
+
+  const toggleSection = (id) => setCollapsedIds(ids => (ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]));
+
+  // A heading inside a collapsed section isn't rendered, so open its section first;
+  // the click's update is flushed before the next frame, when the heading is there to scroll to
+  const jumpTo = (entry) => {
+    const owner = sections.find(section => section.id === entry.id || section.blocks.some(block => block.id === entry.id));
+    if (owner) setCollapsedIds(ids => ids.filter(id => id !== owner.id));
+    requestAnimationFrame(() => {
+      document.getElementById(`${idPrefix}-${entry.id}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    });
+  };
+
+  const toggleStyle = (active) => ({
+    display: 'flex', alignItems: 'center', gap: 5, padding: '5px 10px', borderRadius: 6,
+    border: 'none', fontSize: 12, fontWeight: 600, fontFamily: 'inherit', cursor: 'pointer',
+    background: active ? '#fff' : 'transparent', color: active ? '#1e40af' : '#64748b',
+    boxShadow: active ? '0 1px 2px rgba(0,0,0,0.06)' : 'none'
+  });
+
+  return (
+    <div>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 14 }}>
+        <div style={{ display: 'inline-flex', background: '#f1f5f9', borderRadius: 8, padding: 3 }}>
+          <button onClick={() => setShowRaw(false)} style={toggleStyle(!showRaw)}><FileText size={13} /> Formatted</button>
+          <button onClick={() => setShowRaw(true)} style={toggleStyle(showRaw)}><Code size={13} /> Raw text</button>
+        </div>
+        {!showRaw && toc.length > 1 && (
+          <button onClick={() => setShowToc(!showToc)}
+            style={{ display: 'flex', alignItems: 'center', gap: 5, fontSize: 12, fontWeight: 500, color: '#64748b', background: 'none', border: 'none', cursor: 'pointer', fontFamily: 'inherit' }}>
+            <List size={13} /> {showToc ? 'Hide contents' : 'Show contents'}
+          </button>
+        )}
+      </div>
+
+      {showRaw ? (
+        <pre style={{
+          fontSize: 13, color: '#334155', whiteSpace: 'pre-wrap', fontFamily: "'Fira Code', 'Courier New', monospace",
+          lineHeight: 1.7, background: '#f8fafc', padding: '20px', borderRadius: 10,
+          border: '1px solid #e2e8f0', wordBreak: 'break-word', overflowWrap: 'break-word'
+        }}>
+          {rawText}
+        </pre>
+      ) : (
+        <CitationContext.Provider value={onCitationClick}>
+          {showToc && toc.length > 1 && <TableOfContents entries={toc} onSelect={jumpTo} />}
+          {sections.map(section => (
+            <ResultSection key={section.id} section={section} idPrefix={idPrefix}
+              isOpen={!collapsedIds.includes(section.id)} onToggle={() => toggleSection(section.id)} />
+          ))}
+        </CitationContext.Provider>
+      )}
+    </div>
+  );
+}
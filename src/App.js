@@ -1,33 +1,72 @@
 // App.js - VWO Style Financial Analysis Platform
-import React, { useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import {
   useAuthenticationStatus,
   useUserData,
   useUserId,
   useNhostClient,
-  useFileUpload,
   useSignInEmailPassword,
   useSignUpEmailPassword,
   useResetPassword,
   useSignOut
 } from '@nhost/react';
-import { useMutation, useSubscription, gql } from '@apollo/client';
+import { useMutation, gql } from '@apollo/client';
 import {
   Upload, FileText, Lock, LogOut,
   ShieldCheck, Clock, AlertCircle,
   Trash2, Send, CheckCircle, BarChart3,
   TrendingUp, FileSearch, Zap, MessageSquare,
-  Plus, ChevronRight, Eye, EyeOff
+  Plus, ChevronRight, Eye, EyeOff, Download, Share2, Users,
+  X, RotateCcw, Pencil, Archive, ArchiveRestore, Search, Filter, BookOpen, FolderOpen, GitCompare, Check, Settings
 } from 'lucide-react';
+import { AnalysisResult } from './AnalysisResult';
+import { PdfViewer } from './PdfViewer';
+import { DocumentLibrary } from './DocumentLibrary';
+import { CompareWorkspace, MAX_COMPARE_COLUMNS } from './CompareWorkspace';
+import { SettingsView } from './SettingsView';
+import { ShareDialog } from './ShareDialog';
+import { SharedResultPage } from './SharedResultPage';
+import { useSharedWithMe } from './useSharing';
+import { accessRoleFor, SHARE_ROLES } from './sharing';
+import { useWorkspaces } from './useWorkspaces';
+import { WorkspaceSwitcher } from './WorkspaceSwitcher';
+import { CommentsPanel } from './CommentsPanel';
+import { useAnalysisNotifications } from './useNotifications';
+import { NotificationBell } from './NotificationBell';
+import { can, canManageChat, ROLE_LABELS } from './workspaces';
+import { MetricsPanel } from './MetricsPanel';
+import { extractMetrics } from './metrics';
+import { RiskPanel, RiskBadge } from './RiskPanel';
+import { extractRiskFlags, summarizeRisks } from './risks';
+import { useRiskBackfill } from './useRiskBackfill';
+import { AnalysisProgress } from './AnalysisProgress';
+import { PromptTemplatePicker, PromptVariableFields } from './PromptTemplatePicker';
+import { fillTemplate, missingVariables, formatVariableLabel } from './promptTemplates';
+import { EXPORT_FORMATS } from './exportAnalysis';
+import { requestAnalysis, buildThreadHistory, DEFAULT_QUERY } from './analysisService';
+import { useUploadQueue, INSERT_CHAT, RETRY_CHAT, MARK_CHAT_FAILED } from './useUploadQueue';
+import { attemptRows, describeAttempt, nextAttemptNumber, withAttemptFailure } from './attempts';
+import { useChatActions } from './useChatActions';
+import { formatFileSize, collectDroppedFiles, isAbortError } from './utils';
+import { acceptAttribute, describeInputTypes } from './inputTypes';
+import { FilePreview } from './FilePreview';
+import { STATUS_FILTERS, EMPTY_FILTERS, hasActiveFilters, groupChatsByDate } from './historyFilters';
+import { useChatHistory, useChatThread } from './useChatHistory';
+import { useRouter, routeUrl } from './router';
 
 // ============================================
 // GRAPHQL DEFINITIONS
 // ============================================
-const INSERT_CHAT = gql`
-  mutation InsertChat($file_id: uuid!, $file_name: String!, $query: String!) {
+// Follow-up turns are regular chats rows that point at the analysis they continue,
+// so they reuse the parent's file_id and stream in through the thread subscription.
+const INSERT_FOLLOW_UP = gql`
+  mutation InsertFollowUp($workspace_id: uuid!, $parent_id: uuid!, $file_id: uuid!, $file_name: String!, $file_type: String, $query: String!) {
     insert_chats_one(object: {
+      workspace_id: $workspace_id,
+      parent_id: $parent_id,
       file_id: $file_id,
       file_name: $file_name,
+      file_type: $file_type,
       status: "pending",
       query: $query
     }) {
@@ -36,55 +75,6 @@ const INSERT_CHAT = gql`
   }
 `;
 
-const GET_MY_HISTORY_SUB = gql`
-  subscription GetMyHistory {
-    chats(order_by: { created_at: desc }) {
-      id
-      file_name
-      status
-      analysis_result
-      created_at
-      file_id
-      user_id
-      query
-    }
-  }
-`;
-
-const RENDER_API_URL = "https://wingify-crewai-correct-code.onrender.com/analyze";
-
-// ============================================
-// HELPER FUNCTIONS
-// ============================================
-const validateFile = (file, options = {}) => {
-  const { maxSizeMB = 10, allowedTypes = ['application/pdf'] } = options;
-  if (!file) return { valid: false, error: "No file selected" };
-  const fileSizeMB = file.size / (1024 * 1024);
-  if (fileSizeMB > maxSizeMB) {
-    return { valid: false, error: `File size exceeds ${maxSizeMB}MB limit (${fileSizeMB.toFixed(2)}MB)` };
-  }
-  if (!allowedTypes.includes(file.type)) {
-    return { valid: false, error: `File type not allowed. Accepted: ${allowedTypes.join(', ')}` };
-  }
-  return { valid: true, error: null };
-};
-
-const formatFileSize = (bytes) => {
-  if (bytes === 0) return '0 Bytes';
-  const k = 1024;
-  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
-};
-
-const PROGRESS_MESSAGES = {
-  uploading: "Uploading file to secure storage...",
-  queueing: "Creating analysis record...",
-  processing: "Sending to AI agents...",
-  completed: "Analysis queued successfully!",
-  error: "Upload failed. Please try again.",
-};
-
 // ============================================
 // MAIN APP COMPONENT
 // ============================================
@@ -93,140 +83,262 @@ function App() {
   const user = useUserData();
   const userId = useUserId();
   const { signOut } = useSignOut();
-  const { upload } = useFileUpload();
-
-  // Detect if user arrived via a password-reset email link.
-  // Nhost can redirect with:
-  //   ?refreshToken=xxx&type=passwordReset  (Nhost v2)
-  //   #type=recovery&...                    (Supabase-style fragment)
-  const [isPasswordReset, setIsPasswordReset] = useState(() => {
-    const searchParams = new URLSearchParams(window.location.search);
-    const hashParams = new URLSearchParams(window.location.hash.replace(/^#/, ''));
-    return (
-      searchParams.get('type') === 'passwordReset' ||
-      hashParams.get('type') === 'recovery' ||
-      hashParams.get('type') === 'passwordReset'
-    );
-  });
+  // History, uploads and templates all belong to the active workspace; the role in it
+  // decides which actions are offered (Hasura enforces the same rules)
+  const workspace = useWorkspaces({ userId, email: isAuthenticated ? user?.email : null });
+  const workspaceId = workspace.active?.id || null;
+  const canAnalyze = can(workspace.role, 'analyze');
+  const uploadQueue = useUploadQueue({ userId, workspaceId });
+
+  // The URL decides what's open (see router.js), so refreshes and shared links land
+  // on the same view. Password-reset email links arrive as the reset-password route.
+  const { route, navigate } = useRouter();
 
-  const [isProcessing, setIsProcessing] = useState(false);
-  const [selectedFile, setSelectedFile] = useState(null);
   const [userQuery, setUserQuery] = useState('');
-  const [uploadProgress, setUploadProgress] = useState(0);
-  const [progressMessage, setProgressMessage] = useState('');
-  // Store only the ID — the live chat object is always derived from subscription data
-  const [selectedChatId, setSelectedChatId] = useState(null);
+  // Values for the {{variables}} in userQuery, substituted when the batch starts
+  const [promptValues, setPromptValues] = useState({});
+  // Only the ID comes from the URL — the live chat object is always derived from subscription data
+  const selectedChatId = route.name === 'analysis' ? route.id : null;
+  // Analyses being picked in the sidebar; the comparison itself reads its ids from the URL
+  const [compareIds, setCompareIds] = useState([]);
+  const [isSelectingCompare, setIsSelectingCompare] = useState(false);
 
   const [insertChat] = useMutation(INSERT_CHAT);
-
-  const { data, loading: subLoading, error: subError } = useSubscription(GET_MY_HISTORY_SUB, {
-    skip: !isAuthenticated,
-    onError: (error) => {
-      console.error("Subscription error:", error);
-    }
+  const [insertFollowUp] = useMutation(INSERT_FOLLOW_UP);
+  const [retryChat] = useMutation(RETRY_CHAT);
+  const [markChatFailed] = useMutation(MARK_CHAT_FAILED);
+  // Backoff notices for retries in flight, keyed by chat id
+  const [retryNotices, setRetryNotices] = useState({});
+  const chatActions = useChatActions({
+    onDeleted: (chat) => {
+      if (chat.id === selectedChatId) navigate({ name: 'new' }, { replace: true });
+      setCompareIds(ids => ids.filter(id => id !== chat.id));
+    },
   });
 
-  const myChats = data?.chats?.filter(chat => chat.user_id === userId) || [];
-  // Always derive from live subscription data so status updates instantly
-  const selectedChat = myChats.find(c => c.id === selectedChatId) || null;
+  const [historyFilters, setHistoryFilters] = useState(EMPTY_FILTERS);
+  const history = useChatHistory({ workspaceId, userId, filters: historyFilters, skip: !isAuthenticated });
+  // Rows inside their undo window are hidden as if already deleted
+  const myChats = history.chats.filter(chat => !chatActions.pendingDeleteIds.includes(chat.id));
+  const canManage = (chat) => canManageChat(workspace.role, chat, userId);
+  useRiskBackfill({ chats: myChats.filter(canManage) });
+
+  // The selected analysis has its own subscription, so it stays open (and live)
+  // even when the sidebar filters or pagination no longer include it
+  const { chat: threadRoot, thread: selectedThread, loading: threadLoading } = useChatThread({ chatId: selectedChatId, userId });
+  const selectedChat = threadRoot && !chatActions.pendingDeleteIds.includes(threadRoot.id) ? threadRoot : null;
+
+  // Analyses other people shared with this user; their role decides what the workspace allows
+  const sharedWithMe = useSharedWithMe({ email: isAuthenticated ? user?.email : null });
+  const accessRole = accessRoleFor(selectedChat, userId, sharedWithMe.shares, workspaceId);
+  // Follow-ups and retries need an analyst seat; shares alone are read-only
+  const canContinue = (accessRole === 'owner' || accessRole === 'workspace') && canAnalyze;
+  const canComment = accessRole === 'owner' || accessRole === 'comment' || (accessRole === 'workspace' && can(workspace.role, 'comment'));
+
+  const handleFilesAdded = async (files) => {
+    const rejected = await uploadQueue.addFiles(files);
+    if (rejected.length) alert(`Some files were skipped:\n\n${rejected.join('\n')}`);
+  };
 
   const handleFileChange = (e) => {
-    const file = e.target.files[0];
-    const validation = validateFile(file, { maxSizeMB: 10, allowedTypes: ['application/pdf'] });
-    if (!validation.valid) {
-      alert(validation.error);
-      e.target.value = null;
-      return;
-    }
-    setSelectedFile(file);
-    setUploadProgress(0);
-    setProgressMessage('');
+    // Copy before clearing the input, which empties its live FileList
+    handleFilesAdded(Array.from(e.target.files));
+    e.target.value = null;
   };
 
   const handleUploadAndAnalyze = async () => {
-    if (!selectedFile || !userId) {
+    if (uploadQueue.queue.length === 0 || !userId || !workspaceId) {
       alert("Please select a file and ensure you're logged in.");
       return;
     }
 
-    setIsProcessing(true);
-    setProgressMessage(PROGRESS_MESSAGES.uploading);
-    setUploadProgress(10);
+    const missing = missingVariables(userQuery, promptValues);
+    if (missing.length) {
+      alert(`Please fill in the prompt variables: ${missing.map(formatVariableLabel).join(', ')}`);
+      return;
+    }
 
-    try {
-      const uploadResult = await upload({ file: selectedFile });
+    const results = await uploadQueue.startBatch(fillTemplate(userQuery, promptValues));
 
-      if (uploadResult.isError || uploadResult.error) {
-        throw new Error(uploadResult.error?.message || "File upload failed");
-      }
+    // A single file behaves like before: jump straight to its live status.
+    // Batches stay on the queue view so the summary and per-file retries are visible.
+    if (results.length === 1 && results[0].chatId) {
+      openChat(results[0].chatId);
+      uploadQueue.clearQueue();
+      setUserQuery('');
+      setPromptValues({});
+    } else if (results.length === 1 && results[0].error && !isAbortError(results[0].error)) {
+      alert(`❌ Error: ${results[0].error.message}\n\nCheck browser console (F12) for details.`);
+    }
+  };
+
+  // Asks a follow-up question about the selected analysis without re-uploading its file.
+  // Throws so the composer can keep the draft and show the error inline.
+  const handleFollowUp = async (question) => {
+    const query = question.trim();
+    if (!selectedChat || !query || !userId) return;
 
-      const fileId = uploadResult.file?.id || uploadResult.id;
-      if (!fileId) throw new Error("Failed to get file ID after upload");
+    const { data: mutationData, errors } = await insertFollowUp({
+      variables: {
+        workspace_id: selectedChat.workspace_id,
+        parent_id: selectedChat.id,
+        file_id: selectedChat.file_id,
+        file_name: selectedChat.file_name,
+        file_type: selectedChat.file_type,
+        query,
+      },
+    });
 
-      setUploadProgress(50);
-      setProgressMessage(PROGRESS_MESSAGES.queueing);
+    if (errors) throw new Error(`Database error: ${errors[0]?.message || "Unknown database error"}`);
 
-      const finalQuery = userQuery.trim() || "Analyze financial trends and risks";
+    const chatId = mutationData?.insert_chats_one?.id;
+    if (!chatId) throw new Error("Failed to create follow-up record");
 
-      const { data: mutationData, errors } = await insertChat({
-        variables: {
-          file_id: fileId,
-          file_name: selectedFile.name,
-          query: finalQuery,
-        },
+    try {
+      await requestAnalysis({
+        chatId,
+        fileId: selectedChat.file_id,
+        userId,
+        query,
+        fileType: selectedChat.file_type,
+        ocr: Boolean(selectedChat.ocr),
+        parentId: selectedChat.id,
+        history: buildThreadHistory([selectedChat, ...selectedThread]),
       });
+    } catch (err) {
+      // A turn stuck in "pending" would lock the composer; failed turns get a retry panel
+      await markChatFailed({ variables: { id: chatId, attempts: withAttemptFailure([], 1, err) } })
+        .catch(markErr => console.error("Failed to mark chat as failed:", markErr));
+      throw err;
+    }
+  };
 
-      if (errors) throw new Error(`Database error: ${errors[0]?.message || "Unknown database error"}`);
+  // Re-runs a failed analysis (or follow-up turn) against the same file_id, optionally
+  // with an edited query. Throws so the retry panel can show the error inline.
+  const handleRetry = async (chat, editedQuery) => {
+    const query = (editedQuery ?? chat.query ?? '').trim() || DEFAULT_QUERY;
+    const attemptNumber = nextAttemptNumber(chat.attempts);
+    const setNotice = (message) => setRetryNotices(notices => ({ ...notices, [chat.id]: message }));
 
-      const chatId = mutationData?.insert_chats_one?.id;
-      if (!chatId) throw new Error("Failed to create analysis record");
+    const entry = { attempt: attemptNumber, at: new Date().toISOString(), query, previous_query: chat.query };
+    const { data: retryData, errors } = await retryChat({ variables: { id: chat.id, query, attempt: [entry] } });
+    if (errors) throw new Error(`Database error: ${errors[0]?.message || "Unknown database error"}`);
+    const attempts = retryData?.update_chats_by_pk?.attempts || [...(chat.attempts || []), entry];
 
-      setUploadProgress(75);
-      setProgressMessage(PROGRESS_MESSAGES.processing);
+    const isFollowUp = Boolean(chat.parent_id);
+    const earlierTurns = isFollowUp
+      ? [selectedChat, ...selectedThread.filter(t => new Date(t.created_at) < new Date(chat.created_at))]
+      : [];
 
-      const response = await fetch(RENDER_API_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          chat_id: chatId,
-          file_id: fileId,
-          user_id: userId,
-          query: finalQuery,
-        }),
+    try {
+      await requestAnalysis({
+        chatId: chat.id,
+        fileId: chat.file_id,
+        userId,
+        query,
+        fileType: chat.file_type,
+        // Follow-up rows don't carry the flag; the root analysis does
+        ocr: Boolean((isFollowUp ? selectedChat : chat)?.ocr),
+        parentId: chat.parent_id || null,
+        history: buildThreadHistory(earlierTurns.filter(Boolean)),
+        onRetry: ({ attempt, maxAttempts, delayMs }) => setNotice(
+          `Analysis service is waking up — retrying in ${Math.ceil(delayMs / 1000)}s (${attempt + 1}/${maxAttempts})`
+        ),
       });
+    } catch (err) {
+      // Don't leave the row stuck in "pending" when the job never reached the service
+      await markChatFailed({ variables: { id: chat.id, attempts: withAttemptFailure(attempts, attemptNumber, err) } })
+        .catch(markErr => console.error("Failed to mark chat as failed:", markErr));
+      throw err;
+    } finally {
+      setRetryNotices(({ [chat.id]: _, ...rest }) => rest);
+    }
+  };
 
-      if (!response.ok) {
-        const errorText = await response.text().catch(() => 'Unknown error');
-        throw new Error(`Analysis service failed: ${response.status} - ${errorText}`);
-      }
+  const openChat = (chatId) => navigate({ name: 'analysis', id: chatId });
 
-      setUploadProgress(100);
-      setProgressMessage(PROGRESS_MESSAGES.completed);
+  // Finished analyses surface wherever the user is: toast, bell, tab title, desktop alert
+  const notifications = useAnalysisNotifications({ userId, activeChatId: selectedChatId, onOpenChat: openChat });
 
-      // Navigate to the new chat — subscription will stream live status updates
-      setSelectedChatId(chatId);
-      setSelectedFile(null);
-      setUserQuery('');
-      setUploadProgress(0);
-      setProgressMessage('');
+  const toggleCompare = (chat) => setCompareIds(ids => (ids.includes(chat.id)
+    ? ids.filter(id => id !== chat.id)
+    : ids.length < MAX_COMPARE_COLUMNS ? [...ids, chat.id] : ids));
 
+  const startCompareSelection = () => {
+    // The open analysis is usually one side of the comparison
+    setCompareIds(selectedChat ? [selectedChat.id] : []);
+    setIsSelectingCompare(true);
+  };
+
+  const clearCompareSelection = () => {
+    setIsSelectingCompare(false);
+    setCompareIds([]);
+  };
+
+  const switchWorkspace = (id) => {
+    workspace.switchTo(id);
+    clearCompareSelection();
+    navigate({ name: 'new' });
+  };
+
+  const exitCompare = () => {
+    clearCompareSelection();
+    if (route.name === 'compare') navigate({ name: 'new' });
+  };
+
+  const removeFromCompare = (chatId) => {
+    setCompareIds(ids => ids.filter(id => id !== chatId));
+    navigate({ name: 'compare', ids: route.ids.filter(id => id !== chatId) }, { replace: true });
+  };
+
+  // Starts a fresh analysis of a file already in the library and opens it. Throws
+  // only while the row is being created; after that, failures land on the row itself.
+  const handleAnalyzeDocument = async (doc, query) => {
+    if (!userId || !workspaceId) return null;
+
+    const { data: mutationData, errors } = await insertChat({
+      variables: {
+        workspace_id: workspaceId,
+        file_id: doc.id,
+        file_name: doc.name,
+        file_type: doc.fileType,
+        file_hash: doc.fileHash,
+        ocr: doc.ocr,
+        query,
+      },
+    });
+    if (errors) throw new Error(`Database error: ${errors[0]?.message || "Unknown database error"}`);
+
+    const chatId = mutationData?.insert_chats_one?.id;
+    if (!chatId) throw new Error("Failed to create analysis record");
+    openChat(chatId);
+
+    try {
+      await requestAnalysis({ chatId, fileId: doc.id, userId, query, fileType: doc.fileType, ocr: doc.ocr });
     } catch (err) {
-      console.error("Upload/Analysis Error:", err);
-      alert(`❌ Error: ${err.message}\n\nCheck browser console (F12) for details.`);
-      setProgressMessage(PROGRESS_MESSAGES.error);
-    } finally {
-      setIsProcessing(false);
-      const fileInput = document.getElementById('file-upload');
-      if (fileInput) fileInput.value = null;
+      console.error("Library analysis error:", err);
+      await markChatFailed({ variables: { id: chatId, attempts: withAttemptFailure([], 1, err) } })
+        .catch(markErr => console.error("Failed to mark chat as failed:", markErr));
     }
+    return chatId;
   };
 
   const handleNewAnalysis = () => {
-    setSelectedChatId(null);
-    setSelectedFile(null);
+    navigate({ name: 'new' });
+    if (!uploadQueue.isProcessing) uploadQueue.clearQueue();
     setUserQuery('');
+    setPromptValues({});
   };
 
+  // Unknown paths, and comparisons with too few ids left, fall back to a new analysis
+  const isDeadRoute = route.name === 'not-found' || (route.name === 'compare' && route.ids.length < 2);
+  useEffect(() => {
+    if (isDeadRoute) navigate({ name: 'new' }, { replace: true });
+  }, [isDeadRoute, navigate]);
+
+  // Share links work without an account, so they skip the sign-in gate entirely
+  if (route.name === 'shared') return <SharedResultPage token={route.token} />;
+
   if (isLoading) {
     return (
       <div style={{ minHeight: '100vh', display: 'flex', alignItems: 'center', justifyContent: 'center', background: 'linear-gradient(135deg, #f8fafc 0%, #eff6ff 100%)' }}>
@@ -239,12 +351,9 @@ function App() {
   }
 
   // If the user arrived via a password-reset link, show the new-password form
-  if (isPasswordReset) {
-    return <ResetPasswordPage onDone={() => {
-      setIsPasswordReset(false);
-      // Clean the URL so a refresh doesn't re-trigger this
-      window.history.replaceState({}, document.title, window.location.pathname);
-    }} />;
+  if (route.name === 'reset-password') {
+    // Replacing the entry drops Nhost's token parameters, so a refresh doesn't re-trigger this
+    return <ResetPasswordPage onDone={() => navigate({ name: 'new' }, { replace: true })} />;
   }
 
   return (
@@ -266,11 +375,32 @@ function App() {
         <div style={{ display: 'flex', height: '100vh', overflow: 'hidden', background: '#f8fafc' }}>
           <Sidebar
             myChats={myChats}
+            sharedChats={sharedWithMe.shares.map(share => share.chat)}
             selectedChat={selectedChat}
-            onSelectChat={(chat) => setSelectedChatId(chat.id)}
+            onSelectChat={(chat) => openChat(chat.id)}
             onNewAnalysis={handleNewAnalysis}
-            subLoading={subLoading}
-            subError={subError}
+            isDocumentsOpen={route.name === 'documents'}
+            onOpenDocuments={() => navigate({ name: 'documents' })}
+            isSelectingCompare={isSelectingCompare}
+            compareIds={compareIds}
+            onStartCompare={startCompareSelection}
+            onToggleCompare={toggleCompare}
+            onCompare={() => navigate({ name: 'compare', ids: compareIds })}
+            onCancelCompare={exitCompare}
+            canManageChat={canManage}
+            footer={(
+              <WorkspaceSwitcher user={user} workspace={workspace} onSwitch={switchWorkspace} onManage={() => navigate({ name: 'settings' })} />
+            )}
+            onRenameChat={chatActions.rename}
+            onArchiveChat={chatActions.setArchived}
+            onDeleteChat={chatActions.remove}
+            filters={historyFilters}
+            onFiltersChange={setHistoryFilters}
+            hasMore={history.hasMore}
+            isLoadingMore={history.isLoadingMore}
+            onLoadMore={history.loadMore}
+            subLoading={history.loading}
+            subError={history.error}
           />
 
           <div style={{ flex: 1, display: 'flex', flexDirection: 'column', overflow: 'hidden' }}>
@@ -296,10 +426,27 @@ function App() {
               <div style={{ display: 'flex', alignItems: 'center', gap: 16 }}>
                 <div style={{ textAlign: 'right' }}>
                   <div style={{ fontSize: 13, fontWeight: 600, color: '#334155' }}>{user?.email}</div>
-                  <div style={{ fontSize: 11, color: '#94a3b8' }}>Premium Account</div>
+                  <div style={{ fontSize: 11, color: '#94a3b8' }}>
+                    {workspace.active ? `${workspace.active.name} · ${ROLE_LABELS[workspace.role]}` : ''}
+                  </div>
                 </div>
+                <NotificationBell notifications={notifications} onOpenChat={openChat} />
                 <button
-                  onClick={() => signOut()}
+                  onClick={() => navigate({ name: 'settings' })}
+                  title="Settings"
+                  style={{
+                    display: 'flex', padding: 8, border: '1px solid #e2e8f0', borderRadius: 8, cursor: 'pointer', fontFamily: 'inherit',
+                    background: route.name === 'settings' ? '#eff6ff' : 'none', color: route.name === 'settings' ? '#1d4ed8' : '#64748b'
+                  }}
+                >
+                  <Settings size={15} />
+                </button>
+                <button
+                  onClick={() => {
+                    // The next person to sign in on this browser shouldn't land on this user's analysis
+                    navigate({ name: 'new' }, { replace: true });
+                    signOut();
+                  }}
                   style={{
                     display: 'flex', alignItems: 'center', gap: 6,
                     padding: '8px 14px', background: 'none', border: '1px solid #e2e8f0',
@@ -317,18 +464,57 @@ function App() {
 
             {/* Main Content */}
             <main style={{ flex: 1, overflowY: 'auto', padding: 32 }}>
-              {selectedChat ? (
-                <ChatWorkspace chat={selectedChat} subLoading={subLoading} />
+              {route.name === 'settings' ? (
+                <SettingsView workspace={workspace.active} role={workspace.role} userId={userId} />
+              ) : route.name === 'documents' ? (
+                <DocumentLibrary userId={userId} workspaceId={workspaceId} onAnalyze={canAnalyze ? handleAnalyzeDocument : null} onOpenChat={openChat} />
+              ) : route.name === 'compare' && route.ids.length >= 2 ? (
+                <CompareWorkspace
+                  chatIds={route.ids}
+                  userId={userId}
+                  onExit={exitCompare}
+                  onRemove={removeFromCompare}
+                  onOpenChat={(chatId) => {
+                    clearCompareSelection();
+                    openChat(chatId);
+                  }}
+                />
+              ) : selectedChat ? (
+                <ChatWorkspace
+                  chat={selectedChat}
+                  thread={selectedThread}
+                  accessRole={accessRole}
+                  canShare={canManage(selectedChat)}
+                  canComment={canComment}
+                  userId={userId}
+                  onFollowUp={canContinue ? handleFollowUp : null}
+                  onRetry={canContinue ? handleRetry : null}
+                  retryNotices={retryNotices}
+                  subLoading={threadLoading}
+                  workspaceId={workspaceId}
+                  onOpenChat={openChat}
+                />
+              ) : selectedChatId && threadLoading ? (
+                <div style={{ display: 'flex', justifyContent: 'center', paddingTop: 80 }}>
+                  <div style={{ width: 36, height: 36, border: '3px solid #bfdbfe', borderTopColor: '#2563eb', borderRadius: '50%', animation: 'spin 0.8s linear infinite' }} />
+                </div>
+              ) : selectedChatId ? (
+                <MissingAnalysis onNewAnalysis={handleNewAnalysis} />
+              ) : workspace.role === 'viewer' ? (
+                <ViewerNotice workspaceName={workspace.active.name} />
               ) : (
                 <UploadWorkspace
-                  selectedFile={selectedFile}
+                  uploadQueue={uploadQueue}
+                  userId={userId}
+                  workspaceId={workspaceId}
                   userQuery={userQuery}
                   setUserQuery={setUserQuery}
-                  isProcessing={isProcessing}
-                  uploadProgress={uploadProgress}
-                  progressMessage={progressMessage}
+                  promptValues={promptValues}
+                  setPromptValues={setPromptValues}
                   handleFileChange={handleFileChange}
+                  handleFilesAdded={handleFilesAdded}
                   handleUploadAndAnalyze={handleUploadAndAnalyze}
+                  onOpenChat={openChat}
                 />
               )}
             </main>
@@ -339,6 +525,27 @@ function App() {
   );
 }
 
+// Viewers read the workspace's history but can't start analyses
+const ViewerNotice = ({ workspaceName }) => (
+  <div style={{ maxWidth: 480, margin: '80px auto 0', textAlign: 'center', animation: 'fadeIn 0.3s ease' }}>
+    <Eye size={40} color="#94a3b8" style={{ margin: '0 auto 16px', display: 'block' }} />
+    <h3 style={{ fontSize: 18, fontWeight: 700, color: '#0f172a', marginBottom: 8 }}>You have view access to {workspaceName}</h3>
+    <p style={{ fontSize: 14, color: '#64748b' }}>Open any analysis from the sidebar. Ask a workspace admin for the Analyst role to run new ones.</p>
+  </div>
+);
+
+// An /analyses/:id link to a row that was deleted or belongs to someone else
+const MissingAnalysis = ({ onNewAnalysis }) => (
+  <div style={{ maxWidth: 480, margin: '80px auto 0', textAlign: 'center', animation: 'fadeIn 0.3s ease' }}>
+    <FileSearch size={40} color="#94a3b8" style={{ margin: '0 auto 16px', display: 'block' }} />
+    <h3 style={{ fontSize: 18, fontWeight: 700, color: '#0f172a', marginBottom: 8 }}>Analysis not found</h3>
+    <p style={{ fontSize: 14, color: '#64748b', marginBottom: 20 }}>It may have been deleted, or the link points to an analysis you don't have access to.</p>
+    <button onClick={onNewAnalysis} style={{ display: 'inline-flex', alignItems: 'center', gap: 6, padding: '9px 16px', background: '#1d4ed8', color: '#fff', border: 'none', borderRadius: 8, fontSize: 13, fontWeight: 600, cursor: 'pointer', fontFamily: 'inherit' }}>
+      <Plus size={14} /> New analysis
+    </button>
+  </div>
+);
+
 // ============================================
 // RESET PASSWORD PAGE
 // Shown when user clicks the link in their reset email
@@ -549,8 +756,9 @@ const LoginPage = () => {
     if (view !== 'forgot' && password.length < 6) return alert("Password must be 6+ characters");
     try {
       if (view === 'login') await signInEmailPassword(email, password);
-      else if (view === 'signup') await signUpEmailPassword(email, password);
-      else if (view === 'forgot') await resetPassword(email);
+      // Verification links come back to the page the user was trying to open
+      else if (view === 'signup') await signUpEmailPassword(email, password, { redirectTo: window.location.origin + window.location.pathname + window.location.search });
+      else if (view === 'forgot') await resetPassword(email, { redirectTo: routeUrl({ name: 'reset-password' }) });
     } catch (err) {
       console.error("Auth error:", err);
     }
@@ -894,7 +1102,16 @@ const LoginPage = () => {
 // ============================================
 // SIDEBAR
 // ============================================
-const Sidebar = ({ myChats, selectedChat, onSelectChat, onNewAnalysis, subLoading, subError }) => {
+const Sidebar = ({ myChats, sharedChats = [], canManageChat, footer, selectedChat, onSelectChat, onNewAnalysis, isDocumentsOpen, onOpenDocuments, isSelectingCompare, compareIds, onStartCompare, onToggleCompare, onCompare, onCancelCompare, onRenameChat, onArchiveChat, onDeleteChat, filters, onFiltersChange, hasMore, isLoadingMore, onLoadMore, subLoading, subError }) => {
+  const showArchived = filters.archived;
+  const isFiltered = hasActiveFilters(filters);
+
+  // Infinite scroll: fetch the next page when the list is scrolled near its end
+  const handleScroll = (e) => {
+    const el = e.currentTarget;
+    if (hasMore && !isLoadingMore && el.scrollHeight - el.scrollTop - el.clientHeight < 120) onLoadMore();
+  };
+
   return (
     <div style={{
       width: 280, background: '#fff', borderRight: '1px solid #e2e8f0',
@@ -914,47 +1131,86 @@ const Sidebar = ({ myChats, selectedChat, onSelectChat, onNewAnalysis, subLoadin
         >
           <Plus size={16} /> New Analysis
         </button>
+        <button
+          onClick={onOpenDocuments}
+          style={{
+            width: '100%', display: 'flex', alignItems: 'center', gap: 8, marginTop: 8,
+            background: isDocumentsOpen ? '#eff6ff' : 'none', color: isDocumentsOpen ? '#1d4ed8' : '#475569',
+            border: `1px solid ${isDocumentsOpen ? '#bfdbfe' : '#e2e8f0'}`, borderRadius: 10,
+            padding: '9px 12px', fontSize: 13, fontWeight: 600, cursor: 'pointer', fontFamily: 'inherit'
+          }}
+        >
+          <FolderOpen size={15} /> Documents
+        </button>
       </div>
 
-      <div style={{ flex: 1, overflowY: 'auto', padding: '12px 10px' }}>
-        <div style={{ fontSize: 10, fontWeight: 700, color: '#94a3b8', textTransform: 'uppercase', letterSpacing: '0.08em', marginBottom: 10, padding: '0 8px' }}>
-          Recent Analyses
+      <HistoryFilterBar filters={filters} onChange={onFiltersChange} />
+
+      <div style={{ flex: 1, overflowY: 'auto', padding: '12px 10px' }} onScroll={handleScroll}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 10, padding: '0 8px' }}>
+          <span style={{ fontSize: 10, fontWeight: 700, color: '#94a3b8', textTransform: 'uppercase', letterSpacing: '0.08em' }}>
+            {isSelectingCompare ? `Select up to ${MAX_COMPARE_COLUMNS}` : showArchived ? 'Archived' : 'Recent Analyses'}
+          </span>
+          <div style={{ display: 'flex', gap: 10 }}>
+            {!isSelectingCompare && (
+              <button onClick={onStartCompare}
+                style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 11, fontWeight: 600, color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', fontFamily: 'inherit', padding: 0 }}>
+                <GitCompare size={11} /> Compare
+              </button>
+            )}
+            <button onClick={() => onFiltersChange({ ...filters, archived: !showArchived })}
+              style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 11, fontWeight: 600, color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', fontFamily: 'inherit', padding: 0 }}>
+              {showArchived ? '← Back' : <><Archive size={11} /> Archived</>}
+            </button>
+          </div>
         </div>
 
+        {sharedChats.length > 0 && !isSelectingCompare && !showArchived && !isFiltered && (
+          <div style={{ marginBottom: 8 }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 5, fontSize: 10, fontWeight: 600, color: '#cbd5e1', padding: '6px 8px 4px' }}>
+              <Users size={10} /> Shared with me
+            </div>
+            {sharedChats.map(chat => (
+              <SidebarRow key={chat.id} chat={chat} isSelected={!isDocumentsOpen && selectedChat?.id === chat.id} onSelect={() => onSelectChat(chat)} />
+            ))}
+          </div>
+        )}
+
         {myChats.length === 0 && !subLoading && (
           <div style={{ textAlign: 'center', padding: '32px 16px', color: '#94a3b8' }}>
             <FileText size={28} style={{ margin: '0 auto 8px', opacity: 0.4, display: 'block' }} />
-            <p style={{ fontSize: 13 }}>No analyses yet</p>
+            <p style={{ fontSize: 13 }}>
+              {isFiltered ? 'No analyses match your filters' : showArchived ? 'Nothing archived' : 'No analyses yet'}
+            </p>
           </div>
         )}
 
-        {myChats.map(chat => {
-          const isSelected = selectedChat?.id === chat.id;
-          return (
-            <button key={chat.id} onClick={() => onSelectChat(chat)}
-              style={{
-                width: '100%', textAlign: 'left', padding: '10px 12px', borderRadius: 8,
-                border: isSelected ? '1px solid #bfdbfe' : '1px solid transparent',
-                background: isSelected ? '#eff6ff' : 'none', cursor: 'pointer', display: 'block',
-                marginBottom: 2, fontFamily: 'inherit', transition: 'all 0.12s'
-              }}
-              onMouseEnter={e => { if (!isSelected) e.currentTarget.style.background = '#f8fafc'; }}
-              onMouseLeave={e => { if (!isSelected) e.currentTarget.style.background = 'none'; }}
-            >
-              <div style={{ fontSize: 13, fontWeight: 600, color: '#1e293b', marginBottom: 3, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
-                {chat.file_name || 'Untitled Document'}
-              </div>
-              {chat.query && (
-                <div style={{ fontSize: 11, color: '#64748b', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis', marginBottom: 4 }}>
-                  {chat.query}
-                </div>
-              )}
-              <div style={{ fontSize: 10, color: '#94a3b8' }}>
-                {new Date(chat.created_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
-              </div>
-            </button>
-          );
-        })}
+        {groupChatsByDate(myChats).map(group => (
+          <div key={group.label} style={{ marginBottom: 8 }}>
+            <div style={{ fontSize: 10, fontWeight: 600, color: '#cbd5e1', padding: '6px 8px 4px' }}>{group.label}</div>
+            {group.chats.map(chat => (
+              <SidebarRow
+                key={chat.id}
+                chat={chat}
+                isSelected={isSelectingCompare ? compareIds.includes(chat.id) : !isDocumentsOpen && selectedChat?.id === chat.id}
+                selectionMode={isSelectingCompare}
+                onSelect={() => (isSelectingCompare ? onToggleCompare(chat) : onSelectChat(chat))}
+                {...(canManageChat(chat) && {
+                  onRename: title => onRenameChat(chat, title),
+                  onArchive: () => onArchiveChat(chat, !chat.archived),
+                  onDelete: () => onDeleteChat(chat),
+                })}
+              />
+            ))}
+          </div>
+        ))}
+
+        {hasMore && !subLoading && myChats.length > 0 && (
+          <button onClick={onLoadMore} disabled={isLoadingMore}
+            style={{ width: '100%', padding: 10, fontSize: 12, fontWeight: 600, color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', fontFamily: 'inherit' }}>
+            {isLoadingMore ? 'Loading older analyses...' : 'Load older analyses'}
+          </button>
+        )}
 
         {subLoading && (
           <div style={{ display: 'flex', alignItems: 'center', gap: 6, justifyContent: 'center', padding: 16, color: '#2563eb', fontSize: 12 }}>
@@ -969,20 +1225,205 @@ const Sidebar = ({ myChats, selectedChat, onSelectChat, onNewAnalysis, subLoadin
         )}
       </div>
 
-      <div style={{ padding: '14px 16px', borderTop: '1px solid #f1f5f9', background: '#fafafa' }}>
-        <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
-          <div style={{
-            width: 34, height: 34, borderRadius: '50%',
-            background: 'linear-gradient(135deg, #1e40af, #3b82f6)',
-            display: 'flex', alignItems: 'center', justifyContent: 'center',
-            color: '#fff', fontSize: 13, fontWeight: 700, flexShrink: 0
-          }}>U</div>
-          <div style={{ flex: 1, minWidth: 0 }}>
-            <div style={{ fontSize: 13, fontWeight: 600, color: '#1e293b', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>User</div>
-            <div style={{ fontSize: 11, color: '#94a3b8' }}>Premium Plan</div>
-          </div>
+      {isSelectingCompare && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '12px 16px', borderTop: '1px solid #e2e8f0', background: '#eff6ff' }}>
+          <span style={{ flex: 1, fontSize: 12, fontWeight: 600, color: '#1e40af' }}>{compareIds.length} selected</span>
+          <button onClick={onCancelCompare}
+            style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: 12, fontWeight: 600, color: '#64748b', fontFamily: 'inherit', padding: 0 }}>
+            Cancel
+          </button>
+          <button onClick={onCompare} disabled={compareIds.length < 2}
+            style={{
+              display: 'flex', alignItems: 'center', gap: 5, padding: '6px 12px', border: 'none', borderRadius: 7,
+              background: compareIds.length < 2 ? '#93c5fd' : '#1d4ed8', color: '#fff', fontSize: 12, fontWeight: 600,
+              cursor: compareIds.length < 2 ? 'default' : 'pointer', fontFamily: 'inherit'
+            }}>
+            <GitCompare size={12} /> Compare
+          </button>
         </div>
+      )}
+
+      {footer}
+    </div>
+  );
+};
+
+// Search text is debounced before it reaches the subscription so typing
+// doesn't resubscribe on every keystroke.
+const HistoryFilterBar = ({ filters, onChange }) => {
+  const [searchText, setSearchText] = useState(filters.search);
+  const [showFilters, setShowFilters] = useState(false);
+  const activeCount = filters.statuses.length + (filters.from ? 1 : 0) + (filters.to ? 1 : 0);
+
+  useEffect(() => {
+    if (searchText === filters.search) return undefined;
+    const timer = setTimeout(() => onChange({ ...filters, search: searchText }), 300);
+    return () => clearTimeout(timer);
+  }, [searchText, filters, onChange]);
+
+  const toggleStatus = (status) => onChange({
+    ...filters,
+    statuses: filters.statuses.includes(status)
+      ? filters.statuses.filter(s => s !== status)
+      : [...filters.statuses, status],
+  });
+
+  const dateInputStyle = {
+    flex: 1, minWidth: 0, padding: '5px 6px', border: '1px solid #e2e8f0', borderRadius: 6,
+    fontSize: 11, fontFamily: 'inherit', color: '#334155', background: '#fff'
+  };
+
+  return (
+    <div style={{ padding: '12px 16px', borderBottom: '1px solid #f1f5f9' }}>
+      <div style={{ display: 'flex', gap: 6 }}>
+        <div style={{ position: 'relative', flex: 1 }}>
+          <Search size={13} color="#94a3b8" style={{ position: 'absolute', left: 9, top: '50%', transform: 'translateY(-50%)', pointerEvents: 'none' }} />
+          <input
+            type="search"
+            placeholder="Search files, queries, results"
+            value={searchText}
+            onChange={e => setSearchText(e.target.value)}
+            style={{
+              width: '100%', padding: '7px 8px 7px 28px', border: '1px solid #e2e8f0', borderRadius: 8,
+              fontSize: 12, fontFamily: 'inherit', outline: 'none', background: '#f8fafc', color: '#0f172a'
+            }}
+          />
+        </div>
+        <button onClick={() => setShowFilters(!showFilters)} title="Filters"
+          style={{
+            display: 'flex', alignItems: 'center', gap: 3, padding: '0 8px', borderRadius: 8, cursor: 'pointer', fontFamily: 'inherit',
+            border: `1px solid ${showFilters || activeCount ? '#bfdbfe' : '#e2e8f0'}`, background: showFilters || activeCount ? '#eff6ff' : '#fff',
+            color: activeCount ? '#1d4ed8' : '#64748b', fontSize: 11, fontWeight: 700
+          }}>
+          <Filter size={13} />{activeCount > 0 && activeCount}
+        </button>
       </div>
+
+      {showFilters && (
+        <div style={{ marginTop: 10, animation: 'fadeIn 0.15s ease' }}>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: 4, marginBottom: 8 }}>
+            {STATUS_FILTERS.map(status => {
+              const isOn = filters.statuses.includes(status);
+              return (
+                <button key={status} onClick={() => toggleStatus(status)}
+                  style={{
+                    padding: '3px 9px', borderRadius: 100, fontSize: 11, fontWeight: 600, fontFamily: 'inherit', cursor: 'pointer',
+                    border: `1px solid ${isOn ? '#2563eb' : '#e2e8f0'}`, background: isOn ? '#2563eb' : '#fff', color: isOn ? '#fff' : '#475569',
+                    textTransform: 'capitalize'
+                  }}>
+                  {status}
+                </button>
+              );
+            })}
+          </div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+            <input type="date" value={filters.from} max={filters.to || undefined} onChange={e => onChange({ ...filters, from: e.target.value })} style={dateInputStyle} />
+            <span style={{ fontSize: 11, color: '#94a3b8' }}>to</span>
+            <input type="date" value={filters.to} min={filters.from || undefined} onChange={e => onChange({ ...filters, to: e.target.value })} style={dateInputStyle} />
+          </div>
+          {hasActiveFilters(filters) && (
+            <button onClick={() => { setSearchText(''); onChange({ ...EMPTY_FILTERS, archived: filters.archived }); }}
+              style={{ marginTop: 8, fontSize: 11, fontWeight: 600, color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', fontFamily: 'inherit', padding: 0 }}>
+              Clear all filters
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Rows without onRename/onArchive/onDelete (analyses shared with the user) have no actions
+const SidebarRow = ({ chat, isSelected, selectionMode = false, onSelect, onRename, onArchive, onDelete }) => {
+  const [isHovered, setIsHovered] = useState(false);
+  const showActions = isHovered && !selectionMode && Boolean(onDelete);
+  const [isRenaming, setIsRenaming] = useState(false);
+  const [draftTitle, setDraftTitle] = useState('');
+  const displayTitle = chat.title || chat.file_name || 'Untitled Document';
+  const openComments = chat.open_comments?.aggregate?.count || 0;
+  // An <input> can't live inside a <button>, so the row becomes a plain div while renaming
+  const RowTag = isRenaming ? 'div' : 'button';
+
+  const startRename = () => {
+    setDraftTitle(displayTitle);
+    setIsRenaming(true);
+  };
+
+  const finishRename = (save) => {
+    setIsRenaming(false);
+    if (save && draftTitle.trim() !== displayTitle) onRename(draftTitle);
+  };
+
+  const actionStyle = {
+    display: 'flex', padding: 4, background: '#fff', border: '1px solid #e2e8f0', borderRadius: 6,
+    cursor: 'pointer', color: '#64748b'
+  };
+
+  return (
+    <div style={{ position: 'relative', marginBottom: 2 }}
+      onMouseEnter={() => setIsHovered(true)}
+      onMouseLeave={() => setIsHovered(false)}
+    >
+      <RowTag onClick={isRenaming ? undefined : onSelect}
+        style={{
+          width: '100%', textAlign: 'left', padding: '10px 12px', borderRadius: 8,
+          border: isSelected ? '1px solid #bfdbfe' : '1px solid transparent',
+          background: isSelected ? '#eff6ff' : isHovered ? '#f8fafc' : 'none', cursor: 'pointer', display: 'block',
+          fontFamily: 'inherit', transition: 'all 0.12s'
+        }}
+      >
+        {isRenaming ? (
+          <input
+            autoFocus
+            value={draftTitle}
+            onChange={e => setDraftTitle(e.target.value)}
+            onKeyDown={e => {
+              if (e.key === 'Enter') finishRename(true);
+              if (e.key === 'Escape') finishRename(false);
+            }}
+            onBlur={() => finishRename(true)}
+            style={{ width: '100%', fontSize: 13, fontWeight: 600, color: '#1e293b', border: '1px solid #93c5fd', borderRadius: 4, padding: '1px 4px', marginBottom: 3, fontFamily: 'inherit', outline: 'none' }}
+          />
+        ) : (
+          <div style={{ display: 'flex', alignItems: 'center', gap: 7, fontSize: 13, fontWeight: 600, color: '#1e293b', marginBottom: 3, paddingRight: showActions ? 78 : 0 }}>
+            {selectionMode && (
+              <span style={{
+                width: 14, height: 14, borderRadius: 4, flexShrink: 0, display: 'flex', alignItems: 'center', justifyContent: 'center',
+                border: `1.5px solid ${isSelected ? '#2563eb' : '#cbd5e1'}`, background: isSelected ? '#2563eb' : '#fff'
+              }}>
+                {isSelected && <Check size={10} color="#fff" strokeWidth={3} />}
+              </span>
+            )}
+            <span style={{ whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{displayTitle}</span>
+          </div>
+        )}
+        {chat.query && (
+          <div style={{ fontSize: 11, color: '#64748b', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis', marginBottom: 4 }}>
+            {chat.query}
+          </div>
+        )}
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 6, fontSize: 10, color: '#94a3b8' }}>
+          {new Date(chat.created_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+          <span style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+            {openComments > 0 && (
+              <span title={`${openComments} open comment thread${openComments === 1 ? '' : 's'}`} style={{ display: 'flex', alignItems: 'center', gap: 3, fontWeight: 600, color: '#2563eb' }}>
+                <MessageSquare size={10} /> {openComments}
+              </span>
+            )}
+            {chat.risk_level && chat.risk_level !== 'none' && <RiskBadge level={chat.risk_level} score={chat.risk_score} compact />}
+          </span>
+        </div>
+      </RowTag>
+
+      {showActions && !isRenaming && (
+        <div style={{ position: 'absolute', top: 8, right: 8, display: 'flex', gap: 3 }}>
+          <button title="Rename" onClick={startRename} style={actionStyle}><Pencil size={12} /></button>
+          <button title={chat.archived ? 'Unarchive' : 'Archive'} onClick={onArchive} style={actionStyle}>
+            {chat.archived ? <ArchiveRestore size={12} /> : <Archive size={12} />}
+          </button>
+          <button title="Delete" onClick={onDelete} style={{ ...actionStyle, color: '#dc2626' }}><Trash2 size={12} /></button>
+        </div>
+      )}
     </div>
   );
 };
@@ -990,7 +1431,25 @@ const Sidebar = ({ myChats, selectedChat, onSelectChat, onNewAnalysis, subLoadin
 // ============================================
 // UPLOAD WORKSPACE
 // ============================================
-const UploadWorkspace = ({ selectedFile, userQuery, setUserQuery, isProcessing, uploadProgress, progressMessage, handleFileChange, handleUploadAndAnalyze }) => {
+const UploadWorkspace = ({ uploadQueue, userId, workspaceId, userQuery, setUserQuery, promptValues, setPromptValues, handleFileChange, handleFilesAdded, handleUploadAndAnalyze, onOpenChat }) => {
+  const { queue, summary, isProcessing } = uploadQueue;
+  const [isDragging, setIsDragging] = useState(false);
+  const queuedCount = uploadQueue.readyCount;
+  const heldCount = queue.filter(item => item.status === 'queued').length - queuedCount;
+  const totalSize = queue.reduce((sum, item) => sum + item.file.size, 0);
+
+  const handleDrop = async (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    if (isProcessing) return;
+    try {
+      await handleFilesAdded(await collectDroppedFiles(e.dataTransfer));
+    } catch (err) {
+      console.error("Drop Error:", err);
+      alert(`❌ Could not read the dropped files: ${err.message}`);
+    }
+  };
+
   return (
     <div style={{ maxWidth: 780, margin: '0 auto' }}>
       {/* Hero */}
@@ -1032,17 +1491,20 @@ const UploadWorkspace = ({ selectedFile, userQuery, setUserQuery, isProcessing,
             <h3 style={{ fontSize: 16, fontWeight: 700, color: '#0f172a' }}>Upload Document</h3>
           </div>
 
-          <input type="file" id="file-upload" style={{ display: 'none' }} accept=".pdf" onChange={handleFileChange} disabled={isProcessing} />
+          <input type="file" id="file-upload" style={{ display: 'none' }} accept={acceptAttribute()} multiple onChange={handleFileChange} disabled={isProcessing} />
 
           <label htmlFor="file-upload" style={{
-            display: 'block', border: `2px dashed ${isProcessing ? '#e2e8f0' : '#bfdbfe'}`,
+            display: 'block', border: `2px dashed ${isDragging ? '#3b82f6' : isProcessing ? '#e2e8f0' : '#bfdbfe'}`,
             borderRadius: 12, padding: '36px 24px', textAlign: 'center',
             cursor: isProcessing ? 'default' : 'pointer',
-            background: isProcessing ? '#f8fafc' : '#f0f7ff',
+            background: isDragging ? '#eff6ff' : isProcessing ? '#f8fafc' : '#f0f7ff',
             transition: 'all 0.15s'
           }}
             onMouseEnter={e => { if (!isProcessing) { e.currentTarget.style.borderColor = '#3b82f6'; e.currentTarget.style.background = '#eff6ff'; }}}
             onMouseLeave={e => { if (!isProcessing) { e.currentTarget.style.borderColor = '#bfdbfe'; e.currentTarget.style.background = '#f0f7ff'; }}}
+            onDragOver={e => { e.preventDefault(); if (!isProcessing) setIsDragging(true); }}
+            onDragLeave={() => setIsDragging(false)}
+            onDrop={handleDrop}
           >
             <div style={{
               width: 60, height: 60, borderRadius: '50%',
@@ -1054,25 +1516,33 @@ const UploadWorkspace = ({ selectedFile, userQuery, setUserQuery, isProcessing,
                 ? <div style={{ width: 24, height: 24, border: '3px solid #94a3b8', borderTopColor: 'transparent', borderRadius: '50%', animation: 'spin 0.7s linear infinite' }} />
                 : <FileText size={26} color="#2563eb" />}
             </div>
-            {selectedFile ? (
+            {queue.length === 1 ? (
               <>
-                <div style={{ fontSize: 15, fontWeight: 600, color: '#0f172a', marginBottom: 4 }}>{selectedFile.name}</div>
-                <div style={{ fontSize: 13, color: '#64748b' }}>{formatFileSize(selectedFile.size)}</div>
+                <div style={{ fontSize: 15, fontWeight: 600, color: '#0f172a', marginBottom: 4 }}>{queue[0].file.name}</div>
+                <div style={{ fontSize: 13, color: '#64748b' }}>{formatFileSize(queue[0].file.size)} · drop or click to add more</div>
+              </>
+            ) : queue.length > 1 ? (
+              <>
+                <div style={{ fontSize: 15, fontWeight: 600, color: '#0f172a', marginBottom: 4 }}>{queue.length} documents selected</div>
+                <div style={{ fontSize: 13, color: '#64748b' }}>{formatFileSize(totalSize)} total · drop or click to add more</div>
               </>
             ) : (
               <>
-                <div style={{ fontSize: 15, fontWeight: 600, color: '#0f172a', marginBottom: 4 }}>Drop your PDF here</div>
-                <div style={{ fontSize: 13, color: '#64748b' }}>or click to browse · Max 10MB</div>
+                <div style={{ fontSize: 15, fontWeight: 600, color: '#0f172a', marginBottom: 4 }}>Drop your documents or a folder here</div>
+                <div style={{ fontSize: 13, color: '#64748b' }}>or click to browse · {describeInputTypes()}</div>
               </>
             )}
           </label>
 
-          {selectedFile && (
+          {queue.length > 0 && (
             <div style={{ marginTop: 22 }}>
               <div style={{ marginBottom: 16 }}>
-                <label style={{ display: 'block', fontSize: 13, fontWeight: 600, color: '#374151', marginBottom: 8 }}>
-                  Custom Analysis Prompt
-                </label>
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 8 }}>
+                  <label style={{ fontSize: 13, fontWeight: 600, color: '#374151' }}>
+                    Custom Analysis Prompt
+                  </label>
+                  <PromptTemplatePicker userId={userId} workspaceId={workspaceId} prompt={userQuery} onSelect={setUserQuery} disabled={isProcessing} />
+                </div>
                 <textarea
                   placeholder="e.g., Analyze revenue growth, risks, and key financial insights"
                   value={userQuery}
@@ -1088,47 +1558,77 @@ const UploadWorkspace = ({ selectedFile, userQuery, setUserQuery, isProcessing,
                   onBlur={e => e.target.style.borderColor = '#e2e8f0'}
                   rows={3}
                 />
-                <div style={{ fontSize: 12, color: '#94a3b8', marginTop: 5 }}>Leave empty for default analysis</div>
+                <PromptVariableFields prompt={userQuery} values={promptValues} onChange={setPromptValues} disabled={isProcessing} />
+                <div style={{ fontSize: 12, color: '#94a3b8', marginTop: 5 }}>
+                  Leave empty for default analysis · use {'{{name}}'} for values you fill in each time{queue.length > 1 ? ' · applied to every file in the batch' : ''}
+                </div>
               </div>
 
-              {isProcessing && (
-                <div style={{ marginBottom: 16 }}>
-                  <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, color: '#475569', marginBottom: 8 }}>
-                    <span style={{ fontWeight: 500 }}>{progressMessage}</span>
-                    <span style={{ fontWeight: 700, color: '#2563eb' }}>{uploadProgress}%</span>
-                  </div>
-                  <div style={{ height: 6, background: '#e2e8f0', borderRadius: 99, overflow: 'hidden' }}>
-                    <div style={{
-                      height: '100%', background: 'linear-gradient(90deg, #1d4ed8, #3b82f6)',
-                      borderRadius: 99, width: `${uploadProgress}%`, transition: 'width 0.5s ease'
-                    }} />
-                  </div>
+              {summary && (
+                <div style={{
+                  display: 'flex', alignItems: 'center', gap: 10, marginBottom: 14, padding: '12px 14px', borderRadius: 8,
+                  background: summary.failed ? '#fffbeb' : '#f0fdf4', border: `1px solid ${summary.failed ? '#fde68a' : '#bbf7d0'}`
+                }}>
+                  {summary.failed
+                    ? <AlertCircle size={15} color="#d97706" style={{ flexShrink: 0 }} />
+                    : <CheckCircle size={15} color="#16a34a" style={{ flexShrink: 0 }} />}
+                  <span style={{ flex: 1, fontSize: 13, color: summary.failed ? '#92400e' : '#15803d', lineHeight: 1.4 }}>
+                    Batch finished: {summary.succeeded} of {summary.total} queued for analysis
+                    {summary.cancelled ? `, ${summary.cancelled} cancelled` : ''}
+                    {summary.failed ? `, ${summary.failed} failed — retry them individually below.` : '. Results will appear in the sidebar.'}
+                  </span>
+                  <button onClick={uploadQueue.dismissSummary}
+                    style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#94a3b8', display: 'flex', padding: 0 }}>
+                    <X size={14} />
+                  </button>
+                </div>
+              )}
+
+              <div style={{ border: '1px solid #e2e8f0', borderRadius: 10, marginBottom: 16, maxHeight: 320, overflowY: 'auto' }}>
+                {queue.map((item, i) => (
+                  <QueueRow
+                    key={item.id}
+                    item={item}
+                    isFirst={i === 0}
+                    onRemove={() => uploadQueue.removeItem(item.id)}
+                    onRetry={() => uploadQueue.retryItem(item.id)}
+                    onCancel={() => uploadQueue.cancelItem(item.id)}
+                    onOpen={() => onOpenChat(item.chatId)}
+                    onUnlock={password => uploadQueue.unlockItem(item.id, password)}
+                    onOptionsChange={patch => uploadQueue.setItemOptions(item.id, patch)}
+                  />
+                ))}
+              </div>
+
+              {heldCount > 0 && !isProcessing && (
+                <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 12, color: '#92400e', marginTop: -6, marginBottom: 14 }}>
+                  <AlertCircle size={13} style={{ flexShrink: 0 }} />
+                  {heldCount === 1 ? '1 file is' : `${heldCount} files are`} being checked or need attention and will be skipped until resolved.
                 </div>
               )}
 
               <div style={{ display: 'flex', gap: 12 }}>
                 <button
-                  onClick={() => { const i = document.getElementById('file-upload'); if (i) i.value = null; }}
-                  disabled={isProcessing}
+                  onClick={isProcessing ? uploadQueue.cancelAll : uploadQueue.clearQueue}
                   style={{
-                    flex: 1, padding: '12px', background: '#fff', border: '1.5px solid #e2e8f0',
-                    borderRadius: 10, fontSize: 13, fontWeight: 600, color: '#475569',
+                    flex: 1, padding: '12px', background: '#fff', border: `1.5px solid ${isProcessing ? '#fecaca' : '#e2e8f0'}`,
+                    borderRadius: 10, fontSize: 13, fontWeight: 600, color: isProcessing ? '#dc2626' : '#475569',
                     cursor: 'pointer', fontFamily: 'inherit', transition: 'all 0.15s'
                   }}
-                  onMouseEnter={e => { if (!isProcessing) e.currentTarget.style.background = '#f8fafc'; }}
+                  onMouseEnter={e => { e.currentTarget.style.background = isProcessing ? '#fef2f2' : '#f8fafc'; }}
                   onMouseLeave={e => e.currentTarget.style.background = '#fff'}
                 >
-                  Cancel
+                  {isProcessing ? 'Cancel' : 'Clear'}
                 </button>
                 <button
                   onClick={handleUploadAndAnalyze}
-                  disabled={isProcessing}
+                  disabled={isProcessing || queuedCount === 0}
                   style={{
                     flex: 1, display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 8,
                     padding: '12px', background: 'linear-gradient(135deg, #1d4ed8, #2563eb)',
                     border: 'none', borderRadius: 10, fontSize: 13, fontWeight: 700,
                     color: '#fff', cursor: 'pointer', fontFamily: 'inherit',
-                    opacity: isProcessing ? 0.6 : 1, transition: 'all 0.15s'
+                    opacity: isProcessing || queuedCount === 0 ? 0.6 : 1, transition: 'all 0.15s'
                   }}
                   onMouseEnter={e => { if (!isProcessing) e.currentTarget.style.filter = 'brightness(1.1)'; }}
                   onMouseLeave={e => e.currentTarget.style.filter = 'none'}
@@ -1139,7 +1639,7 @@ const UploadWorkspace = ({ selectedFile, userQuery, setUserQuery, isProcessing,
                       Processing...
                     </>
                   ) : (
-                    <><Send size={15} /> Start Analysis</>
+                    <><Send size={15} /> {queuedCount > 1 ? `Analyze ${queuedCount} Documents` : 'Start Analysis'}</>
                   )}
                 </button>
               </div>
@@ -1159,7 +1659,7 @@ const UploadWorkspace = ({ selectedFile, userQuery, setUserQuery, isProcessing,
         </div>
         <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: 20 }}>
           {[
-            { n: '1', t: 'Upload Document', d: 'Select and upload your financial PDF securely' },
+            { n: '1', t: 'Upload Document', d: 'Upload a PDF, spreadsheet, Word file or scan securely' },
             { n: '2', t: 'Ask Your Question', d: 'Add a custom prompt or use our smart defaults' },
             { n: '3', t: 'Get Insights', d: 'View detailed analysis and actionable recommendations' },
           ].map(({ n, t, d }) => (
@@ -1180,96 +1680,548 @@ const UploadWorkspace = ({ selectedFile, userQuery, setUserQuery, isProcessing,
   );
 };
 
+// ============================================
+// UPLOAD QUEUE ROW
+// ============================================
+const QueueRow = ({ item, isFirst, onRemove, onRetry, onCancel, onOpen, onUnlock, onOptionsChange }) => {
+  const [showPreview, setShowPreview] = useState(false);
+  const isActive = ['uploading', 'queueing', 'processing'].includes(item.status);
+  const barColor = item.status === 'error' ? '#dc2626' : item.status === 'done' ? '#16a34a' : '#2563eb';
+  const linkStyle = { background: 'none', border: 'none', cursor: 'pointer', fontFamily: 'inherit', fontSize: 12, fontWeight: 600, padding: 0, display: 'flex', alignItems: 'center', gap: 4 };
+
+  return (
+    <div style={{ padding: '12px 14px', borderTop: isFirst ? 'none' : '1px solid #f1f5f9' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+        {item.status === 'done'
+          ? <CheckCircle size={16} color="#16a34a" style={{ flexShrink: 0 }} />
+          : item.status === 'error'
+            ? <AlertCircle size={16} color="#dc2626" style={{ flexShrink: 0 }} />
+            : item.status === 'cancelled'
+              ? <X size={16} color="#94a3b8" style={{ flexShrink: 0 }} />
+              : <FileText size={16} color={isActive ? '#2563eb' : '#94a3b8'} style={{ flexShrink: 0 }} />}
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{ fontSize: 13, fontWeight: 600, color: '#0f172a', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{item.file.name}</div>
+          <div style={{ fontSize: 11, color: item.status === 'error' ? '#b91c1c' : '#64748b', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+            {item.inputType.label}
+            {item.preflight?.pageCount ? ` · ${item.preflight.pageCount} page${item.preflight.pageCount === 1 ? '' : 's'}` : ''}
+            {' · '}{formatFileSize(item.file.size)} · {item.error || item.message}
+          </div>
+          {item.libraryMatch && item.status !== 'done' && (
+            <div
+              title={`Uploaded as ${item.libraryMatch.fileName} on ${new Date(item.libraryMatch.createdAt).toLocaleDateString()} — the stored copy will be analyzed again`}
+              style={{ display: 'inline-flex', alignItems: 'center', gap: 4, marginTop: 4, padding: '2px 8px', borderRadius: 99, background: '#f0fdf4', border: '1px solid #bbf7d0', fontSize: 11, fontWeight: 600, color: '#15803d' }}
+            >
+              <CheckCircle size={11} /> Already in your library
+            </div>
+          )}
+        </div>
+        <button onClick={() => setShowPreview(!showPreview)} style={{ ...linkStyle, color: '#64748b' }}>
+          <Eye size={12} /> {showPreview ? 'Hide' : 'Preview'}
+        </button>
+        {(item.status === 'queued' || item.status === 'cancelled') && (
+          <button onClick={onRemove} title="Remove from batch" style={{ ...linkStyle, color: '#94a3b8' }}><X size={14} /></button>
+        )}
+        {isActive && (
+          <button onClick={onCancel} style={{ ...linkStyle, color: '#dc2626' }}>Cancel</button>
+        )}
+        {(item.status === 'error' || item.status === 'cancelled') && (
+          <button onClick={onRetry} style={{ ...linkStyle, color: item.status === 'error' ? '#dc2626' : '#475569' }}><RotateCcw size={12} /> Retry</button>
+        )}
+        {item.status === 'done' && item.chatId && (
+          <button onClick={onOpen} style={{ ...linkStyle, color: '#2563eb' }}>View <ChevronRight size={12} /></button>
+        )}
+      </div>
+      {item.status !== 'queued' && item.status !== 'cancelled' && (
+        <div style={{ height: 4, background: '#e2e8f0', borderRadius: 99, overflow: 'hidden', marginTop: 8 }}>
+          <div style={{ height: '100%', background: barColor, borderRadius: 99, width: `${item.progress}%`, transition: 'width 0.5s ease' }} />
+        </div>
+      )}
+      {item.preflight && item.status === 'queued' && (
+        <PreflightPanel preflight={item.preflight} options={item.options} onUnlock={onUnlock} onOptionsChange={onOptionsChange} />
+      )}
+      {showPreview && <FilePreview file={item.file} inputType={item.inputType} />}
+    </div>
+  );
+};
+
+// Pre-flight findings for a queued file, with the password prompt and OCR toggle
+const PreflightPanel = ({ preflight, options, onUnlock, onOptionsChange }) => {
+  const [password, setPassword] = useState('');
+  const levelColors = { error: '#b91c1c', warning: '#92400e', info: '#64748b' };
+
+  if (preflight.status === 'checking') {
+    return (
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 8, fontSize: 12, color: '#64748b' }}>
+        <div style={{ width: 11, height: 11, border: '2px solid #cbd5e1', borderTopColor: '#2563eb', borderRadius: '50%', animation: 'spin 0.7s linear infinite' }} />
+        Checking document…
+      </div>
+    );
+  }
+  if (preflight.status === 'ok' && !options.password) return null;
+
+  return (
+    <div style={{
+      marginTop: 8, padding: '8px 10px', borderRadius: 8, fontSize: 12, lineHeight: 1.5,
+      background: preflight.status === 'ok' ? '#f0fdf4' : preflight.status === 'warning' ? '#fffbeb' : '#fef2f2',
+      border: `1px solid ${preflight.status === 'ok' ? '#bbf7d0' : preflight.status === 'warning' ? '#fde68a' : '#fecaca'}`
+    }}>
+      {options.password && preflight.status !== 'needs-password' && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 6, color: '#15803d' }}>
+          <Lock size={12} /> Unlocked — the password will be sent with this analysis only.
+        </div>
+      )}
+      {preflight.issues.map((issue, i) => (
+        <div key={i} style={{ color: levelColors[issue.level] || '#64748b' }}>{issue.message}</div>
+      ))}
+
+      {preflight.status === 'needs-password' && (
+        <form
+          onSubmit={e => { e.preventDefault(); if (password) onUnlock(password); }}
+          style={{ display: 'flex', gap: 6, marginTop: 6 }}
+        >
+          <input
+            type="password"
+            value={password}
+            onChange={e => setPassword(e.target.value)}
+            placeholder="PDF password"
+            autoComplete="off"
+            style={{ flex: 1, padding: '6px 9px', border: '1px solid #fecaca', borderRadius: 6, fontSize: 12, fontFamily: 'inherit', outline: 'none' }}
+          />
+          <button type="submit" disabled={!password} style={{
+            padding: '6px 12px', background: '#dc2626', color: '#fff', border: 'none', borderRadius: 6,
+            fontSize: 12, fontWeight: 600, fontFamily: 'inherit', cursor: password ? 'pointer' : 'default', opacity: password ? 1 : 0.6
+          }}>
+            Unlock
+          </button>
+        </form>
+      )}
+
+      {preflight.textlessPages?.length > 0 && (
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 6, color: '#334155', cursor: 'pointer' }}>
+          <input type="checkbox" checked={options.ocr} onChange={e => onOptionsChange({ ocr: e.target.checked })} style={{ accentColor: '#2563eb' }} />
+          Run OCR on scanned pages (slower)
+        </label>
+      )}
+    </div>
+  );
+};
+
 // ============================================
 // CHAT WORKSPACE
 // ============================================
-const ChatWorkspace = ({ chat, subLoading }) => {
+// `accessRole` comes from accessRoleFor: 'owner', 'workspace', or 'view' / 'comment'
+// for an analysis shared with the user
+const ChatWorkspace = ({ chat, thread = [], accessRole = 'owner', canShare = false, canComment = false, userId, onFollowUp, onRetry, retryNotices = {}, subLoading, workspaceId, onOpenChat }) => {
   const [isExpanded, setIsExpanded] = useState(false);
+  const [isSharing, setIsSharing] = useState(false);
+  const [showDocument, setShowDocument] = useState(false);
+  const [documentTarget, setDocumentTarget] = useState(null);
+  // Wraps the rendered report so comments can anchor to and highlight its text
+  const reportRef = useRef(null);
+  const turnInFlight = [chat, ...thread].some(t => t.status === 'pending' || t.status === 'processing');
+
+  useEffect(() => { setDocumentTarget(null); }, [chat.id]);
+
+  // The metrics and risks blocks render as panels, so they are taken out of the prose
+  const { metrics, flags, riskSummary, reportText } = useMemo(() => {
+    const extracted = extractMetrics(chat.analysis_result || '');
+    const risk = extractRiskFlags(extracted.text);
+    return { metrics: extracted.metrics, flags: risk.flags, riskSummary: summarizeRisks(risk.flags), reportText: risk.text };
+  }, [chat.analysis_result]);
+
+  const jumpToSection = (sectionId) => {
+    setIsExpanded(true);
+    // Let the expanded result render before scrolling to it
+    requestAnimationFrame(() => document.getElementById(`chat-${chat.id}-${sectionId}`)?.scrollIntoView({ behavior: 'smooth', block: 'start' }));
+  };
+
+  // The viewer renders PDFs only; rows from before file_type existed are all PDFs
+  const canViewDocument = Boolean(chat.file_id) && (!chat.file_type || chat.file_type === 'pdf');
+
+  // Citation chips open the viewer on the cited page; a fresh object re-triggers the jump
+  const openCitation = canViewDocument
+    ? (citation) => {
+      setShowDocument(true);
+      setDocumentTarget({ ...citation });
+    }
+    : null;
 
   return (
-    <div style={{ maxWidth: 860, margin: '0 auto' }}>
-      {/* Header */}
-      <div style={{ background: '#fff', border: '1px solid #e2e8f0', borderRadius: 14, padding: '24px', marginBottom: 20, boxShadow: '0 1px 3px rgba(0,0,0,0.04)' }}>
-        <div style={{ display: 'flex', alignItems: 'flex-start', gap: 16 }}>
-          <div style={{ background: 'linear-gradient(135deg, #dbeafe, #ede9fe)', padding: '12px', borderRadius: 12, display: 'flex', flexShrink: 0 }}>
-            <FileText size={22} color="#2563eb" />
-          </div>
-          <div style={{ flex: 1, minWidth: 0 }}>
-            <h2 style={{ fontSize: 20, fontWeight: 800, color: '#0f172a', marginBottom: 10, lineHeight: 1.3, wordBreak: 'break-word' }}>
-              {chat.file_name || 'Untitled Document'}
-            </h2>
-            {chat.query && (
-              <div style={{ display: 'flex', alignItems: 'flex-start', gap: 8, marginBottom: 10 }}>
-                <MessageSquare size={14} color="#2563eb" style={{ flexShrink: 0, marginTop: 3 }} />
-                <div style={{ background: '#eff6ff', border: '1px solid #bfdbfe', borderRadius: 8, padding: '8px 12px' }}>
-                  <p style={{ fontSize: 13, color: '#1e40af', fontStyle: 'italic', lineHeight: 1.5, wordBreak: 'break-word' }}>"{chat.query}"</p>
+    <div style={{
+      maxWidth: showDocument && canViewDocument ? 1440 : 860, margin: '0 auto',
+      display: showDocument && canViewDocument ? 'grid' : 'block', gridTemplateColumns: 'minmax(0, 1fr) minmax(0, 1fr)', gap: 24, alignItems: 'start'
+    }}>
+      {/* Source document, kept in view while the analysis scrolls */}
+      {showDocument && canViewDocument && (
+        <div style={{ position: 'sticky', top: 0, height: 'calc(100vh - 136px)' }}>
+          <PdfViewer fileId={chat.file_id} fileName={chat.file_name} target={documentTarget} onClose={() => setShowDocument(false)} />
+        </div>
+      )}
+
+      <div style={{ minWidth: 0 }}>
+        {/* Header */}
+        <div style={{ background: '#fff', border: '1px solid #e2e8f0', borderRadius: 14, padding: '24px', marginBottom: 20, boxShadow: '0 1px 3px rgba(0,0,0,0.04)' }}>
+          <div style={{ display: 'flex', alignItems: 'flex-start', gap: 16 }}>
+            <div style={{ background: 'linear-gradient(135deg, #dbeafe, #ede9fe)', padding: '12px', borderRadius: 12, display: 'flex', flexShrink: 0 }}>
+              <FileText size={22} color="#2563eb" />
+            </div>
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <h2 style={{ fontSize: 20, fontWeight: 800, color: '#0f172a', marginBottom: chat.title ? 2 : 10, lineHeight: 1.3, wordBreak: 'break-word' }}>
+                {chat.title || chat.file_name || 'Untitled Document'}
+              </h2>
+              {chat.title && chat.file_name && (
+                <div style={{ fontSize: 12, color: '#64748b', marginBottom: 10 }}>{chat.file_name}</div>
+              )}
+              {chat.query && (
+                <div style={{ display: 'flex', alignItems: 'flex-start', gap: 8, marginBottom: 10 }}>
+                  <MessageSquare size={14} color="#2563eb" style={{ flexShrink: 0, marginTop: 3 }} />
+                  <div style={{ background: '#eff6ff', border: '1px solid #bfdbfe', borderRadius: 8, padding: '8px 12px' }}>
+                    <p style={{ fontSize: 13, color: '#1e40af', fontStyle: 'italic', lineHeight: 1.5, wordBreak: 'break-word' }}>"{chat.query}"</p>
+                  </div>
                 </div>
-              </div>
-            )}
-            <p style={{ fontSize: 12, color: '#94a3b8' }}>
-              {new Date(chat.created_at).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' })}
-            </p>
+              )}
+              <p style={{ fontSize: 12, color: '#94a3b8' }}>
+                {new Date(chat.created_at).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit' })}
+              </p>
+            </div>
+            <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: 10, flexShrink: 0 }}>
+              <StatusBadge status={chat.status} />
+              {canShare && (
+                <button
+                  onClick={() => setIsSharing(true)}
+                  style={{
+                    display: 'flex', alignItems: 'center', gap: 6, padding: '6px 10px', background: '#fff', border: '1px solid #e2e8f0',
+                    borderRadius: 8, cursor: 'pointer', color: '#475569', fontSize: 12, fontWeight: 600, fontFamily: 'inherit'
+                  }}
+                >
+                  <Share2 size={13} /> Share
+                </button>
+              )}
+              {SHARE_ROLES.some(r => r.id === accessRole) && (
+                <span style={{ display: 'flex', alignItems: 'center', gap: 5, fontSize: 11, fontWeight: 600, color: '#6d28d9', background: '#f5f3ff', border: '1px solid #ddd6fe', borderRadius: 99, padding: '3px 9px' }}>
+                  <Users size={11} /> Shared with you · {SHARE_ROLES.find(r => r.id === accessRole)?.label || 'Can view'}
+                </span>
+              )}
+              {canViewDocument && (
+                <button
+                  onClick={() => setShowDocument(!showDocument)}
+                  style={{
+                    display: 'flex', alignItems: 'center', gap: 6, padding: '6px 10px',
+                    background: showDocument ? '#eff6ff' : '#fff', border: `1px solid ${showDocument ? '#bfdbfe' : '#e2e8f0'}`,
+                    borderRadius: 8, cursor: 'pointer', color: showDocument ? '#1d4ed8' : '#475569',
+                    fontSize: 12, fontWeight: 600, fontFamily: 'inherit'
+                  }}
+                >
+                  <BookOpen size={13} />
+                  {showDocument ? 'Hide document' : 'View document'}
+                </button>
+              )}
+            </div>
           </div>
-          <StatusBadge status={chat.status} />
         </div>
-      </div>
 
-      {/* Completed */}
-      {chat.status === 'completed' && chat.analysis_result && (
-        <div style={{ background: '#fff', border: '1px solid #e2e8f0', borderRadius: 14, overflow: 'hidden', boxShadow: '0 1px 3px rgba(0,0,0,0.04)' }}>
-          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '16px 24px', background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
-            <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
-              <CheckCircle size={16} color="#059669" />
-              <span style={{ fontSize: 14, fontWeight: 700, color: '#0f172a' }}>Analysis Results</span>
+        {chat.status === 'completed' && chat.analysis_result && (
+          <RiskPanel key={chat.id} flags={flags} summary={riskSummary} onJumpToSection={jumpToSection} />
+        )}
+
+        {chat.status === 'completed' && metrics && (
+          <MetricsPanel key={chat.id} metrics={metrics} chatId={chat.id} workspaceId={workspaceId} userId={userId} onOpenChat={onOpenChat} />
+        )}
+
+        {/* Completed */}
+        {chat.status === 'completed' && chat.analysis_result && (
+          <div style={{ background: '#fff', border: '1px solid #e2e8f0', borderRadius: 14, overflow: 'hidden', boxShadow: '0 1px 3px rgba(0,0,0,0.04)' }}>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '16px 24px', background: '#f8fafc', borderBottom: '1px solid #e2e8f0' }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+                <CheckCircle size={16} color="#059669" />
+                <span style={{ fontSize: 14, fontWeight: 700, color: '#0f172a' }}>Analysis Results</span>
+              </div>
+              <div style={{ display: 'flex', alignItems: 'center', gap: 14 }}>
+                <ExportMenu chat={chat} thread={thread} />
+                <button onClick={() => setIsExpanded(!isExpanded)}
+                  style={{ fontSize: 13, fontWeight: 500, color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', fontFamily: 'inherit' }}>
+                  {isExpanded ? '↑ Show less' : '↓ Read full analysis'}
+                </button>
+              </div>
+            </div>
+            <div ref={reportRef} style={{ padding: '24px', maxHeight: isExpanded ? 'none' : 420, overflowY: isExpanded ? 'visible' : 'auto' }}>
+              <AnalysisResult text={reportText} rawText={chat.analysis_result} idPrefix={`chat-${chat.id}`} onCitationClick={openCitation} />
             </div>
-            <button onClick={() => setIsExpanded(!isExpanded)}
-              style={{ fontSize: 13, fontWeight: 500, color: '#2563eb', background: 'none', border: 'none', cursor: 'pointer', fontFamily: 'inherit' }}>
-              {isExpanded ? '↑ Show less' : '↓ Read full analysis'}
-            </button>
           </div>
-          <div style={{ padding: '24px', maxHeight: isExpanded ? 'none' : 420, overflowY: isExpanded ? 'visible' : 'auto' }}>
-            <pre style={{
-              fontSize: 13, color: '#334155', whiteSpace: 'pre-wrap', fontFamily: "'Fira Code', 'Courier New', monospace",
-              lineHeight: 1.7, background: '#f8fafc', padding: '20px', borderRadius: 10,
-              border: '1px solid #e2e8f0', wordBreak: 'break-word', overflowWrap: 'break-word'
-            }}>
-              {chat.analysis_result}
-            </pre>
+        )}
+
+        {chat.status === 'completed' && chat.analysis_result && (
+          <CommentsPanel key={chat.id} chat={chat} userId={userId} canComment={canComment} reportRef={reportRef} />
+        )}
+
+        {/* Processing */}
+        {(chat.status === 'processing' || chat.status === 'pending') && (
+          <AnalysisProgress chat={chat} notice={retryNotices[chat.id]} />
+        )}
+
+        {/* Failed */}
+        {chat.status === 'failed' && (
+          <div style={{ background: '#fef2f2', border: '1px solid #fecaca', borderRadius: 14, padding: '56px 32px', textAlign: 'center' }}>
+            <AlertCircle size={48} color="#dc2626" style={{ margin: '0 auto 20px', display: 'block' }} />
+            <h3 style={{ fontSize: 18, fontWeight: 700, color: '#0f172a', marginBottom: 8 }}>Analysis Failed</h3>
+            <p style={{ color: '#475569', fontSize: 14, marginBottom: 20 }}>Something went wrong while analyzing your document.</p>
+            {onRetry && <RetryPanel chat={chat} onRetry={onRetry} />}
           </div>
-        </div>
-      )}
+        )}
 
-      {/* Processing */}
-      {(chat.status === 'processing' || chat.status === 'pending') && (
-        <div style={{
-          background: '#eff6ff', border: '1px solid #bfdbfe', borderRadius: 14,
-          padding: '56px 32px', textAlign: 'center'
+        {chat.attempts?.length > 0 && <AttemptHistory chat={chat} />}
+
+        {/* Follow-up thread */}
+        {thread.length > 0 && (
+          <div style={{ marginTop: 28 }}>
+            <div style={{ fontSize: 10, fontWeight: 700, color: '#94a3b8', textTransform: 'uppercase', letterSpacing: '0.08em', marginBottom: 12 }}>
+              Follow-up Questions
+            </div>
+            {thread.map(turn => (
+              <ThreadTurn key={turn.id} turn={turn} onRetry={onRetry} notice={retryNotices[turn.id]} onCitationClick={openCitation} />
+            ))}
+          </div>
+        )}
+
+        {chat.status === 'completed' && onFollowUp && (
+          <FollowUpComposer onSubmit={onFollowUp} disabled={turnInFlight} />
+        )}
+      </div>
+
+      {isSharing && <ShareDialog chat={chat} onClose={() => setIsSharing(false)} />}
+    </div>
+  );
+};
+
+// ============================================
+// EXPORT MENU
+// ============================================
+const ExportMenu = ({ chat, thread }) => {
+  const [isOpen, setIsOpen] = useState(false);
+
+  const handleExport = (format) => {
+    setIsOpen(false);
+    try {
+      format.run(chat, thread);
+    } catch (err) {
+      console.error("Export Error:", err);
+      alert(`❌ Export failed: ${err.message}`);
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button onClick={() => setIsOpen(!isOpen)}
+        style={{
+          display: 'flex', alignItems: 'center', gap: 6, padding: '6px 12px', background: '#fff',
+          border: '1px solid #e2e8f0', borderRadius: 8, fontSize: 13, fontWeight: 600, color: '#334155',
+          cursor: 'pointer', fontFamily: 'inherit'
         }}>
-          <div style={{ width: 52, height: 52, border: '3px solid #bfdbfe', borderTopColor: '#2563eb', borderRadius: '50%', animation: 'spin 0.8s linear infinite', margin: '0 auto 20px' }} />
-          <h3 style={{ fontSize: 18, fontWeight: 700, color: '#0f172a', marginBottom: 8 }}>
-            {chat.status === 'processing' ? 'Analysis in Progress' : 'Queued for Processing'}
-          </h3>
-          <p style={{ color: '#475569', fontSize: 14, lineHeight: 1.6 }}>
-            This usually takes 2–3 minutes. Results will appear here automatically.
-          </p>
-        </div>
+        <Download size={14} /> Export
+      </button>
+      {isOpen && (
+        <>
+          <div onClick={() => setIsOpen(false)} style={{ position: 'fixed', inset: 0, zIndex: 10 }} />
+          <div style={{
+            position: 'absolute', right: 0, top: 'calc(100% + 6px)', zIndex: 11, minWidth: 190,
+            background: '#fff', border: '1px solid #e2e8f0', borderRadius: 10, padding: 4,
+            boxShadow: '0 8px 24px rgba(15,23,42,0.12)', animation: 'fadeIn 0.12s ease'
+          }}>
+            {EXPORT_FORMATS.map(format => (
+              <button key={format.id} onClick={() => handleExport(format)}
+                style={{ display: 'block', width: '100%', textAlign: 'left', padding: '8px 12px', background: 'none', border: 'none', borderRadius: 6, fontSize: 13, color: '#334155', cursor: 'pointer', fontFamily: 'inherit' }}
+                onMouseEnter={e => e.currentTarget.style.background = '#f1f5f9'}
+                onMouseLeave={e => e.currentTarget.style.background = 'none'}>
+                {format.label}
+              </button>
+            ))}
+          </div>
+        </>
       )}
+    </div>
+  );
+};
 
-      {/* Failed */}
-      {chat.status === 'failed' && (
-        <div style={{ background: '#fef2f2', border: '1px solid #fecaca', borderRadius: 14, padding: '56px 32px', textAlign: 'center' }}>
-          <AlertCircle size={48} color="#dc2626" style={{ margin: '0 auto 20px', display: 'block' }} />
-          <h3 style={{ fontSize: 18, fontWeight: 700, color: '#0f172a', marginBottom: 8 }}>Analysis Failed</h3>
-          <p style={{ color: '#475569', fontSize: 14, marginBottom: 20 }}>Something went wrong while analyzing your document.</p>
-          <button style={{ padding: '10px 22px', background: '#dc2626', color: '#fff', border: 'none', borderRadius: 8, fontWeight: 600, cursor: 'pointer', fontFamily: 'inherit', fontSize: 14 }}>
-            Try Again
-          </button>
+// ============================================
+// FOLLOW-UP THREAD
+// ============================================
+const ThreadTurn = ({ turn, onRetry, notice, onCitationClick }) => {
+  const isRunning = turn.status === 'pending' || turn.status === 'processing';
+  return (
+    <div style={{ marginBottom: 16, animation: 'fadeIn 0.2s ease' }}>
+      <div style={{ display: 'flex', justifyContent: 'flex-end', marginBottom: 8 }}>
+        <div style={{ maxWidth: '80%', background: '#1d4ed8', color: '#fff', borderRadius: '14px 14px 4px 14px', padding: '10px 14px', fontSize: 13, lineHeight: 1.5, wordBreak: 'break-word' }}>
+          {turn.query}
         </div>
+      </div>
+      <div style={{ background: '#fff', border: '1px solid #e2e8f0', borderRadius: 14, padding: '18px 20px', boxShadow: '0 1px 3px rgba(0,0,0,0.04)' }}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: isRunning ? 0 : 12 }}>
+          <span style={{ fontSize: 11, color: '#94a3b8' }}>
+            {new Date(turn.created_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+          </span>
+          <StatusBadge status={turn.status} />
+        </div>
+        {turn.status === 'completed' && turn.analysis_result && (
+          <AnalysisResult text={turn.analysis_result} idPrefix={`chat-${turn.id}`} onCitationClick={onCitationClick} />
+        )}
+        {turn.status === 'failed' && (
+          <>
+            <p style={{ fontSize: 13, color: '#b91c1c', marginBottom: onRetry ? 12 : 0 }}>Something went wrong while answering this question.</p>
+            {onRetry && <RetryPanel chat={turn} onRetry={onRetry} compact />}
+          </>
+        )}
+        {isRunning && <AnalysisProgress chat={turn} notice={notice} compact />}
+      </div>
+    </div>
+  );
+};
+
+// ============================================
+// RETRY
+// ============================================
+const RetryPanel = ({ chat, onRetry, compact = false }) => {
+  const [isEditing, setIsEditing] = useState(false);
+  const [draftQuery, setDraftQuery] = useState(chat.query || '');
+  const [isRetrying, setIsRetrying] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleRetry = async () => {
+    setIsRetrying(true);
+    setError('');
+    try {
+      await onRetry(chat, isEditing ? draftQuery : undefined);
+    } catch (err) {
+      console.error("Retry Error:", err);
+      setError(err.message || 'Retry failed. Please try again.');
+    } finally {
+      setIsRetrying(false);
+    }
+  };
+
+  return (
+    <div style={{ maxWidth: 520, margin: compact ? 0 : '0 auto', textAlign: 'left' }}>
+      {isEditing && (
+        <textarea
+          value={draftQuery}
+          onChange={e => setDraftQuery(e.target.value)}
+          rows={3}
+          disabled={isRetrying}
+          style={{
+            width: '100%', padding: '10px 12px', borderRadius: 10, marginBottom: 12,
+            border: '1.5px solid #fecaca', fontSize: 14, lineHeight: 1.5,
+            fontFamily: 'inherit', resize: 'none', outline: 'none', background: '#fff', color: '#0f172a'
+          }}
+        />
+      )}
+      <div style={{ display: 'flex', gap: 10, justifyContent: compact ? 'flex-start' : 'center' }}>
+        <button onClick={handleRetry} disabled={isRetrying || (isEditing && !draftQuery.trim())}
+          style={{
+            display: 'flex', alignItems: 'center', gap: 6, padding: compact ? '7px 14px' : '10px 22px',
+            background: '#dc2626', color: '#fff', border: 'none', borderRadius: 8, fontWeight: 600,
+            cursor: 'pointer', fontFamily: 'inherit', fontSize: compact ? 13 : 14, opacity: isRetrying ? 0.65 : 1
+          }}>
+          {isRetrying
+            ? <div style={{ width: 14, height: 14, border: '2px solid rgba(255,255,255,0.4)', borderTopColor: '#fff', borderRadius: '50%', animation: 'spin 0.7s linear infinite' }} />
+            : <RotateCcw size={14} />}
+          {isEditing ? 'Retry with new query' : 'Try Again'}
+        </button>
+        <button onClick={() => setIsEditing(!isEditing)} disabled={isRetrying}
+          style={{
+            padding: compact ? '7px 14px' : '10px 18px', background: '#fff', color: '#b91c1c', border: '1px solid #fecaca',
+            borderRadius: 8, fontWeight: 600, cursor: 'pointer', fontFamily: 'inherit', fontSize: compact ? 13 : 14
+          }}>
+          {isEditing ? 'Keep original query' : 'Edit query'}
+        </button>
+      </div>
+      {error && (
+        <div style={{ fontSize: 12, color: '#b91c1c', marginTop: 10, textAlign: compact ? 'left' : 'center' }}>{error}</div>
       )}
     </div>
   );
 };
 
+const AttemptHistory = ({ chat }) => {
+  const rows = attemptRows(chat);
+  const formatTime = (value) => new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  return (
+    <div style={{ background: '#fff', border: '1px solid #e2e8f0', borderRadius: 14, padding: '18px 22px', marginTop: 20 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 12 }}>
+        <Clock size={14} color="#64748b" />
+        <span style={{ fontSize: 13, fontWeight: 700, color: '#0f172a' }}>Attempt History</span>
+      </div>
+      {rows.map((row, i) => (
+        <div key={row.attempt} style={{ fontSize: 12, color: row.error ? '#b91c1c' : '#475569', padding: '6px 0', borderBottom: i < rows.length - 1 ? '1px solid #f1f5f9' : 'none' }}>
+          <strong>#{row.attempt}</strong> · {formatTime(row.at)} · {describeAttempt(row)}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const FollowUpComposer = ({ onSubmit, disabled }) => {
+  const [question, setQuestion] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState('');
+  const isBlocked = disabled || isSending;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!question.trim() || isBlocked) return;
+    setIsSending(true);
+    setError('');
+    try {
+      await onSubmit(question);
+      setQuestion('');
+    } catch (err) {
+      console.error("Follow-up Error:", err);
+      setError(err.message || 'Failed to send your question.');
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ marginTop: 20, background: '#fff', border: '1px solid #e2e8f0', borderRadius: 14, padding: 16, boxShadow: '0 1px 3px rgba(0,0,0,0.04)' }}>
+      <div style={{ display: 'flex', gap: 10, alignItems: 'flex-end' }}>
+        <textarea
+          placeholder="Ask a follow-up question about this document..."
+          value={question}
+          onChange={e => setQuestion(e.target.value)}
+          onKeyDown={e => { if (e.key === 'Enter' && !e.shiftKey) handleSubmit(e); }}
+          disabled={isSending}
+          rows={2}
+          style={{
+            flex: 1, padding: '10px 12px', borderRadius: 10,
+            border: '1.5px solid #e2e8f0', fontSize: 14, lineHeight: 1.5,
+            fontFamily: 'inherit', resize: 'none', outline: 'none',
+            background: '#f8fafc', color: '#0f172a', transition: 'border-color 0.15s'
+          }}
+          onFocus={e => e.target.style.borderColor = '#2563eb'}
+          onBlur={e => e.target.style.borderColor = '#e2e8f0'}
+        />
+        <button
+          type="submit"
+          disabled={isBlocked || !question.trim()}
+          style={{
+            display: 'flex', alignItems: 'center', gap: 6, padding: '11px 16px',
+            background: 'linear-gradient(135deg, #1d4ed8, #2563eb)', color: '#fff', border: 'none',
+            borderRadius: 10, fontSize: 13, fontWeight: 700, fontFamily: 'inherit', cursor: 'pointer',
+            opacity: isBlocked || !question.trim() ? 0.6 : 1, transition: 'all 0.15s'
+          }}
+        >
+          {isSending
+            ? <div style={{ width: 14, height: 14, border: '2px solid rgba(255,255,255,0.4)', borderTopColor: '#fff', borderRadius: '50%', animation: 'spin 0.7s linear infinite' }} />
+            : <Send size={14} />}
+          Ask
+        </button>
+      </div>
+      <div style={{ fontSize: 12, color: error ? '#dc2626' : '#94a3b8', marginTop: 6 }}>
+        {error || (disabled ? 'Waiting for the current answer before asking again' : 'Uses the same document — no re-upload needed')}
+      </div>
+    </form>
+  );
+};
+
 // ============================================
 // STATUS BADGE
 // ============================================
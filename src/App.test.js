@@ -1,8 +1,19 @@
 import { render, screen } from '@testing-library/react';
+import { MockedProvider } from '@apollo/client/testing';
+import { NhostClient, NhostProvider } from '@nhost/react';
 import App from './App';
+import { ToastProvider } from './Toast';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+test('shows the sign-in page to signed-out visitors', async () => {
+  const nhost = new NhostClient({ subdomain: 'local', autoSignIn: false, autoRefreshToken: false });
+  render(
+    <NhostProvider nhost={nhost}>
+      <MockedProvider>
+        <ToastProvider>
+          <App />
+        </ToastProvider>
+      </MockedProvider>
+    </NhostProvider>
+  );
+  expect(await screen.findByText(/sign in to vwo platform/i)).toBeInTheDocument();
 });
@@ -0,0 +1,392 @@
+// CommentsPanel.js - Review threads on highlighted spans of an analysis result
+import React, { useEffect, useRef, useState } from 'react';
+import { MessageSquare, Check, RotateCcw, Trash2, CornerDownRight, AlertCircle, Quote } from 'lucide-react';
+import { useToast } from './Toast';
+import { useComments } from './useComments';
+import { makeAnchor, locateAnchor, mentionHandle, extractMentions, activeMention } from './comments';
+import { initials } from './workspaces';
+
+const MAX_SUGGESTIONS = 5;
+
+const personName = (person) => (person?.displayName && person.displayName !== person.email ? person.displayName : person?.email) || 'Someone';
+
+const mentionsUser = (comment, userId) => Boolean(userId) && Array.isArray(comment.mentions) && comment.mentions.includes(userId);
+
+const formatTime = (iso) => new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+// Offsets into root.textContent → a DOM Range over the text nodes that hold them
+const rangeFromOffsets = (root, start, end) => {
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+  const range = document.createRange();
+  let seen = 0;
+  let hasStart = false;
+  for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+    const length = node.data.length;
+    if (!hasStart && start <= seen + length) {
+      range.setStart(node, start - seen);
+      hasStart = true;
+    }
+    if (hasStart && end <= seen + length) {
+      range.setEnd(node, end - seen);
+      return range;
+    }
+    seen += length;
+  }
+  return null;
+};
+
+const rangeForThread = (root, thread) => {
+  const at = root && thread.quote ? locateAnchor(root.textContent, thread) : null;
+  return at && rangeFromOffsets(root, at.start, at.end);
+};
+
+// Tints quoted spans with the CSS Custom Highlight API (::highlight rules in index.css),
+// which styles ranges without touching the DOM React owns. Browsers without it still
+// list every thread, the report just isn't tinted.
+const useCommentHighlights = (reportRef, threads, activeId) => {
+  useEffect(() => {
+    const root = reportRef.current;
+    if (!root || !window.CSS?.highlights || !window.Highlight) return undefined;
+
+    const paint = () => {
+      const open = [];
+      const active = [];
+      threads.forEach(thread => {
+        if (thread.resolved_at && thread.id !== activeId) return;
+        const range = rangeForThread(root, thread);
+        if (range) (thread.id === activeId ? active : open).push(range);
+      });
+      window.CSS.highlights.set('comment', new window.Highlight(...open));
+      window.CSS.highlights.set('comment-active', new window.Highlight(...active));
+    };
+
+    paint();
+    // Collapsing a section or switching to raw text replaces the nodes the ranges point at
+    const observer = new MutationObserver(paint);
+    observer.observe(root, { childList: true, subtree: true, characterData: true });
+    return () => {
+      observer.disconnect();
+      window.CSS.highlights.delete('comment');
+      window.CSS.highlights.delete('comment-active');
+    };
+  }, [reportRef, threads, activeId]);
+};
+
+// The anchor for text selected inside the report, and where to float the Comment button
+const useReportSelection = (reportRef, enabled) => {
+  const [selection, setSelection] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const handleMouseUp = () => {
+      const root = reportRef.current;
+      const current = window.getSelection();
+      if (!root || !current || current.rangeCount === 0 || current.isCollapsed) return;
+      const range = current.getRangeAt(0);
+      if (!root.contains(range.commonAncestorContainer)) return;
+
+      // Range.toString() concatenates text nodes exactly like textContent, so these
+      // lengths are offsets into the same string locateAnchor searches later
+      const before = document.createRange();
+      before.selectNodeContents(root);
+      before.setEnd(range.startContainer, range.startOffset);
+      const raw = range.toString();
+      const start = before.toString().length + (raw.length - raw.trimStart().length);
+      const end = start + raw.trim().length;
+      if (end <= start) return;
+
+      const rect = range.getBoundingClientRect();
+      setSelection({ anchor: makeAnchor(root.textContent, start, end), top: rect.top, left: rect.left + rect.width / 2 });
+    };
+    const handleSelectionChange = () => {
+      if (window.getSelection()?.isCollapsed) setSelection(null);
+    };
+    const handleScroll = () => setSelection(null);
+
+    document.addEventListener('mouseup', handleMouseUp);
+    document.addEventListener('selectionchange', handleSelectionChange);
+    window.addEventListener('scroll', handleScroll, true);
+    return () => {
+      document.removeEventListener('mouseup', handleMouseUp);
+      document.removeEventListener('selectionchange', handleSelectionChange);
+      window.removeEventListener('scroll', handleScroll, true);
+    };
+  }, [reportRef, enabled]);
+
+  return [selection, setSelection];
+};
+
+const Avatar = ({ person }) => (
+  <div style={{ width: 26, height: 26, borderRadius: '50%', background: '#e0e7ff', color: '#3730a3', display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: 10, fontWeight: 700, flexShrink: 0 }}>
+    {initials(personName(person))}
+  </div>
+);
+
+// @handles render as tags; an "@" inside an email address is left alone
+const CommentBody = ({ body }) => {
+  const parts = body.split(/(@[a-z0-9._-]+)/gi);
+  return (
+    <p style={{ fontSize: 13, color: '#334155', lineHeight: 1.6, whiteSpace: 'pre-wrap', wordBreak: 'break-word' }}>
+      {parts.map((part, i) => (i % 2 === 1 && !/\w$/.test(parts[i - 1])
+        ? <span key={i} style={{ color: '#1d4ed8', fontWeight: 600 }}>{part}</span>
+        : part))}
+    </p>
+  );
+};
+
+const QuoteBlock = ({ quote, onClick }) => (
+  <button onClick={onClick} title="Show in report"
+    style={{
+      display: 'flex', gap: 6, width: '100%', textAlign: 'left', padding: '6px 10px', marginBottom: 10,
+      background: '#fffbeb', border: 'none', borderLeft: '3px solid #fcd34d', borderRadius: '0 6px 6px 0',
+      fontSize: 12, color: '#92400e', fontStyle: 'italic', lineHeight: 1.5, cursor: onClick ? 'pointer' : 'default', fontFamily: 'inherit'
+    }}>
+    <Quote size={11} style={{ flexShrink: 0, marginTop: 3 }} />
+    <span style={{ display: '-webkit-box', WebkitLineClamp: 3, WebkitBoxOrient: 'vertical', overflow: 'hidden' }}>{quote}</span>
+  </button>
+);
+
+// Textarea with @mention suggestions from the analysis's workspace
+const CommentComposer = ({ members, placeholder, submitLabel = 'Comment', autoFocus = false, onSubmit, onCancel }) => {
+  const [draft, setDraft] = useState('');
+  const [caret, setCaret] = useState(0);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+  const inputRef = useRef(null);
+
+  const query = activeMention(draft, caret);
+  const suggestions = query === null ? [] : members
+    .filter(m => mentionHandle(m) && (mentionHandle(m).startsWith(query) || personName(m.user).toLowerCase().startsWith(query)))
+    .slice(0, MAX_SUGGESTIONS);
+
+  const trackCaret = (e) => setCaret(e.target.selectionStart);
+
+  const insertMention = (member) => {
+    const head = draft.slice(0, caret).replace(/@[a-z0-9._-]*$/i, `@${mentionHandle(member)} `);
+    setDraft(head + draft.slice(caret));
+    setCaret(head.length);
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(head.length, head.length);
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e?.preventDefault();
+    if (!draft.trim()) return;
+    setIsSaving(true);
+    setError('');
+    try {
+      await onSubmit(draft, extractMentions(draft, members));
+      setDraft('');
+    } catch (err) {
+      console.error("Comment Error:", err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div style={{ position: 'relative' }}>
+        <textarea ref={inputRef} autoFocus={autoFocus} value={draft} rows={2} placeholder={placeholder} disabled={isSaving}
+          onChange={e => { setDraft(e.target.value); trackCaret(e); }}
+          onSelect={trackCaret}
+          onKeyDown={e => {
+            if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) handleSubmit();
+            if (e.key === 'Escape' && onCancel) onCancel();
+          }}
+          style={{ width: '100%', padding: '8px 10px', border: '1px solid #e2e8f0', borderRadius: 8, fontSize: 13, fontFamily: 'inherit', color: '#0f172a', outline: 'none', resize: 'vertical', lineHeight: 1.5 }} />
+        {suggestions.length > 0 && (
+          <div style={{ position: 'absolute', left: 0, top: 'calc(100% + 2px)', zIndex: 5, minWidth: 220, background: '#fff', border: '1px solid #e2e8f0', borderRadius: 8, padding: 4, boxShadow: '0 8px 24px rgba(15,23,42,0.12)' }}>
+            {suggestions.map(member => (
+              <button key={member.user_id} type="button" onMouseDown={e => e.preventDefault()} onClick={() => insertMention(member)}
+                style={{ display: 'flex', alignItems: 'center', gap: 8, width: '100%', textAlign: 'left', padding: '6px 8px', background: 'none', border: 'none', borderRadius: 6, cursor: 'pointer', fontFamily: 'inherit', fontSize: 12, color: '#334155' }}
+                onMouseEnter={e => { e.currentTarget.style.background = '#f1f5f9'; }}
+                onMouseLeave={e => { e.currentTarget.style.background = 'none'; }}>
+                <Avatar person={member.user} />
+                <span style={{ fontWeight: 600 }}>{personName(member.user)}</span>
+                <span style={{ color: '#94a3b8' }}>@{mentionHandle(member)}</span>
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+      {error && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 12, color: '#b91c1c', marginTop: 4 }}>
+          <AlertCircle size={12} /> {error}
+        </div>
+      )}
+      <div style={{ display: 'flex', justifyContent: 'flex-end', alignItems: 'center', gap: 10, marginTop: 6 }}>
+        {onCancel && (
+          <button type="button" onClick={onCancel} style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: 12, color: '#64748b', fontFamily: 'inherit' }}>Cancel</button>
+        )}
+        <button type="submit" disabled={isSaving || !draft.trim()}
+          style={{ padding: '6px 12px', background: '#1d4ed8', color: '#fff', border: 'none', borderRadius: 7, fontSize: 12, fontWeight: 600, cursor: 'pointer', fontFamily: 'inherit', opacity: isSaving || !draft.trim() ? 0.6 : 1 }}>
+          {isSaving ? 'Posting…' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// Comments that @mention the viewer are tinted so they stand out in a long thread
+const CommentItem = ({ comment, mentionsMe, canDelete, onDelete }) => (
+  <div style={{ display: 'flex', gap: 10, ...(mentionsMe && { background: '#eff6ff', borderRadius: 8, padding: '6px 8px', margin: '-6px -8px' }) }}>
+    <Avatar person={comment.author} />
+    <div style={{ flex: 1, minWidth: 0 }}>
+      <div style={{ display: 'flex', alignItems: 'baseline', gap: 8, marginBottom: 2 }}>
+        <span style={{ fontSize: 12, fontWeight: 700, color: '#0f172a' }}>{personName(comment.author)}</span>
+        <span style={{ fontSize: 11, color: '#94a3b8' }}>{formatTime(comment.created_at)}</span>
+        {mentionsMe && <span style={{ fontSize: 11, fontWeight: 600, color: '#1d4ed8' }}>mentioned you</span>}
+        {canDelete && (
+          <button title="Delete" onClick={onDelete} style={{ marginLeft: 'auto', display: 'flex', padding: 2, background: 'none', border: 'none', cursor: 'pointer', color: '#94a3b8' }}>
+            <Trash2 size={12} />
+          </button>
+        )}
+      </div>
+      <CommentBody body={comment.body} />
+    </div>
+  </div>
+);
+
+const CommentThread = ({ thread, userId, canComment, members, isActive, onShow, onReply, onResolve, onDelete }) => {
+  const [isReplying, setIsReplying] = useState(false);
+  const isResolved = Boolean(thread.resolved_at);
+
+  const deleteRoot = () => {
+    const message = thread.replies.length ? 'Delete this thread and its replies?' : 'Delete this comment?';
+    if (window.confirm(message)) onDelete(thread);
+  };
+
+  return (
+    <div style={{
+      padding: '12px 14px', marginBottom: 10, borderRadius: 10, opacity: isResolved ? 0.7 : 1,
+      border: `1px solid ${isActive ? '#fcd34d' : '#e2e8f0'}`, background: isActive ? '#fffdf5' : '#fff'
+    }}>
+      {thread.quote && <QuoteBlock quote={thread.quote} onClick={() => onShow(thread)} />}
+      <CommentItem comment={thread} mentionsMe={mentionsUser(thread, userId)} canDelete={thread.user_id === userId} onDelete={deleteRoot} />
+      {thread.replies.map(reply => (
+        <div key={reply.id} style={{ marginTop: 10, paddingLeft: 16, borderLeft: '2px solid #f1f5f9' }}>
+          <CommentItem comment={reply} mentionsMe={mentionsUser(reply, userId)} canDelete={reply.user_id === userId} onDelete={() => onDelete(reply)} />
+        </div>
+      ))}
+
+      {isReplying ? (
+        <div style={{ marginTop: 10, paddingLeft: 16 }}>
+          <CommentComposer members={members} autoFocus placeholder="Reply… (@ to mention)" submitLabel="Reply"
+            onSubmit={async (body, mentions) => {
+              await onReply(thread, body, mentions);
+              setIsReplying(false);
+            }}
+            onCancel={() => setIsReplying(false)} />
+        </div>
+      ) : canComment && (
+        <div style={{ display: 'flex', gap: 14, marginTop: 10 }}>
+          {!isResolved && (
+            <button onClick={() => setIsReplying(true)} style={{ display: 'flex', alignItems: 'center', gap: 4, background: 'none', border: 'none', cursor: 'pointer', fontSize: 12, fontWeight: 600, color: '#2563eb', fontFamily: 'inherit', padding: 0 }}>
+              <CornerDownRight size={12} /> Reply
+            </button>
+          )}
+          <button onClick={() => onResolve(thread, !isResolved)} style={{ display: 'flex', alignItems: 'center', gap: 4, background: 'none', border: 'none', cursor: 'pointer', fontSize: 12, fontWeight: 600, color: isResolved ? '#64748b' : '#059669', fontFamily: 'inherit', padding: 0 }}>
+            {isResolved ? <><RotateCcw size={12} /> Reopen</> : <><Check size={12} /> Resolve</>}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// `reportRef` wraps the rendered report that comments anchor into. Without
+// `canComment` (a 'view' share) threads are read-only.
+export function CommentsPanel({ chat, userId, canComment, reportRef }) {
+  const { showToast } = useToast();
+  const { threads, members, add, resolve, remove } = useComments({ chatId: chat.id, workspaceId: chat.workspace_id, userId });
+  const [pendingAnchor, setPendingAnchor] = useState(null);
+  const [activeId, setActiveId] = useState(null);
+  const [showResolved, setShowResolved] = useState(false);
+  const panelRef = useRef(null);
+  const [selection, setSelection] = useReportSelection(reportRef, canComment);
+  useCommentHighlights(reportRef, threads, activeId);
+
+  const openThreads = threads.filter(t => !t.resolved_at);
+  const resolvedCount = threads.length - openThreads.length;
+  const visibleThreads = showResolved ? threads : openThreads;
+
+  const startComment = () => {
+    setPendingAnchor(selection.anchor);
+    setSelection(null);
+    window.getSelection()?.removeAllRanges();
+    requestAnimationFrame(() => panelRef.current?.scrollIntoView({ behavior: 'smooth', block: 'nearest' }));
+  };
+
+  const showInReport = (thread) => {
+    setActiveId(thread.id);
+    const range = rangeForThread(reportRef.current, thread);
+    if (!range) {
+      showToast({ tone: 'info', message: "That passage isn't on screen. Expand its section or switch to the formatted view." });
+      return;
+    }
+    range.startContainer.parentElement?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  };
+
+  if (!canComment && threads.length === 0) return null;
+
+  return (
+    <div ref={panelRef} style={{ background: '#fff', border: '1px solid #e2e8f0', borderRadius: 14, padding: '16px 20px', marginTop: 20, boxShadow: '0 1px 3px rgba(0,0,0,0.04)' }}>
+      {selection && (
+        <button onMouseDown={e => e.preventDefault()} onClick={startComment}
+          style={{
+            position: 'fixed', top: Math.max(8, selection.top - 40), left: selection.left, transform: 'translateX(-50%)', zIndex: 30,
+            display: 'flex', alignItems: 'center', gap: 6, padding: '6px 12px', background: '#0f172a', color: '#fff', border: 'none',
+            borderRadius: 8, fontSize: 12, fontWeight: 600, cursor: 'pointer', fontFamily: 'inherit', boxShadow: '0 6px 16px rgba(15,23,42,0.25)'
+          }}>
+          <MessageSquare size={13} /> Comment
+        </button>
+      )}
+
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: 12 }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 14, fontWeight: 700, color: '#0f172a' }}>
+          <MessageSquare size={16} color="#2563eb" /> Comments
+          {openThreads.length > 0 && <span style={{ fontSize: 12, fontWeight: 600, color: '#64748b' }}>{openThreads.length} open</span>}
+        </div>
+        {resolvedCount > 0 && (
+          <button onClick={() => setShowResolved(!showResolved)} style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: 12, fontWeight: 500, color: '#64748b', fontFamily: 'inherit' }}>
+            {showResolved ? 'Hide resolved' : `Show resolved (${resolvedCount})`}
+          </button>
+        )}
+      </div>
+
+      {pendingAnchor && (
+        <div style={{ padding: '12px 14px', marginBottom: 10, border: '1px solid #bfdbfe', borderRadius: 10, background: '#f8fbff' }}>
+          <QuoteBlock quote={pendingAnchor.quote} />
+          <CommentComposer members={members} autoFocus placeholder="Add a comment… (@ to mention)"
+            onSubmit={async (body, mentions) => {
+              await add({ body, anchor: pendingAnchor, mentions });
+              setPendingAnchor(null);
+            }}
+            onCancel={() => setPendingAnchor(null)} />
+        </div>
+      )}
+
+      {visibleThreads.map(thread => (
+        <CommentThread key={thread.id} thread={thread} userId={userId} canComment={canComment} members={members}
+          isActive={thread.id === activeId} onShow={showInReport}
+          onReply={(root, body, mentions) => add({ body, parentId: root.id, mentions })}
+          onResolve={resolve} onDelete={remove} />
+      ))}
+
+      {canComment && !pendingAnchor && (
+        <>
+          {threads.length === 0 && (
+            <p style={{ fontSize: 13, color: '#64748b', marginBottom: 10 }}>Select text in the report to comment on it, or leave a note on the whole analysis.</p>
+          )}
+          <CommentComposer members={members} placeholder="Comment on the whole analysis… (@ to mention)"
+            onSubmit={(body, mentions) => add({ body, mentions })} />
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,162 @@
+// CompareWorkspace.js - Two or more analyses side by side, with synced scrolling and a text diff
+import React, { useMemo, useRef, useState } from 'react';
+import { X, ChevronRight, AlertCircle, GitCompare } from 'lucide-react';
+import { AnalysisResult } from './AnalysisResult';
+import { useChatsByIds } from './useChatHistory';
+import { diffText, countChanges } from './textDiff';
+import { extractMetrics } from './metrics';
+import { extractRiskFlags } from './risks';
+
+export const MAX_COMPARE_COLUMNS = 4;
+
+const DIFF_STYLES = {
+  added: { background: '#dcfce7', color: '#14532d', borderRadius: 3 },
+  removed: { background: '#fee2e2', color: '#991b1b', textDecoration: 'line-through', borderRadius: 3 },
+};
+
+const STATUS_NOTES = {
+  pending: 'Waiting to be analyzed…',
+  processing: 'Analysis in progress…',
+  failed: 'This analysis failed, so there is nothing to compare.',
+};
+
+const toggleStyle = (active) => ({
+  padding: '6px 12px', fontSize: 12, fontWeight: 600, fontFamily: 'inherit', cursor: 'pointer', border: 'none',
+  background: active ? '#1d4ed8' : '#fff', color: active ? '#fff' : '#475569'
+});
+
+export function CompareWorkspace({ chatIds, userId, onExit, onRemove, onOpenChat }) {
+  const { chats, loading } = useChatsByIds({ chatIds, userId });
+  const [mode, setMode] = useState('rendered'); // 'rendered' | 'diff'
+  const [syncScroll, setSyncScroll] = useState(true);
+  const [baselineId, setBaselineId] = useState(null);
+  const scrollers = useRef([]);
+  const scrollSource = useRef(null);
+  const releaseFrame = useRef(null);
+
+  const baseline = chats.find(chat => chat.id === baselineId) || chats[0] || null;
+
+  const diffs = useMemo(() => {
+    if (mode !== 'diff' || !baseline) return {};
+    return Object.fromEntries(chats
+      .filter(chat => chat.id !== baseline.id)
+      .map(chat => [chat.id, diffText(baseline.analysis_result || '', chat.analysis_result || '')]));
+  }, [mode, chats, baseline]);
+
+  // Scrolling one column moves the others to the same relative position. The
+  // scroll events those moves fire are ignored until the next frame.
+  const handleScroll = (index) => {
+    if (!syncScroll) return;
+    if (scrollSource.current !== null && scrollSource.current !== index) return;
+    scrollSource.current = index;
+    const source = scrollers.current[index];
+    const ratio = source.scrollTop / Math.max(1, source.scrollHeight - source.clientHeight);
+    scrollers.current.forEach((el, i) => {
+      if (el && i !== index) el.scrollTop = ratio * (el.scrollHeight - el.clientHeight);
+    });
+    cancelAnimationFrame(releaseFrame.current);
+    releaseFrame.current = requestAnimationFrame(() => { scrollSource.current = null; });
+  };
+
+  return (
+    <div style={{ animation: 'fadeIn 0.3s ease' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12, marginBottom: 16, flexWrap: 'wrap' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, flex: 1, minWidth: 200 }}>
+          <GitCompare size={18} color="#2563eb" />
+          <h2 style={{ fontSize: 18, fontWeight: 800, color: '#0f172a' }}>Comparing {chatIds.length} analyses</h2>
+        </div>
+        <div style={{ display: 'flex', border: '1px solid #e2e8f0', borderRadius: 8, overflow: 'hidden' }}>
+          <button onClick={() => setMode('rendered')} style={toggleStyle(mode === 'rendered')}>Results</button>
+          <button onClick={() => setMode('diff')} style={toggleStyle(mode === 'diff')}>Differences</button>
+        </div>
+        <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, fontWeight: 600, color: '#475569', cursor: 'pointer' }}>
+          <input type="checkbox" checked={syncScroll} onChange={e => setSyncScroll(e.target.checked)} />
+          Sync scrolling
+        </label>
+        <button onClick={onExit} style={{
+          display: 'flex', alignItems: 'center', gap: 6, padding: '6px 12px', background: '#fff', border: '1px solid #e2e8f0',
+          borderRadius: 8, fontSize: 12, fontWeight: 600, color: '#334155', cursor: 'pointer', fontFamily: 'inherit'
+        }}>
+          <X size={13} /> Exit comparison
+        </button>
+      </div>
+
+      {loading && chats.length === 0 ? (
+        <div style={{ display: 'flex', justifyContent: 'center', paddingTop: 80 }}>
+          <div style={{ width: 36, height: 36, border: '3px solid #bfdbfe', borderTopColor: '#2563eb', borderRadius: '50%', animation: 'spin 0.8s linear infinite' }} />
+        </div>
+      ) : (
+        <div style={{ display: 'grid', gridTemplateColumns: `repeat(${Math.max(chats.length, 1)}, minmax(0, 1fr))`, gap: 14 }}>
+          {chats.map((chat, index) => {
+            const isBaseline = chat.id === baseline?.id;
+            const segments = diffs[chat.id];
+            const changes = segments && countChanges(segments);
+            return (
+              <div key={chat.id} style={{ background: '#fff', border: `1px solid ${mode === 'diff' && isBaseline ? '#bfdbfe' : '#e2e8f0'}`, borderRadius: 14, overflow: 'hidden', display: 'flex', flexDirection: 'column', minWidth: 0 }}>
+                <div style={{ padding: '12px 14px', borderBottom: '1px solid #f1f5f9', background: '#fafbfc' }}>
+                  <div style={{ display: 'flex', alignItems: 'center', gap: 6 }}>
+                    <div style={{ flex: 1, minWidth: 0, fontSize: 13, fontWeight: 700, color: '#0f172a', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                      {chat.title || chat.file_name || 'Untitled Document'}
+                    </div>
+                    <button onClick={() => onOpenChat(chat.id)} title="Open analysis"
+                      style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#2563eb', display: 'flex', padding: 0 }}>
+                      <ChevronRight size={14} />
+                    </button>
+                    {chatIds.length > 2 && (
+                      <button onClick={() => onRemove(chat.id)} title="Remove from comparison"
+                        style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#94a3b8', display: 'flex', padding: 0 }}>
+                        <X size={14} />
+                      </button>
+                    )}
+                  </div>
+                  <div style={{ fontSize: 11, color: '#94a3b8', marginTop: 2 }}>
+                    {new Date(chat.created_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+                  </div>
+                  {chat.query && (
+                    <div title={chat.query} style={{ fontSize: 11, color: '#64748b', marginTop: 4, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                      “{chat.query}”
+                    </div>
+                  )}
+                  {mode === 'diff' && (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginTop: 6, fontSize: 11, fontWeight: 600 }}>
+                      {isBaseline ? (
+                        <span style={{ color: '#1d4ed8' }}>Baseline</span>
+                      ) : (
+                        <>
+                          {changes && <span style={{ color: '#15803d' }}>+{changes.added}</span>}
+                          {changes && <span style={{ color: '#b91c1c' }}>−{changes.removed} words</span>}
+                          <button onClick={() => setBaselineId(chat.id)}
+                            style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#2563eb', fontSize: 11, fontWeight: 600, fontFamily: 'inherit', padding: 0, marginLeft: 'auto' }}>
+                            Use as baseline
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  )}
+                </div>
+
+                <div ref={el => { scrollers.current[index] = el; }} onScroll={() => handleScroll(index)}
+                  style={{ height: 'calc(100vh - 290px)', minHeight: 320, overflowY: 'auto', padding: '16px 18px' }}>
+                  {chat.status !== 'completed' || !chat.analysis_result ? (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 13, color: chat.status === 'failed' ? '#b91c1c' : '#64748b' }}>
+                      {chat.status === 'failed' && <AlertCircle size={13} />}
+                      {STATUS_NOTES[chat.status] || 'No result yet.'}
+                    </div>
+                  ) : mode === 'rendered' ? (
+                    <AnalysisResult text={extractRiskFlags(extractMetrics(chat.analysis_result).text).text} rawText={chat.analysis_result} idPrefix={`compare-${chat.id}`} />
+                  ) : (
+                    <div style={{ whiteSpace: 'pre-wrap', fontSize: 13, lineHeight: 1.7, color: '#334155', fontFamily: "'Fira Code', 'Courier New', monospace" }}>
+                      {segments
+                        ? segments.map((segment, i) => <span key={i} style={DIFF_STYLES[segment.type]}>{segment.text}</span>)
+                        : chat.analysis_result}
+                    </div>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
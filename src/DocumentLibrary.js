@@ -0,0 +1,228 @@
+// DocumentLibrary.js - "Documents" view: every stored file, independent of its analyses
+import React, { useMemo, useState } from 'react';
+import { FileText, Download, Trash2, Plus, X, Search, Tag, AlertCircle, ChevronRight, Send } from 'lucide-react';
+import { useDocumentLibrary, normalizeTag } from './useDocumentLibrary';
+import { getInputType } from './inputTypes';
+import { formatFileSize } from './utils';
+import { DEFAULT_QUERY } from './analysisService';
+
+const linkStyle = {
+  background: 'none', border: 'none', cursor: 'pointer', fontFamily: 'inherit', fontSize: 12,
+  fontWeight: 600, padding: 0, display: 'flex', alignItems: 'center', gap: 4
+};
+
+const chipStyle = (active) => ({
+  display: 'inline-flex', alignItems: 'center', gap: 4, padding: '2px 8px', borderRadius: 99,
+  fontSize: 11, fontWeight: 600, fontFamily: 'inherit', cursor: 'pointer',
+  border: `1px solid ${active ? '#bfdbfe' : '#e2e8f0'}`,
+  background: active ? '#eff6ff' : '#f8fafc', color: active ? '#1d4ed8' : '#475569'
+});
+
+// `onAnalyze(doc, query)` starts an analysis of a stored file in `workspaceId` and
+// resolves with the new chat id; it throws so the row can keep the draft and show the
+// error inline. Without it (viewers) rows offer no new analysis.
+export function DocumentLibrary({ userId, workspaceId, onAnalyze, onOpenChat }) {
+  const library = useDocumentLibrary({ userId, workspaceId });
+  const [search, setSearch] = useState('');
+  const [activeTag, setActiveTag] = useState(null);
+
+  const allTags = useMemo(
+    () => [...new Set(library.documents.flatMap(doc => doc.tags))].sort(),
+    [library.documents]
+  );
+
+  const term = search.trim().toLowerCase();
+  const visible = library.documents.filter(doc => (!term || doc.name.toLowerCase().includes(term))
+    && (!activeTag || doc.tags.includes(activeTag)));
+
+  return (
+    <div style={{ maxWidth: 900, margin: '0 auto', animation: 'fadeIn 0.3s ease' }}>
+      <div style={{ display: 'flex', alignItems: 'flex-end', justifyContent: 'space-between', gap: 16, marginBottom: 20 }}>
+        <div>
+          <h2 style={{ fontSize: 24, fontWeight: 800, color: '#0f172a', letterSpacing: '-0.3px', marginBottom: 4 }}>Documents</h2>
+          <p style={{ fontSize: 13, color: '#64748b' }}>
+            Everything you've uploaded. Run a new analysis on a stored file without uploading it again.
+          </p>
+        </div>
+        <div style={{ position: 'relative', width: 240, flexShrink: 0 }}>
+          <Search size={13} color="#94a3b8" style={{ position: 'absolute', left: 10, top: '50%', transform: 'translateY(-50%)' }} />
+          <input value={search} onChange={e => setSearch(e.target.value)} placeholder="Search documents"
+            style={{ width: '100%', padding: '8px 10px 8px 30px', border: '1px solid #e2e8f0', borderRadius: 8, fontSize: 13, fontFamily: 'inherit', outline: 'none' }} />
+        </div>
+      </div>
+
+      {allTags.length > 0 && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap', marginBottom: 14 }}>
+          <Tag size={12} color="#94a3b8" />
+          {allTags.map(tag => (
+            <button key={tag} onClick={() => setActiveTag(activeTag === tag ? null : tag)} style={chipStyle(activeTag === tag)}>
+              {tag}{activeTag === tag && <X size={10} />}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div style={{ background: '#fff', border: '1px solid #e2e8f0', borderRadius: 16, overflow: 'hidden', boxShadow: '0 1px 3px rgba(0,0,0,0.04)' }}>
+        {library.loading ? (
+          <div style={{ display: 'flex', justifyContent: 'center', padding: 48 }}>
+            <div style={{ width: 28, height: 28, border: '3px solid #bfdbfe', borderTopColor: '#2563eb', borderRadius: '50%', animation: 'spin 0.8s linear infinite' }} />
+          </div>
+        ) : library.error ? (
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8, justifyContent: 'center', padding: 40, color: '#dc2626', fontSize: 13 }}>
+            <AlertCircle size={14} /> Could not load your documents: {library.error.message}
+          </div>
+        ) : visible.length === 0 ? (
+          <div style={{ textAlign: 'center', padding: '48px 16px', color: '#94a3b8' }}>
+            <FileText size={30} style={{ margin: '0 auto 10px', opacity: 0.4, display: 'block' }} />
+            <p style={{ fontSize: 13 }}>
+              {library.documents.length === 0 ? 'No documents yet — upload one to start your library' : 'No documents match your search'}
+            </p>
+          </div>
+        ) : visible.map((doc, i) => (
+          <DocumentRow
+            key={doc.id}
+            doc={doc}
+            isFirst={i === 0}
+            workspaceId={workspaceId}
+            onAnalyze={onAnalyze ? query => onAnalyze(doc, query) : null}
+            onOpenChat={onOpenChat}
+            onDownload={() => library.download(doc)}
+            onTagsChange={tags => library.setTags(doc, tags)}
+            onDelete={() => library.remove(doc)}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const DocumentRow = ({ doc, isFirst, workspaceId, onAnalyze, onOpenChat, onDownload, onTagsChange, onDelete }) => {
+  const [showComposer, setShowComposer] = useState(false);
+  const [isAddingTag, setIsAddingTag] = useState(false);
+  const [draftTag, setDraftTag] = useState('');
+  const [isDeleting, setIsDeleting] = useState(false);
+  // Analyses in other workspaces can't be opened from here
+  const analysesHere = doc.analyses.filter(analysis => analysis.workspace_id === workspaceId);
+  const analysisCount = analysesHere.length;
+  const typeLabel = getInputType(doc.fileType)?.label || 'File';
+
+  const commitTag = () => {
+    const tag = normalizeTag(draftTag);
+    if (tag && !doc.tags.includes(tag)) onTagsChange([...doc.tags, tag]);
+    setDraftTag('');
+    setIsAddingTag(false);
+  };
+
+  // Deleting only reaches the active workspace; analyses in others keep the file alive
+  const handleDelete = async () => {
+    const here = analysisCount;
+    const elsewhere = doc.analyses.length - here;
+    const count = (n) => `${n} analys${n === 1 ? 'is' : 'es'}`;
+    if (elsewhere && !here) {
+      window.alert(`"${doc.name}" is only used by ${count(elsewhere)} in other workspaces. Switch to those workspaces to delete them.`);
+      return;
+    }
+    const message = elsewhere
+      ? `Delete the ${count(here)} of "${doc.name}" in this workspace? The file stays in your library for the ${count(elsewhere)} in other workspaces. This can't be undone.`
+      : `Delete "${doc.name}" from your library? ${here ? `This also deletes its ${count(here)}.` : 'It has no analyses.'} This can't be undone.`;
+    if (!window.confirm(message)) return;
+    setIsDeleting(true);
+    await onDelete();
+    setIsDeleting(false);
+  };
+
+  return (
+    <div style={{ padding: '14px 18px', borderTop: isFirst ? 'none' : '1px solid #f1f5f9', opacity: isDeleting ? 0.5 : 1 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 12 }}>
+        <div style={{ width: 36, height: 36, borderRadius: 9, background: '#eff6ff', display: 'flex', alignItems: 'center', justifyContent: 'center', flexShrink: 0 }}>
+          <FileText size={17} color="#2563eb" />
+        </div>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{ fontSize: 14, fontWeight: 600, color: '#0f172a', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{doc.name}</div>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 12, color: '#64748b', marginTop: 2 }}>
+            {typeLabel} · {formatFileSize(doc.size)} · uploaded {new Date(doc.createdAt).toLocaleDateString()} ·{' '}
+            {analysisCount ? (
+              <button onClick={() => onOpenChat(analysesHere[0].id)} title="Open the latest analysis" style={{ ...linkStyle, color: '#2563eb', fontWeight: 500 }}>
+                {analysisCount} analys{analysisCount === 1 ? 'is' : 'es'} <ChevronRight size={11} />
+              </button>
+            ) : doc.analyses.length ? 'not analyzed in this workspace' : 'not analyzed yet'}
+          </div>
+        </div>
+        {onAnalyze && (
+          <button onClick={() => setShowComposer(!showComposer)} disabled={isDeleting} style={{ ...linkStyle, color: '#2563eb' }}>
+            <Plus size={13} /> New analysis
+          </button>
+        )}
+        <button onClick={onDownload} title="Download" disabled={isDeleting} style={{ ...linkStyle, color: '#64748b' }}><Download size={14} /></button>
+        <button onClick={handleDelete} title="Delete document" disabled={isDeleting} style={{ ...linkStyle, color: '#94a3b8' }}><Trash2 size={14} /></button>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: 6, flexWrap: 'wrap', marginTop: 8, marginLeft: 48 }}>
+        {doc.tags.map(tag => (
+          <span key={tag} style={{ ...chipStyle(false), cursor: 'default' }}>
+            {tag}
+            <button onClick={() => onTagsChange(doc.tags.filter(t => t !== tag))} title={`Remove "${tag}"`}
+              style={{ background: 'none', border: 'none', cursor: 'pointer', padding: 0, display: 'flex', color: '#94a3b8' }}>
+              <X size={10} />
+            </button>
+          </span>
+        ))}
+        {isAddingTag ? (
+          <input autoFocus value={draftTag} onChange={e => setDraftTag(e.target.value)} placeholder="Tag name"
+            onKeyDown={e => { if (e.key === 'Enter') commitTag(); if (e.key === 'Escape') { setDraftTag(''); setIsAddingTag(false); } }}
+            onBlur={commitTag}
+            style={{ width: 110, padding: '2px 8px', border: '1px solid #bfdbfe', borderRadius: 99, fontSize: 11, fontFamily: 'inherit', outline: 'none' }} />
+        ) : (
+          <button onClick={() => setIsAddingTag(true)} style={{ ...linkStyle, fontSize: 11, color: '#94a3b8' }}>
+            <Tag size={11} /> Add tag
+          </button>
+        )}
+      </div>
+
+      {showComposer && onAnalyze && (
+        <AnalyzeComposer onSubmit={onAnalyze} onCancel={() => setShowComposer(false)} />
+      )}
+    </div>
+  );
+};
+
+const AnalyzeComposer = ({ onSubmit, onCancel }) => {
+  const [query, setQuery] = useState('');
+  const [isStarting, setIsStarting] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsStarting(true);
+    setError('');
+    try {
+      await onSubmit(query.trim() || DEFAULT_QUERY);
+    } catch (err) {
+      console.error("Library analysis error:", err);
+      setError(err.message);
+      setIsStarting(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ marginTop: 10, marginLeft: 48 }}>
+      <div style={{ display: 'flex', gap: 8 }}>
+        <input autoFocus value={query} onChange={e => setQuery(e.target.value)} disabled={isStarting}
+          placeholder={DEFAULT_QUERY}
+          style={{ flex: 1, padding: '8px 12px', border: '1px solid #e2e8f0', borderRadius: 8, fontSize: 13, fontFamily: 'inherit', outline: 'none' }} />
+        <button type="submit" disabled={isStarting} style={{
+          display: 'flex', alignItems: 'center', gap: 6, padding: '8px 14px', background: isStarting ? '#93c5fd' : '#1d4ed8',
+          color: '#fff', border: 'none', borderRadius: 8, fontSize: 13, fontWeight: 600, cursor: isStarting ? 'default' : 'pointer', fontFamily: 'inherit'
+        }}>
+          <Send size={13} /> {isStarting ? 'Starting…' : 'Analyze'}
+        </button>
+        <button type="button" onClick={onCancel} disabled={isStarting} style={{ ...linkStyle, color: '#94a3b8' }}><X size={14} /></button>
+      </div>
+      {error && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 6, marginTop: 6, fontSize: 12, color: '#b91c1c' }}>
+          <AlertCircle size={12} /> {error}
+        </div>
+      )}
+    </form>
+  );
+};
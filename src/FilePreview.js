@@ -0,0 +1,102 @@
+// FilePreview.js - Inline preview of a queued upload, using its input type's preview loader
+import React, { useEffect, useState } from 'react';
+import { AlertCircle } from 'lucide-react';
+
+const cellStyle = {
+  padding: '5px 9px', borderRight: '1px solid #f1f5f9', whiteSpace: 'nowrap',
+  maxWidth: 180, overflow: 'hidden', textOverflow: 'ellipsis'
+};
+
+const GridPreview = ({ sheets }) => {
+  const [sheetIndex, setSheetIndex] = useState(0);
+  const sheet = sheets[sheetIndex] || { rows: [] };
+
+  return (
+    <div>
+      {sheets.length > 1 && (
+        <div style={{ display: 'flex', gap: 4, marginBottom: 6, flexWrap: 'wrap' }}>
+          {sheets.map((s, i) => (
+            <button key={s.name} onClick={() => setSheetIndex(i)} style={{
+              padding: '3px 9px', borderRadius: 6, fontSize: 11, fontWeight: 600, fontFamily: 'inherit', cursor: 'pointer',
+              border: `1px solid ${i === sheetIndex ? '#bfdbfe' : '#e2e8f0'}`,
+              background: i === sheetIndex ? '#eff6ff' : '#fff', color: i === sheetIndex ? '#1d4ed8' : '#64748b'
+            }}>
+              {s.name}
+            </button>
+          ))}
+        </div>
+      )}
+      {sheet.rows.length === 0 ? (
+        <div style={{ fontSize: 12, color: '#94a3b8' }}>This sheet is empty.</div>
+      ) : (
+        <div style={{ overflow: 'auto', maxHeight: 220, border: '1px solid #e2e8f0', borderRadius: 8 }}>
+          <table style={{ borderCollapse: 'collapse', fontSize: 11, color: '#334155', fontFamily: "'Fira Code', 'Courier New', monospace" }}>
+            <tbody>
+              {sheet.rows.map((row, r) => (
+                <tr key={r} style={{ background: r === 0 ? '#f8fafc' : '#fff', borderTop: r ? '1px solid #f1f5f9' : 'none', fontWeight: r === 0 ? 700 : 400 }}>
+                  {row.map((cell, c) => <td key={c} style={cellStyle} title={cell}>{cell}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div style={{ fontSize: 11, color: '#94a3b8', marginTop: 5 }}>Showing the first rows and columns only.</div>
+    </div>
+  );
+};
+
+export function FilePreview({ file, inputType }) {
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let cancelled = false;
+    let loaded = null;
+    setPreview(null);
+    setError('');
+
+    inputType.preview(file)
+      .then(result => {
+        loaded = result;
+        if (cancelled) result.dispose?.();
+        else setPreview(result);
+      })
+      .catch(err => {
+        console.error("Preview error:", err);
+        if (!cancelled) setError(err.message || 'Preview unavailable');
+      });
+
+    return () => {
+      cancelled = true;
+      loaded?.dispose?.();
+    };
+  }, [file, inputType]);
+
+  return (
+    <div style={{ marginTop: 10, padding: 10, background: '#f8fafc', border: '1px solid #e2e8f0', borderRadius: 8 }}>
+      {error ? (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: '#b91c1c' }}>
+          <AlertCircle size={13} /> Preview unavailable: {error}
+        </div>
+      ) : !preview ? (
+        <div style={{ fontSize: 12, color: '#94a3b8' }}>Loading preview…</div>
+      ) : preview.kind === 'grid' ? (
+        <GridPreview sheets={preview.sheets} />
+      ) : preview.kind === 'image' ? (
+        <div style={{ textAlign: 'center' }}>
+          <img src={preview.url} alt={`Preview of ${file.name}`} style={{ maxWidth: '100%', maxHeight: 260, border: '1px solid #e2e8f0', borderRadius: 6, background: '#fff' }} />
+          {preview.caption && <div style={{ fontSize: 11, color: '#94a3b8', marginTop: 4 }}>{preview.caption}</div>}
+        </div>
+      ) : preview.kind === 'text' ? (
+        <div style={{ maxHeight: 220, overflowY: 'auto', fontSize: 12, color: '#334155', lineHeight: 1.6 }}>
+          {preview.paragraphs.length === 0
+            ? <span style={{ color: '#94a3b8' }}>No text found.</span>
+            : preview.paragraphs.map((p, i) => <p key={i} style={{ marginBottom: 6 }}>{p}</p>)}
+        </div>
+      ) : (
+        <div style={{ fontSize: 12, color: '#64748b' }}>{preview.message}</div>
+      )}
+    </div>
+  );
+}
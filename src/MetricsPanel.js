@@ -0,0 +1,161 @@
+// MetricsPanel.js - KPI cards and charts for the metrics block of an analysis
+import React, { useMemo, useState } from 'react';
+import { TrendingUp, TrendingDown, BarChart3, Minus } from 'lucide-react';
+import { formatMetricValue, formatChange, buildMetricTrend } from './metrics';
+import { useCompanyMetrics } from './useChatHistory';
+
+const cardStyle = { background: '#fff', border: '1px solid #e2e8f0', borderRadius: 12, padding: '14px 16px' };
+
+const sectionTitleStyle = { fontSize: 11, fontWeight: 700, color: '#94a3b8', textTransform: 'uppercase', letterSpacing: '0.08em', marginBottom: 10 };
+
+const changeTone = (item) => {
+  const direction = item.change !== null
+    ? Math.sign(item.change)
+    : item.previous !== null ? Math.sign(item.value - item.previous) : null;
+  if (direction === null) return null;
+  if (direction === 0) return { color: '#64748b', Icon: Minus };
+  const good = (direction > 0) === item.higherIsBetter;
+  return { color: good ? '#15803d' : '#b91c1c', Icon: direction > 0 ? TrendingUp : TrendingDown };
+};
+
+const KpiCard = ({ item, currency }) => {
+  const tone = changeTone(item);
+  const change = formatChange(item);
+  return (
+    <div style={cardStyle}>
+      <div style={{ fontSize: 12, fontWeight: 600, color: '#64748b', marginBottom: 6 }}>{item.label}</div>
+      <div style={{ fontSize: 22, fontWeight: 800, color: '#0f172a', letterSpacing: '-0.3px' }}>{formatMetricValue(item.value, item.unit, currency)}</div>
+      {change && tone && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 4, marginTop: 4, fontSize: 12, fontWeight: 600, color: tone.color }}>
+          <tone.Icon size={13} /> {change}
+          {item.previous !== null && (
+            <span style={{ color: '#94a3b8', fontWeight: 500 }}>from {formatMetricValue(item.previous, item.unit, currency)}</span>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Current vs previous period, one row per metric scaled to its own larger value
+const PeriodBars = ({ items, currency }) => (
+  <div style={cardStyle}>
+    <div style={{ display: 'flex', gap: 14, fontSize: 11, color: '#64748b', marginBottom: 12 }}>
+      <span style={{ display: 'flex', alignItems: 'center', gap: 5 }}><span style={{ width: 10, height: 10, borderRadius: 2, background: '#2563eb' }} /> This period</span>
+      <span style={{ display: 'flex', alignItems: 'center', gap: 5 }}><span style={{ width: 10, height: 10, borderRadius: 2, background: '#cbd5e1' }} /> Previous</span>
+    </div>
+    {items.map(item => {
+      const max = Math.max(Math.abs(item.value), Math.abs(item.previous)) || 1;
+      return (
+        <div key={item.key} style={{ marginBottom: 10 }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: 12, color: '#334155', marginBottom: 4 }}>
+            <span style={{ fontWeight: 600 }}>{item.label}</span>
+            <span style={{ color: '#64748b' }}>
+              {formatMetricValue(item.previous, item.unit, currency)} → {formatMetricValue(item.value, item.unit, currency)}
+            </span>
+          </div>
+          {[{ value: item.value, color: '#2563eb' }, { value: item.previous, color: '#cbd5e1' }].map(({ value, color }) => (
+            <div key={color} style={{ height: 7, background: '#f1f5f9', borderRadius: 99, marginBottom: 3, overflow: 'hidden' }}>
+              <div style={{ height: '100%', width: `${(Math.abs(value) / max) * 100}%`, background: color, borderRadius: 99 }} />
+            </div>
+          ))}
+        </div>
+      );
+    })}
+  </div>
+);
+
+const CHART = { width: 600, height: 200, padX: 40, padTop: 28, padBottom: 34 };
+
+const TrendChart = ({ points, currency, currentChatId, onOpenChat }) => {
+  const values = points.map(p => p.value);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || Math.abs(max) || 1;
+  const low = min - span * 0.15;
+  const high = max + span * 0.15;
+  const x = (i) => CHART.padX + (points.length === 1 ? 0.5 : i / (points.length - 1)) * (CHART.width - CHART.padX * 2);
+  const y = (value) => CHART.padTop + (1 - (value - low) / (high - low)) * (CHART.height - CHART.padTop - CHART.padBottom);
+
+  return (
+    <svg viewBox={`0 0 ${CHART.width} ${CHART.height}`} style={{ width: '100%', height: 'auto', display: 'block' }} role="img">
+      <line x1={CHART.padX} x2={CHART.width - CHART.padX} y1={CHART.height - CHART.padBottom} y2={CHART.height - CHART.padBottom} stroke="#e2e8f0" />
+      <polyline fill="none" stroke="#2563eb" strokeWidth="2.5" strokeLinejoin="round"
+        points={points.map((p, i) => `${x(i)},${y(p.value)}`).join(' ')} />
+      {points.map((p, i) => {
+        const isCurrent = p.chatId === currentChatId;
+        return (
+          <g key={p.period} onClick={isCurrent ? undefined : () => onOpenChat(p.chatId)} style={{ cursor: isCurrent ? 'default' : 'pointer' }}>
+            <title>{isCurrent ? 'This analysis' : `Open the ${p.period} analysis`}</title>
+            <circle cx={x(i)} cy={y(p.value)} r={isCurrent ? 6 : 4.5} fill={isCurrent ? '#1d4ed8' : '#fff'} stroke="#2563eb" strokeWidth="2" />
+            <text x={x(i)} y={y(p.value) - 11} textAnchor="middle" fontSize="11" fontWeight="700" fill="#0f172a">
+              {formatMetricValue(p.value, p.unit, currency)}
+            </text>
+            <text x={x(i)} y={CHART.height - 12} textAnchor="middle" fontSize="11" fill="#64748b">{p.period}</text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+};
+
+export function MetricsPanel({ metrics, chatId, workspaceId, userId, onOpenChat }) {
+  const { analyses } = useCompanyMetrics({ workspaceId, userId, company: metrics.company });
+  const [trendKey, setTrendKey] = useState(null);
+  const comparable = metrics.items.filter(item => item.previous !== null);
+
+  // Only metrics reported in at least two periods have a trend to draw
+  const trendKeys = useMemo(
+    () => metrics.items.filter(item => buildMetricTrend(analyses, item.key).length >= 2),
+    [analyses, metrics.items]
+  );
+  const activeKey = trendKeys.some(item => item.key === trendKey) ? trendKey : (trendKeys[0] || metrics.items[0]).key;
+  const trend = useMemo(() => buildMetricTrend(analyses, activeKey), [analyses, activeKey]);
+
+  return (
+    <div style={{ marginBottom: 20, animation: 'fadeIn 0.3s ease' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 12 }}>
+        <BarChart3 size={16} color="#2563eb" />
+        <span style={{ fontSize: 14, fontWeight: 700, color: '#0f172a' }}>Key metrics</span>
+        {(metrics.company || metrics.period) && (
+          <span style={{ fontSize: 12, color: '#64748b' }}>{[metrics.company, metrics.period].filter(Boolean).join(' · ')}</span>
+        )}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(170px, 1fr))', gap: 12, marginBottom: 14 }}>
+        {metrics.items.map(item => <KpiCard key={item.key} item={item} currency={metrics.currency} />)}
+      </div>
+
+      <div style={{ display: 'grid', gridTemplateColumns: comparable.length ? 'minmax(0, 1fr) minmax(0, 1.4fr)' : '1fr', gap: 12 }}>
+        {comparable.length > 0 && (
+          <div>
+            <div style={sectionTitleStyle}>Year over year</div>
+            <PeriodBars items={comparable} currency={metrics.currency} />
+          </div>
+        )}
+        {metrics.company && (
+          <div>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+              <div style={sectionTitleStyle}>Trend across {metrics.company} analyses</div>
+              {trendKeys.length > 1 && (
+                <select value={activeKey} onChange={e => setTrendKey(e.target.value)}
+                  style={{ fontSize: 12, fontFamily: 'inherit', border: '1px solid #e2e8f0', borderRadius: 6, padding: '2px 6px', marginBottom: 8, color: '#334155' }}>
+                  {trendKeys.map(item => <option key={item.key} value={item.key}>{item.label}</option>)}
+                </select>
+              )}
+            </div>
+            <div style={cardStyle}>
+              {trend.length >= 2 ? (
+                <TrendChart points={trend} currency={metrics.currency} currentChatId={chatId} onOpenChat={onOpenChat} />
+              ) : (
+                <div style={{ fontSize: 12, color: '#94a3b8', padding: '24px 8px', textAlign: 'center' }}>
+                  Analyze other periods of {metrics.company} to see how {metrics.items.find(i => i.key === activeKey)?.label || 'this metric'} moves over time.
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,102 @@
+// NotificationBell.js - Header bell and notification centre for finished analyses and mentions
+import React, { useState } from 'react';
+import { Bell, CheckCircle, AlertCircle, AtSign } from 'lucide-react';
+
+const formatTime = (iso) => new Date(iso).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+const linkButtonStyle = { background: 'none', border: 'none', cursor: 'pointer', fontSize: 12, fontWeight: 600, color: '#2563eb', fontFamily: 'inherit', padding: 0 };
+
+const DesktopAlertsSetting = ({ state, onChange }) => {
+  if (state === 'unsupported') return null;
+  return (
+    <div style={{ padding: '10px 14px', borderTop: '1px solid #f1f5f9', fontSize: 12, color: '#64748b' }}>
+      {state === 'denied' ? (
+        'Desktop alerts are blocked for this site. Allow notifications in your browser settings to turn them on.'
+      ) : (
+        <label style={{ display: 'flex', alignItems: 'center', gap: 8, cursor: 'pointer' }}>
+          <input type="checkbox" checked={state === 'on'} onChange={e => onChange(e.target.checked)} style={{ accentColor: '#2563eb' }} />
+          Desktop alert when an analysis finishes or you're mentioned in a background tab
+        </label>
+      )}
+    </div>
+  );
+};
+
+// `notifications` is the result of useAnalysisNotifications
+export function NotificationBell({ notifications, onOpenChat }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const { items, unreadCount } = notifications;
+
+  const openItem = (item) => {
+    notifications.markRead(item.id);
+    setIsOpen(false);
+    onOpenChat(item.chatId);
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button onClick={() => setIsOpen(!isOpen)} title="Notifications"
+        style={{
+          position: 'relative', display: 'flex', padding: 8, border: '1px solid #e2e8f0', borderRadius: 8, cursor: 'pointer', fontFamily: 'inherit',
+          background: isOpen ? '#eff6ff' : 'none', color: isOpen ? '#1d4ed8' : '#64748b'
+        }}>
+        <Bell size={15} />
+        {unreadCount > 0 && (
+          <span style={{
+            position: 'absolute', top: -6, right: -6, minWidth: 18, height: 18, padding: '0 5px', borderRadius: 99,
+            background: '#dc2626', color: '#fff', fontSize: 10, fontWeight: 700, lineHeight: '18px', textAlign: 'center', border: '2px solid #fff'
+          }}>
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <>
+          <div onClick={() => setIsOpen(false)} style={{ position: 'fixed', inset: 0, zIndex: 10 }} />
+          <div style={{
+            position: 'absolute', right: 0, top: 'calc(100% + 8px)', zIndex: 11, width: 340,
+            background: '#fff', border: '1px solid #e2e8f0', borderRadius: 12,
+            boxShadow: '0 8px 24px rgba(15,23,42,0.12)', animation: 'fadeIn 0.12s ease', overflow: 'hidden'
+          }}>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', padding: '12px 14px', borderBottom: '1px solid #f1f5f9' }}>
+              <span style={{ fontSize: 13, fontWeight: 700, color: '#0f172a' }}>Notifications</span>
+              <div style={{ display: 'flex', gap: 12 }}>
+                {unreadCount > 0 && <button onClick={notifications.markAllRead} style={linkButtonStyle}>Mark all read</button>}
+                {items.length > 0 && <button onClick={notifications.clear} style={{ ...linkButtonStyle, color: '#64748b' }}>Clear</button>}
+              </div>
+            </div>
+
+            <div style={{ maxHeight: 360, overflowY: 'auto' }}>
+              {items.length === 0 ? (
+                <p style={{ padding: '28px 14px', textAlign: 'center', fontSize: 13, color: '#94a3b8' }}>
+                  You'll hear here when an analysis finishes or someone mentions you.
+                </p>
+              ) : items.map(item => (
+                <button key={item.id} onClick={() => openItem(item)}
+                  style={{
+                    display: 'flex', gap: 10, width: '100%', textAlign: 'left', padding: '10px 14px', border: 'none', borderBottom: '1px solid #f8fafc',
+                    background: item.read ? '#fff' : '#f8fbff', cursor: 'pointer', fontFamily: 'inherit'
+                  }}
+                  onMouseEnter={e => { e.currentTarget.style.background = '#f1f5f9'; }}
+                  onMouseLeave={e => { e.currentTarget.style.background = item.read ? '#fff' : '#f8fbff'; }}>
+                  {item.status === 'mention' ? <AtSign size={16} color="#2563eb" style={{ flexShrink: 0, marginTop: 2 }} />
+                    : item.status === 'completed' ? <CheckCircle size={16} color="#059669" style={{ flexShrink: 0, marginTop: 2 }} />
+                    : <AlertCircle size={16} color="#dc2626" style={{ flexShrink: 0, marginTop: 2 }} />}
+                  <div style={{ flex: 1, minWidth: 0 }}>
+                    <div style={{ fontSize: 13, fontWeight: item.read ? 500 : 700, color: '#0f172a' }}>{item.title}</div>
+                    <div style={{ fontSize: 12, color: '#475569', lineHeight: 1.4, wordBreak: 'break-word' }}>{item.body}</div>
+                    <div style={{ fontSize: 11, color: '#94a3b8', marginTop: 2 }}>{formatTime(item.at)}</div>
+                  </div>
+                  {!item.read && <span style={{ width: 8, height: 8, borderRadius: '50%', background: '#2563eb', flexShrink: 0, marginTop: 6 }} />}
+                </button>
+              ))}
+            </div>
+
+            <DesktopAlertsSetting state={notifications.desktopAlerts} onChange={notifications.setDesktopAlerts} />
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,287 @@
+// PdfViewer.js - Source document viewer (page navigation, zoom, text search)
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useNhostClient } from '@nhost/react';
+import { ChevronLeft, ChevronRight, ZoomIn, ZoomOut, Search, X, AlertCircle, Maximize2 } from 'lucide-react';
+import { loadPdf, findTextBoxes, normalizeText } from './pdf';
+
+const MIN_SCALE = 0.5;
+const MAX_SCALE = 3;
+
+// A render superseded by the next one, or work on a document closed because the
+// viewer switched files: neither is worth reporting
+const isCancellation = (err) => err?.name === 'RenderingCancelledException' || /destroyed/i.test(err?.message || '');
+
+const iconButtonStyle = (disabled) => ({
+  display: 'flex', alignItems: 'center', justifyContent: 'center', width: 28, height: 28,
+  background: '#fff', border: '1px solid #e2e8f0', borderRadius: 6, cursor: disabled ? 'default' : 'pointer',
+  color: disabled ? '#cbd5e1' : '#475569', padding: 0
+});
+
+// `target` ({ page, quote }) jumps to a cited page and highlights the quoted
+// snippet; pass a new object to re-trigger the same citation.
+export function PdfViewer({ fileId, fileName, onClose, target = null }) {
+  const nhost = useNhostClient();
+  const canvasRef = useRef(null);
+  const containerRef = useRef(null);
+  const renderTaskRef = useRef(null);
+  const docRef = useRef(null);
+
+  const [doc, setDoc] = useState(null);
+  docRef.current = doc;
+  const [loadError, setLoadError] = useState('');
+  const [pageNumber, setPageNumber] = useState(1);
+  const [pageInput, setPageInput] = useState('1');
+  const [scale, setScale] = useState(null); // null = fit to width
+  const [pageSize, setPageSize] = useState({ width: 0, height: 0, scale: 1 });
+  const [highlights, setHighlights] = useState([]);
+  const [citation, setCitation] = useState(null);
+  const [quoteMissing, setQuoteMissing] = useState(false);
+
+  const [searchText, setSearchText] = useState('');
+  const [searchResults, setSearchResults] = useState(null); // [{ page, count }]
+  const [resultIndex, setResultIndex] = useState(0);
+  const [isSearching, setIsSearching] = useState(false);
+  const activeTerm = searchResults?.length ? searchText : '';
+
+  // Fetch a short-lived presigned URL and open the document
+  useEffect(() => {
+    let cancelled = false;
+    let loaded = null;
+    setDoc(null);
+    setLoadError('');
+    setPageNumber(1);
+    setSearchResults(null);
+    setCitation(null);
+
+    (async () => {
+      try {
+        const { presignedUrl, error } = await nhost.storage.getPresignedUrl({ fileId });
+        if (error) throw new Error(error.message);
+        loaded = await loadPdf(presignedUrl.url);
+        if (cancelled) loaded.destroy();
+        else setDoc(loaded);
+      } catch (err) {
+        console.error("PDF load error:", err);
+        if (!cancelled) setLoadError(err.message || 'Could not open this document.');
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      if (loaded) loaded.destroy();
+    };
+  }, [fileId, nhost]);
+
+  const goToPage = useCallback((n) => {
+    if (!doc) return;
+    const next = Math.min(Math.max(1, n), doc.numPages);
+    setPageNumber(next);
+  }, [doc]);
+
+  useEffect(() => { setPageInput(String(pageNumber)); }, [pageNumber]);
+
+  useEffect(() => {
+    if (!doc || !target) return;
+    setCitation(target);
+    goToPage(target.page);
+  }, [doc, target, goToPage]);
+
+  // Render the current page plus highlight boxes for the search term and cited quote
+  useEffect(() => {
+    if (!doc) return undefined;
+    let cancelled = false;
+
+    const renderPage = async () => {
+      const page = await doc.getPage(pageNumber);
+      const baseViewport = page.getViewport({ scale: 1 });
+      const availableWidth = (containerRef.current?.clientWidth || 600) - 32;
+      const effectiveScale = scale ?? Math.min(MAX_SCALE, Math.max(MIN_SCALE, availableWidth / baseViewport.width));
+      const viewport = page.getViewport({ scale: effectiveScale });
+      const ratio = window.devicePixelRatio || 1;
+
+      const canvas = canvasRef.current;
+      if (!canvas || cancelled) return;
+      canvas.width = Math.floor(viewport.width * ratio);
+      canvas.height = Math.floor(viewport.height * ratio);
+      canvas.style.width = `${viewport.width}px`;
+      canvas.style.height = `${viewport.height}px`;
+      setPageSize({ width: viewport.width, height: viewport.height, scale: effectiveScale });
+
+      if (renderTaskRef.current) renderTaskRef.current.cancel();
+      const task = page.render({
+        canvasContext: canvas.getContext('2d'),
+        viewport,
+        transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null,
+      });
+      renderTaskRef.current = task;
+      await task.promise;
+
+      const quote = citation?.page === pageNumber ? citation.quote : null;
+      const textContent = (activeTerm || quote) ? await page.getTextContent() : null;
+      if (cancelled) return;
+
+      const searchBoxes = activeTerm ? findTextBoxes(textContent, viewport, activeTerm).map(box => ({ ...box, kind: 'search' })) : [];
+      const quoteBoxes = quote ? findTextBoxes(textContent, viewport, quote).map(box => ({ ...box, kind: 'citation' })) : [];
+      setHighlights([...searchBoxes, ...quoteBoxes]);
+      setQuoteMissing(Boolean(quote) && quoteBoxes.length === 0);
+
+      if (quoteBoxes.length && containerRef.current) {
+        containerRef.current.scrollTo({ top: Math.max(0, quoteBoxes[0].top - 80), behavior: 'smooth' });
+      }
+    };
+
+    renderPage().catch(err => {
+      if (cancelled || isCancellation(err)) return;
+      console.error("PDF render error:", err);
+      setLoadError(err.message || 'Could not show this page.');
+    });
+
+    return () => { cancelled = true; };
+  }, [doc, pageNumber, scale, activeTerm, citation]);
+
+  const runSearch = async (e) => {
+    e.preventDefault();
+    const term = normalizeText(searchText).trim();
+    if (!doc || !term) {
+      setSearchResults(null);
+      return;
+    }
+    setIsSearching(true);
+    try {
+      const results = [];
+      for (let n = 1; n <= doc.numPages; n++) {
+        const page = await doc.getPage(n);
+        const text = normalizeText((await page.getTextContent()).items.map(item => item.str).join(' '));
+        const count = text.split(term).length - 1;
+        if (count > 0) results.push({ page: n, count });
+      }
+      if (docRef.current !== doc) return;
+      setSearchResults(results);
+      setResultIndex(0);
+      if (results.length) goToPage(results[0].page);
+    } catch (err) {
+      if (docRef.current !== doc || isCancellation(err)) return;
+      console.error("PDF search error:", err);
+      setLoadError(err.message || 'Could not search this document.');
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const stepResult = (delta) => {
+    if (!searchResults?.length) return;
+    const next = (resultIndex + delta + searchResults.length) % searchResults.length;
+    setResultIndex(next);
+    goToPage(searchResults[next].page);
+  };
+
+  const zoom = (factor) => {
+    const current = scale ?? pageSize.scale;
+    setScale(Math.min(MAX_SCALE, Math.max(MIN_SCALE, +(current * factor).toFixed(2))));
+  };
+
+  const totalMatches = searchResults?.reduce((sum, r) => sum + r.count, 0) || 0;
+
+  return (
+    <div style={{ display: 'flex', flexDirection: 'column', height: '100%', background: '#fff', border: '1px solid #e2e8f0', borderRadius: 14, overflow: 'hidden' }}>
+      {/* Toolbar */}
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '10px 12px', borderBottom: '1px solid #e2e8f0', background: '#f8fafc', flexWrap: 'wrap' }}>
+        <div style={{ flex: 1, minWidth: 120, fontSize: 13, fontWeight: 700, color: '#0f172a', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+          {fileName || 'Document'}
+        </div>
+
+        <button onClick={() => goToPage(pageNumber - 1)} disabled={!doc || pageNumber <= 1} style={iconButtonStyle(!doc || pageNumber <= 1)} title="Previous page">
+          <ChevronLeft size={14} />
+        </button>
+        <form onSubmit={e => { e.preventDefault(); goToPage(parseInt(pageInput, 10) || 1); }} style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 12, color: '#64748b' }}>
+          <input value={pageInput} onChange={e => setPageInput(e.target.value)} disabled={!doc}
+            style={{ width: 36, padding: '4px', textAlign: 'center', border: '1px solid #e2e8f0', borderRadius: 6, fontSize: 12, fontFamily: 'inherit' }} />
+          / {doc?.numPages || '–'}
+        </form>
+        <button onClick={() => goToPage(pageNumber + 1)} disabled={!doc || pageNumber >= (doc?.numPages || 1)} style={iconButtonStyle(!doc || pageNumber >= (doc?.numPages || 1))} title="Next page">
+          <ChevronRight size={14} />
+        </button>
+
+        <div style={{ width: 1, height: 20, background: '#e2e8f0' }} />
+        <button onClick={() => zoom(1 / 1.2)} disabled={!doc} style={iconButtonStyle(!doc)} title="Zoom out"><ZoomOut size={14} /></button>
+        <span style={{ fontSize: 12, color: '#64748b', minWidth: 40, textAlign: 'center' }}>{scale ? `${Math.round(scale * 100)}%` : 'Fit'}</span>
+        <button onClick={() => zoom(1.2)} disabled={!doc} style={iconButtonStyle(!doc)} title="Zoom in"><ZoomIn size={14} /></button>
+        <button onClick={() => setScale(null)} disabled={!doc} style={iconButtonStyle(!doc)} title="Fit to width"><Maximize2 size={13} /></button>
+
+        {onClose && (
+          <button onClick={onClose} style={iconButtonStyle(false)} title="Close document"><X size={14} /></button>
+        )}
+      </div>
+
+      {/* Search */}
+      <form onSubmit={runSearch} style={{ display: 'flex', alignItems: 'center', gap: 6, padding: '8px 12px', borderBottom: '1px solid #f1f5f9' }}>
+        <div style={{ position: 'relative', flex: 1 }}>
+          <Search size={13} color="#94a3b8" style={{ position: 'absolute', left: 9, top: '50%', transform: 'translateY(-50%)', pointerEvents: 'none' }} />
+          <input
+            value={searchText}
+            onChange={e => { setSearchText(e.target.value); setSearchResults(null); }}
+            placeholder="Search in document"
+            disabled={!doc}
+            style={{ width: '100%', padding: '6px 8px 6px 28px', border: '1px solid #e2e8f0', borderRadius: 8, fontSize: 12, fontFamily: 'inherit', outline: 'none' }}
+          />
+        </div>
+        {isSearching && <span style={{ fontSize: 11, color: '#64748b' }}>Searching…</span>}
+        {searchResults && !isSearching && (
+          <>
+            <span style={{ fontSize: 11, color: searchResults.length ? '#475569' : '#dc2626', whiteSpace: 'nowrap' }}>
+              {searchResults.length
+                ? `${totalMatches} matches · page ${resultIndex + 1} of ${searchResults.length}`
+                : 'No matches'}
+            </span>
+            <button type="button" onClick={() => stepResult(-1)} disabled={!searchResults.length} style={iconButtonStyle(!searchResults.length)}><ChevronLeft size={13} /></button>
+            <button type="button" onClick={() => stepResult(1)} disabled={!searchResults.length} style={iconButtonStyle(!searchResults.length)}><ChevronRight size={13} /></button>
+          </>
+        )}
+      </form>
+
+      {citation && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '7px 12px', borderBottom: '1px solid #f1f5f9', background: quoteMissing ? '#fffbeb' : '#fff7ed', fontSize: 12, color: quoteMissing ? '#92400e' : '#9a3412' }}>
+          <span style={{ flex: 1, minWidth: 0, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+            {quoteMissing
+              ? `Cited text not found on page ${citation.page} — it may be an image or differently worded.`
+              : citation.quote ? `Page ${citation.page}: "${citation.quote}"` : `Cited page ${citation.page}`}
+          </span>
+          {pageNumber !== citation.page && (
+            <button onClick={() => goToPage(citation.page)} style={{ background: 'none', border: 'none', color: '#c2410c', fontSize: 12, fontWeight: 700, cursor: 'pointer', fontFamily: 'inherit', padding: 0 }}>
+              Back to citation
+            </button>
+          )}
+          <button onClick={() => setCitation(null)} style={{ background: 'none', border: 'none', color: '#94a3b8', cursor: 'pointer', display: 'flex', padding: 0 }} title="Clear citation">
+            <X size={13} />
+          </button>
+        </div>
+      )}
+
+      {/* Page */}
+      <div ref={containerRef} style={{ flex: 1, overflow: 'auto', background: '#e2e8f0', padding: 16 }}>
+        {loadError ? (
+          <div style={{ display: 'flex', alignItems: 'flex-start', gap: 10, background: '#fef2f2', border: '1px solid #fecaca', borderRadius: 8, padding: '12px 14px' }}>
+            <AlertCircle size={15} color="#dc2626" style={{ flexShrink: 0, marginTop: 1 }} />
+            <span style={{ fontSize: 13, color: '#b91c1c', lineHeight: 1.4 }}>{loadError}</span>
+          </div>
+        ) : !doc ? (
+          <div style={{ display: 'flex', justifyContent: 'center', paddingTop: 60 }}>
+            <div style={{ width: 32, height: 32, border: '3px solid #bfdbfe', borderTopColor: '#2563eb', borderRadius: '50%', animation: 'spin 0.8s linear infinite' }} />
+          </div>
+        ) : (
+          <div style={{ position: 'relative', width: pageSize.width, margin: '0 auto', boxShadow: '0 2px 12px rgba(15,23,42,0.15)', background: '#fff' }}>
+            <canvas ref={canvasRef} style={{ display: 'block' }} />
+            {highlights.map((box, i) => (
+              <div key={i} style={{
+                position: 'absolute', left: box.left, top: box.top, width: box.width, height: box.height,
+                background: box.kind === 'citation' ? 'rgba(249, 115, 22, 0.3)' : 'rgba(250, 204, 21, 0.4)',
+                outline: box.kind === 'citation' ? '1px solid rgba(234, 88, 12, 0.6)' : 'none',
+                borderRadius: 2, pointerEvents: 'none'
+              }} />
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
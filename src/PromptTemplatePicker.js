@@ -0,0 +1,151 @@
+// PromptTemplatePicker.js - Template menu and {{variable}} fields for the analysis prompt
+import React, { useState } from 'react';
+import { BookMarked, ChevronDown, Trash2, Users, Save, AlertCircle } from 'lucide-react';
+import { usePromptTemplates } from './usePromptTemplates';
+import { extractVariables, formatVariableLabel } from './promptTemplates';
+
+const menuItemStyle = {
+  display: 'flex', alignItems: 'center', gap: 8, width: '100%', textAlign: 'left', padding: '8px 12px',
+  background: 'none', border: 'none', borderRadius: 6, fontSize: 13, color: '#334155', cursor: 'pointer', fontFamily: 'inherit'
+};
+
+const sectionLabelStyle = {
+  fontSize: 10, fontWeight: 700, color: '#94a3b8', textTransform: 'uppercase', letterSpacing: '0.08em', padding: '8px 12px 4px'
+};
+
+const TemplateSection = ({ label, templates, onPick, onDelete }) => (
+  templates.length > 0 && (
+    <div>
+      <div style={sectionLabelStyle}>{label}</div>
+      {templates.map(template => (
+        <div key={template.id} style={{ display: 'flex', alignItems: 'center' }}>
+          <button onClick={() => onPick(template)} title={template.body} style={menuItemStyle}
+            onMouseEnter={e => e.currentTarget.style.background = '#f1f5f9'}
+            onMouseLeave={e => e.currentTarget.style.background = 'none'}>
+            <span style={{ flex: 1, minWidth: 0, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{template.name}</span>
+            {template.shared && <Users size={12} color="#94a3b8" />}
+          </button>
+          {onDelete && (
+            <button onClick={() => onDelete(template)} title="Delete template"
+              style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#cbd5e1', padding: '0 10px', display: 'flex' }}>
+              <Trash2 size={12} />
+            </button>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+);
+
+// Replaces the prompt with a template's body, or saves the current prompt as one
+export function PromptTemplatePicker({ userId, workspaceId, prompt, onSelect, disabled = false }) {
+  const templates = usePromptTemplates({ userId, workspaceId });
+  const [isOpen, setIsOpen] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [name, setName] = useState('');
+  const [shared, setShared] = useState(false);
+  const [error, setError] = useState('');
+
+  const close = () => {
+    setIsOpen(false);
+    setIsSaving(false);
+    setError('');
+  };
+
+  const pick = (template) => {
+    onSelect(template.body);
+    close();
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    try {
+      await templates.save({ name, body: prompt.trim(), shared });
+      setName('');
+      setShared(false);
+      close();
+    } catch (err) {
+      console.error("Template Save Error:", err);
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button type="button" onClick={() => (isOpen ? close() : setIsOpen(true))} disabled={disabled}
+        style={{
+          display: 'flex', alignItems: 'center', gap: 5, padding: '4px 10px', background: '#fff',
+          border: '1px solid #e2e8f0', borderRadius: 7, fontSize: 12, fontWeight: 600, color: '#475569',
+          cursor: disabled ? 'default' : 'pointer', fontFamily: 'inherit'
+        }}>
+        <BookMarked size={12} /> Templates <ChevronDown size={12} />
+      </button>
+      {isOpen && (
+        <>
+          <div onClick={close} style={{ position: 'fixed', inset: 0, zIndex: 10 }} />
+          <div style={{
+            position: 'absolute', right: 0, top: 'calc(100% + 6px)', zIndex: 11, width: 300, maxHeight: 380, overflowY: 'auto',
+            background: '#fff', border: '1px solid #e2e8f0', borderRadius: 10, padding: 4,
+            boxShadow: '0 8px 24px rgba(15,23,42,0.12)', animation: 'fadeIn 0.12s ease'
+          }}>
+            <TemplateSection label="Built-in" templates={templates.builtIn} onPick={pick} />
+            <TemplateSection label="Shared in this workspace" templates={templates.team} onPick={pick} />
+            <TemplateSection label="My templates" templates={templates.mine} onPick={pick} onDelete={templates.remove} />
+
+            <div style={{ borderTop: '1px solid #f1f5f9', marginTop: 4, padding: 4 }}>
+              {isSaving ? (
+                <form onSubmit={handleSave} style={{ padding: '6px 8px' }}>
+                  <input autoFocus value={name} onChange={e => setName(e.target.value)} placeholder="Template name"
+                    style={{ width: '100%', padding: '7px 10px', border: '1px solid #e2e8f0', borderRadius: 7, fontSize: 13, fontFamily: 'inherit', outline: 'none', marginBottom: 8 }} />
+                  <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, color: '#475569', marginBottom: 8, cursor: 'pointer' }}>
+                    <input type="checkbox" checked={shared} onChange={e => setShared(e.target.checked)} />
+                    Share with this workspace
+                  </label>
+                  {error && (
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 5, fontSize: 12, color: '#b91c1c', marginBottom: 8 }}>
+                      <AlertCircle size={12} /> {error}
+                    </div>
+                  )}
+                  <button type="submit" disabled={!name.trim()} style={{
+                    width: '100%', padding: '7px', background: name.trim() ? '#1d4ed8' : '#93c5fd', color: '#fff', border: 'none',
+                    borderRadius: 7, fontSize: 12, fontWeight: 600, cursor: name.trim() ? 'pointer' : 'default', fontFamily: 'inherit'
+                  }}>
+                    Save template
+                  </button>
+                </form>
+              ) : (
+                <button onClick={() => setIsSaving(true)} disabled={!prompt.trim()}
+                  style={{ ...menuItemStyle, color: prompt.trim() ? '#2563eb' : '#cbd5e1', cursor: prompt.trim() ? 'pointer' : 'default' }}>
+                  <Save size={13} /> Save current prompt as template
+                </button>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// One input per {{variable}} in the prompt; values are substituted at submit time
+export function PromptVariableFields({ prompt, values, onChange, disabled = false }) {
+  const variables = extractVariables(prompt);
+  if (variables.length === 0) return null;
+
+  return (
+    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: 10, marginTop: 10 }}>
+      {variables.map(name => (
+        <label key={name} style={{ fontSize: 12, fontWeight: 600, color: '#475569' }}>
+          {formatVariableLabel(name)}
+          <input value={values[name] || ''} onChange={e => onChange({ ...values, [name]: e.target.value })} disabled={disabled}
+            placeholder={`{{${name}}}`}
+            style={{
+              display: 'block', width: '100%', marginTop: 4, padding: '7px 10px', border: '1.5px solid #e2e8f0', borderRadius: 8,
+              fontSize: 13, fontWeight: 400, fontFamily: 'inherit', outline: 'none', background: '#f8fafc', color: '#0f172a'
+            }} />
+        </label>
+      ))}
+    </div>
+  );
+}
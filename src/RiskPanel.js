@@ -0,0 +1,86 @@
+// RiskPanel.js - Risk flag summary shown above a completed analysis
+import React, { useState } from 'react';
+import { ShieldAlert, ShieldCheck, ChevronRight, ChevronDown } from 'lucide-react';
+import { SEVERITIES, RISK_COLORS } from './risks';
+
+const COLLAPSED_FLAGS = 4;
+
+const SEVERITY_LABELS = { critical: 'Critical', high: 'High', medium: 'Medium', low: 'Low', none: 'No flags' };
+
+export const RiskBadge = ({ level, score = null, compact = false }) => {
+  const c = RISK_COLORS[level] || RISK_COLORS.none;
+  return (
+    <span style={{
+      display: 'inline-flex', alignItems: 'center', gap: 5, padding: compact ? '1px 7px' : '3px 10px', borderRadius: 99,
+      background: c.bg, border: `1px solid ${c.border}`, color: c.color, fontSize: compact ? 10 : 11, fontWeight: 700, whiteSpace: 'nowrap'
+    }}>
+      <span style={{ width: compact ? 6 : 7, height: compact ? 6 : 7, borderRadius: '50%', background: c.dot }} />
+      {SEVERITY_LABELS[level] || level}{score !== null && level !== 'none' ? ` · ${score}` : ''}
+    </span>
+  );
+};
+
+// `onJumpToSection(sectionId)` scrolls the report to the heading a flag was found under
+export function RiskPanel({ flags, summary, onJumpToSection }) {
+  const [showAll, setShowAll] = useState(false);
+  const visible = showAll ? flags : flags.slice(0, COLLAPSED_FLAGS);
+  const c = RISK_COLORS[summary.level];
+
+  if (flags.length === 0) {
+    return (
+      <div style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '12px 16px', marginBottom: 16, background: '#f0fdf4', border: '1px solid #bbf7d0', borderRadius: 12, fontSize: 13, color: '#15803d' }}>
+        <ShieldCheck size={16} /> No risk flags detected in this analysis.
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ background: '#fff', border: `1px solid ${c.border}`, borderRadius: 14, overflow: 'hidden', marginBottom: 16, animation: 'fadeIn 0.3s ease' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 14, padding: '14px 18px', background: c.bg, borderBottom: `1px solid ${c.border}` }}>
+        <div style={{
+          width: 48, height: 48, borderRadius: '50%', flexShrink: 0, display: 'flex', alignItems: 'center', justifyContent: 'center',
+          background: '#fff', border: `3px solid ${c.dot}`, fontSize: 16, fontWeight: 800, color: c.color
+        }} title="Risk score (0–100)">
+          {summary.score}
+        </div>
+        <div style={{ flex: 1 }}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 14, fontWeight: 700, color: '#0f172a' }}>
+            <ShieldAlert size={16} color={c.dot} /> Risk summary
+          </div>
+          <div style={{ display: 'flex', gap: 6, marginTop: 6, flexWrap: 'wrap' }}>
+            {SEVERITIES.filter(s => summary.counts[s]).map(s => (
+              <span key={s} style={{ fontSize: 11, fontWeight: 600, color: RISK_COLORS[s].color }}>
+                {summary.counts[s]} {SEVERITY_LABELS[s].toLowerCase()}
+              </span>
+            ))}
+          </div>
+        </div>
+        <RiskBadge level={summary.level} />
+      </div>
+
+      {visible.map(flag => (
+        <div key={flag.id} style={{ display: 'flex', alignItems: 'flex-start', gap: 10, padding: '11px 18px', borderTop: '1px solid #f1f5f9' }}>
+          <div style={{ paddingTop: 1 }}><RiskBadge level={flag.severity} compact /></div>
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ fontSize: 13, fontWeight: 600, color: '#0f172a' }}>{flag.title}</div>
+            {flag.detail && <div style={{ fontSize: 12, color: '#64748b', lineHeight: 1.5, marginTop: 2 }}>{flag.detail}</div>}
+          </div>
+          {flag.sectionId && (
+            <button onClick={() => onJumpToSection(flag.sectionId)}
+              style={{ display: 'flex', alignItems: 'center', gap: 2, flexShrink: 0, background: 'none', border: 'none', cursor: 'pointer', color: '#2563eb', fontSize: 12, fontWeight: 600, fontFamily: 'inherit', padding: 0 }}>
+              View <ChevronRight size={12} />
+            </button>
+          )}
+        </div>
+      ))}
+
+      {flags.length > COLLAPSED_FLAGS && (
+        <button onClick={() => setShowAll(!showAll)}
+          style={{ display: 'flex', alignItems: 'center', gap: 4, width: '100%', justifyContent: 'center', padding: 9, borderTop: '1px solid #f1f5f9', background: '#fafbfc', border: 'none', cursor: 'pointer', fontSize: 12, fontWeight: 600, color: '#475569', fontFamily: 'inherit' }}>
+          <ChevronDown size={12} style={{ transform: showAll ? 'rotate(180deg)' : 'none' }} />
+          {showAll ? 'Show fewer' : `Show all ${flags.length} flags`}
+        </button>
+      )}
+    </div>
+  );
+}
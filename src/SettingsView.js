@@ -0,0 +1,239 @@
+// SettingsView.js - Account settings (profile, password, sessions) and the active workspace
+import React, { useState } from 'react';
+import { useNhostClient, useUserData } from '@nhost/react';
+import { Lock, LogOut, User, Users, Trash2, Mail } from 'lucide-react';
+import { useToast } from './Toast';
+import { useWorkspaceMembers } from './useWorkspaces';
+import { ROLE_LABELS, ROLE_DESCRIPTIONS, assignableRoles, canManageMember, can, initials } from './workspaces';
+import { isValidEmail, normalizeEmail } from './sharing';
+
+const cardStyle = { background: '#fff', border: '1px solid #e2e8f0', borderRadius: 14, padding: '20px 24px', marginBottom: 16 };
+
+const inputStyle = {
+  width: '100%', padding: '9px 12px', border: '1px solid #e2e8f0', borderRadius: 8,
+  fontSize: 13, fontFamily: 'inherit', outline: 'none', color: '#0f172a'
+};
+
+const buttonStyle = (tone) => ({
+  display: 'flex', alignItems: 'center', gap: 6, padding: '8px 14px', borderRadius: 8, cursor: 'pointer',
+  fontSize: 13, fontWeight: 600, fontFamily: 'inherit',
+  background: tone === 'danger' ? '#fff' : '#1d4ed8', color: tone === 'danger' ? '#b91c1c' : '#fff',
+  border: tone === 'danger' ? '1px solid #fecaca' : 'none'
+});
+
+const SectionTitle = ({ icon, children }) => (
+  <div style={{ display: 'flex', alignItems: 'center', gap: 8, fontSize: 14, fontWeight: 700, color: '#0f172a', marginBottom: 14 }}>
+    {icon}{children}
+  </div>
+);
+
+const Field = ({ label, value }) => (
+  <div style={{ display: 'flex', gap: 12, fontSize: 13, padding: '6px 0' }}>
+    <span style={{ width: 120, color: '#64748b' }}>{label}</span>
+    <span style={{ color: '#0f172a', fontWeight: 500 }}>{value}</span>
+  </div>
+);
+
+const PasswordForm = () => {
+  const nhost = useNhostClient();
+  const { showToast } = useToast();
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    if (newPassword.length < 6) return setError('Password must be at least 6 characters.');
+    if (newPassword !== confirmPassword) return setError('Passwords do not match.');
+
+    setIsSaving(true);
+    try {
+      const { error: changeError } = await nhost.auth.changePassword({ newPassword });
+      if (changeError) throw new Error(changeError.message);
+      setNewPassword('');
+      setConfirmPassword('');
+      showToast({ tone: 'success', message: 'Password updated' });
+    } catch (err) {
+      setError(err.message || 'Failed to update password.');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ maxWidth: 360 }}>
+      <input type="password" value={newPassword} onChange={e => setNewPassword(e.target.value)}
+        placeholder="New password" autoComplete="new-password" style={{ ...inputStyle, marginBottom: 10 }} />
+      <input type="password" value={confirmPassword} onChange={e => setConfirmPassword(e.target.value)}
+        placeholder="Confirm new password" autoComplete="new-password" style={{ ...inputStyle, marginBottom: 12 }} />
+      {error && <div style={{ fontSize: 12, color: '#b91c1c', marginBottom: 10 }}>{error}</div>}
+      <button type="submit" disabled={isSaving || !newPassword} style={{ ...buttonStyle(), opacity: isSaving || !newPassword ? 0.6 : 1 }}>
+        {isSaving ? 'Saving…' : 'Update password'}
+      </button>
+    </form>
+  );
+};
+
+const rowStyle = { display: 'flex', alignItems: 'center', gap: 10, padding: '8px 0', borderTop: '1px solid #f1f5f9' };
+
+const RoleSelect = ({ value, roles, onChange }) => (
+  <select value={value} onChange={e => onChange(e.target.value)} style={{ ...inputStyle, width: 'auto', padding: '5px 8px', fontSize: 12 }}>
+    {roles.map(role => <option key={role} value={role} title={ROLE_DESCRIPTIONS[role]}>{ROLE_LABELS[role]}</option>)}
+  </select>
+);
+
+const WorkspaceNameForm = ({ name, onRename }) => {
+  const [draft, setDraft] = useState(name);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+    try {
+      await onRename(draft);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ display: 'flex', gap: 8, marginBottom: 16, maxWidth: 420 }}>
+      <input value={draft} onChange={e => setDraft(e.target.value)} style={inputStyle} />
+      <button type="submit" disabled={!draft.trim() || draft.trim() === name} style={{ ...buttonStyle(), opacity: !draft.trim() || draft.trim() === name ? 0.6 : 1, flexShrink: 0 }}>Rename</button>
+      {error && <div style={{ fontSize: 12, color: '#b91c1c', alignSelf: 'center' }}>{error}</div>}
+    </form>
+  );
+};
+
+const InviteForm = ({ roles, onInvite }) => {
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('analyst');
+  const [isSending, setIsSending] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!isValidEmail(normalizeEmail(email))) return setError('Enter a valid email address.');
+    setIsSending(true);
+    setError('');
+    try {
+      await onInvite(email, role);
+      setEmail('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ marginTop: 14 }}>
+      <div style={{ display: 'flex', gap: 8 }}>
+        <input type="email" value={email} onChange={e => setEmail(e.target.value)} placeholder="colleague@company.com" style={inputStyle} />
+        <RoleSelect value={role} roles={roles} onChange={setRole} />
+        <button type="submit" disabled={isSending || !email.trim()} style={{ ...buttonStyle(), flexShrink: 0, opacity: isSending || !email.trim() ? 0.6 : 1 }}>
+          <Mail size={13} /> {isSending ? 'Sending…' : 'Invite'}
+        </button>
+      </div>
+      {error && <div style={{ fontSize: 12, color: '#b91c1c', marginTop: 6 }}>{error}</div>}
+    </form>
+  );
+};
+
+const WorkspaceSettings = ({ workspace, role, userId }) => {
+  const team = useWorkspaceMembers({ workspaceId: workspace.id });
+
+  return (
+    <div style={cardStyle}>
+      <SectionTitle icon={<Users size={16} color="#2563eb" />}>Workspace · {workspace.name}</SectionTitle>
+      {can(role, 'renameWorkspace') && <WorkspaceNameForm key={workspace.id} name={workspace.name} onRename={team.rename} />}
+
+      {team.members.map(member => {
+        const isSelf = member.user_id === userId;
+        const manageable = !isSelf && canManageMember(role, member);
+        const label = member.user?.displayName && member.user.displayName !== member.user.email ? member.user.displayName : member.user?.email || 'Member';
+        return (
+          <div key={member.id} style={rowStyle}>
+            <div style={{ width: 28, height: 28, borderRadius: '50%', background: '#e0e7ff', color: '#3730a3', display: 'flex', alignItems: 'center', justifyContent: 'center', fontSize: 11, fontWeight: 700, flexShrink: 0 }}>
+              {initials(label)}
+            </div>
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ fontSize: 13, fontWeight: 600, color: '#0f172a' }}>{label}{isSelf && <span style={{ fontWeight: 400, color: '#94a3b8' }}> (you)</span>}</div>
+              {member.user?.email && label !== member.user.email && <div style={{ fontSize: 11, color: '#94a3b8' }}>{member.user.email}</div>}
+            </div>
+            {manageable ? (
+              <>
+                <RoleSelect value={member.role} roles={assignableRoles(role)} onChange={next => team.changeRole(member, next)} />
+                <button title="Remove from workspace" onClick={() => window.confirm(`Remove ${label} from ${workspace.name}?`) && team.removeMember(member)}
+                  style={{ display: 'flex', padding: 5, background: 'none', border: '1px solid #fecaca', borderRadius: 6, cursor: 'pointer', color: '#dc2626' }}>
+                  <Trash2 size={12} />
+                </button>
+              </>
+            ) : (
+              <span style={{ fontSize: 12, color: '#64748b' }}>{ROLE_LABELS[member.role]}</span>
+            )}
+          </div>
+        );
+      })}
+
+      {team.invites.map(entry => (
+        <div key={entry.id} style={rowStyle}>
+          <Mail size={14} color="#94a3b8" style={{ margin: '0 7px', flexShrink: 0 }} />
+          <div style={{ flex: 1, minWidth: 0, fontSize: 13, color: '#475569' }}>
+            {entry.email} <span style={{ fontSize: 11, color: '#94a3b8' }}>· invited as {ROLE_LABELS[entry.role]}</span>
+          </div>
+          {can(role, 'invite') && (
+            <button onClick={() => team.revokeInvite(entry)} style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: 12, color: '#dc2626', fontFamily: 'inherit' }}>Revoke</button>
+          )}
+        </div>
+      ))}
+
+      {can(role, 'invite') && <InviteForm roles={assignableRoles(role)} onInvite={team.invite} />}
+    </div>
+  );
+};
+
+// `workspace` is the active workspace and `role` the user's role in it
+export function SettingsView({ workspace = null, role = null, userId }) {
+  const nhost = useNhostClient();
+  const user = useUserData();
+
+  const handleSignOutEverywhere = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+    await nhost.auth.signOut({ all: true });
+  };
+
+  return (
+    <div style={{ maxWidth: 720, margin: '0 auto', animation: 'fadeIn 0.3s ease' }}>
+      <h2 style={{ fontSize: 24, fontWeight: 800, color: '#0f172a', letterSpacing: '-0.3px', marginBottom: 20 }}>Settings</h2>
+
+      <div style={cardStyle}>
+        <SectionTitle icon={<User size={16} color="#2563eb" />}>Account</SectionTitle>
+        <Field label="Email" value={user?.email || '—'} />
+        {user?.displayName && user.displayName !== user.email && <Field label="Name" value={user.displayName} />}
+        {user?.createdAt && (
+          <Field label="Member since" value={new Date(user.createdAt).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' })} />
+        )}
+      </div>
+
+      {workspace && <WorkspaceSettings workspace={workspace} role={role} userId={userId} />}
+
+      <div style={cardStyle}>
+        <SectionTitle icon={<Lock size={16} color="#2563eb" />}>Password</SectionTitle>
+        <PasswordForm />
+      </div>
+
+      <div style={cardStyle}>
+        <SectionTitle icon={<LogOut size={16} color="#2563eb" />}>Sessions</SectionTitle>
+        <p style={{ fontSize: 13, color: '#64748b', marginBottom: 12 }}>
+          Signed in on a shared or lost device? End every session at once.
+        </p>
+        <button onClick={handleSignOutEverywhere} style={buttonStyle('danger')}>
+          <LogOut size={14} /> Sign out everywhere
+        </button>
+      </div>
+    </div>
+  );
+}
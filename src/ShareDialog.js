@@ -0,0 +1,194 @@
+// ShareDialog.js - Owner's dialog for sharing an analysis with people or via a link
+import React, { useState } from 'react';
+import { X, Share2, Link2, Copy, Trash2, UserPlus, AlertCircle } from 'lucide-react';
+import { useChatSharing } from './useSharing';
+import { SHARE_ROLES, LINK_EXPIRY_OPTIONS, isValidEmail, normalizeEmail, linkStatus } from './sharing';
+import { routeUrl } from './router';
+import { useToast } from './Toast';
+
+const inputStyle = {
+  padding: '8px 10px', border: '1px solid #e2e8f0', borderRadius: 8, fontSize: 13,
+  fontFamily: 'inherit', outline: 'none', color: '#0f172a', background: '#fff'
+};
+
+const primaryButtonStyle = (disabled) => ({
+  display: 'flex', alignItems: 'center', gap: 5, padding: '8px 12px', border: 'none', borderRadius: 8,
+  background: disabled ? '#93c5fd' : '#1d4ed8', color: '#fff', fontSize: 13, fontWeight: 600,
+  cursor: disabled ? 'default' : 'pointer', fontFamily: 'inherit', flexShrink: 0
+});
+
+const iconButtonStyle = {
+  display: 'flex', padding: 5, background: 'none', border: '1px solid #e2e8f0', borderRadius: 6, cursor: 'pointer', color: '#64748b'
+};
+
+const LINK_STATUS_STYLES = {
+  active: { label: 'Active', color: '#15803d', background: '#f0fdf4' },
+  expired: { label: 'Expired', color: '#64748b', background: '#f1f5f9' },
+  revoked: { label: 'Revoked', color: '#b91c1c', background: '#fef2f2' },
+};
+
+const SectionLabel = ({ icon, children }) => (
+  <div style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: 12, fontWeight: 700, color: '#334155', marginBottom: 10 }}>
+    {icon}{children}
+  </div>
+);
+
+const PeopleSection = ({ sharing }) => {
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('view');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleShare = async (e) => {
+    e.preventDefault();
+    if (!isValidEmail(normalizeEmail(email))) return setError('Enter a valid email address.');
+    setIsSaving(true);
+    setError('');
+    try {
+      await sharing.share(email, role);
+      setEmail('');
+    } catch (err) {
+      console.error("Share Error:", err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div style={{ marginBottom: 22 }}>
+      <SectionLabel icon={<UserPlus size={13} />}>People</SectionLabel>
+      <form onSubmit={handleShare} style={{ display: 'flex', gap: 6 }}>
+        <input type="email" value={email} onChange={e => setEmail(e.target.value)} placeholder="teammate@company.com"
+          style={{ ...inputStyle, flex: 1, minWidth: 0 }} />
+        <select value={role} onChange={e => setRole(e.target.value)} style={inputStyle}>
+          {SHARE_ROLES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+        </select>
+        <button type="submit" disabled={isSaving || !email.trim()} style={primaryButtonStyle(isSaving || !email.trim())}>
+          {isSaving ? 'Sharing…' : 'Share'}
+        </button>
+      </form>
+      {error && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 5, fontSize: 12, color: '#b91c1c', marginTop: 6 }}>
+          <AlertCircle size={12} /> {error}
+        </div>
+      )}
+
+      {sharing.shares.length > 0 && (
+        <div style={{ marginTop: 10, border: '1px solid #f1f5f9', borderRadius: 8 }}>
+          {sharing.shares.map((entry, i) => (
+            <div key={entry.id} style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '8px 10px', borderTop: i ? '1px solid #f1f5f9' : 'none' }}>
+              <span style={{ flex: 1, minWidth: 0, fontSize: 13, color: '#0f172a', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{entry.email}</span>
+              <select value={entry.role} onChange={e => sharing.changeRole(entry, e.target.value)} style={{ ...inputStyle, padding: '4px 6px', fontSize: 12 }}>
+                {SHARE_ROLES.map(r => <option key={r.id} value={r.id}>{r.label}</option>)}
+              </select>
+              <button title="Remove access" onClick={() => sharing.unshare(entry)} style={{ ...iconButtonStyle, color: '#dc2626' }}>
+                <Trash2 size={12} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+const LinkSection = ({ sharing }) => {
+  const { showToast } = useToast();
+  const [days, setDays] = useState(LINK_EXPIRY_OPTIONS[1].days);
+  const [isCreating, setIsCreating] = useState(false);
+  const [error, setError] = useState('');
+
+  const copyLink = async (token) => {
+    try {
+      await navigator.clipboard.writeText(routeUrl({ name: 'shared', token }));
+      showToast({ tone: 'success', message: 'Link copied to clipboard' });
+    } catch (err) {
+      showToast({ tone: 'error', message: `Could not copy the link: ${err.message}` });
+    }
+  };
+
+  const handleCreate = async () => {
+    setIsCreating(true);
+    setError('');
+    try {
+      await copyLink(await sharing.createLink(days));
+    } catch (err) {
+      console.error("Create Link Error:", err);
+      setError(err.message);
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  return (
+    <div>
+      <SectionLabel icon={<Link2 size={13} />}>Read-only link</SectionLabel>
+      <p style={{ fontSize: 12, color: '#64748b', marginBottom: 10, lineHeight: 1.5 }}>
+        Anyone with the link can read the results without signing in, until it expires or you revoke it.
+      </p>
+      <div style={{ display: 'flex', gap: 6 }}>
+        <select value={days} onChange={e => setDays(Number(e.target.value))} style={{ ...inputStyle, flex: 1 }}>
+          {LINK_EXPIRY_OPTIONS.map(option => <option key={option.days} value={option.days}>Expires in {option.label}</option>)}
+        </select>
+        <button onClick={handleCreate} disabled={isCreating} style={primaryButtonStyle(isCreating)}>
+          {isCreating ? 'Creating…' : 'Create & copy link'}
+        </button>
+      </div>
+      {error && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 5, fontSize: 12, color: '#b91c1c', marginTop: 6 }}>
+          <AlertCircle size={12} /> {error}
+        </div>
+      )}
+
+      {sharing.links.length > 0 && (
+        <div style={{ marginTop: 10, border: '1px solid #f1f5f9', borderRadius: 8 }}>
+          {sharing.links.map((link, i) => {
+            const status = linkStatus(link);
+            const tone = LINK_STATUS_STYLES[status];
+            return (
+              <div key={link.id} style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '8px 10px', borderTop: i ? '1px solid #f1f5f9' : 'none', opacity: status === 'active' ? 1 : 0.7 }}>
+                <span style={{ fontSize: 11, fontWeight: 600, padding: '1px 7px', borderRadius: 99, color: tone.color, background: tone.background }}>{tone.label}</span>
+                <span style={{ flex: 1, fontSize: 12, color: '#475569' }}>
+                  {status === 'active' && 'Expires '}
+                  {new Date(status === 'revoked' ? link.revoked_at : link.expires_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}
+                </span>
+                {status === 'active' && (
+                  <>
+                    <button title="Copy link" onClick={() => copyLink(link.token)} style={iconButtonStyle}><Copy size={12} /></button>
+                    <button title="Revoke link" onClick={() => sharing.revoke(link)} style={{ ...iconButtonStyle, color: '#dc2626' }}><X size={12} /></button>
+                  </>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export function ShareDialog({ chat, onClose }) {
+  const sharing = useChatSharing({ chatId: chat.id });
+
+  return (
+    <div onClick={onClose} style={{ position: 'fixed', inset: 0, zIndex: 50, background: 'rgba(15,23,42,0.35)', display: 'flex', alignItems: 'flex-start', justifyContent: 'center', padding: '10vh 16px' }}>
+      <div onClick={e => e.stopPropagation()} role="dialog" aria-label="Share analysis"
+        style={{ width: '100%', maxWidth: 500, background: '#fff', borderRadius: 14, boxShadow: '0 20px 50px rgba(15,23,42,0.25)', animation: 'fadeIn 0.15s ease' }}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: 10, padding: '16px 20px', borderBottom: '1px solid #f1f5f9' }}>
+          <Share2 size={16} color="#2563eb" />
+          <span style={{ flex: 1, minWidth: 0, fontSize: 15, fontWeight: 700, color: '#0f172a', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+            Share “{chat.title || chat.file_name || 'Untitled Document'}”
+          </span>
+          <button onClick={onClose} style={{ background: 'none', border: 'none', cursor: 'pointer', color: '#94a3b8', display: 'flex', padding: 0 }}>
+            <X size={16} />
+          </button>
+        </div>
+        <div style={{ padding: '18px 20px 20px' }}>
+          <PeopleSection sharing={sharing} />
+          <LinkSection sharing={sharing} />
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+// SharedResultPage.js - Public, read-only view of an analysis opened through a share link
+import React, { useMemo } from 'react';
+import { BarChart3, Link2, AlertCircle } from 'lucide-react';
+import { AnalysisResult } from './AnalysisResult';
+import { useSharedResult } from './useSharing';
+import { extractMetrics } from './metrics';
+import { extractRiskFlags } from './risks';
+
+const formatDate = (value) => new Date(value).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+
+export function SharedResultPage({ token }) {
+  const { chat, expiresAt, loading, error } = useSharedResult({ token });
+  // Only the prose is shown; the metrics and risks blocks would read as raw JSON here
+  const reportText = useMemo(
+    () => extractRiskFlags(extractMetrics(chat?.analysis_result || '').text).text,
+    [chat?.analysis_result]
+  );
+
+  return (
+    <div style={{ minHeight: '100vh', background: '#f8fafc', fontFamily: "'DM Sans', -apple-system, sans-serif", padding: '32px 16px' }}>
+      <style>{`
+        @import url('https://fonts.googleapis.com/css2?family=DM+Sans:wght@400;500;600;700;800&display=swap');
+        @keyframes spin { to { transform: rotate(360deg); } }
+        @keyframes fadeIn { from { opacity: 0; transform: translateY(10px); } to { opacity: 1; transform: translateY(0); } }
+        * { box-sizing: border-box; margin: 0; padding: 0; }
+      `}</style>
+
+      <div style={{ maxWidth: 860, margin: '0 auto' }}>
+        <div style={{ display: 'inline-flex', alignItems: 'center', gap: 10, marginBottom: 24, background: '#fff', padding: '8px 16px', borderRadius: 100, border: '1px solid #e2e8f0' }}>
+          <div style={{ background: '#1d4ed8', padding: '5px', borderRadius: 6, display: 'flex' }}>
+            <BarChart3 size={16} color="#fff" />
+          </div>
+          <span style={{ fontWeight: 700, color: '#0f172a', fontSize: 15 }}>Wingify</span>
+        </div>
+
+        {loading ? (
+          <div style={{ display: 'flex', justifyContent: 'center', paddingTop: 80 }}>
+            <div style={{ width: 36, height: 36, border: '3px solid #bfdbfe', borderTopColor: '#2563eb', borderRadius: '50%', animation: 'spin 0.8s linear infinite' }} />
+          </div>
+        ) : !chat || error ? (
+          <div style={{ background: '#fff', border: '1px solid #e2e8f0', borderRadius: 14, padding: '48px 32px', textAlign: 'center' }}>
+            <AlertCircle size={36} color="#94a3b8" style={{ margin: '0 auto 14px', display: 'block' }} />
+            <h2 style={{ fontSize: 18, fontWeight: 700, color: '#0f172a', marginBottom: 6 }}>This link is no longer available</h2>
+            <p style={{ fontSize: 14, color: '#64748b' }}>It may have expired or been revoked. Ask the person who shared it for a new one.</p>
+          </div>
+        ) : (
+          <div style={{ background: '#fff', border: '1px solid #e2e8f0', borderRadius: 14, overflow: 'hidden', animation: 'fadeIn 0.3s ease' }}>
+            <div style={{ padding: '22px 24px', borderBottom: '1px solid #e2e8f0', background: '#f8fafc' }}>
+              <h1 style={{ fontSize: 20, fontWeight: 800, color: '#0f172a', lineHeight: 1.3, wordBreak: 'break-word' }}>
+                {chat.title || chat.file_name || 'Untitled Document'}
+              </h1>
+              {chat.title && chat.file_name && <div style={{ fontSize: 12, color: '#64748b', marginTop: 2 }}>{chat.file_name}</div>}
+              {chat.query && <p style={{ fontSize: 13, color: '#1e40af', fontStyle: 'italic', marginTop: 10 }}>"{chat.query}"</p>}
+              <p style={{ fontSize: 12, color: '#94a3b8', marginTop: 8 }}>Analyzed {formatDate(chat.created_at)}</p>
+            </div>
+            <div style={{ padding: 24 }}>
+              {chat.status === 'completed' && reportText
+                ? <AnalysisResult text={reportText} rawText={chat.analysis_result} idPrefix="shared" />
+                : <p style={{ fontSize: 14, color: '#64748b' }}>This analysis has no results yet.</p>}
+            </div>
+          </div>
+        )}
+
+        {chat && expiresAt && (
+          <div style={{ display: 'flex', alignItems: 'center', gap: 6, justifyContent: 'center', fontSize: 12, color: '#94a3b8', marginTop: 16 }}>
+            <Link2 size={12} /> Read-only link · expires {formatDate(expiresAt)}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,42 @@
+import { render, screen } from '@testing-library/react';
+import { ApolloClient, ApolloLink, ApolloProvider, InMemoryCache, Observable } from '@apollo/client';
+import { NhostClient, NhostProvider } from '@nhost/react';
+import { SharedResultPage } from './SharedResultPage';
+
+const sharedLink = (title) => ({
+  share_links: [{
+    __typename: 'share_links',
+    expires_at: '2099-01-01T00:00:00Z',
+    chat: { __typename: 'chats', title, file_name: 'q3.pdf', query: 'Risks?', status: 'completed', created_at: '2024-05-01T00:00:00Z', analysis_result: 'All good.' },
+  }],
+});
+
+// Stands in for the signed-in app client, which sends the user's JWT; the page must not use it
+const sessionClient = () => new ApolloClient({
+  link: new ApolloLink(() => Observable.of({ data: sharedLink("Owner's other analysis") })),
+  cache: new InMemoryCache(),
+});
+
+test('resolves the link anonymously by its token even when someone is signed in', async () => {
+  global.fetch = jest.fn(async () => new Response(JSON.stringify({ data: sharedLink('Shared Q3 review') }), {
+    headers: { 'Content-Type': 'application/json' },
+  }));
+  const nhost = new NhostClient({ subdomain: 'local', autoSignIn: false, autoRefreshToken: false });
+
+  render(
+    <NhostProvider nhost={nhost}>
+      <ApolloProvider client={sessionClient()}>
+        <SharedResultPage token="tok_123" />
+      </ApolloProvider>
+    </NhostProvider>
+  );
+
+  expect(await screen.findByText('Shared Q3 review')).toBeInTheDocument();
+  expect(screen.queryByText("Owner's other analysis")).not.toBeInTheDocument();
+
+  const [url, request] = global.fetch.mock.calls[0];
+  expect(url).toBe(nhost.graphql.httpUrl);
+  expect(request.headers).toMatchObject({ 'x-hasura-role': 'public', 'x-hasura-share-token': 'tok_123' });
+  expect(request.headers.authorization).toBeUndefined();
+  expect(JSON.parse(request.body).variables).toEqual({ token: 'tok_123' });
+});
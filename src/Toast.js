@@ -0,0 +1,77 @@
+// Toast.js - Lightweight in-app toasts with an optional action (e.g. Undo)
+import React, { createContext, useCallback, useContext, useRef, useState } from 'react';
+import { CheckCircle, AlertCircle, Info, X } from 'lucide-react';
+
+const ToastContext = createContext(null);
+
+const TONES = {
+  success: { icon: <CheckCircle size={16} color="#4ade80" />, accent: '#16a34a' },
+  error: { icon: <AlertCircle size={16} color="#f87171" />, accent: '#dc2626' },
+  info: { icon: <Info size={16} color="#60a5fa" />, accent: '#2563eb' },
+};
+
+let nextToastId = 0;
+
+export function ToastProvider({ children }) {
+  const [toasts, setToasts] = useState([]);
+  const timers = useRef({});
+
+  const dismiss = useCallback((id) => {
+    clearTimeout(timers.current[id]);
+    delete timers.current[id];
+    setToasts(list => list.filter(t => t.id !== id));
+  }, []);
+
+  // showToast({ message, tone, action: { label, onClick }, durationMs, onClick }) → id
+  const showToast = useCallback(({ durationMs = 5000, ...toast }) => {
+    const id = ++nextToastId;
+    setToasts(list => [...list.slice(-4), { id, tone: 'info', ...toast }]);
+    if (durationMs) timers.current[id] = setTimeout(() => dismiss(id), durationMs);
+    return id;
+  }, [dismiss]);
+
+  return (
+    <ToastContext.Provider value={{ showToast, dismissToast: dismiss }}>
+      {children}
+      <div style={{ position: 'fixed', right: 24, bottom: 24, zIndex: 1000, display: 'flex', flexDirection: 'column', gap: 10, pointerEvents: 'none' }}>
+        {toasts.map(toast => {
+          const tone = TONES[toast.tone] || TONES.info;
+          return (
+            <div key={toast.id} role="status" style={{
+              pointerEvents: 'auto', display: 'flex', alignItems: 'center', gap: 10, minWidth: 280, maxWidth: 380,
+              background: '#0f172a', color: '#f8fafc', borderRadius: 10, padding: '12px 14px',
+              borderLeft: `3px solid ${tone.accent}`, boxShadow: '0 10px 30px rgba(15,23,42,0.25)',
+              fontFamily: "'DM Sans', -apple-system, sans-serif", animation: 'fadeIn 0.2s ease',
+              cursor: toast.onClick ? 'pointer' : 'default'
+            }}
+              onClick={() => { if (toast.onClick) { toast.onClick(); dismiss(toast.id); } }}
+            >
+              <span style={{ display: 'flex', flexShrink: 0 }}>{tone.icon}</span>
+              <span style={{ flex: 1, fontSize: 13, lineHeight: 1.4 }}>{toast.message}</span>
+              {toast.action && (
+                <button
+                  onClick={e => { e.stopPropagation(); toast.action.onClick(); dismiss(toast.id); }}
+                  style={{ background: 'none', border: 'none', color: '#93c5fd', fontSize: 13, fontWeight: 700, cursor: 'pointer', fontFamily: 'inherit', padding: 0 }}
+                >
+                  {toast.action.label}
+                </button>
+              )}
+              <button
+                onClick={e => { e.stopPropagation(); dismiss(toast.id); }}
+                style={{ background: 'none', border: 'none', color: '#64748b', cursor: 'pointer', display: 'flex', padding: 0 }}
+              >
+                <X size={14} />
+              </button>
+            </div>
+          );
+        })}
+      </div>
+    </ToastContext.Provider>
+  );
+}
+
+export const useToast = () => {
+  const context = useContext(ToastContext);
+  if (!context) throw new Error('useToast must be used inside <ToastProvider>');
+  return context;
+};
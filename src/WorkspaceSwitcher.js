@@ -0,0 +1,148 @@
+// WorkspaceSwitcher.js - Sidebar footer: who is signed in, the active workspace and a switcher
+import React, { useState } from 'react';
+import { Check, ChevronDown, Plus, Settings, Mail, AlertCircle } from 'lucide-react';
+import { ROLE_LABELS, initials } from './workspaces';
+
+const menuItemStyle = {
+  display: 'flex', alignItems: 'center', gap: 8, width: '100%', textAlign: 'left', padding: '8px 10px',
+  background: 'none', border: 'none', borderRadius: 6, fontSize: 13, color: '#334155', cursor: 'pointer', fontFamily: 'inherit'
+};
+
+const sectionLabelStyle = {
+  fontSize: 10, fontWeight: 700, color: '#94a3b8', textTransform: 'uppercase', letterSpacing: '0.08em', padding: '8px 10px 4px'
+};
+
+const hover = {
+  onMouseEnter: e => { e.currentTarget.style.background = '#f1f5f9'; },
+  onMouseLeave: e => { e.currentTarget.style.background = 'none'; },
+};
+
+const CreateWorkspaceForm = ({ onCreate, onCancel }) => {
+  const [name, setName] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setIsSaving(true);
+    setError('');
+    try {
+      await onCreate(name);
+    } catch (err) {
+      console.error("Create Workspace Error:", err);
+      setError(err.message);
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={{ padding: '6px 10px 8px' }}>
+      <input autoFocus value={name} onChange={e => setName(e.target.value)} placeholder="Workspace name" disabled={isSaving}
+        onKeyDown={e => { if (e.key === 'Escape') onCancel(); }}
+        style={{ width: '100%', padding: '7px 9px', border: '1px solid #bfdbfe', borderRadius: 6, fontSize: 13, fontFamily: 'inherit', outline: 'none' }} />
+      {error && (
+        <div style={{ display: 'flex', alignItems: 'center', gap: 4, fontSize: 11, color: '#b91c1c', marginTop: 5 }}>
+          <AlertCircle size={11} /> {error}
+        </div>
+      )}
+      <div style={{ display: 'flex', justifyContent: 'flex-end', gap: 8, marginTop: 6 }}>
+        <button type="button" onClick={onCancel} style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: 12, color: '#64748b', fontFamily: 'inherit' }}>Cancel</button>
+        <button type="submit" disabled={isSaving || !name.trim()}
+          style={{ padding: '5px 10px', background: '#1d4ed8', color: '#fff', border: 'none', borderRadius: 6, fontSize: 12, fontWeight: 600, cursor: 'pointer', fontFamily: 'inherit', opacity: isSaving || !name.trim() ? 0.6 : 1 }}>
+          {isSaving ? 'Creating…' : 'Create'}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+// `workspace` is the result of useWorkspaces; `onSwitch(id)` changes the active
+// workspace and `onManage` opens its settings
+export function WorkspaceSwitcher({ user, workspace, onSwitch, onManage }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [isCreating, setIsCreating] = useState(false);
+  const displayName = user?.displayName && user.displayName !== user.email ? user.displayName : user?.email || '';
+
+  const close = () => {
+    setIsOpen(false);
+    setIsCreating(false);
+  };
+
+  return (
+    <div style={{ position: 'relative', padding: '10px 12px', borderTop: '1px solid #f1f5f9', background: '#fafafa' }}>
+      <button onClick={() => setIsOpen(!isOpen)}
+        style={{ display: 'flex', alignItems: 'center', gap: 10, width: '100%', padding: 4, background: 'none', border: 'none', borderRadius: 8, cursor: 'pointer', fontFamily: 'inherit', textAlign: 'left' }}>
+        <div style={{
+          width: 34, height: 34, borderRadius: '50%', position: 'relative',
+          background: 'linear-gradient(135deg, #1e40af, #3b82f6)',
+          display: 'flex', alignItems: 'center', justifyContent: 'center',
+          color: '#fff', fontSize: 13, fontWeight: 700, flexShrink: 0
+        }}>
+          {initials(displayName)}
+          {workspace.invites.length > 0 && (
+            <span style={{ position: 'absolute', top: -2, right: -2, width: 10, height: 10, borderRadius: '50%', background: '#f59e0b', border: '2px solid #fafafa' }} />
+          )}
+        </div>
+        <div style={{ flex: 1, minWidth: 0 }}>
+          <div style={{ fontSize: 13, fontWeight: 600, color: '#1e293b', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{displayName}</div>
+          <div style={{ fontSize: 11, color: '#94a3b8', whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+            {workspace.active ? `${workspace.active.name} · ${ROLE_LABELS[workspace.role]}` : 'Setting up your workspace…'}
+          </div>
+        </div>
+        <ChevronDown size={14} color="#94a3b8" style={{ transform: isOpen ? 'rotate(180deg)' : 'none', flexShrink: 0 }} />
+      </button>
+
+      {isOpen && (
+        <>
+          <div onClick={close} style={{ position: 'fixed', inset: 0, zIndex: 10 }} />
+          <div style={{
+            position: 'absolute', left: 10, right: 10, bottom: 'calc(100% - 4px)', zIndex: 11, maxHeight: 420, overflowY: 'auto',
+            background: '#fff', border: '1px solid #e2e8f0', borderRadius: 10, padding: 4,
+            boxShadow: '0 -8px 24px rgba(15,23,42,0.12)', animation: 'fadeIn 0.12s ease'
+          }}>
+            {workspace.invites.length > 0 && (
+              <div>
+                <div style={sectionLabelStyle}>Invitations</div>
+                {workspace.invites.map(invite => (
+                  <div key={invite.id} style={{ display: 'flex', alignItems: 'center', gap: 8, padding: '6px 10px' }}>
+                    <Mail size={13} color="#d97706" style={{ flexShrink: 0 }} />
+                    <div style={{ flex: 1, minWidth: 0, fontSize: 12, color: '#334155' }}>
+                      <div style={{ fontWeight: 600, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis' }}>{invite.workspace?.name || 'A workspace'}</div>
+                      <div style={{ fontSize: 11, color: '#94a3b8' }}>as {ROLE_LABELS[invite.role]}</div>
+                    </div>
+                    <button onClick={() => workspace.declineInvite(invite)} style={{ background: 'none', border: 'none', cursor: 'pointer', fontSize: 11, color: '#64748b', fontFamily: 'inherit', padding: 0 }}>Decline</button>
+                    <button onClick={() => { workspace.acceptInvite(invite); close(); }}
+                      style={{ padding: '3px 8px', background: '#1d4ed8', color: '#fff', border: 'none', borderRadius: 5, fontSize: 11, fontWeight: 600, cursor: 'pointer', fontFamily: 'inherit' }}>
+                      Join
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div style={sectionLabelStyle}>Workspaces</div>
+            {workspace.workspaces.map(w => (
+              <button key={w.id} onClick={() => { onSwitch(w.id); close(); }} style={menuItemStyle} {...hover}>
+                <span style={{ flex: 1, minWidth: 0, whiteSpace: 'nowrap', overflow: 'hidden', textOverflow: 'ellipsis', fontWeight: w.id === workspace.active?.id ? 600 : 400 }}>{w.name}</span>
+                <span style={{ fontSize: 11, color: '#94a3b8' }}>{ROLE_LABELS[w.role]}</span>
+                {w.id === workspace.active?.id ? <Check size={13} color="#2563eb" /> : <span style={{ width: 13 }} />}
+              </button>
+            ))}
+
+            <div style={{ borderTop: '1px solid #f1f5f9', marginTop: 4, paddingTop: 4 }}>
+              {isCreating ? (
+                <CreateWorkspaceForm onCreate={async (name) => { await workspace.create(name); close(); }} onCancel={() => setIsCreating(false)} />
+              ) : (
+                <button onClick={() => setIsCreating(true)} style={menuItemStyle} {...hover}><Plus size={13} /> New workspace</button>
+              )}
+              {workspace.active && (
+                <button onClick={() => { onManage(); close(); }} style={menuItemStyle} {...hover}><Settings size={13} /> Workspace settings</button>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+// analysisService.js - Client for the CrewAI analysis service on Render
+import { isAbortError, sleep } from './utils';
+
+export const RENDER_API_URL = "https://wingify-crewai-correct-code.onrender.com/analyze";
+
+export const DEFAULT_QUERY = "Analyze financial trends and risks";
+
+// Render spins the free instance down when idle; the first request after that
+// fails with a 502/503/504 (or a dropped connection) while it boots.
+const RETRY_DEFAULTS = { maxAttempts: 5, baseDelayMs: 2000, maxDelayMs: 30000 };
+
+export class AnalysisServiceError extends Error {
+  constructor(message, { status = null, transient = false } = {}) {
+    super(message);
+    this.name = 'AnalysisServiceError';
+    this.status = status;
+    this.transient = transient;
+  }
+}
+
+const isTransientStatus = (status) => status >= 500 || status === 408 || status === 429;
+
+export const backoffDelay = (attempt, { baseDelayMs, maxDelayMs } = RETRY_DEFAULTS) => {
+  const exponential = baseDelayMs * 2 ** (attempt - 1);
+  // ±20% jitter so a batch of retries doesn't hit a cold instance in lockstep
+  const jitter = exponential * 0.2 * (Math.random() * 2 - 1);
+  return Math.min(maxDelayMs, Math.round(exponential + jitter));
+};
+
+const postAnalysis = async (body, signal) => {
+  let response;
+  try {
+    response = await fetch(RENDER_API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    throw new AnalysisServiceError(`Analysis service unreachable: ${err.message}`, { transient: true });
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text().catch(() => 'Unknown error');
+    throw new AnalysisServiceError(`Analysis service failed: ${response.status} - ${errorText}`, {
+      status: response.status,
+      transient: isTransientStatus(response.status),
+    });
+  }
+};
+
+// Posts a job to the analysis service. `history` carries the prior turns of a thread
+// as { role, content } pairs so follow-up questions keep their context. `fileType`
+// is the detected input type id (see inputTypes.js); the service picks its parser from it.
+// `ocr` asks for OCR of image-only pages and `password` opens a protected PDF. The
+// password is never stored with the chat, so later runs against a locked PDF fail.
+// Aborting `signal` cancels the request and any backoff wait with an AbortError.
+// Transient failures are retried with exponential backoff; `onRetry` is called
+// with { attempt, maxAttempts, delayMs, error } before each wait.
+export const requestAnalysis = async ({ chatId, fileId, userId, query, fileType = null, ocr = false, password = null, parentId = null, history = [], onRetry, retry = {}, signal }) => {
+  const options = { ...RETRY_DEFAULTS, ...retry };
+  const body = {
+    chat_id: chatId,
+    file_id: fileId,
+    user_id: userId,
+    query,
+    file_type: fileType,
+    ocr,
+    password,
+    parent_id: parentId,
+    history,
+  };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await postAnalysis(body, signal);
+    } catch (err) {
+      if (!err.transient || attempt >= options.maxAttempts) throw err;
+      const delayMs = backoffDelay(attempt, options);
+      if (onRetry) onRetry({ attempt, maxAttempts: options.maxAttempts, delayMs, error: err });
+      await sleep(delayMs, signal);
+    }
+  }
+};
+
+// Only completed turns are useful context for the agents.
+export const buildThreadHistory = (thread) => thread
+  .filter(turn => turn.status === 'completed' && turn.analysis_result)
+  .flatMap(turn => [
+    { role: 'user', content: turn.query },
+    { role: 'assistant', content: turn.analysis_result },
+  ]);
@@ -0,0 +1,52 @@
+import { requestAnalysis, backoffDelay, buildThreadHistory } from './analysisService';
+import { sleep } from './utils';
+
+jest.mock('./utils', () => ({ ...jest.requireActual('./utils'), sleep: jest.fn(() => Promise.resolve()) }));
+
+const reply = (status, text = '') => ({ ok: status < 300, status, text: async () => text });
+const job = { chatId: 'c1', fileId: 'f1', userId: 'u1', query: 'Risks?' };
+
+beforeEach(() => {
+  sleep.mockClear();
+  jest.spyOn(Math, 'random').mockReturnValue(0.5);
+});
+
+afterEach(() => Math.random.mockRestore());
+
+test('retries a cold instance with growing delays until it answers', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(reply(503))
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    .mockResolvedValueOnce(reply(200));
+  const onRetry = jest.fn();
+
+  await requestAnalysis({ ...job, onRetry });
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+  expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([2000, 4000]);
+  expect(onRetry.mock.calls.map(([info]) => [info.attempt, info.maxAttempts, info.delayMs])).toEqual([[1, 5, 2000], [2, 5, 4000]]);
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({ chat_id: 'c1', file_id: 'f1', user_id: 'u1', query: 'Risks?' });
+});
+
+test('fails at once on client errors and after the last attempt otherwise', async () => {
+  global.fetch = jest.fn().mockResolvedValue(reply(400, 'bad file'));
+  await expect(requestAnalysis(job)).rejects.toMatchObject({ status: 400, transient: false, message: 'Analysis service failed: 400 - bad file' });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+
+  global.fetch = jest.fn().mockResolvedValue(reply(502));
+  await expect(requestAnalysis({ ...job, retry: { maxAttempts: 3 } })).rejects.toMatchObject({ status: 502, transient: true });
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+  expect(sleep).toHaveBeenCalledTimes(2);
+});
+
+test('caps backoff with jitter and keeps only completed turns as history', () => {
+  Math.random.mockReturnValue(1);
+  expect(backoffDelay(1)).toBe(2400);
+  expect(backoffDelay(6)).toBe(30000);
+  Math.random.mockReturnValue(0);
+  expect(backoffDelay(2)).toBe(3200);
+
+  expect(buildThreadHistory([
+    { status: 'completed', query: 'Q1', analysis_result: 'A1' },
+    { status: 'failed', query: 'Q2', analysis_result: null },
+  ])).toEqual([{ role: 'user', content: 'Q1' }, { role: 'assistant', content: 'A1' }]);
+});
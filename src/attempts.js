@@ -0,0 +1,53 @@
+// attempts.js - The per-chat attempt log behind "Try Again" and the attempt history
+//
+// chats.attempts is a jsonb array with one entry per run after the first:
+//   { attempt: 2, at, query, previous_query }            written when a retry starts
+// and the run's failure is merged into its own entry (the original submission, #1,
+// gets an entry only when it fails):
+//   { attempt, at, ..., error, cause, failed_at }
+// Older rows may hold the failure as a second entry with the same number; the history
+// merges those too.
+
+export const FAILURE_CAUSES = {
+  unreachable: 'could not reach the analysis service',
+  rejected: 'the analysis service rejected the request',
+  'service-error': 'the analysis service failed',
+  other: 'failed',
+};
+
+// Sorts an error from an analysis run into one of FAILURE_CAUSES
+export const failureCause = (err) => {
+  if (err?.name !== 'AnalysisServiceError') return 'other';
+  if (!err.status) return 'unreachable';
+  return err.transient ? 'service-error' : 'rejected';
+};
+
+export const nextAttemptNumber = (attempts = []) => Math.max(1, ...attempts.map(entry => entry.attempt || 1)) + 1;
+
+// The log with `err` recorded against attempt `number`, ready to `_set`
+export const withAttemptFailure = (attempts = [], number, err, now = new Date().toISOString()) => {
+  const failure = { error: err.message, cause: failureCause(err), failed_at: now };
+  return attempts.some(entry => entry.attempt === number)
+    ? attempts.map(entry => (entry.attempt === number ? { ...entry, ...failure } : entry))
+    : [...attempts, { attempt: number, at: now, ...failure }];
+};
+
+// One row per attempt, oldest first, starting with the original submission
+export const attemptRows = (chat) => {
+  const byNumber = new Map([[1, { attempt: 1, at: chat.created_at, original: true }]]);
+  (chat.attempts || []).forEach(entry => {
+    const number = entry.attempt || 1;
+    const { at, ...rest } = entry;
+    const known = byNumber.get(number);
+    byNumber.set(number, known ? { ...known, ...rest } : entry);
+  });
+  return [...byNumber.values()].sort((a, b) => a.attempt - b.attempt);
+};
+
+export const describeAttempt = (row) => {
+  if (row.error) return `${FAILURE_CAUSES[row.cause] || FAILURE_CAUSES.other} (${row.error})`;
+  if (row.original) return 'original submission';
+  return row.previous_query && row.previous_query !== row.query
+    ? `retried with edited query "${row.query}"`
+    : 'retried';
+};
@@ -0,0 +1,37 @@
+import { nextAttemptNumber, withAttemptFailure, attemptRows, describeAttempt, failureCause } from './attempts';
+
+const serviceError = (status, transient) => Object.assign(new Error(`Analysis service failed: ${status}`), { name: 'AnalysisServiceError', status, transient });
+
+test('numbers retries after the highest logged attempt', () => {
+  expect(nextAttemptNumber([])).toBe(2);
+  expect(nextAttemptNumber([{ attempt: 1, error: 'x' }])).toBe(2);
+  expect(nextAttemptNumber([{ attempt: 2 }, { attempt: 3 }, { attempt: 2 }])).toBe(4);
+});
+
+test('records a failure in its own attempt entry with the real cause', () => {
+  const log = [{ attempt: 2, at: 't1', query: 'Q' }];
+  expect(withAttemptFailure(log, 2, serviceError(422, false), 't2')).toEqual([
+    { attempt: 2, at: 't1', query: 'Q', error: 'Analysis service failed: 422', cause: 'rejected', failed_at: 't2' },
+  ]);
+  expect(withAttemptFailure([], 1, new TypeError('boom'), 't0')).toEqual([
+    { attempt: 1, at: 't0', error: 'boom', cause: 'other', failed_at: 't0' },
+  ]);
+  expect(failureCause(serviceError(503, true))).toBe('service-error');
+  expect(failureCause(Object.assign(new Error('down'), { name: 'AnalysisServiceError', status: null }))).toBe('unreachable');
+});
+
+test('shows one row per attempt, merging older duplicate failure entries', () => {
+  const rows = attemptRows({
+    created_at: 't0',
+    attempts: [
+      { attempt: 1, at: 't1', error: 'timeout' },
+      { attempt: 2, at: 't2', query: 'New', previous_query: 'Old' },
+      { attempt: 2, at: 't3', error: 'HTTP 400', cause: 'rejected' },
+    ],
+  });
+  expect(rows.map(row => [row.attempt, row.at])).toEqual([[1, 't0'], [2, 't2']]);
+  expect(describeAttempt(rows[0])).toBe('failed (timeout)');
+  expect(describeAttempt(rows[1])).toBe('the analysis service rejected the request (HTTP 400)');
+  expect(describeAttempt(attemptRows({ created_at: 't0', attempts: [{ attempt: 2, at: 't1', query: 'New', previous_query: 'Old' }] })[1]))
+    .toBe('retried with edited query "New"');
+});
@@ -0,0 +1,67 @@
+// comments.js - Text anchors, @mentions and threading for comments on a report
+//
+// A comment is anchored by the text it highlights plus a little text on either side,
+// not by character offsets: offsets shift whenever the report is re-rendered with a
+// section collapsed or the contents shown, the quote and its context don't.
+
+const CONTEXT_LENGTH = 32;
+
+// `text` is the rendered report's textContent, [start, end) the highlighted range in it
+export const makeAnchor = (text, start, end) => ({
+  quote: text.slice(start, end),
+  prefix: text.slice(Math.max(0, start - CONTEXT_LENGTH), start),
+  suffix: text.slice(end, end + CONTEXT_LENGTH),
+});
+
+const commonSuffixLength = (a, b) => {
+  let n = 0;
+  while (n < a.length && n < b.length && a[a.length - 1 - n] === b[b.length - 1 - n]) n++;
+  return n;
+};
+
+const commonPrefixLength = (a, b) => {
+  let n = 0;
+  while (n < a.length && n < b.length && a[n] === b[n]) n++;
+  return n;
+};
+
+// { start, end } of the occurrence of the quote whose surroundings best match the
+// anchor's context, or null when the quote no longer appears
+export const locateAnchor = (text, anchor) => {
+  if (!anchor?.quote) return null;
+  let best = null;
+  for (let at = text.indexOf(anchor.quote); at !== -1; at = text.indexOf(anchor.quote, at + 1)) {
+    const end = at + anchor.quote.length;
+    const score = commonSuffixLength(text.slice(0, at), anchor.prefix || '')
+      + commonPrefixLength(text.slice(end), anchor.suffix || '');
+    if (!best || score > best.score) best = { start: at, end, score };
+  }
+  return best && { start: best.start, end: best.end };
+};
+
+// The @handle a workspace member is mentioned by: their email's local part
+export const mentionHandle = (member) => (member.user?.email || '').split('@')[0].toLowerCase().replace(/[^a-z0-9._-]/g, '');
+
+const MENTION_PATTERN = /(^|[^\w@])@([a-z0-9._-]+)/gi;
+
+// User ids of the members a comment body mentions, each once
+export const extractMentions = (body, members = []) => {
+  const handles = new Set([...body.matchAll(MENTION_PATTERN)].map(match => match[2].toLowerCase().replace(/\.+$/, '')));
+  return [...new Set(members.filter(m => handles.has(mentionHandle(m))).map(m => m.user_id))];
+};
+
+// The partial handle being typed just before the caret ('' right after an "@"), or
+// null when the caret isn't in a mention
+export const activeMention = (body, caret) => {
+  const match = body.slice(0, caret).match(/(?:^|[^\w@])@([a-z0-9._-]*)$/i);
+  return match ? match[1].toLowerCase() : null;
+};
+
+// Top-level comments oldest first, each with its replies
+export const groupThreads = (comments = []) => {
+  const byTime = [...comments].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  const threads = byTime.filter(c => !c.parent_id).map(c => ({ ...c, replies: [] }));
+  const byId = new Map(threads.map(t => [t.id, t]));
+  byTime.filter(c => c.parent_id).forEach(reply => byId.get(reply.parent_id)?.replies.push(reply));
+  return threads;
+};
@@ -0,0 +1,32 @@
+import { makeAnchor, locateAnchor, extractMentions, activeMention, groupThreads } from './comments';
+
+test('re-locates a quote by its context when it appears more than once', () => {
+  const text = 'Revenue rose 12% in Q1. Costs rose 12% in Q2. Margin held.';
+  const start = text.lastIndexOf('rose 12%');
+  const anchor = makeAnchor(text, start, start + 'rose 12%'.length);
+
+  const reflowed = `Contents Overview ${text}`;
+  expect(locateAnchor(reflowed, anchor)).toEqual({ start: reflowed.lastIndexOf('rose 12%'), end: reflowed.lastIndexOf('rose 12%') + 8 });
+  expect(locateAnchor('Revenue fell.', anchor)).toBeNull();
+});
+
+test('resolves @handles to workspace members', () => {
+  const members = [
+    { user_id: 'u1', user: { email: 'ana.lopez@example.com' } },
+    { user_id: 'u2', user: { email: 'raj@example.com' } },
+    { user_id: 'u3', user: { email: 'kim@example.com' } },
+  ];
+  expect(extractMentions('@raj can you check this? cc @Ana.Lopez. Not kim@example.com', members)).toEqual(['u1', 'u2']);
+  expect(activeMention('Thanks @ra', 10)).toBe('ra');
+  expect(activeMention('mail kim@ex', 11)).toBeNull();
+});
+
+test('groups replies under their thread in time order', () => {
+  const threads = groupThreads([
+    { id: 'r2', parent_id: 't1', created_at: '2024-01-01T10:05:00Z' },
+    { id: 't2', parent_id: null, created_at: '2024-01-01T10:02:00Z' },
+    { id: 'r1', parent_id: 't1', created_at: '2024-01-01T10:03:00Z' },
+    { id: 't1', parent_id: null, created_at: '2024-01-01T10:00:00Z' },
+  ]);
+  expect(threads.map(t => [t.id, t.replies.map(r => r.id)])).toEqual([['t1', ['r1', 'r2']], ['t2', []]]);
+});
@@ -0,0 +1,152 @@
+// exportAnalysis.js - Client-side exports of a chats row (Markdown, HTML/PDF, Word, JSON)
+//
+// Everything here works from data already in the Apollo cache, so exports keep
+// working offline. PDF output goes through the browser's own print dialog.
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { MarkdownDocument } from './AnalysisResult';
+
+const formatTimestamp = (value) => new Date(value).toLocaleString('en-US', {
+  month: 'long', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const exportBaseName = (chat) => {
+  const name = (chat.file_name || 'analysis').replace(/\.[^.]+$/, '');
+  const date = new Date(chat.created_at).toISOString().slice(0, 10);
+  return `${name}-analysis-${date}`.replace(/[^\w.-]+/g, '_');
+};
+
+export const downloadBlob = (content, filename, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// ============================================
+// MARKDOWN
+// ============================================
+export const toMarkdown = (chat, thread = []) => {
+  const lines = [
+    `# ${chat.file_name || 'Untitled Document'}`,
+    '',
+    `- **Query:** ${chat.query || '—'}`,
+    `- **Status:** ${chat.status}`,
+    `- **Created:** ${formatTimestamp(chat.created_at)}`,
+    `- **Exported:** ${formatTimestamp(Date.now())}`,
+    '',
+    '---',
+    '',
+    chat.analysis_result || '_No result yet._',
+  ];
+
+  thread.forEach((turn, i) => {
+    lines.push('', '---', '', `## Follow-up ${i + 1}: ${turn.query}`, '', `_${turn.status} · ${formatTimestamp(turn.created_at)}_`, '');
+    lines.push(turn.analysis_result || '_No answer yet._');
+  });
+
+  return lines.join('\n') + '\n';
+};
+
+// ============================================
+// JSON
+// ============================================
+export const toJsonBundle = (chat, thread = []) => JSON.stringify({
+  exported_at: new Date().toISOString(),
+  chat,
+  follow_ups: thread,
+}, null, 2);
+
+// ============================================
+// HTML (print / Word)
+// ============================================
+const PRINT_STYLES = `
+  body { font-family: 'DM Sans', -apple-system, 'Segoe UI', sans-serif; color: #0f172a; max-width: 800px; margin: 32px auto; padding: 0 24px; }
+  header { border-bottom: 2px solid #1d4ed8; padding-bottom: 16px; margin-bottom: 24px; }
+  header h1 { font-size: 22px; margin: 0 0 10px; }
+  header dl { display: grid; grid-template-columns: max-content 1fr; gap: 4px 12px; font-size: 12px; margin: 0; }
+  header dt { color: #64748b; font-weight: 600; }
+  header dd { margin: 0; }
+  .follow-up { margin-top: 28px; padding-top: 18px; border-top: 1px solid #e2e8f0; }
+  .follow-up h2 { font-size: 16px; }
+  table { page-break-inside: avoid; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    a { color: inherit; }
+    section, pre, blockquote { page-break-inside: avoid; }
+  }
+`;
+
+const renderResultHtml = (text) => (text
+  ? renderToStaticMarkup(<MarkdownDocument text={text} />)
+  : '<p><em>No result yet.</em></p>');
+
+export const toHtmlDocument = (chat, thread = [], { forWord = false } = {}) => {
+  const title = escapeHtml(chat.file_name || 'Untitled Document');
+  const header = `
+    <header>
+      <h1>${title}</h1>
+      <dl>
+        <dt>Query</dt><dd>${escapeHtml(chat.query || '—')}</dd>
+        <dt>Status</dt><dd>${escapeHtml(chat.status)}</dd>
+        <dt>Created</dt><dd>${escapeHtml(formatTimestamp(chat.created_at))}</dd>
+        <dt>Exported</dt><dd>${escapeHtml(formatTimestamp(Date.now()))}</dd>
+      </dl>
+    </header>`;
+
+  const followUps = thread.map((turn, i) => `
+    <div class="follow-up">
+      <h2>Follow-up ${i + 1}: ${escapeHtml(turn.query)}</h2>
+      ${renderResultHtml(turn.analysis_result)}
+    </div>`).join('');
+
+  // Word opens HTML saved as .doc when it carries the Office namespaces
+  const htmlOpen = forWord
+    ? '<html xmlns:o="urn:schemas-microsoft-com:office:office" xmlns:w="urn:schemas-microsoft-com:office:word" xmlns="http://www.w3.org/TR/REC-html40">'
+    : '<html lang="en">';
+
+  return `<!DOCTYPE html>
+${htmlOpen}
+<head>
+  <meta charset="utf-8">
+  <title>${title} — Analysis</title>
+  <style>${PRINT_STYLES}</style>
+</head>
+<body>
+  ${header}
+  <main>${renderResultHtml(chat.analysis_result)}</main>
+  ${followUps}
+</body>
+</html>`;
+};
+
+// Prints through a hidden iframe so popup blockers don't get in the way.
+export const printAnalysis = (chat, thread = []) => {
+  const frame = document.createElement('iframe');
+  frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;';
+  frame.srcdoc = toHtmlDocument(chat, thread);
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    setTimeout(() => frame.remove(), 1000);
+  };
+  document.body.appendChild(frame);
+};
+
+export const EXPORT_FORMATS = [
+  { id: 'pdf', label: 'PDF (print)', run: (chat, thread) => printAnalysis(chat, thread) },
+  { id: 'md', label: 'Markdown (.md)', run: (chat, thread) => downloadBlob(toMarkdown(chat, thread), `${exportBaseName(chat)}.md`, 'text/markdown;charset=utf-8') },
+  { id: 'html', label: 'HTML (.html)', run: (chat, thread) => downloadBlob(toHtmlDocument(chat, thread), `${exportBaseName(chat)}.html`, 'text/html;charset=utf-8') },
+  { id: 'doc', label: 'Word (.doc)', run: (chat, thread) => downloadBlob(toHtmlDocument(chat, thread, { forWord: true }), `${exportBaseName(chat)}.doc`, 'application/msword') },
+  { id: 'json', label: 'JSON bundle (.json)', run: (chat, thread) => downloadBlob(toJsonBundle(chat, thread), `${exportBaseName(chat)}.json`, 'application/json') },
+];
@@ -0,0 +1,32 @@
+import { toHtmlDocument, toMarkdown, exportBaseName } from './exportAnalysis';
+
+const chat = {
+  file_name: '<script>alert(1)</script>.pdf',
+  query: 'Margins "Q3" & <b>risks</b>',
+  status: 'completed',
+  created_at: '2024-05-01T09:30:00Z',
+  analysis_result: '## Summary\n\nRevenue <img src=x onerror=alert(1)> grew.',
+};
+
+test('escapes file names, queries and follow-ups in HTML exports', () => {
+  const html = toHtmlDocument(chat, [{ query: '<i>why</i>?', status: 'completed', created_at: chat.created_at, analysis_result: 'Because.' }]);
+  expect(html).toContain('<h1>&lt;script&gt;alert(1)&lt;/script&gt;.pdf</h1>');
+  expect(html).toContain('<title>&lt;script&gt;alert(1)&lt;/script&gt;.pdf — Analysis</title>');
+  expect(html).toContain('<dd>Margins &quot;Q3&quot; &amp; &lt;b&gt;risks&lt;/b&gt;</dd>');
+  expect(html).toContain('Follow-up 1: &lt;i&gt;why&lt;/i&gt;?');
+  expect(html).not.toContain('<script>');
+  expect(html).not.toContain('<img');
+});
+
+test('marks Word exports with the Office namespaces', () => {
+  expect(toHtmlDocument(chat, [], { forWord: true })).toContain('xmlns:w="urn:schemas-microsoft-com:office:word"');
+  expect(toHtmlDocument(chat)).toContain('<html lang="en">');
+});
+
+test('builds Markdown with follow-ups and a file-safe base name', () => {
+  const markdown = toMarkdown({ ...chat, file_name: 'Q3 report.pdf' }, [{ query: 'And costs?', status: 'failed', created_at: chat.created_at }]);
+  expect(markdown).toMatch(/^# Q3 report\.pdf\n/);
+  expect(markdown).toContain('## Follow-up 1: And costs?');
+  expect(markdown).toContain('_No answer yet._');
+  expect(exportBaseName({ file_name: 'Q3 report (final).pdf', created_at: chat.created_at })).toBe('Q3_report_final_-analysis-2024-05-01');
+});
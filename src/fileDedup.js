@@ -0,0 +1,40 @@
+// fileDedup.js - Recognising a file the user has uploaded before, by its contents
+import { gql } from '@apollo/client';
+import { sha256Hex } from './utils';
+
+// Any earlier analysis of byte-identical content; its stored file is reused instead of
+// uploading another copy. A stored file is only removed once no analysis in any
+// workspace points at it (functions/release-file.js), so a matching row always points
+// at a file that still exists.
+const FIND_FILE_BY_HASH = gql`
+  query FindFileByHash($user_id: uuid!, $file_hash: String!) {
+    chats(
+      where: { user_id: { _eq: $user_id }, file_hash: { _eq: $file_hash } },
+      order_by: { created_at: desc },
+      limit: 1
+    ) {
+      file_id
+      file_name
+      created_at
+    }
+  }
+`;
+
+// Resolves with the file's SHA-256 (`hash` when already known) and the library file
+// with the same contents, or null. Lookup failures only cost the dedup, never the upload.
+export const identifyFile = async (apollo, { userId, file, hash }) => {
+  const fileHash = hash || await sha256Hex(file);
+  try {
+    const { data } = await apollo.query({
+      query: FIND_FILE_BY_HASH,
+      variables: { user_id: userId, file_hash: fileHash },
+      fetchPolicy: 'network-only',
+    });
+    const row = data?.chats?.[0];
+    const libraryMatch = row ? { fileId: row.file_id, fileName: row.file_name, createdAt: row.created_at } : null;
+    return { hash: fileHash, libraryMatch };
+  } catch (err) {
+    console.error("Library lookup failed:", err);
+    return { hash: fileHash, libraryMatch: null };
+  }
+};
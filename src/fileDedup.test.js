@@ -0,0 +1,42 @@
+import { identifyFile } from './fileDedup';
+
+// SHA-256 of "abc"
+const ABC_HASH = 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad';
+
+const apolloReturning = (result) => ({ query: jest.fn(async () => result) });
+
+// jsdom in this Jest version has no Web Crypto; Node's implementation stands in
+beforeAll(() => {
+  if (!global.crypto) global.crypto = require('crypto').webcrypto;
+});
+
+test('hashes the contents and reuses the earlier upload of the same file', async () => {
+  const apollo = apolloReturning({
+    data: { chats: [{ file_id: 'f1', file_name: 'q3.pdf', created_at: '2024-05-01T00:00:00Z' }] },
+  });
+  const file = new File(['abc'], 'q3 copy.pdf');
+
+  await expect(identifyFile(apollo, { userId: 'u1', file })).resolves.toEqual({
+    hash: ABC_HASH,
+    libraryMatch: { fileId: 'f1', fileName: 'q3.pdf', createdAt: '2024-05-01T00:00:00Z' },
+  });
+  expect(apollo.query.mock.calls[0][0]).toMatchObject({ variables: { user_id: 'u1', file_hash: ABC_HASH }, fetchPolicy: 'network-only' });
+});
+
+test('reports no match for new content and skips hashing a known hash', async () => {
+  const apollo = apolloReturning({ data: { chats: [] } });
+  const file = new File(['abd'], 'q4.pdf');
+
+  const result = await identifyFile(apollo, { userId: 'u1', file, hash: 'known' });
+  expect(result).toEqual({ hash: 'known', libraryMatch: null });
+  expect(apollo.query.mock.calls[0][0].variables.file_hash).toBe('known');
+});
+
+test('still uploads when the lookup fails', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const apollo = { query: jest.fn(async () => { throw new Error('offline'); }) };
+
+  await expect(identifyFile(apollo, { userId: 'u1', file: new File(['abc'], 'q3.pdf') }))
+    .resolves.toEqual({ hash: ABC_HASH, libraryMatch: null });
+  console.error.mockRestore();
+});
@@ -0,0 +1,74 @@
+// historyFilters.js - Sidebar search/filter state → Hasura `where` clause, plus date grouping
+
+export const STATUS_FILTERS = ['pending', 'processing', 'completed', 'failed'];
+
+export const EMPTY_FILTERS = { search: '', statuses: [], from: '', to: '', archived: false };
+
+export const hasActiveFilters = (filters) => Boolean(
+  filters.search.trim() || filters.statuses.length || filters.from || filters.to
+);
+
+// `_ilike` treats % and _ as wildcards, so user input has to be escaped
+export const toIlikePattern = (text) => `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+
+// Builds the chats_bool_exp for the history subscription. Date inputs are
+// local calendar days, so `to` is inclusive up to the end of that day.
+export const buildHistoryWhere = (filters = EMPTY_FILTERS) => {
+  const conditions = [];
+  const search = filters.search.trim();
+
+  if (search) {
+    const pattern = toIlikePattern(search);
+    conditions.push({
+      _or: [
+        { file_name: { _ilike: pattern } },
+        { title: { _ilike: pattern } },
+        { query: { _ilike: pattern } },
+        { analysis_result: { _ilike: pattern } },
+      ],
+    });
+  }
+
+  if (filters.statuses.length) {
+    conditions.push({ status: { _in: filters.statuses } });
+  }
+
+  if (filters.from) {
+    conditions.push({ created_at: { _gte: new Date(`${filters.from}T00:00:00`).toISOString() } });
+  }
+
+  if (filters.to) {
+    const end = new Date(`${filters.to}T00:00:00`);
+    end.setDate(end.getDate() + 1);
+    conditions.push({ created_at: { _lt: end.toISOString() } });
+  }
+
+  // Rows predating the archive column have it null, which counts as not archived
+  conditions.push(filters.archived
+    ? { archived: { _eq: true } }
+    : { _or: [{ archived: { _eq: false } }, { archived: { _is_null: true } }] });
+
+  return { _and: conditions };
+};
+
+// Splits rows (already sorted newest first) into Today / This week / Older buckets.
+export const groupChatsByDate = (chats, now = new Date()) => {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const startOfWeek = new Date(startOfToday);
+  startOfWeek.setDate(startOfWeek.getDate() - 6);
+
+  const groups = [
+    { label: 'Today', chats: [] },
+    { label: 'This week', chats: [] },
+    { label: 'Older', chats: [] },
+  ];
+
+  chats.forEach(chat => {
+    const created = new Date(chat.created_at);
+    if (created >= startOfToday) groups[0].chats.push(chat);
+    else if (created >= startOfWeek) groups[1].chats.push(chat);
+    else groups[2].chats.push(chat);
+  });
+
+  return groups.filter(group => group.chats.length > 0);
+};
@@ -0,0 +1,32 @@
+import { buildHistoryWhere, groupChatsByDate, EMPTY_FILTERS } from './historyFilters';
+
+test('only hides archived rows without filters', () => {
+  expect(buildHistoryWhere(EMPTY_FILTERS)).toEqual({
+    _and: [{ _or: [{ archived: { _eq: false } }, { archived: { _is_null: true } }] }],
+  });
+  expect(buildHistoryWhere({ ...EMPTY_FILTERS, archived: true })).toEqual({ _and: [{ archived: { _eq: true } }] });
+});
+
+test('escapes ilike wildcards in the search text', () => {
+  const where = buildHistoryWhere({ ...EMPTY_FILTERS, search: '100%_growth' });
+  expect(where._and[0]._or[0]).toEqual({ file_name: { _ilike: '%100\\%\\_growth%' } });
+});
+
+test('combines status and date range conditions', () => {
+  const where = buildHistoryWhere({ ...EMPTY_FILTERS, statuses: ['failed'], from: '2024-03-01', to: '2024-03-31' });
+  expect(where._and).toHaveLength(4);
+  expect(where._and[0]).toEqual({ status: { _in: ['failed'] } });
+  expect(new Date(where._and[2].created_at._lt).getDate()).toBe(1);
+});
+
+test('groups rows into Today, This week and Older', () => {
+  const now = new Date(2024, 5, 15, 12);
+  const groups = groupChatsByDate([
+    { id: 'a', created_at: new Date(2024, 5, 15, 9).toISOString() },
+    { id: 'b', created_at: new Date(2024, 5, 12).toISOString() },
+    { id: 'c', created_at: new Date(2024, 4, 1).toISOString() },
+  ], now);
+  expect(groups.map(g => [g.label, g.chats.map(c => c.id)])).toEqual([
+    ['Today', ['a']], ['This week', ['b']], ['Older', ['c']],
+  ]);
+});
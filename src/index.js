@@ -4,6 +4,7 @@ import ReactDOM from 'react-dom/client';
 import { NhostClient, NhostProvider } from '@nhost/react';
 import { NhostApolloProvider } from '@nhost/react-apollo';
 import App from './App';
+import { ToastProvider } from './Toast';
 import './index.css';
 
 const nhost = new NhostClient({
@@ -18,7 +19,9 @@ root.render(
   <React.StrictMode>
     <NhostProvider nhost={nhost}>
       <NhostApolloProvider nhost={nhost}>
-        <App />
+        <ToastProvider>
+          <App />
+        </ToastProvider>
       </NhostApolloProvider>
     </NhostProvider>
   </React.StrictMode>
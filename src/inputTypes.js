@@ -0,0 +1,258 @@
+// inputTypes.js - Registry of accepted upload formats: detection, validation and previews
+//
+// Each entry describes one input format the analysis service understands. The
+// upload path only talks to this module, so supporting a new format means
+// registering it here (see registerInputType) rather than touching the queue.
+//
+// Entry shape:
+//   id          sent to the analysis service as `file_type`
+//   label       shown in the UI
+//   extensions  lower-case, with the dot
+//   mimeTypes   what browsers report in File.type
+//   maxSizeMB   per-type upload limit (REACT_APP_MAX_UPLOAD_MB overrides all of them)
+//   sniff       ({ head, file }) => boolean | Promise<boolean>, checks the actual bytes
+//   preflight   optional (file, { password }) => Promise<result>, deeper checks whose
+//               findings are shown before upload (see pdfPreflight.js for the shape)
+//   preview     (file) => Promise<preview> where preview is one of
+//               { kind: 'grid', sheets: [{ name, rows }] }
+//               { kind: 'image', url, caption?, dispose? }
+//               { kind: 'text', paragraphs }
+//               { kind: 'none', message }
+
+import { readBytes } from './utils';
+import { runPdfPreflight } from './pdfPreflight';
+import { UPLOAD_CONFIG } from './storageUpload';
+
+const MB = 1024 * 1024;
+const HEAD_BYTES = 4096;
+const ZIP_SCAN_BYTES = 64 * 1024;
+const PREVIEW_ROWS = 25;
+const PREVIEW_COLUMNS = 12;
+// CSV previews decode only the head of the file
+const CSV_PREVIEW_BYTES = 256 * 1024;
+const PREVIEW_PARAGRAPHS = 40;
+
+// ============================================
+// BYTE HELPERS
+// ============================================
+const ascii = (text) => Array.from(text, c => c.charCodeAt(0));
+
+const startsWith = (bytes, signature, offset = 0) => signature.every((b, i) => bytes[offset + i] === b);
+
+const indexOfBytes = (bytes, signature, limit = bytes.length) => {
+  for (let i = 0; i + signature.length <= Math.min(bytes.length, limit); i++) {
+    if (startsWith(bytes, signature, i)) return i;
+  }
+  return -1;
+};
+
+const PDF_SIGNATURE = ascii('%PDF-');
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const JPEG_SIGNATURE = [0xff, 0xd8, 0xff];
+const TIFF_LE_SIGNATURE = [0x49, 0x49, 0x2a, 0x00];
+const TIFF_BE_SIGNATURE = [0x4d, 0x4d, 0x00, 0x2a];
+
+// XLSX and DOCX are both zip containers; their part names ("xl/", "word/") tell them
+// apart. Names are stored uncompressed in the local headers near the start and in
+// the central directory at the end, so scanning both ends is enough.
+const zipContainsPart = async (file, head, partPrefix) => {
+  if (!startsWith(head, ZIP_SIGNATURE)) return false;
+  const needle = ascii(partPrefix);
+  const start = await readBytes(file, 0, Math.min(file.size, ZIP_SCAN_BYTES));
+  if (indexOfBytes(start, needle) !== -1) return true;
+  const tail = await readBytes(file, Math.max(0, file.size - ZIP_SCAN_BYTES), file.size);
+  return indexOfBytes(tail, needle) !== -1;
+};
+
+// CSV has no signature; settle for "decodes as text" (no NUL bytes in the head).
+const looksLikeText = (bytes) => !bytes.includes(0);
+
+// ============================================
+// PREVIEWS
+// ============================================
+// Heavy parsers are loaded on demand so they stay out of the main bundle.
+const previewWorkbook = async (file) => {
+  const [{ default: JSZip }, { readWorkbook }] = await Promise.all([import('jszip'), import('./spreadsheet')]);
+  const zip = await JSZip.loadAsync(await readBytes(file));
+  return { kind: 'grid', sheets: await readWorkbook(zip, { maxRows: PREVIEW_ROWS, maxColumns: PREVIEW_COLUMNS }) };
+};
+
+const previewCsv = async (file) => {
+  const { parseCsv } = await import('./spreadsheet');
+  const text = new TextDecoder().decode(await readBytes(file, 0, Math.min(file.size, CSV_PREVIEW_BYTES)));
+  const rows = parseCsv(text, PREVIEW_ROWS).map(row => row.slice(0, PREVIEW_COLUMNS));
+  return { kind: 'grid', sheets: [{ name: file.name, rows }] };
+};
+
+const previewDocx = async (file) => {
+  const { default: JSZip } = await import('jszip');
+  const zip = await JSZip.loadAsync(await readBytes(file));
+  const xml = await zip.file('word/document.xml')?.async('string');
+  if (!xml) return { kind: 'none', message: 'This Word file has no readable body.' };
+
+  const dom = new DOMParser().parseFromString(xml, 'application/xml');
+  const paragraphs = Array.from(dom.getElementsByTagName('w:p'))
+    .map(p => Array.from(p.getElementsByTagName('w:t')).map(t => t.textContent).join(''))
+    .filter(text => text.trim())
+    .slice(0, PREVIEW_PARAGRAPHS);
+  return { kind: 'text', paragraphs };
+};
+
+const previewPdf = async (file) => {
+  const { loadPdf } = await import('./pdf');
+  const doc = await loadPdf(await readBytes(file));
+  try {
+    const page = await doc.getPage(1);
+    const base = page.getViewport({ scale: 1 });
+    const viewport = page.getViewport({ scale: 480 / base.width });
+    const canvas = document.createElement('canvas');
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+    await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+    return { kind: 'image', url: canvas.toDataURL('image/png'), caption: `Page 1 of ${doc.numPages}` };
+  } finally {
+    doc.destroy();
+  }
+};
+
+const previewImage = async (file) => {
+  // Only Safari renders TIFF natively
+  if (file.type === 'image/tiff' || /\.tiff?$/i.test(file.name)) {
+    return { kind: 'none', message: 'TIFF scans can’t be previewed in the browser, but will be OCR’d for analysis.' };
+  }
+  const url = URL.createObjectURL(file);
+  return { kind: 'image', url, dispose: () => URL.revokeObjectURL(url) };
+};
+
+// ============================================
+// REGISTRY
+// ============================================
+const registry = [
+  {
+    id: 'pdf',
+    label: 'PDF',
+    extensions: ['.pdf'],
+    mimeTypes: ['application/pdf'],
+    maxSizeMB: 10,
+    // The spec lets the header start anywhere in the first 1KB
+    sniff: ({ head }) => indexOfBytes(head, PDF_SIGNATURE, 1024) !== -1,
+    preflight: runPdfPreflight,
+    preview: previewPdf,
+  },
+  {
+    id: 'xlsx',
+    label: 'Excel',
+    extensions: ['.xlsx', '.xlsm'],
+    mimeTypes: [
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-excel.sheet.macroenabled.12',
+    ],
+    maxSizeMB: 15,
+    sniff: ({ head, file }) => zipContainsPart(file, head, 'xl/'),
+    preview: previewWorkbook,
+  },
+  {
+    id: 'csv',
+    label: 'CSV',
+    extensions: ['.csv'],
+    // Windows reports .csv as the legacy Excel type
+    mimeTypes: ['text/csv', 'application/csv', 'application/vnd.ms-excel'],
+    maxSizeMB: 10,
+    sniff: ({ head }) => looksLikeText(head),
+    preview: previewCsv,
+  },
+  {
+    id: 'docx',
+    label: 'Word',
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    maxSizeMB: 15,
+    sniff: ({ head, file }) => zipContainsPart(file, head, 'word/'),
+    preview: previewDocx,
+  },
+  {
+    id: 'image',
+    label: 'Scanned image',
+    extensions: ['.png', '.jpg', '.jpeg', '.tif', '.tiff'],
+    mimeTypes: ['image/png', 'image/jpeg', 'image/tiff'],
+    maxSizeMB: 20,
+    sniff: ({ head }) => [PNG_SIGNATURE, JPEG_SIGNATURE, TIFF_LE_SIGNATURE, TIFF_BE_SIGNATURE].some(sig => startsWith(head, sig)),
+    preview: previewImage,
+  },
+];
+
+// Adds a format, or replaces the entry with the same id.
+export const registerInputType = (type) => {
+  const index = registry.findIndex(t => t.id === type.id);
+  if (index === -1) registry.push(type);
+  else registry[index] = type;
+};
+
+export const getInputTypes = () => [...registry];
+
+export const getInputType = (id) => registry.find(t => t.id === id) || null;
+
+// Value for <input type="file" accept>
+export const acceptAttribute = () => registry
+  .flatMap(t => [...t.extensions, ...t.mimeTypes])
+  .join(',');
+
+export const describeInputTypes = () => registry.map(t => t.label).join(', ');
+
+export const maxSizeFor = (type) => UPLOAD_CONFIG.maxSizeMB ?? type.maxSizeMB;
+
+const extensionOf = (name = '') => {
+  const dot = name.lastIndexOf('.');
+  return dot === -1 ? '' : name.slice(dot).toLowerCase();
+};
+
+// Best guess for a file that is already in storage, where only its name and MIME
+// type are known (no bytes to sniff). Extension wins over the reported type.
+export const inputTypeForStoredFile = ({ name, mimeType }) => {
+  const extension = extensionOf(name);
+  const mime = (mimeType || '').toLowerCase();
+  return registry.find(t => t.extensions.includes(extension))
+    || registry.find(t => mime && t.mimeTypes.includes(mime))
+    || null;
+};
+
+// ============================================
+// DETECTION + VALIDATION
+// ============================================
+// Picks the registered type for a file. The reported MIME type and extension only
+// nominate candidates; the bytes have to agree before a type is accepted, so a
+// renamed or mislabelled file is rejected instead of failing later in the agents.
+export const detectInputType = async (file) => {
+  const mime = (file.type || '').toLowerCase();
+  const extension = extensionOf(file.name);
+  const byMime = registry.filter(t => mime && t.mimeTypes.includes(mime));
+  const byExtension = registry.filter(t => t.extensions.includes(extension));
+  const candidates = [...new Set([...byMime, ...byExtension])];
+
+  if (candidates.length === 0) {
+    return { type: null, error: `Unsupported file type. Accepted: ${describeInputTypes()}` };
+  }
+
+  const head = await readBytes(file, 0, Math.min(file.size, HEAD_BYTES));
+  for (const type of candidates) {
+    if (await type.sniff({ head, file })) return { type, error: null };
+  }
+  return { type: null, error: `File content doesn't match a valid ${candidates[0].label} file` };
+};
+
+// Resolves with { valid, error, type }.
+export const validateInput = async (file) => {
+  if (!file) return { valid: false, error: "No file selected", type: null };
+  if (file.size === 0) return { valid: false, error: "File is empty", type: null };
+
+  const { type, error } = await detectInputType(file);
+  if (!type) return { valid: false, error, type: null };
+
+  const fileSizeMB = file.size / MB;
+  const limitMB = maxSizeFor(type);
+  if (fileSizeMB > limitMB) {
+    return { valid: false, error: `${type.label} files are limited to ${limitMB}MB (${fileSizeMB.toFixed(2)}MB)`, type };
+  }
+  return { valid: true, error: null, type };
+};
@@ -0,0 +1,51 @@
+import { validateInput, detectInputType, acceptAttribute, inputTypeForStoredFile } from './inputTypes';
+
+const bytes = (...parts) => parts.map(p => (typeof p === 'string' ? p : new Uint8Array(p)));
+
+test('accepts a PDF by its header', async () => {
+  const file = new File(bytes('%PDF-1.7\n...'), 'q3.pdf', { type: 'application/pdf' });
+  const result = await validateInput(file);
+  expect(result.valid).toBe(true);
+  expect(result.type.id).toBe('pdf');
+});
+
+test('rejects a file whose bytes do not match its extension', async () => {
+  const file = new File(bytes([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), 'report.pdf', { type: 'application/pdf' });
+  const result = await validateInput(file);
+  expect(result.valid).toBe(false);
+  expect(result.error).toMatch(/doesn't match a valid PDF/);
+});
+
+test('tells XLSX and DOCX apart by their zip parts', async () => {
+  const zipHeader = [0x50, 0x4b, 0x03, 0x04];
+  const xlsx = new File(bytes(zipHeader, '....xl/workbook.xml'), 'tb.xlsx', { type: '' });
+  const docx = new File(bytes(zipHeader, '....word/document.xml'), 'board.docx', { type: '' });
+  expect((await detectInputType(xlsx)).type.id).toBe('xlsx');
+  expect((await detectInputType(docx)).type.id).toBe('docx');
+  expect((await detectInputType(new File(bytes(zipHeader, 'word/'), 'renamed.xlsx'))).type).toBeNull();
+});
+
+test('detects CSV reported with the legacy Excel MIME type', async () => {
+  const file = new File(bytes('Account,Debit,Credit\nCash,100,0\n'), 'tb.csv', { type: 'application/vnd.ms-excel' });
+  expect((await detectInputType(file)).type.id).toBe('csv');
+});
+
+test('applies per-type size limits', async () => {
+  const big = new File(bytes('%PDF-1.4'), 'big.pdf', { type: 'application/pdf' });
+  Object.defineProperty(big, 'size', { value: 11 * 1024 * 1024 });
+  const result = await validateInput(big);
+  expect(result.valid).toBe(false);
+  expect(result.error).toMatch(/PDF files are limited to 10MB/);
+});
+
+test('rejects unknown formats and lists accepted ones in the accept attribute', async () => {
+  const result = await validateInput(new File(bytes('hello'), 'notes.txt', { type: 'text/plain' }));
+  expect(result.error).toMatch(/Unsupported file type/);
+  expect(acceptAttribute()).toContain('.xlsx');
+});
+
+test('guesses the type of a stored file from its name, then its MIME type', () => {
+  expect(inputTypeForStoredFile({ name: 'FY24 TB.xlsx', mimeType: 'application/octet-stream' }).id).toBe('xlsx');
+  expect(inputTypeForStoredFile({ name: 'scan', mimeType: 'image/png' }).id).toBe('image');
+  expect(inputTypeForStoredFile({ name: 'notes.txt', mimeType: 'text/plain' })).toBeNull();
+});
@@ -0,0 +1,274 @@
+// markdown.js - Minimal GFM parser for AI analysis reports
+//
+// Produces a plain block/inline tree that components render as React elements.
+// Nothing is ever injected as HTML, so raw tags in the source show up as text.
+
+// ============================================
+// INLINE TOKENS
+// ============================================
+const SAFE_URL = /^(https?:|mailto:)/i;
+
+// Page citations the agents attach to figures: `[p. 12]`, `[p. 12: "net revenue rose 14%"]`
+// or `[page 12 "..."]`. The quote is what the viewer highlights on that page.
+const CITATION = /^\[(?:p\.?|pp\.?|pg\.?|page)\s*(\d+)(?:\s*[:,\u2013-]?\s*["\u201c]([^"\u201d\]]+)["\u201d])?\s*\]/i;
+
+const INLINE_RULES = [
+  { type: 'code', re: /^`([^`]+)`/ },
+  { type: 'citation', re: CITATION },
+  { type: 'strong', re: /^\*\*([\s\S]+?)\*\*/ },
+  { type: 'strong', re: /^__([\s\S]+?)__/ },
+  { type: 'em', re: /^\*([^*\s][^*]*?)\*/ },
+  { type: 'em', re: /^_([^_\s][^_]*?)_(?![A-Za-z0-9])/ },
+  { type: 'strike', re: /^~~([\s\S]+?)~~/ },
+  { type: 'link', re: /^\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/ },
+  { type: 'autolink', re: /^<(https?:\/\/[^>\s]+)>/ },
+];
+
+const INLINE_START = /[`*_~[<]/;
+
+export const parseInline = (text) => {
+  const tokens = [];
+  let buffer = '';
+  let rest = text;
+
+  const flush = () => {
+    if (buffer) tokens.push({ type: 'text', text: buffer });
+    buffer = '';
+  };
+
+  while (rest.length > 0) {
+    const next = rest.search(INLINE_START);
+    if (next === -1) {
+      buffer += rest;
+      break;
+    }
+    buffer += rest.slice(0, next);
+    rest = rest.slice(next);
+
+    let matched = false;
+    for (const rule of INLINE_RULES) {
+      const m = rest.match(rule.re);
+      if (!m) continue;
+      flush();
+      if (rule.type === 'code') {
+        tokens.push({ type: 'code', text: m[1] });
+      } else if (rule.type === 'citation') {
+        tokens.push({ type: 'citation', page: parseInt(m[1], 10), quote: m[2] ? m[2].trim() : null, text: `p. ${m[1]}` });
+      } else if (rule.type === 'link') {
+        tokens.push(SAFE_URL.test(m[2])
+          ? { type: 'link', href: m[2], children: parseInline(m[1]) }
+          : { type: 'text', text: m[1] });
+      } else if (rule.type === 'autolink') {
+        tokens.push({ type: 'link', href: m[1], children: [{ type: 'text', text: m[1] }] });
+      } else {
+        tokens.push({ type: rule.type, children: parseInline(m[1]) });
+      }
+      rest = rest.slice(m[0].length);
+      matched = true;
+      break;
+    }
+
+    if (!matched) {
+      buffer += rest[0];
+      rest = rest.slice(1);
+    }
+  }
+
+  flush();
+  return tokens;
+};
+
+// Flattens inline tokens back to plain text (used for heading ids and search).
+export const inlineToText = (tokens) => tokens
+  .map(t => (t.children ? inlineToText(t.children) : t.text || ''))
+  .join('');
+
+// ============================================
+// BLOCKS
+// ============================================
+const HEADING = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)\s*([\w-]*)\s*$/;
+const HR = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const LIST_ITEM = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const QUOTE = /^\s*>\s?(.*)$/;
+const TABLE_DIVIDER = /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/;
+
+const splitRow = (line) => {
+  const trimmed = line.trim().replace(/^\|/, '').replace(/\|$/, '');
+  const cells = [''];
+  for (let i = 0; i < trimmed.length; i++) {
+    if (trimmed[i] === '\\' && trimmed[i + 1] === '|') {
+      cells[cells.length - 1] += '|';
+      i++;
+    } else if (trimmed[i] === '|') {
+      cells.push('');
+    } else {
+      cells[cells.length - 1] += trimmed[i];
+    }
+  }
+  return cells.map(cell => cell.trim());
+};
+
+const parseAlign = (cell) => {
+  const left = cell.startsWith(':');
+  const right = cell.endsWith(':');
+  if (left && right) return 'center';
+  if (right) return 'right';
+  if (left) return 'left';
+  return null;
+};
+
+export const slugify = (text) => text
+  .toLowerCase()
+  .replace(/[^\w\s-]/g, '')
+  .trim()
+  .replace(/\s+/g, '-') || 'section';
+
+const isBlockStart = (line, nextLine) => (
+  HEADING.test(line) || FENCE.test(line) || HR.test(line) ||
+  LIST_ITEM.test(line) || QUOTE.test(line) ||
+  (line.includes('|') && nextLine !== undefined && TABLE_DIVIDER.test(nextLine))
+);
+
+export const parseBlocks = (source) => {
+  const lines = (source || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  const usedIds = {};
+  let i = 0;
+
+  const uniqueId = (text) => {
+    const base = slugify(text);
+    usedIds[base] = (usedIds[base] || 0) + 1;
+    return usedIds[base] > 1 ? `${base}-${usedIds[base]}` : base;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE);
+    if (fence) {
+      const body = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        body.push(lines[i]);
+        i++;
+      }
+      i++; // closing fence
+      blocks.push({ type: 'code', lang: fence[2] || '', text: body.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      const children = parseInline(heading[2]);
+      blocks.push({ type: 'heading', level: heading[1].length, children, id: uniqueId(inlineToText(children)) });
+      i++;
+      continue;
+    }
+
+    if (HR.test(line)) {
+      blocks.push({ type: 'hr' });
+      i++;
+      continue;
+    }
+
+    if (line.includes('|') && i + 1 < lines.length && TABLE_DIVIDER.test(lines[i + 1])) {
+      const header = splitRow(line);
+      const align = splitRow(lines[i + 1]).map(parseAlign);
+      const rows = [];
+      i += 2;
+      while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+        const cells = splitRow(lines[i]);
+        rows.push(header.map((_, c) => parseInline(cells[c] || '')));
+        i++;
+      }
+      blocks.push({ type: 'table', header: header.map(parseInline), align, rows });
+      continue;
+    }
+
+    if (QUOTE.test(line)) {
+      const body = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        body.push(lines[i].match(QUOTE)[1]);
+        i++;
+      }
+      blocks.push({ type: 'blockquote', children: parseBlocks(body.join('\n')) });
+      continue;
+    }
+
+    const firstItem = line.match(LIST_ITEM);
+    if (firstItem) {
+      const ordered = /\d/.test(firstItem[2]);
+      const baseIndent = firstItem[1].length;
+      const items = [];
+      while (i < lines.length) {
+        const item = lines[i].match(LIST_ITEM);
+        if (item) {
+          if (item[1].length <= baseIndent && /\d/.test(item[2]) !== ordered) break;
+          const checkbox = item[3].match(/^\[([ xX])\]\s+(.*)$/);
+          items.push({
+            depth: Math.max(0, Math.floor((item[1].length - baseIndent) / 2)),
+            checked: checkbox ? checkbox[1].toLowerCase() === 'x' : null,
+            children: parseInline(checkbox ? checkbox[2] : item[3]),
+          });
+          i++;
+        } else if (lines[i].trim() && /^\s+/.test(lines[i]) && items.length) {
+          // Lazy continuation of the previous item
+          const last = items[items.length - 1];
+          last.children = [...last.children, { type: 'text', text: ' ' }, ...parseInline(lines[i].trim())];
+          i++;
+        } else {
+          break;
+        }
+      }
+      blocks.push({ type: 'list', ordered, start: ordered ? parseInt(firstItem[2], 10) : 1, items });
+      continue;
+    }
+
+    const para = [line.trim()];
+    i++;
+    while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i], lines[i + 1])) {
+      para.push(lines[i].trim());
+      i++;
+    }
+    blocks.push({ type: 'paragraph', children: parseInline(para.join('\n')) });
+  }
+
+  return blocks;
+};
+
+// ============================================
+// SECTIONS
+// ============================================
+// Groups blocks under the shallowest heading level used in the document, which is
+// how the agents separate their contributions ("## Financial Analyst", "## Risk Assessor"...).
+// Content before the first heading becomes an untitled intro section.
+export const splitSections = (blocks) => {
+  const headingLevels = blocks.filter(b => b.type === 'heading').map(b => b.level);
+  if (headingLevels.length === 0) return [{ id: 'intro', title: null, level: 0, blocks }];
+
+  const topLevel = Math.min(...headingLevels);
+  const sections = [];
+  let current = { id: 'intro', title: null, level: 0, blocks: [] };
+
+  blocks.forEach(block => {
+    if (block.type === 'heading' && block.level === topLevel) {
+      if (current.title || current.blocks.length) sections.push(current);
+      current = { id: block.id, title: inlineToText(block.children), titleChildren: block.children, level: block.level, blocks: [] };
+    } else {
+      current.blocks.push(block);
+    }
+  });
+  sections.push(current);
+
+  return sections;
+};
+
+export const buildTableOfContents = (blocks) => blocks
+  .filter(b => b.type === 'heading' && b.level <= 3)
+  .map(b => ({ id: b.id, level: b.level, title: inlineToText(b.children) }));
@@ -0,0 +1,35 @@
+import { parseBlocks, parseInline, splitSections, buildTableOfContents } from './markdown';
+
+test('parses GFM tables with alignment', () => {
+  const [table] = parseBlocks('| Metric | FY23 |\n| :--- | ---: |\n| Revenue | **$4.2B** |');
+  expect(table.type).toBe('table');
+  expect(table.align).toEqual(['left', 'right']);
+  expect(table.rows[0][1]).toEqual([{ type: 'strong', children: [{ type: 'text', text: '$4.2B' }] }]);
+});
+
+test('drops links with unsafe protocols', () => {
+  expect(parseInline('[click](javascript:void)')).toEqual([{ type: 'text', text: 'click' }]);
+  expect(parseInline('[docs](https://example.com)')[0].type).toBe('link');
+});
+
+test('keeps raw html as plain text', () => {
+  const [para] = parseBlocks('<img src=x onerror=alert(1)>');
+  expect(para.children).toEqual([{ type: 'text', text: '<img src=x onerror=alert(1)>' }]);
+});
+
+test('splits sections on the shallowest heading level', () => {
+  const blocks = parseBlocks('Intro\n\n## Financial Analyst\n### Revenue\nUp 4%\n## Risk Assessor\n- Leverage');
+  const sections = splitSections(blocks);
+  expect(sections.map(s => s.title)).toEqual([null, 'Financial Analyst', 'Risk Assessor']);
+  expect(buildTableOfContents(blocks).map(e => e.id)).toEqual(['financial-analyst', 'revenue', 'risk-assessor']);
+});
+
+test('parses page citations with and without a quoted snippet', () => {
+  expect(parseInline('Revenue rose [p. 12: "net revenue increased 14%"].')).toEqual([
+    { type: 'text', text: 'Revenue rose ' },
+    { type: 'citation', page: 12, quote: 'net revenue increased 14%', text: 'p. 12' },
+    { type: 'text', text: '.' },
+  ]);
+  expect(parseInline('[page 3]')[0]).toMatchObject({ type: 'citation', page: 3, quote: null });
+  expect(parseInline('[Appendix](https://example.com)')[0].type).toBe('link');
+});
@@ -0,0 +1,151 @@
+// metrics.js - Structured key metrics embedded in an analysis_result
+//
+// The analysis service may append a fenced block tagged `metrics` holding JSON:
+//
+//   ```metrics
+//   {
+//     "company": "Acme Corp",
+//     "period": "FY2024",
+//     "period_end": "2024-12-31",
+//     "currency": "USD",
+//     "metrics": [
+//       { "key": "revenue", "label": "Revenue", "value": 4100000, "previous": 3600000, "unit": "currency" },
+//       { "key": "gross_margin", "label": "Gross margin", "value": 41.2, "previous": 39.8, "unit": "percent" },
+//       { "key": "debt_to_equity", "label": "Debt / equity", "value": 0.85, "unit": "ratio", "higher_is_better": false }
+//     ]
+//   }
+//   ```
+//
+// `metrics` may also be an object keyed by metric key. `change` (fractional YoY
+// change) is derived from `previous` when the block doesn't state it, and
+// `higher_is_better` (default true) decides whether a rise is shown as good. Reports
+// without a block, or with one that doesn't parse, render as prose only.
+
+const METRICS_BLOCK = /```(?:json[ \t]+)?metrics[ \t]*\n([\s\S]*?)\n?```[ \t]*\n?/i;
+
+const UNITS = ['currency', 'percent', 'ratio', 'number'];
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value !== 'string') return null;
+  const parsed = Number(value.replace(/[,\s%$€£]/g, ''));
+  return value.trim() && Number.isFinite(parsed) ? parsed : null;
+};
+
+const titleCase = (key) => key.replace(/[_-]+/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+
+const normalizeItem = (raw, fallbackKey) => {
+  const key = String(raw?.key || fallbackKey || '').trim();
+  const value = toNumber(raw?.value);
+  if (!key || value === null) return null;
+
+  const previous = toNumber(raw.previous);
+  const statedChange = toNumber(raw.change);
+  const change = statedChange !== null
+    ? statedChange
+    : previous ? (value - previous) / Math.abs(previous) : null;
+
+  return {
+    key,
+    label: raw.label || titleCase(key),
+    value,
+    previous,
+    change,
+    unit: UNITS.includes(raw.unit) ? raw.unit : 'number',
+    higherIsBetter: raw.higher_is_better !== false,
+  };
+};
+
+export const normalizeCompany = (name = '') => name.toLowerCase().replace(/[^a-z0-9]+/g, ' ')
+  .replace(/\b(inc|ltd|llc|plc|corp|corporation|limited|co)\b/g, '')
+  .trim();
+
+// Splits the metrics block out of a report → { metrics, text } where `text` is the
+// report without the block and `metrics` is null when there is no usable block.
+export const extractMetrics = (report = '') => {
+  const match = report.match(METRICS_BLOCK);
+  if (!match) return { metrics: null, text: report };
+
+  let parsed;
+  try {
+    parsed = JSON.parse(match[1]);
+  } catch {
+    return { metrics: null, text: report };
+  }
+
+  const rawItems = Array.isArray(parsed?.metrics)
+    ? parsed.metrics.map(item => normalizeItem(item))
+    : Object.entries(parsed?.metrics || {}).map(([key, item]) => normalizeItem(
+      typeof item === 'object' ? item : { value: item }, key
+    ));
+  const items = rawItems.filter(Boolean);
+  if (items.length === 0) return { metrics: null, text: report };
+
+  return {
+    metrics: {
+      company: typeof parsed.company === 'string' ? parsed.company.trim() : null,
+      period: parsed.period ? String(parsed.period) : null,
+      periodEnd: parsed.period_end && !Number.isNaN(Date.parse(parsed.period_end)) ? parsed.period_end : null,
+      currency: typeof parsed.currency === 'string' ? parsed.currency.toUpperCase() : null,
+      items,
+    },
+    text: report.replace(METRICS_BLOCK, '').trim(),
+  };
+};
+
+const compactNumber = (value, options = {}) => new Intl.NumberFormat('en-US', {
+  notation: Math.abs(value) >= 10000 ? 'compact' : 'standard',
+  maximumFractionDigits: Math.abs(value) >= 10000 ? 1 : 2,
+  ...options,
+}).format(value);
+
+export const formatMetricValue = (value, unit, currency = null) => {
+  if (value === null || value === undefined) return '—';
+  switch (unit) {
+    case 'currency':
+      try {
+        return compactNumber(value, currency ? { style: 'currency', currency } : {});
+      } catch {
+        // Unknown currency code
+        return `${compactNumber(value)} ${currency}`;
+      }
+    case 'percent':
+      return `${value.toFixed(1)}%`;
+    case 'ratio':
+      return `${value.toFixed(2)}x`;
+    default:
+      return compactNumber(value);
+  }
+};
+
+// Margin-style metrics move in percentage points, everything else in percent
+export const formatChange = (item) => {
+  if (item.unit === 'percent' && item.previous !== null) {
+    const points = item.value - item.previous;
+    return `${points >= 0 ? '+' : ''}${points.toFixed(1)} pp`;
+  }
+  if (item.change === null) return null;
+  return `${item.change >= 0 ? '+' : ''}${(item.change * 100).toFixed(1)}%`;
+};
+
+// One point per reporting period for `key`, oldest first, from analyses of the
+// same company. `analyses` are { id, created_at, metrics } with parsed metrics.
+// When several analyses cover the same period the newest one wins.
+export const buildMetricTrend = (analyses, key) => {
+  const byPeriod = new Map();
+  [...analyses]
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .forEach(analysis => {
+      const item = analysis.metrics?.items.find(i => i.key === key);
+      if (!item) return;
+      const period = analysis.metrics.period || new Date(analysis.created_at).toLocaleDateString();
+      byPeriod.set(period, {
+        period,
+        value: item.value,
+        unit: item.unit,
+        chatId: analysis.id,
+        sortKey: Date.parse(analysis.metrics.periodEnd || analysis.created_at),
+      });
+    });
+  return [...byPeriod.values()].sort((a, b) => a.sortKey - b.sortKey);
+};
@@ -0,0 +1,51 @@
+import { extractMetrics, formatMetricValue, formatChange, buildMetricTrend, normalizeCompany } from './metrics';
+
+const report = (block) => `## Summary\nRevenue grew strongly.\n\n\`\`\`metrics\n${JSON.stringify(block)}\n\`\`\`\n`;
+
+test('splits the metrics block out of the report and derives YoY change', () => {
+  const { metrics, text } = extractMetrics(report({
+    company: 'Acme Corp',
+    period: 'FY2024',
+    currency: 'usd',
+    metrics: [
+      { key: 'revenue', value: 4100000, previous: 3600000, unit: 'currency' },
+      { key: 'gross_margin', label: 'Gross margin', value: 41.2, previous: 39.8, unit: 'percent' },
+      { key: 'broken', value: 'n/a' },
+    ],
+  }));
+  expect(text).toBe('## Summary\nRevenue grew strongly.');
+  expect(metrics.currency).toBe('USD');
+  expect(metrics.items.map(i => i.key)).toEqual(['revenue', 'gross_margin']);
+  expect(metrics.items[0].label).toBe('Revenue');
+  expect(metrics.items[0].change).toBeCloseTo(0.1389, 3);
+  expect(formatChange(metrics.items[1])).toBe('+1.4 pp');
+});
+
+test('accepts metrics keyed by name and ignores unparseable blocks', () => {
+  const { metrics } = extractMetrics(report({ metrics: { current_ratio: { value: '1.8', unit: 'ratio' }, headcount: 120 } }));
+  expect(metrics.items.map(i => [i.label, i.value])).toEqual([['Current Ratio', 1.8], ['Headcount', 120]]);
+
+  const broken = 'Text\n```metrics\n{ not json }\n```';
+  expect(extractMetrics(broken)).toEqual({ metrics: null, text: broken });
+  expect(extractMetrics('Just prose').metrics).toBeNull();
+});
+
+test('formats values by unit', () => {
+  expect(formatMetricValue(4100000, 'currency', 'USD')).toBe('$4.1M');
+  expect(formatMetricValue(12.345, 'percent')).toBe('12.3%');
+  expect(formatMetricValue(0.854, 'ratio')).toBe('0.85x');
+  expect(formatMetricValue(null, 'number')).toBe('—');
+});
+
+test('builds one trend point per period, newest analysis winning', () => {
+  const analysis = (id, createdAt, period, value) => ({
+    id, created_at: createdAt, metrics: { period, periodEnd: null, items: [{ key: 'revenue', value, unit: 'currency' }] },
+  });
+  const trend = buildMetricTrend([
+    analysis('b', '2024-05-01', 'Q1 2024', 110),
+    analysis('a', '2024-02-01', 'Q4 2023', 100),
+    analysis('c', '2024-06-01', 'Q1 2024', 112),
+  ], 'revenue');
+  expect(trend.map(p => [p.period, p.value, p.chatId])).toEqual([['Q4 2023', 100, 'a'], ['Q1 2024', 112, 'c']]);
+  expect(normalizeCompany('Acme Corp.')).toBe(normalizeCompany('ACME corp'));
+});
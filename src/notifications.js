@@ -0,0 +1,66 @@
+// notifications.js - Spotting analyses that just finished or comments that mention the
+// user, and what to tell them
+
+export const MAX_NOTIFICATIONS = 50;
+
+export const isFinished = (chat) => chat.status === 'completed' || chat.status === 'failed';
+
+// Ids that were running at the last check and aren't any more. They have finished or
+// been deleted; the caller looks up which. With no earlier check (first load, new
+// sign-in) nothing counts, so jobs that ended while the app was closed stay quiet.
+export const stoppedRunning = (previousIds, runningRows) => {
+  if (!previousIds) return [];
+  const stillRunning = new Set(runningRows.map(row => row.id));
+  return previousIds.filter(id => !stillRunning.has(id));
+};
+
+export const describeFinished = (chat) => {
+  const name = chat.title || chat.file_name || 'Your analysis';
+  if (chat.parent_id) {
+    return chat.status === 'completed'
+      ? { title: 'Follow-up answered', body: `${name}: "${chat.query}"` }
+      : { title: 'Follow-up failed', body: `${name}: "${chat.query}" could not be answered. Open it to retry.` };
+  }
+  return chat.status === 'completed'
+    ? { title: 'Analysis ready', body: `${name} has finished.` }
+    : { title: 'Analysis failed', body: `${name} could not be analyzed. Open it to retry.` };
+};
+
+export const toNotification = (chat, now = Date.now()) => ({
+  id: `${chat.id}:${now}`,
+  // Follow-up turns open on their thread's root analysis
+  chatId: chat.parent_id || chat.id,
+  status: chat.status,
+  ...describeFinished(chat),
+  at: new Date(now).toISOString(),
+  read: false,
+});
+
+// Comments mentioning the user posted after `seenAt`, oldest first. Timestamps are
+// compared as instants: Hasura's microsecond offsets don't sort as strings against ISO "Z" times.
+export const unseenMentions = (seenAt, comments) => comments
+  .filter(comment => Date.parse(comment.created_at) > Date.parse(seenAt))
+  .sort((a, b) => Date.parse(a.created_at) - Date.parse(b.created_at));
+
+const MENTION_SNIPPET_LENGTH = 80;
+
+export const toMentionNotification = (comment) => {
+  const author = comment.author?.displayName || comment.author?.email || 'Someone';
+  const name = comment.chat?.title || comment.chat?.file_name || 'an analysis';
+  const body = comment.body.length > MENTION_SNIPPET_LENGTH ? `${comment.body.slice(0, MENTION_SNIPPET_LENGTH - 1)}…` : comment.body;
+  return {
+    id: `mention:${comment.id}`,
+    chatId: comment.chat?.parent_id || comment.chat_id,
+    status: 'mention',
+    title: `${author} mentioned you`,
+    body: `${name}: "${body}"`,
+    at: comment.created_at,
+    read: false,
+  };
+};
+
+// "(2) Wingify" while two results arrived in the background; the plain title at zero
+export const badgedTitle = (title, count) => {
+  const base = title.replace(/^\(\d+\) /, '');
+  return count > 0 ? `(${count}) ${base}` : base;
+};
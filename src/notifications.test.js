@@ -0,0 +1,34 @@
+import { stoppedRunning, describeFinished, toNotification, badgedTitle, unseenMentions, toMentionNotification } from './notifications';
+
+test('reports ids that stopped running since the last check', () => {
+  expect(stoppedRunning(null, [{ id: 'a' }])).toEqual([]);
+  expect(stoppedRunning(['a', 'b', 'c'], [{ id: 'b' }, { id: 'd' }])).toEqual(['a', 'c']);
+  expect(stoppedRunning([], [{ id: 'a' }])).toEqual([]);
+});
+
+test('describes finished analyses by title or file name', () => {
+  expect(describeFinished({ status: 'completed', title: 'Q3 review', file_name: 'q3.pdf' })).toEqual({ title: 'Analysis ready', body: 'Q3 review has finished.' });
+  expect(describeFinished({ status: 'failed', file_name: 'q3.pdf' }).body).toBe('q3.pdf could not be analyzed. Open it to retry.');
+
+  const turn = { id: 't1', parent_id: 'root', status: 'completed', file_name: 'q3.pdf', query: 'What about margins?' };
+  expect(toNotification(turn, 0)).toMatchObject({ chatId: 'root', title: 'Follow-up answered', body: 'q3.pdf: "What about margins?"' });
+});
+
+test('adds and clears the unread badge on the tab title', () => {
+  expect(badgedTitle('Wingify', 2)).toBe('(2) Wingify');
+  expect(badgedTitle('(2) Wingify', 3)).toBe('(3) Wingify');
+  expect(badgedTitle('(3) Wingify', 0)).toBe('Wingify');
+});
+
+test('turns comments mentioning the user since the last check into notifications', () => {
+  const comments = [
+    { id: 'c2', chat_id: 'turn', created_at: '2024-01-01T10:05:00.123456+00:00', body: 'x'.repeat(100), author: { email: 'raj@example.com' }, chat: { parent_id: 'root', file_name: 'q3.pdf' } },
+    { id: 'c1', chat_id: 'root', created_at: '2024-01-01T09:00:00+00:00', body: 'old', author: null, chat: null },
+  ];
+  const fresh = unseenMentions('2024-01-01T10:00:00.000Z', comments);
+  expect(fresh.map(comment => comment.id)).toEqual(['c2']);
+
+  const item = toMentionNotification(fresh[0]);
+  expect(item).toMatchObject({ id: 'mention:c2', chatId: 'root', status: 'mention', title: 'raj@example.com mentioned you', read: false });
+  expect(item.body).toBe(`q3.pdf: "${'x'.repeat(79)}…"`);
+});
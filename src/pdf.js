@@ -0,0 +1,73 @@
+// pdf.js - Shared pdf.js setup for the document viewer and upload pre-flight
+import * as pdfjsLib from 'pdfjs-dist';
+
+export { pdfjsLib };
+
+// Parsing runs in a worker, so it stays off the main thread
+let workerReady = null;
+const ensureWorker = () => {
+  workerReady = workerReady || import('./pdfWorker').then(({ workerSrc }) => {
+    pdfjsLib.GlobalWorkerOptions.workerSrc = workerSrc;
+  });
+  return workerReady;
+};
+
+// `source` is a URL string or the file bytes (ArrayBuffer / Uint8Array). PDFs come from
+// uploads and from teammates, so font programs are never compiled with eval
+// (CVE-2024-4367: a crafted font could otherwise run script).
+export const loadPdf = async (source, { password } = {}) => {
+  await ensureWorker();
+  const params = typeof source === 'string' ? { url: source } : { data: source };
+  return pdfjsLib.getDocument({ ...params, password, isEvalSupported: false }).promise;
+};
+
+// Lowercased, whitespace-collapsed, straight-quoted text for matching
+export const normalizeText = (text) => text
+  .toLowerCase()
+  .replace(/[‘’]/g, "'")
+  .replace(/[“”]/g, '"')
+  .replace(/\s+/g, ' ');
+
+// Finds where `needle` occurs in a page's text and returns highlight boxes in
+// viewport (CSS pixel) coordinates. Items are joined with spaces so a match can
+// run across several text runs (quoted citations usually do); the horizontal
+// extent within each item is estimated from character positions.
+export const findTextBoxes = (textContent, viewport, needle) => {
+  const term = normalizeText(needle).trim();
+  if (!term) return [];
+
+  const items = [];
+  let joined = '';
+  textContent.items.forEach(item => {
+    const text = normalizeText(item.str || '');
+    if (!text.trim()) return;
+    if (joined) joined += ' ';
+    items.push({ item, text, start: joined.length });
+    joined += text;
+  });
+
+  const matches = [];
+  for (let index = joined.indexOf(term); index !== -1; index = joined.indexOf(term, index + term.length)) {
+    matches.push([index, index + term.length]);
+  }
+
+  const boxes = [];
+  matches.forEach(([matchStart, matchEnd]) => {
+    items.forEach(({ item, text, start }) => {
+      const from = Math.max(matchStart, start) - start;
+      const to = Math.min(matchEnd, start + text.length) - start;
+      if (to <= from) return;
+
+      const [, b, , d, e, f] = pdfjsLib.Util.transform(viewport.transform, item.transform);
+      const height = Math.hypot(b, d);
+      const width = item.width * viewport.scale;
+      boxes.push({
+        left: e + width * (from / text.length),
+        top: f - height,
+        width: Math.max(4, width * ((to - from) / text.length)),
+        height: height * 1.15,
+      });
+    });
+  });
+  return boxes;
+};
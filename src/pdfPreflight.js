@@ -0,0 +1,119 @@
+// pdfPreflight.js - In-browser PDF checks run before a file is uploaded
+//
+// Catches the problems that otherwise only surface minutes later as a failed
+// analysis: password protection, broken file structure and scanned pages with no
+// text layer (which need OCR).
+import { readBytes } from './utils';
+
+// Pages with fewer extracted characters than this are treated as image-only
+export const MIN_PAGE_TEXT_CHARS = 16;
+// Text extraction is linear in page count; very long files are sampled from the start
+export const MAX_PAGES_CHECKED = 300;
+const TRAILER_SCAN_BYTES = 64 * 1024;
+
+const ENCRYPT_MARKER = Array.from('/Encrypt', c => c.charCodeAt(0));
+
+const containsMarker = (bytes) => {
+  for (let i = 0; i + ENCRYPT_MARKER.length <= bytes.length; i++) {
+    if (ENCRYPT_MARKER.every((b, j) => bytes[i + j] === b)) return true;
+  }
+  return false;
+};
+
+// Owner-password-only PDFs open without prompting, so pdf.js never reports them;
+// the /Encrypt entry in the trailer (at the end, or the start when linearized) does.
+const hasEncryptDictionary = async (file) => {
+  const head = await readBytes(file, 0, Math.min(file.size, TRAILER_SCAN_BYTES));
+  if (containsMarker(head)) return true;
+  const tail = await readBytes(file, Math.max(0, file.size - TRAILER_SCAN_BYTES), file.size);
+  return containsMarker(tail);
+};
+
+const formatPageList = (pages) => (pages.length > 8
+  ? `${pages.slice(0, 8).join(', ')} and ${pages.length - 8} more`
+  : pages.join(', '));
+
+// Turns raw findings into the result the upload queue shows. Kept separate from
+// the parsing so it can be tested without pdf.js.
+//   status: 'ok' | 'warning' | 'needs-password' | 'error'
+export const summarizePreflight = ({ pageCount = 0, pageTextLengths = [], encrypted = false, needsPassword = false, incorrectPassword = false, loadError = null }) => {
+  if (needsPassword) {
+    return {
+      status: 'needs-password',
+      pageCount: null,
+      textlessPages: [],
+      issues: [{ level: 'error', message: incorrectPassword ? 'Incorrect password — try again.' : 'This PDF is password protected. Enter the password to analyze it.' }],
+    };
+  }
+
+  if (loadError) {
+    return {
+      status: 'error',
+      pageCount: null,
+      textlessPages: [],
+      issues: [{ level: 'error', message: `The file looks corrupted (${loadError}). Re-export or re-save the PDF and add it again.` }],
+    };
+  }
+
+  const issues = [];
+  const textlessPages = pageTextLengths
+    .map((length, i) => (length < MIN_PAGE_TEXT_CHARS ? i + 1 : null))
+    .filter(Boolean);
+
+  if (pageCount === 0) {
+    issues.push({ level: 'error', message: 'The PDF has no pages.' });
+  }
+  if (textlessPages.length && textlessPages.length === pageTextLengths.length) {
+    issues.push({ level: 'warning', message: 'No selectable text found — this looks like a scanned document. Enable OCR so the agents can read it.' });
+  } else if (textlessPages.length) {
+    issues.push({ level: 'warning', message: `${textlessPages.length} of ${pageTextLengths.length} pages have no text layer (page ${formatPageList(textlessPages)}). Enable OCR to include them.` });
+  }
+  if (pageTextLengths.length < pageCount) {
+    issues.push({ level: 'info', message: `Only the first ${pageTextLengths.length} of ${pageCount} pages were checked for text.` });
+  }
+  if (encrypted) {
+    issues.push({ level: 'warning', message: 'The PDF is encrypted with usage restrictions; text extraction may be limited.' });
+  }
+
+  const hasError = issues.some(issue => issue.level === 'error');
+  const hasWarning = issues.some(issue => issue.level === 'warning');
+  return {
+    status: hasError ? 'error' : hasWarning ? 'warning' : 'ok',
+    pageCount,
+    textlessPages,
+    issues,
+  };
+};
+
+// Resolves with the summarizePreflight result; never rejects.
+export const runPdfPreflight = async (file, { password } = {}) => {
+  const { loadPdf } = await import('./pdf');
+
+  let doc;
+  try {
+    doc = await loadPdf(await readBytes(file), { password });
+  } catch (err) {
+    if (err?.name === 'PasswordException') {
+      // pdf.js PasswordResponses: 1 = NEED_PASSWORD, 2 = INCORRECT_PASSWORD
+      return summarizePreflight({ needsPassword: true, incorrectPassword: Boolean(password) && err.code === 2 });
+    }
+    return summarizePreflight({ loadError: err?.message || 'unreadable structure' });
+  }
+
+  try {
+    const pageTextLengths = [];
+    const pagesToCheck = Math.min(doc.numPages, MAX_PAGES_CHECKED);
+    for (let n = 1; n <= pagesToCheck; n++) {
+      const page = await doc.getPage(n);
+      const content = await page.getTextContent();
+      pageTextLengths.push(content.items.reduce((sum, item) => sum + (item.str || '').replace(/\s+/g, '').length, 0));
+    }
+    // No point warning about encryption the user just unlocked with a password
+    const encrypted = !password && await hasEncryptDictionary(file);
+    return summarizePreflight({ pageCount: doc.numPages, pageTextLengths, encrypted });
+  } catch (err) {
+    return summarizePreflight({ loadError: err?.message || 'unreadable page content' });
+  } finally {
+    doc.destroy();
+  }
+};
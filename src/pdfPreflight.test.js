@@ -0,0 +1,25 @@
+import { summarizePreflight } from './pdfPreflight';
+
+test('flags scanned pages and lists them', () => {
+  const result = summarizePreflight({ pageCount: 4, pageTextLengths: [900, 0, 3, 1200] });
+  expect(result.status).toBe('warning');
+  expect(result.textlessPages).toEqual([2, 3]);
+  expect(result.issues[0].message).toMatch(/2 of 4 pages have no text layer \(page 2, 3\)/);
+});
+
+test('treats a fully image-only PDF as a scan', () => {
+  const result = summarizePreflight({ pageCount: 2, pageTextLengths: [0, 0] });
+  expect(result.issues[0].message).toMatch(/looks like a scanned document/);
+});
+
+test('reports password protection and corruption as blocking', () => {
+  expect(summarizePreflight({ needsPassword: true }).status).toBe('needs-password');
+  expect(summarizePreflight({ needsPassword: true, incorrectPassword: true }).issues[0].message).toMatch(/Incorrect password/);
+  expect(summarizePreflight({ loadError: 'Invalid PDF structure.' }).status).toBe('error');
+});
+
+test('passes a clean text PDF', () => {
+  expect(summarizePreflight({ pageCount: 2, pageTextLengths: [500, 640] })).toEqual({
+    status: 'ok', pageCount: 2, textlessPages: [], issues: [],
+  });
+});
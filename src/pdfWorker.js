@@ -0,0 +1,5 @@
+// pdfWorker.js - URL of the pdf.js worker, bundled by webpack as a separate asset
+//
+// Kept apart from pdf.js and loaded on first use: jest can't parse `import.meta`, and
+// anything that imports the viewer (App included) would otherwise fail to load in tests.
+export const workerSrc = new URL('pdfjs-dist/build/pdf.worker.min.js', import.meta.url).toString();
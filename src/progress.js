@@ -0,0 +1,70 @@
+// progress.js - Live progress the analysis service writes while a chat runs
+//
+// While a chat is pending/processing the service keeps two columns up to date:
+//
+//   progress:       { "agent": "Financial Analyst", "step": 2, "total_steps": 4, "updated_at": "...",
+//                     "steps": [{ "name": "Document Verifier", "status": "done", "started_at": "...", "finished_at": "..." }, ...] }
+//   partial_result: the report text written so far
+//
+// Either may be missing (older service versions, or before the first agent
+// starts); the UI then falls back to a plain spinner.
+
+const STEP_STATUSES = {
+  done: 'done', completed: 'done', finished: 'done', success: 'done',
+  running: 'running', active: 'running', in_progress: 'running', processing: 'running',
+  failed: 'failed', error: 'failed',
+};
+
+// Past this long without an update the step is flagged as slow rather than hung
+export const STALE_AFTER_MS = 90 * 1000;
+
+const toTime = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isFinite(time) ? time : null;
+};
+
+const toCount = (value) => (Number.isInteger(value) && value > 0 ? value : null);
+
+// → { agent, current, total, steps: [{ name, status, startedAt, finishedAt }], updatedAt } or null.
+// Statuses are 'done' | 'running' | 'waiting' | 'failed'. When the service only
+// reports step N of M, the listed steps are filled out around the running agent.
+export const normalizeProgress = (progress) => {
+  if (!progress || typeof progress !== 'object') return null;
+
+  let steps = (Array.isArray(progress.steps) ? progress.steps : [])
+    .filter(step => step && (step.name || step.agent))
+    .map(step => ({
+      name: String(step.name || step.agent),
+      status: STEP_STATUSES[String(step.status || '').toLowerCase()] || 'waiting',
+      startedAt: toTime(step.started_at),
+      finishedAt: toTime(step.finished_at),
+    }));
+
+  const runningIndex = steps.findIndex(step => step.status === 'running');
+  const agent = progress.agent ? String(progress.agent) : steps[runningIndex]?.name || null;
+  const total = Math.max(toCount(progress.total_steps) || 0, steps.length) || null;
+  const current = toCount(progress.step) || (runningIndex >= 0 ? runningIndex + 1 : null);
+
+  if (steps.length === 0 && total && current) {
+    steps = Array.from({ length: total }, (_, i) => ({
+      name: i + 1 === current && agent ? agent : `Step ${i + 1}`,
+      status: i + 1 < current ? 'done' : i + 1 === current ? 'running' : 'waiting',
+      startedAt: null,
+      finishedAt: null,
+    }));
+  }
+
+  if (steps.length === 0 && !agent) return null;
+  return { agent, current, total, steps, updatedAt: toTime(progress.updated_at) };
+};
+
+// The metrics/risks blocks are rendered as panels once the report completes; a
+// half-written one would only show up as raw JSON, so the preview stops before it.
+export const visiblePartial = (text = '') => text.split(/```(?:json[ \t]+)?(?:metrics|risks)\b/i)[0].trimEnd();
+
+// 65000 → "1m 05s"
+export const formatElapsed = (ms) => {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m ${String(seconds % 60).padStart(2, '0')}s`;
+};
@@ -0,0 +1,31 @@
+import { normalizeProgress, visiblePartial, formatElapsed } from './progress';
+
+test('normalizes listed steps and finds the running agent', () => {
+  const progress = normalizeProgress({
+    total_steps: 3,
+    updated_at: '2024-05-01T10:00:30Z',
+    steps: [
+      { name: 'Document Verifier', status: 'completed', started_at: '2024-05-01T10:00:00Z', finished_at: '2024-05-01T10:00:20Z' },
+      { agent: 'Financial Analyst', status: 'in_progress' },
+      { name: 'Risk Assessor' },
+    ],
+  });
+  expect(progress.agent).toBe('Financial Analyst');
+  expect([progress.current, progress.total]).toEqual([2, 3]);
+  expect(progress.steps.map(s => s.status)).toEqual(['done', 'running', 'waiting']);
+  expect(progress.steps[0].finishedAt - progress.steps[0].startedAt).toBe(20000);
+});
+
+test('fills out steps from a bare step count and ignores empty progress', () => {
+  const progress = normalizeProgress({ agent: 'Risk Assessor', step: 3, total_steps: 4 });
+  expect(progress.steps.map(s => [s.name, s.status])).toEqual([
+    ['Step 1', 'done'], ['Step 2', 'done'], ['Risk Assessor', 'running'], ['Step 4', 'waiting'],
+  ]);
+  expect(normalizeProgress({})).toBeNull();
+  expect(normalizeProgress(null)).toBeNull();
+});
+
+test('cuts the preview before a half-written metrics block', () => {
+  expect(visiblePartial('## Summary\nRevenue up.\n\n```metrics\n{"company": "Ac')).toBe('## Summary\nRevenue up.');
+  expect(formatElapsed(65000)).toBe('1m 05s');
+});
@@ -0,0 +1,58 @@
+// promptTemplates.js - Analysis prompt templates with {{variable}} placeholders
+//
+// A template body is plain prompt text; `{{company}}`-style placeholders are
+// filled in when the analysis is submitted, so one template serves every client.
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_]\w*)\s*\}\}/g;
+
+// Shipped with the app; user and team templates come from the prompt_templates table
+export const BUILT_IN_TEMPLATES = [
+  {
+    id: 'builtin-liquidity',
+    name: 'Liquidity review',
+    body: 'Assess the liquidity position of {{company}} for fiscal year {{fiscal_year}}. '
+      + 'Compute the current ratio, quick ratio and cash ratio, summarise operating cash flow against '
+      + 'short-term obligations, highlight working-capital trends and any upcoming debt maturities, '
+      + 'and flag anything that suggests a funding gap in the next 12 months.',
+  },
+  {
+    id: 'builtin-covenants',
+    name: 'Covenant compliance',
+    body: 'Review {{company}}\'s financial covenants for {{fiscal_year}}. For each covenant in the '
+      + 'credit agreement (leverage, interest cover, minimum liquidity, capex limits), state the '
+      + 'threshold, the reported value and the headroom, cite the page it comes from, and flag any '
+      + 'breach, near-breach or waiver. Note definitions of EBITDA or debt that differ from the reported figures.',
+  },
+  {
+    id: 'builtin-revenue-quality',
+    name: 'Revenue quality',
+    body: 'Evaluate the quality of revenue reported by {{company}} in {{fiscal_year}}. Break revenue '
+      + 'down by segment and recurring vs one-off, compare growth with receivables and deferred revenue, '
+      + 'review revenue recognition policies and related-party sales, and call out customer '
+      + 'concentration or any signs of pulled-forward or channel-stuffed sales.',
+  },
+];
+
+// Placeholder names in the order they first appear, without duplicates
+export const extractVariables = (body = '') => {
+  const names = [];
+  for (const [, name] of body.matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(name)) names.push(name);
+  }
+  return names;
+};
+
+export const missingVariables = (body, values = {}) => extractVariables(body)
+  .filter(name => !(values[name] || '').trim());
+
+// Substitutes every placeholder that has a value; unfilled ones are left as written
+export const fillTemplate = (body = '', values = {}) => body.replace(VARIABLE_PATTERN, (placeholder, name) => {
+  const value = (values[name] || '').trim();
+  return value || placeholder;
+});
+
+// "fiscal_year" → "Fiscal year"
+export const formatVariableLabel = (name) => {
+  const words = name.replace(/_+/g, ' ').trim();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
@@ -0,0 +1,20 @@
+import { BUILT_IN_TEMPLATES, extractVariables, missingVariables, fillTemplate, formatVariableLabel } from './promptTemplates';
+
+test('lists each placeholder once, in order of appearance', () => {
+  expect(extractVariables('{{company}} FY{{ fiscal_year }} vs {{company}}')).toEqual(['company', 'fiscal_year']);
+  expect(extractVariables('No variables here {{ }}')).toEqual([]);
+});
+
+test('fills placeholders that have values and leaves the rest', () => {
+  const body = 'Review {{company}} for {{fiscal_year}}';
+  expect(fillTemplate(body, { company: ' Acme Ltd ', fiscal_year: '2024' })).toBe('Review Acme Ltd for 2024');
+  expect(fillTemplate(body, { company: 'Acme Ltd' })).toBe('Review Acme Ltd for {{fiscal_year}}');
+  expect(missingVariables(body, { company: 'Acme Ltd', fiscal_year: '  ' })).toEqual(['fiscal_year']);
+});
+
+test('built-in templates ask for the company and fiscal year', () => {
+  BUILT_IN_TEMPLATES.forEach(template => {
+    expect(extractVariables(template.body)).toEqual(['company', 'fiscal_year']);
+  });
+  expect(formatVariableLabel('fiscal_year')).toBe('Fiscal year');
+});
@@ -0,0 +1,136 @@
+// risks.js - Risk flags detected in an analysis_result, with a roll-up score
+//
+// Flags come from a fenced `risks` JSON block when the analysis service writes one:
+//
+//   ```risks
+//   [{ "title": "Covenant headroom under 5%", "severity": "high", "detail": "...", "section": "Risk Assessment" }]
+//   ```
+//
+// Otherwise they are read from the report itself: list items and table rows under
+// any heading that talks about risks, red flags or concerns. Severity comes from
+// the wording ("high", "moderate", ...) and defaults to medium.
+import { parseBlocks, inlineToText } from './markdown';
+
+export const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+const SEVERITY_WEIGHTS = { critical: 40, high: 20, medium: 8, low: 3 };
+
+const SEVERITY_ALIASES = {
+  critical: 'critical', severe: 'critical', extreme: 'critical',
+  high: 'high', elevated: 'high', significant: 'high', major: 'high',
+  medium: 'medium', moderate: 'medium',
+  low: 'low', minor: 'low', limited: 'low',
+};
+
+const SEVERITY_WORD = new RegExp(`\\b(${Object.keys(SEVERITY_ALIASES).join('|')})\\b`, 'i');
+const RISK_HEADING = /\b(risks?|red flags?|concerns?|warning signs?|vulnerabilit(?:y|ies))\b/i;
+const SEVERITY_COLUMN = /^(severity|risk level|level|rating|impact)$/i;
+const RISKS_BLOCK = /```risks[ \t]*\n([\s\S]*?)\n?```[ \t]*\n?/i;
+
+const MAX_TITLE_CHARS = 90;
+
+const toSeverity = (text = '') => {
+  const match = String(text).match(SEVERITY_WORD);
+  return match ? SEVERITY_ALIASES[match[1].toLowerCase()] : null;
+};
+
+// A leading bold run ("**Liquidity:** ...") is the title; otherwise the first sentence
+const splitTitle = (tokens) => {
+  const text = inlineToText(tokens).trim();
+  const lead = tokens[0]?.type === 'strong' ? inlineToText(tokens[0].children).replace(/[:.\s-]+$/, '') : null;
+  if (lead) return { title: lead, detail: text.slice(inlineToText([tokens[0]]).length).replace(/^[\s:.–-]+/, '') };
+  const sentence = text.match(/^(.+?[.!?])(\s|$)/)?.[1] || text;
+  const title = sentence.length > MAX_TITLE_CHARS ? `${sentence.slice(0, MAX_TITLE_CHARS - 1).trim()}…` : sentence;
+  return { title, detail: text === sentence ? '' : text };
+};
+
+const findHeadingId = (blocks, name) => {
+  if (!name) return null;
+  const target = String(name).toLowerCase();
+  return blocks.find(b => b.type === 'heading' && inlineToText(b.children).toLowerCase().includes(target))?.id || null;
+};
+
+const flagsFromBlock = (json, blocks) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch {
+    return null;
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed?.flags;
+  if (!Array.isArray(list)) return null;
+  return list
+    .filter(flag => flag?.title)
+    .map(flag => ({
+      title: String(flag.title),
+      detail: flag.detail ? String(flag.detail) : '',
+      severity: toSeverity(flag.severity) || 'medium',
+      sectionId: findHeadingId(blocks, flag.section),
+    }));
+};
+
+const flagsFromText = (blocks) => {
+  const flags = [];
+  let riskLevel = null; // heading level of the risk section we are inside, if any
+  let headingId = null;
+
+  blocks.forEach(block => {
+    if (block.type === 'heading') {
+      const isRisk = RISK_HEADING.test(inlineToText(block.children));
+      if (riskLevel === null || block.level <= riskLevel) riskLevel = isRisk ? block.level : null;
+      headingId = block.id;
+      return;
+    }
+    if (riskLevel === null) return;
+
+    if (block.type === 'list') {
+      block.items.filter(item => item.depth === 0).forEach(item => {
+        const { title, detail } = splitTitle(item.children);
+        if (title) flags.push({ title, detail, severity: toSeverity(inlineToText(item.children)) || 'medium', sectionId: headingId });
+      });
+    } else if (block.type === 'table') {
+      const severityColumn = block.header.findIndex(cell => SEVERITY_COLUMN.test(inlineToText(cell).trim()));
+      block.rows.forEach(row => {
+        const title = inlineToText(row[0] || []).trim();
+        if (!title) return;
+        const detail = row.slice(1).filter((_, c) => c + 1 !== severityColumn).map(cell => inlineToText(cell).trim()).filter(Boolean).join(' · ');
+        const severityText = severityColumn >= 0 ? inlineToText(row[severityColumn]) : row.map(inlineToText).join(' ');
+        flags.push({ title, detail, severity: toSeverity(severityText) || 'medium', sectionId: headingId });
+      });
+    }
+  });
+  return flags;
+};
+
+// → { flags, text } where `text` is the report without a `risks` block. Flags are
+// ordered most severe first and carry the id of the heading they were found under.
+export const extractRiskFlags = (report = '') => {
+  const match = report.match(RISKS_BLOCK);
+  const text = match ? report.replace(RISKS_BLOCK, '').trim() : report;
+  const blocks = parseBlocks(text);
+  const flags = (match && flagsFromBlock(match[1], blocks)) || flagsFromText(blocks);
+
+  return {
+    flags: flags
+      .map((flag, i) => ({ ...flag, id: `flag-${i}` }))
+      .sort((a, b) => SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity)),
+    text,
+  };
+};
+
+// Roll-up for a whole analysis: a 0–100 score from weighted flag counts, and the
+// level of the worst flag ('none' without flags).
+export const summarizeRisks = (flags) => {
+  const counts = Object.fromEntries(SEVERITIES.map(s => [s, flags.filter(f => f.severity === s).length]));
+  const score = Math.min(100, flags.reduce((sum, flag) => sum + SEVERITY_WEIGHTS[flag.severity], 0));
+  const level = SEVERITIES.find(s => counts[s] > 0) || 'none';
+  return { score, level, counts };
+};
+
+export const RISK_COLORS = {
+  critical: { color: '#7f1d1d', bg: '#fee2e2', border: '#fca5a5', dot: '#b91c1c' },
+  high: { color: '#9a3412', bg: '#ffedd5', border: '#fdba74', dot: '#ea580c' },
+  medium: { color: '#92400e', bg: '#fffbeb', border: '#fde68a', dot: '#d97706' },
+  low: { color: '#14532d', bg: '#f0fdf4', border: '#bbf7d0', dot: '#16a34a' },
+  none: { color: '#475569', bg: '#f8fafc', border: '#e2e8f0', dot: '#94a3b8' },
+};
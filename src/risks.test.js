@@ -0,0 +1,41 @@
+import { extractRiskFlags, summarizeRisks } from './risks';
+
+const report = [
+  '## Financial Analyst',
+  'Revenue grew 14%.',
+  '- Margins improved',
+  '## Risk Assessment',
+  '- **Covenant headroom:** leverage is 3.9x against a 4.0x limit — high risk of breach.',
+  '- Customer concentration is moderate; the top client is 22% of sales.',
+  '- Receivables ageing needs monitoring.',
+  '### Severity table',
+  '| Risk | Severity |',
+  '| --- | --- |',
+  '| Going concern doubt | Critical |',
+  '## Outlook',
+  '- Demand looks low-risk',
+].join('\n');
+
+test('reads flags from list items and tables under risk headings', () => {
+  const { flags } = extractRiskFlags(report);
+  expect(flags.map(f => [f.title, f.severity, f.sectionId])).toEqual([
+    ['Going concern doubt', 'critical', 'severity-table'],
+    ['Covenant headroom', 'high', 'risk-assessment'],
+    ['Customer concentration is moderate; the top client is 22% of sales.', 'medium', 'risk-assessment'],
+    ['Receivables ageing needs monitoring.', 'medium', 'risk-assessment'],
+  ]);
+  expect(flags[1].detail).toMatch(/^leverage is 3\.9x/);
+});
+
+test('prefers an explicit risks block and strips it from the text', () => {
+  const text = '## Risks\nNarrative only.\n```risks\n[{"title":"Refinancing wall in 2025","severity":"severe","section":"risks"}]\n```\n';
+  const result = extractRiskFlags(text);
+  expect(result.text).toBe('## Risks\nNarrative only.');
+  expect(result.flags).toEqual([{ id: 'flag-0', title: 'Refinancing wall in 2025', detail: '', severity: 'critical', sectionId: 'risks' }]);
+});
+
+test('rolls flags up into a capped score and worst level', () => {
+  const { flags } = extractRiskFlags(report);
+  expect(summarizeRisks(flags)).toEqual({ score: 76, level: 'critical', counts: { critical: 1, high: 1, medium: 2, low: 0 } });
+  expect(summarizeRisks([])).toEqual({ score: 0, level: 'none', counts: { critical: 0, high: 0, medium: 0, low: 0 } });
+});
@@ -0,0 +1,94 @@
+// router.js - Client-side routes and the history-API hook that follows them
+//
+//   /new                 upload workspace (also `/`)
+//   /analyses/:id        one analysis and its follow-up thread
+//   /documents           the file library
+//   /compare?ids=a,b     side-by-side comparison
+//   /settings            account settings
+//   /reset-password      new-password form after a reset email
+//   /shared/:token       public read-only result behind a share link
+//
+// The host has to serve index.html for every path so deep links load the app.
+import { useCallback, useEffect, useMemo, useState } from 'react';
+
+const ANALYSIS_PATH = /^\/analyses\/([^/]+)\/?$/;
+const SHARED_PATH = /^\/shared\/([^/]+)\/?$/;
+
+const STATIC_ROUTES = {
+  '/': 'new',
+  '/new': 'new',
+  '/documents': 'documents',
+  '/compare': 'compare',
+  '/settings': 'settings',
+  '/reset-password': 'reset-password',
+};
+
+// Reset emails sent before the route existed land on the app root with Nhost's
+// parameters: ?type=passwordReset (Nhost v2) or #type=recovery (Supabase-style)
+const isLegacyPasswordReset = (search, hash) => {
+  const searchParams = new URLSearchParams(search);
+  const hashParams = new URLSearchParams(hash.replace(/^#/, ''));
+  return searchParams.get('type') === 'passwordReset'
+    || hashParams.get('type') === 'recovery'
+    || hashParams.get('type') === 'passwordReset';
+};
+
+// → { name, id?, token?, ids? }; unknown paths come back as { name: 'not-found' }
+export const parseLocation = ({ pathname = '/', search = '', hash = '' }) => {
+  if (isLegacyPasswordReset(search, hash)) return { name: 'reset-password' };
+
+  const analysis = pathname.match(ANALYSIS_PATH);
+  if (analysis) return { name: 'analysis', id: decodeURIComponent(analysis[1]) };
+
+  const shared = pathname.match(SHARED_PATH);
+  if (shared) return { name: 'shared', token: decodeURIComponent(shared[1]) };
+
+  const name = STATIC_ROUTES[pathname.replace(/(.)\/$/, '$1')];
+  if (name === 'compare') {
+    const ids = (new URLSearchParams(search).get('ids') || '').split(',').filter(Boolean);
+    return { name, ids };
+  }
+  return name ? { name } : { name: 'not-found' };
+};
+
+export const buildPath = (route) => {
+  switch (route.name) {
+    case 'analysis': return `/analyses/${encodeURIComponent(route.id)}`;
+    case 'shared': return `/shared/${encodeURIComponent(route.token)}`;
+    case 'compare': return `/compare?ids=${route.ids.map(encodeURIComponent).join(',')}`;
+    case 'documents':
+    case 'settings':
+    case 'reset-password':
+      return `/${route.name}`;
+    default: return '/new';
+  }
+};
+
+// Absolute URL of a route, for email links that come back into the app
+export const routeUrl = (route) => `${window.location.origin}${buildPath(route)}`;
+
+const readLocation = () => ({ pathname: window.location.pathname, search: window.location.search, hash: window.location.hash });
+
+// The current route plus `navigate(route, { replace })`. Back/forward update the route through popstate.
+export function useRouter() {
+  const [location, setLocation] = useState(readLocation);
+
+  useEffect(() => {
+    const handlePopState = () => setLocation(readLocation());
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, []);
+
+  const navigate = useCallback((route, { replace = false } = {}) => {
+    const path = buildPath(route);
+    const current = window.location.pathname + window.location.search;
+    if (path === current && !window.location.hash) return;
+    window.history[replace ? 'replaceState' : 'pushState']({}, '', path);
+    setLocation(readLocation());
+  }, []);
+
+  const { pathname, search, hash } = location;
+  const route = useMemo(() => parseLocation({ pathname, search, hash }), [pathname, search, hash]);
+
+  return { route, navigate };
+}
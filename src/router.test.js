@@ -0,0 +1,20 @@
+import { parseLocation, buildPath } from './router';
+
+test('parses app paths and round-trips them', () => {
+  expect(parseLocation({ pathname: '/analyses/3f2a-91' })).toEqual({ name: 'analysis', id: '3f2a-91' });
+  expect(parseLocation({ pathname: '/shared/Xy_9-z' })).toEqual({ name: 'shared', token: 'Xy_9-z' });
+  expect(parseLocation({ pathname: '/compare', search: '?ids=a,b' })).toEqual({ name: 'compare', ids: ['a', 'b'] });
+  expect(parseLocation({ pathname: '/documents/' })).toEqual({ name: 'documents' });
+  expect(parseLocation({ pathname: '/' })).toEqual({ name: 'new' });
+  expect(parseLocation({ pathname: '/nope' })).toEqual({ name: 'not-found' });
+
+  ['/analyses/3f2a-91', '/compare?ids=a,b', '/documents', '/settings', '/reset-password', '/new'].forEach(path => {
+    const [pathname, search = ''] = path.split('?');
+    expect(buildPath(parseLocation({ pathname, search: search && `?${search}` }))).toBe(path);
+  });
+});
+
+test('recognizes legacy password-reset redirects on any path', () => {
+  expect(parseLocation({ pathname: '/', search: '?refreshToken=x&type=passwordReset' })).toEqual({ name: 'reset-password' });
+  expect(parseLocation({ pathname: '/', hash: '#access_token=x&type=recovery' })).toEqual({ name: 'reset-password' });
+});
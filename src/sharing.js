@@ -0,0 +1,42 @@
+// sharing.js - Access roles, share-link tokens and expiry for shared analyses
+
+export const SHARE_ROLES = [
+  { id: 'view', label: 'Can view' },
+  { id: 'comment', label: 'Can comment' },
+];
+
+export const LINK_EXPIRY_OPTIONS = [
+  { days: 1, label: '1 day' },
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Shares are matched against the recipient's sign-in email, so both sides are lower-cased
+export const normalizeEmail = (email = '') => email.trim().toLowerCase();
+
+export const isValidEmail = (email) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+// 24 random bytes as base64url: unguessable, and safe in a URL path
+export const generateShareToken = () => {
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+export const linkExpiry = (days, now = Date.now()) => new Date(now + days * DAY_MS).toISOString();
+
+// 'active' | 'expired' | 'revoked'
+export const linkStatus = (link, now = Date.now()) => {
+  if (link.revoked_at) return 'revoked';
+  return new Date(link.expires_at).getTime() <= now ? 'expired' : 'active';
+};
+
+// 'owner' for the user's own analyses, 'workspace' for a teammate's in the active
+// workspace, otherwise the role they were granted by a share (null if none)
+export const accessRoleFor = (chat, userId, sharedWithMe = [], workspaceId = null) => {
+  if (!chat) return null;
+  if (chat.user_id === userId) return 'owner';
+  if (workspaceId && chat.workspace_id === workspaceId) return 'workspace';
+  return sharedWithMe.find(share => share.chat_id === chat.id)?.role || null;
+};
@@ -0,0 +1,30 @@
+import { generateShareToken, linkStatus, linkExpiry, accessRoleFor, isValidEmail, normalizeEmail } from './sharing';
+
+// jsdom in this Jest version has no Web Crypto; Node's implementation stands in
+beforeAll(() => {
+  if (!global.crypto) global.crypto = require('crypto').webcrypto;
+});
+
+test('tokens are long, URL-safe and distinct', () => {
+  const token = generateShareToken();
+  expect(token).toMatch(/^[A-Za-z0-9_-]{32}$/);
+  expect(generateShareToken()).not.toBe(token);
+});
+
+test('links are active until they expire or are revoked', () => {
+  const now = Date.parse('2024-05-01T00:00:00Z');
+  const link = { expires_at: linkExpiry(7, now), revoked_at: null };
+  expect(linkStatus(link, now)).toBe('active');
+  expect(linkStatus(link, now + 8 * 24 * 60 * 60 * 1000)).toBe('expired');
+  expect(linkStatus({ ...link, revoked_at: '2024-05-02T00:00:00Z' }, now)).toBe('revoked');
+});
+
+test('resolves the access role and normalizes emails', () => {
+  const chat = { id: 'c1', user_id: 'owner' };
+  expect(accessRoleFor(chat, 'owner')).toBe('owner');
+  expect(accessRoleFor(chat, 'other', [{ chat_id: 'c1', role: 'comment' }])).toBe('comment');
+  expect(accessRoleFor(chat, 'other', [])).toBeNull();
+  expect(accessRoleFor({ ...chat, workspace_id: 'w1' }, 'other', [], 'w1')).toBe('workspace');
+  expect(normalizeEmail('  Ana@Example.COM ')).toBe('ana@example.com');
+  expect(isValidEmail('ana@example')).toBe(false);
+});
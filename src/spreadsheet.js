@@ -0,0 +1,105 @@
+// spreadsheet.js - Just enough CSV and XLSX reading for an upload preview
+//
+// A preview only needs the first rows of each sheet as text, so workbooks are read
+// straight from their XML parts (through JSZip, as Word previews are) rather than
+// with a full spreadsheet library.
+
+// ============================================
+// CSV
+// ============================================
+// Excel writes ";" or tabs in some locales; whichever is most common in the first line wins
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const counts = [',', ';', '\t'].map(delimiter => [delimiter, firstLine.split(delimiter).length]);
+  return counts.reduce((best, next) => (next[1] > best[1] ? next : best))[0];
+};
+
+// RFC 4180: quoted fields may hold the delimiter, line breaks and doubled quotes.
+// Blank lines are skipped; reading stops after `maxRows` rows.
+export const parseCsv = (text, maxRows = Infinity) => {
+  const delimiter = detectDelimiter(text);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const endRow = () => {
+    row.push(field);
+    if (row.some(cell => cell !== '')) rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length && rows.length < maxRows; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"' && field === '') quoted = true;
+    else if (ch === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else field += ch;
+  }
+  if (rows.length < maxRows && (field || row.length)) endRow();
+  return rows;
+};
+
+// ============================================
+// XLSX
+// ============================================
+// "AB12" -> 27 (zero-based column)
+const columnIndex = (ref) => {
+  const letters = ref.match(/^[A-Z]+/)?.[0] || 'A';
+  return Array.from(letters).reduce((n, letter) => n * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+// Rich text splits a string into runs; their <t> pieces join back into one
+const textOf = (node) => (node ? Array.from(node.getElementsByTagName('t')).map(t => t.textContent).join('') : '');
+
+const cellText = (cell, sharedStrings) => {
+  const type = cell.getAttribute('t');
+  if (type === 'inlineStr') return textOf(cell.getElementsByTagName('is')[0]);
+  const value = cell.getElementsByTagName('v')[0]?.textContent ?? '';
+  if (type === 's') return sharedStrings[Number(value)] ?? '';
+  if (type === 'b') return value === '1' ? 'TRUE' : 'FALSE';
+  return value;
+};
+
+// Reads every sheet of an opened XLSX zip as [{ name, rows }], with at most `maxRows`
+// non-blank rows of `maxColumns` cells each. Numbers and dates come through as stored.
+export const readWorkbook = async (zip, { maxRows = Infinity, maxColumns = Infinity } = {}) => {
+  const readXml = async (path) => {
+    const text = await zip.file(path)?.async('string');
+    return text ? new DOMParser().parseFromString(text, 'application/xml') : null;
+  };
+
+  const workbook = await readXml('xl/workbook.xml');
+  if (!workbook) throw new Error('This file has no workbook.');
+  const rels = await readXml('xl/_rels/workbook.xml.rels');
+  const targets = Object.fromEntries(Array.from(rels?.getElementsByTagName('Relationship') || [])
+    .map(rel => [rel.getAttribute('Id'), rel.getAttribute('Target')]));
+  const sharedStrings = Array.from((await readXml('xl/sharedStrings.xml'))?.getElementsByTagName('si') || []).map(textOf);
+
+  return Promise.all(Array.from(workbook.getElementsByTagName('sheet')).map(async (sheet) => {
+    const target = targets[sheet.getAttribute('r:id')] || '';
+    const doc = await readXml(target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+    const rows = [];
+    for (const row of Array.from(doc?.getElementsByTagName('row') || [])) {
+      if (rows.length >= maxRows) break;
+      const cells = [];
+      Array.from(row.getElementsByTagName('c')).forEach((cell, i) => {
+        const column = cell.hasAttribute('r') ? columnIndex(cell.getAttribute('r')) : i;
+        if (column < maxColumns) cells[column] = cellText(cell, sharedStrings);
+      });
+      const values = Array.from(cells, cell => cell ?? '');
+      if (values.some(cell => cell !== '')) rows.push(values);
+    }
+    return { name: sheet.getAttribute('name'), rows };
+  }));
+};
@@ -0,0 +1,41 @@
+import JSZip from 'jszip';
+import { parseCsv, readWorkbook } from './spreadsheet';
+
+test('reads quoted CSV fields and skips blank lines', () => {
+  const text = 'Account,Amount\r\n"Cash, petty",120\r\n\r\n"He said ""hi""","multi\nline"\n';
+  expect(parseCsv(text)).toEqual([
+    ['Account', 'Amount'],
+    ['Cash, petty', '120'],
+    ['He said "hi"', 'multi\nline'],
+  ]);
+  expect(parseCsv(text, 2)).toHaveLength(2);
+});
+
+test('picks up semicolon and tab delimited exports', () => {
+  expect(parseCsv('a;b;c\n1;2,5;3')).toEqual([['a', 'b', 'c'], ['1', '2,5', '3']]);
+  expect(parseCsv('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+});
+
+test('reads sheets, shared and inline strings from an XLSX zip', async () => {
+  const zip = new JSZip();
+  zip.file('xl/workbook.xml', `<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"
+    xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+    <sheets><sheet name="TB" sheetId="1" r:id="rId1"/><sheet name="Notes" sheetId="2" r:id="rId2"/></sheets></workbook>`);
+  zip.file('xl/_rels/workbook.xml.rels', `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+    <Relationship Id="rId1" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Target="/xl/worksheets/sheet2.xml"/></Relationships>`);
+  zip.file('xl/sharedStrings.xml', `<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+    <si><t>Account</t></si><si><r><t>Cash </t></r><r><t>at bank</t></r></si></sst>`);
+  zip.file('xl/worksheets/sheet1.xml', `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>
+    <row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>Audited</t></is></c></row>
+    <row r="2"/>
+    <row r="3"><c r="A3" t="s"><v>1</v></c><c r="B3"><v>1520.5</v></c><c r="C3" t="b"><v>1</v></c></row>
+  </sheetData></worksheet>`);
+  zip.file('xl/worksheets/sheet2.xml', `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>
+    <row r="1"><c r="A1" t="inlineStr"><is><t>Draft</t></is></c></row></sheetData></worksheet>`);
+
+  expect(await readWorkbook(zip)).toEqual([
+    { name: 'TB', rows: [['Account', '', 'Audited'], ['Cash at bank', '1520.5', 'TRUE']] },
+    { name: 'Notes', rows: [['Draft']] },
+  ]);
+  expect((await readWorkbook(zip, { maxRows: 1, maxColumns: 2 }))[0].rows).toEqual([['Account']]);
+});
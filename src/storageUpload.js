@@ -0,0 +1,222 @@
+// storageUpload.js - Abortable Nhost Storage uploads with byte progress and chunked resume
+//
+// nhost.storage.upload can't be cancelled and the React hook only tracks one file,
+// so the upload queue talks to hasura-storage through this module instead. Deleting
+// goes through here too, so a file shared by several analyses is never removed early.
+import { createAbortError, isAbortError, sleep } from './utils';
+
+const MB = 1024 * 1024;
+
+const envNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+export const UPLOAD_CONFIG = {
+  // Overrides every input type's own size limit when set
+  maxSizeMB: envNumber(process.env.REACT_APP_MAX_UPLOAD_MB, null),
+  // Files above the threshold go up in chunks, so a dropped connection only costs one chunk
+  chunkThresholdMB: envNumber(process.env.REACT_APP_UPLOAD_CHUNK_THRESHOLD_MB, 8),
+  chunkSizeMB: envNumber(process.env.REACT_APP_UPLOAD_CHUNK_MB, 4),
+  chunkAttempts: 4,
+  // Nhost function (functions/compose-upload.js) that concatenates uploaded chunks
+  // into one storage file and deletes the parts; responds with { file_id }
+  composeFunction: '/compose-upload',
+};
+
+const RESUME_KEY_PREFIX = 'winfigy.upload-resume.';
+
+export class UploadError extends Error {
+  constructor(message, { status = 0 } = {}) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    // Network drops and server errors are worth retrying; 4xx are not
+    this.transient = status === 0 || status >= 500 || status === 408 || status === 429;
+  }
+}
+
+// ============================================
+// SINGLE REQUEST
+// ============================================
+// The same multipart POST nhost.storage.upload makes, over an XHR we keep hold of
+// so it can report upload progress and be aborted.
+const postFile = (nhost, blob, { id, name, signal, onProgress }) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const form = new FormData();
+  form.append('file[]', blob, name);
+  form.append('metadata[]', new Blob([JSON.stringify({ id, name })], { type: 'application/json' }), '');
+
+  const xhr = new XMLHttpRequest();
+  const abort = () => xhr.abort();
+  signal?.addEventListener('abort', abort, { once: true });
+  const cleanup = () => signal?.removeEventListener('abort', abort);
+
+  xhr.open('POST', `${nhost.storage.url}/files`, true);
+  xhr.responseType = 'json';
+  const accessToken = nhost.auth.getAccessToken();
+  if (accessToken) xhr.setRequestHeader('Authorization', `Bearer ${accessToken}`);
+
+  xhr.upload.onprogress = (event) => {
+    if (onProgress && event.lengthComputable) onProgress(event.loaded);
+  };
+  xhr.onload = () => {
+    cleanup();
+    if (xhr.status < 200 || xhr.status >= 300) {
+      const message = xhr.response?.error?.message || xhr.response?.error || xhr.statusText || 'Upload failed';
+      reject(new UploadError(`Storage upload failed: ${message}`, { status: xhr.status }));
+      return;
+    }
+    const metadata = xhr.response?.processedFiles?.[0] || xhr.response;
+    resolve(metadata?.id || id);
+  };
+  xhr.onerror = () => {
+    cleanup();
+    reject(new UploadError('Connection lost during upload'));
+  };
+  xhr.onabort = () => {
+    cleanup();
+    reject(createAbortError());
+  };
+
+  xhr.send(form);
+});
+
+// ============================================
+// RESUME STATE
+// ============================================
+// Chunks that made it up are remembered per file (by name, size and modification
+// time), so re-adding the same file after a crash or closed tab skips them.
+const resumeKey = (file) => `${RESUME_KEY_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+
+const loadResumeState = (file, chunkCount) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(resumeKey(file)));
+    return saved?.chunkCount === chunkCount ? saved : { chunkCount, parts: [] };
+  } catch {
+    return { chunkCount, parts: [] };
+  }
+};
+
+const saveResumeState = (file, state) => {
+  try {
+    localStorage.setItem(resumeKey(file), JSON.stringify(state));
+  } catch {
+    // Private mode or a full quota just means no resume
+  }
+};
+
+const clearResumeState = (file) => {
+  try {
+    localStorage.removeItem(resumeKey(file));
+  } catch {
+    // Nothing to clean up if storage is unavailable
+  }
+};
+
+export const hasResumableUpload = (file) => {
+  try {
+    return Boolean(JSON.parse(localStorage.getItem(resumeKey(file)))?.parts?.length);
+  } catch {
+    return false;
+  }
+};
+
+// ============================================
+// UPLOAD
+// ============================================
+const composeChunks = async (nhost, { parts, name, mimeType, signal }) => {
+  const response = await fetch(`${nhost.functions.url}${UPLOAD_CONFIG.composeFunction}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${nhost.auth.getAccessToken()}`,
+    },
+    body: JSON.stringify({ parts, name, mime_type: mimeType }),
+    signal,
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new UploadError(`Could not assemble uploaded chunks: ${body.error || response.statusText}`, { status: response.status });
+  }
+  const { file_id: fileId } = await response.json();
+  return fileId;
+};
+
+const uploadChunked = async (nhost, file, { signal, onProgress }) => {
+  const chunkSize = Math.round(UPLOAD_CONFIG.chunkSizeMB * MB);
+  const chunkCount = Math.ceil(file.size / chunkSize);
+  const state = loadResumeState(file, chunkCount);
+  const chunkBytes = (i) => Math.min(chunkSize, file.size - i * chunkSize);
+  const doneBytes = () => state.parts.reduce((sum, part, i) => sum + (part ? chunkBytes(i) : 0), 0);
+
+  onProgress(doneBytes());
+
+  for (let i = 0; i < chunkCount; i++) {
+    if (state.parts[i]) continue;
+
+    const chunk = file.slice(i * chunkSize, i * chunkSize + chunkBytes(i));
+    const name = `${file.name}.part${i + 1}of${chunkCount}`;
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const before = doneBytes();
+        state.parts[i] = await postFile(nhost, chunk, {
+          id: crypto.randomUUID(),
+          name,
+          signal,
+          onProgress: loaded => onProgress(before + loaded),
+        });
+        saveResumeState(file, state);
+        break;
+      } catch (err) {
+        if (isAbortError(err) || !err.transient || attempt >= UPLOAD_CONFIG.chunkAttempts) throw err;
+        await sleep(1000 * 2 ** (attempt - 1), signal);
+      }
+    }
+  }
+
+  try {
+    const fileId = await composeChunks(nhost, { parts: state.parts, name: file.name, mimeType: file.type, signal });
+    clearResumeState(file);
+    return fileId;
+  } catch (err) {
+    // A part that can't be read now never will be (an earlier compose may have consumed
+    // it before its response was lost), so the next attempt starts from scratch
+    if (!isAbortError(err) && !err.transient) clearResumeState(file);
+    throw err;
+  }
+};
+
+// Uploads `file` to storage and resolves with its file id. `onProgress(loadedBytes)`
+// reports bytes sent; aborting `signal` cancels the request in flight and rejects
+// with an AbortError. Large files are chunked and resumable (see UPLOAD_CONFIG).
+export const uploadToStorage = async (nhost, file, { signal, onProgress = () => {} } = {}) => {
+  if (file.size > UPLOAD_CONFIG.chunkThresholdMB * MB) {
+    return uploadChunked(nhost, file, { signal, onProgress });
+  }
+  return postFile(nhost, file, { id: crypto.randomUUID(), name: file.name, signal, onProgress });
+};
+
+// ============================================
+// RELEASE
+// ============================================
+// Deletes a stored file unless some analysis, possibly one this user can't see, still
+// points at it. The check runs server-side in functions/release-file.js. Resolves with
+// whether the file was deleted.
+export const releaseStoredFile = async (nhost, fileId) => {
+  const response = await fetch(`${nhost.functions.url}/release-file`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${nhost.auth.getAccessToken()}`,
+    },
+    body: JSON.stringify({ file_id: fileId }),
+  });
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(`Storage cleanup failed: ${body.error || response.statusText}`);
+  return Boolean(body.deleted);
+};
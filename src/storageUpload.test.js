@@ -0,0 +1,127 @@
+import { uploadToStorage, hasResumableUpload, releaseStoredFile, UPLOAD_CONFIG } from './storageUpload';
+import { sleep } from './utils';
+
+jest.mock('./utils', () => ({ ...jest.requireActual('./utils'), sleep: jest.fn(() => Promise.resolve()) }));
+
+const nhost = {
+  storage: { url: 'https://storage.test/v1' },
+  functions: { url: 'https://functions.test/v1' },
+  auth: { getAccessToken: () => 'token' },
+};
+
+// Each request the fake XHR sends is answered by the next scripted reply
+let replies = [];
+let sent = [];
+const stored = (id, loaded) => (xhr) => {
+  if (loaded) xhr.upload.onprogress({ lengthComputable: true, loaded });
+  xhr.status = 201;
+  xhr.response = { processedFiles: [{ id }] };
+  xhr.onload();
+};
+const dropped = (xhr) => xhr.onerror();
+const rejected = (status) => (xhr) => {
+  xhr.status = status;
+  xhr.response = { error: { message: 'Payload too large' } };
+  xhr.onload();
+};
+
+class FakeXhr {
+  constructor() {
+    this.upload = {};
+    this.headers = {};
+  }
+  open(method, url) { this.url = url; }
+  setRequestHeader(name, value) { this.headers[name] = value; }
+  send(form) {
+    sent.push({ url: this.url, headers: this.headers, name: form.get('file[]').name });
+    const reply = replies.shift();
+    Promise.resolve().then(() => reply(this));
+  }
+  abort() { this.onabort(); }
+}
+
+// 10 bytes in 4-byte chunks: three parts
+const bigFile = () => new File(['0123456789'], 'report.pdf', { type: 'application/pdf', lastModified: 1 });
+
+beforeAll(() => {
+  if (!global.crypto) global.crypto = require('crypto').webcrypto;
+});
+
+beforeEach(() => {
+  replies = [];
+  sent = [];
+  localStorage.clear();
+  sleep.mockClear();
+  global.XMLHttpRequest = FakeXhr;
+  global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ file_id: 'assembled' }) }));
+  Object.assign(UPLOAD_CONFIG, { chunkThresholdMB: 8 / (1024 * 1024), chunkSizeMB: 4 / (1024 * 1024) });
+});
+
+test('sends small files in one request and reports its byte progress', async () => {
+  const onProgress = jest.fn();
+  replies = [stored('file-1', 3)];
+  const file = new File(['abc'], 'notes.txt', { type: 'text/plain' });
+
+  await expect(uploadToStorage(nhost, file, { onProgress })).resolves.toBe('file-1');
+  expect(sent).toEqual([{ url: 'https://storage.test/v1/files', headers: { Authorization: 'Bearer token' }, name: 'notes.txt' }]);
+  expect(onProgress).toHaveBeenCalledWith(3);
+  expect(global.fetch).not.toHaveBeenCalled();
+});
+
+test('retries a dropped chunk with backoff, then assembles the parts in order', async () => {
+  const onProgress = jest.fn();
+  replies = [stored('part-1', 4), dropped, dropped, stored('part-2', 4), stored('part-3', 2)];
+
+  await expect(uploadToStorage(nhost, bigFile(), { onProgress })).resolves.toBe('assembled');
+  expect(sent.map(r => r.name)).toEqual([
+    'report.pdf.part1of3', 'report.pdf.part2of3', 'report.pdf.part2of3', 'report.pdf.part2of3', 'report.pdf.part3of3',
+  ]);
+  expect(sleep.mock.calls.map(([ms]) => ms)).toEqual([1000, 2000]);
+  // Progress counts finished chunks plus the bytes of the one in flight
+  expect(onProgress.mock.calls.map(([loaded]) => loaded)).toEqual([0, 4, 8, 10]);
+
+  const [url, request] = global.fetch.mock.calls[0];
+  expect(url).toBe('https://functions.test/v1/compose-upload');
+  expect(JSON.parse(request.body)).toEqual({ parts: ['part-1', 'part-2', 'part-3'], name: 'report.pdf', mime_type: 'application/pdf' });
+  expect(hasResumableUpload(bigFile())).toBe(false);
+});
+
+test('gives up on client errors and resumes after the chunks already stored', async () => {
+  replies = [stored('part-1'), rejected(413)];
+  await expect(uploadToStorage(nhost, bigFile())).rejects.toMatchObject({ name: 'UploadError', status: 413, transient: false });
+  expect(sleep).not.toHaveBeenCalled();
+  expect(hasResumableUpload(bigFile())).toBe(true);
+
+  sent = [];
+  const onProgress = jest.fn();
+  replies = [stored('part-2'), stored('part-3')];
+  await expect(uploadToStorage(nhost, bigFile(), { onProgress })).resolves.toBe('assembled');
+  expect(sent.map(r => r.name)).toEqual(['report.pdf.part2of3', 'report.pdf.part3of3']);
+  expect(onProgress).toHaveBeenNthCalledWith(1, 4);
+  expect(JSON.parse(global.fetch.mock.calls[0][1].body).parts).toEqual(['part-1', 'part-2', 'part-3']);
+});
+
+test('forgets the stored parts when they can no longer be assembled', async () => {
+  replies = [stored('part-1'), stored('part-2'), stored('part-3')];
+  global.fetch = jest.fn(async () => ({ ok: false, status: 404, statusText: 'Not Found', json: async () => ({ error: 'Could not read part part-1' }) }));
+  await expect(uploadToStorage(nhost, bigFile())).rejects.toMatchObject({ status: 404, transient: false });
+  expect(hasResumableUpload(bigFile())).toBe(false);
+
+  // A server error may pass, so the parts are kept for the next attempt
+  replies = [stored('part-1'), stored('part-2'), stored('part-3')];
+  global.fetch = jest.fn(async () => ({ ok: false, status: 503, statusText: 'Unavailable', json: async () => ({}) }));
+  await expect(uploadToStorage(nhost, bigFile())).rejects.toMatchObject({ status: 503, transient: true });
+  expect(hasResumableUpload(bigFile())).toBe(true);
+});
+
+test('releases a file through the reference-counting function', async () => {
+  global.fetch = jest.fn(async () => ({ ok: true, json: async () => ({ deleted: false }) }));
+  await expect(releaseStoredFile(nhost, 'file-1')).resolves.toBe(false);
+  const [url, request] = global.fetch.mock.calls[0];
+  expect(url).toBe('https://functions.test/v1/release-file');
+  expect(request.headers.Authorization).toBe('Bearer token');
+  expect(JSON.parse(request.body)).toEqual({ file_id: 'file-1' });
+
+  global.fetch = jest.fn(async () => ({ ok: false, statusText: 'Forbidden', json: async () => ({ error: 'not allowed' }) }));
+  await expect(releaseStoredFile(nhost, 'file-1')).rejects.toThrow('Storage cleanup failed: not allowed');
+});
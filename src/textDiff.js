@@ -0,0 +1,87 @@
+// textDiff.js - Word-level diff of two analysis texts for the comparison view
+//
+// Lines are diffed first, then each run of changed lines is diffed word by word,
+// which keeps the LCS tables small even for long reports.
+
+// Above this many table cells a changed block is shown as a plain replacement
+const MAX_TABLE_CELLS = 2000000;
+
+const splitLines = (text) => text.match(/[^\n]*\n|[^\n]+$/g) || [];
+
+// Words and the whitespace between them, so joining the tokens restores the text
+const splitWords = (text) => text.split(/(\s+)/).filter(Boolean);
+
+// Longest-common-subsequence diff of two token arrays → [{ type, tokens }]
+const diffTokens = (a, b) => {
+  if (a.length * b.length > MAX_TABLE_CELLS) {
+    return [{ type: 'removed', tokens: a }, { type: 'added', tokens: b }];
+  }
+
+  const width = b.length + 1;
+  // lcs[i * width + j] = LCS length of a[i:] and b[j:]
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const ops = [];
+  const push = (type, token) => {
+    const last = ops[ops.length - 1];
+    if (last?.type === type) last.tokens.push(token);
+    else ops.push({ type, tokens: [token] });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+  return ops;
+};
+
+const appendSegment = (segments, type, text) => {
+  if (!text) return;
+  const last = segments[segments.length - 1];
+  if (last?.type === type) last.text += text;
+  else segments.push({ type, text });
+};
+
+// Diffs `after` against `before` → [{ type: 'equal' | 'added' | 'removed', text }]
+export const diffText = (before = '', after = '') => {
+  const lineOps = diffTokens(splitLines(before), splitLines(after));
+  const segments = [];
+
+  for (let k = 0; k < lineOps.length; k++) {
+    const op = lineOps[k];
+    const next = lineOps[k + 1];
+    // A removed block followed by an added one is an edit: diff it word by word
+    if (op.type === 'removed' && next?.type === 'added') {
+      diffTokens(splitWords(op.tokens.join('')), splitWords(next.tokens.join('')))
+        .forEach(wordOp => appendSegment(segments, wordOp.type, wordOp.tokens.join('')));
+      k++;
+    } else {
+      appendSegment(segments, op.type, op.tokens.join(''));
+    }
+  }
+  return segments;
+};
+
+// Number of added and removed words, for the column summary
+export const countChanges = (segments) => segments.reduce((counts, segment) => {
+  if (segment.type === 'equal') return counts;
+  const words = segment.text.split(/\s+/).filter(Boolean).length;
+  return { ...counts, [segment.type]: counts[segment.type] + words };
+}, { added: 0, removed: 0 });
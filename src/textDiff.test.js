@@ -0,0 +1,25 @@
+import { diffText, countChanges } from './textDiff';
+
+const render = (segments) => segments
+  .map(s => (s.type === 'added' ? `[+${s.text}]` : s.type === 'removed' ? `[-${s.text}]` : s.text))
+  .join('');
+
+test('marks changed words inside an edited line', () => {
+  const before = '## Revenue\nRevenue grew 12% to $4.1M.\nMargins were stable.\n';
+  const after = '## Revenue\nRevenue grew 18% to $4.6M.\nMargins were stable.\n';
+  expect(render(diffText(before, after))).toBe('## Revenue\nRevenue grew [-12%][+18%] to [-$4.1M.][+$4.6M.]\nMargins were stable.\n');
+});
+
+test('reports whole added and removed lines', () => {
+  const segments = diffText('Liquidity is strong.\n', 'Liquidity is strong.\nCovenant headroom is thin.\n');
+  expect(segments).toEqual([
+    { type: 'equal', text: 'Liquidity is strong.\n' },
+    { type: 'added', text: 'Covenant headroom is thin.\n' },
+  ]);
+  expect(countChanges(segments)).toEqual({ added: 4, removed: 0 });
+});
+
+test('identical texts produce a single equal segment', () => {
+  expect(diffText('Same text', 'Same text')).toEqual([{ type: 'equal', text: 'Same text' }]);
+  expect(diffText('', '')).toEqual([]);
+});
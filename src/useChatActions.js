@@ -0,0 +1,144 @@
+// useChatActions.js - Rename, archive and delete analyses from the sidebar
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useNhostClient } from '@nhost/react';
+import { useMutation, gql } from '@apollo/client';
+import { useToast } from './Toast';
+import { releaseStoredFile } from './storageUpload';
+
+const RENAME_CHAT = gql`
+  mutation RenameChat($id: uuid!, $title: String) {
+    update_chats_by_pk(pk_columns: { id: $id }, _set: { title: $title }) {
+      id
+      title
+    }
+  }
+`;
+
+const SET_CHAT_ARCHIVED = gql`
+  mutation SetChatArchived($id: uuid!, $archived: Boolean!) {
+    update_chats_by_pk(pk_columns: { id: $id }, _set: { archived: $archived }) {
+      id
+      archived
+    }
+  }
+`;
+
+// Removes the analysis together with its follow-up turns
+const DELETE_CHAT = gql`
+  mutation DeleteChat($id: uuid!) {
+    delete_chats(where: { _or: [{ id: { _eq: $id } }, { parent_id: { _eq: $id } }] }) {
+      affected_rows
+    }
+  }
+`;
+
+// How long a deleted row can still be restored from the toast
+export const UNDO_WINDOW_MS = 6000;
+
+export function useChatActions({ onDeleted } = {}) {
+  const nhost = useNhostClient();
+  const { showToast } = useToast();
+  const [renameChat] = useMutation(RENAME_CHAT);
+  const [setChatArchived] = useMutation(SET_CHAT_ARCHIVED);
+  const [deleteChat] = useMutation(DELETE_CHAT);
+  // Rows hidden while their delete is waiting out the undo window
+  const [pendingDeleteIds, setPendingDeleteIds] = useState([]);
+  // id → { chat, timer } for every delete still inside its undo window
+  const pendingDeletes = useRef({});
+
+  const rename = useCallback(async (chat, title) => {
+    const trimmed = title.trim();
+    try {
+      await renameChat({ variables: { id: chat.id, title: trimmed || null } });
+    } catch (err) {
+      console.error("Rename Error:", err);
+      showToast({ tone: 'error', message: `Could not rename: ${err.message}` });
+    }
+  }, [renameChat, showToast]);
+
+  const setArchived = useCallback(async (chat, archived) => {
+    try {
+      await setChatArchived({ variables: { id: chat.id, archived } });
+      showToast({
+        tone: 'success',
+        message: archived ? 'Analysis archived' : 'Analysis restored from archive',
+        action: {
+          label: 'Undo',
+          onClick: () => setChatArchived({ variables: { id: chat.id, archived: !archived } }).catch(err => {
+            console.error("Archive Undo Error:", err);
+            showToast({ tone: 'error', message: `Could not undo: ${err.message}` });
+          }),
+        },
+      });
+    } catch (err) {
+      console.error("Archive Error:", err);
+      showToast({ tone: 'error', message: `Could not update archive: ${err.message}` });
+    }
+  }, [setChatArchived, showToast]);
+
+  // Deletes the stored file once no remaining chats row, in any workspace, points at it
+  const releaseFile = useCallback(fileId => releaseStoredFile(nhost, fileId), [nhost]);
+
+  // `context` lets a delete sent while the page unloads outlive it (fetch keepalive)
+  const commitDelete = useCallback(async (chat, context) => {
+    if (!pendingDeletes.current[chat.id]) return;
+    delete pendingDeletes.current[chat.id];
+    try {
+      await deleteChat({
+        variables: { id: chat.id },
+        context,
+        // Drop the row from every cached list page, not just the live subscription
+        update: (cache) => {
+          cache.evict({ id: cache.identify({ __typename: 'chats', id: chat.id }) });
+          cache.gc();
+        },
+      });
+      if (chat.file_id) await releaseFile(chat.file_id);
+    } catch (err) {
+      console.error("Delete Error:", err);
+      showToast({ tone: 'error', message: `Could not delete "${chat.title || chat.file_name}": ${err.message}` });
+    } finally {
+      setPendingDeleteIds(ids => ids.filter(id => id !== chat.id));
+    }
+  }, [deleteChat, releaseFile, showToast]);
+
+  // A delete the user confirmed still happens when they leave before the undo window
+  // ends: on unmount, and on pagehide when the tab closes or navigates away. The file
+  // release after an unload may not get through; the file then stays in the library.
+  const flushDeletesRef = useRef(null);
+  flushDeletesRef.current = (context) => Object.values(pendingDeletes.current).forEach(({ chat, timer }) => {
+    clearTimeout(timer);
+    commitDelete(chat, context);
+  });
+
+  useEffect(() => {
+    const handlePageHide = () => flushDeletesRef.current({ fetchOptions: { keepalive: true } });
+    window.addEventListener('pagehide', handlePageHide);
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      flushDeletesRef.current();
+    };
+  }, []);
+
+  const remove = useCallback((chat) => {
+    setPendingDeleteIds(ids => [...ids, chat.id]);
+    if (onDeleted) onDeleted(chat);
+    pendingDeletes.current[chat.id] = { chat, timer: setTimeout(() => commitDelete(chat), UNDO_WINDOW_MS) };
+
+    showToast({
+      tone: 'info',
+      message: `Deleted "${chat.title || chat.file_name || 'Untitled Document'}"`,
+      durationMs: UNDO_WINDOW_MS,
+      action: {
+        label: 'Undo',
+        onClick: () => {
+          clearTimeout(pendingDeletes.current[chat.id]?.timer);
+          delete pendingDeletes.current[chat.id];
+          setPendingDeleteIds(ids => ids.filter(id => id !== chat.id));
+        },
+      },
+    });
+  }, [commitDelete, onDeleted, showToast]);
+
+  return { rename, setArchived, remove, pendingDeleteIds };
+}
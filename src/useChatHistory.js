@@ -0,0 +1,267 @@
+// useChatHistory.js - Scoped, paginated history list and the selected chat's thread
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useQuery, useSubscription, gql } from '@apollo/client';
+import { buildHistoryWhere, toIlikePattern } from './historyFilters';
+import { extractMetrics, normalizeCompany } from './metrics';
+
+// List rows deliberately omit analysis_result: it is by far the largest column
+// and the sidebar never shows it. The selected chat gets it from GET_CHAT_THREAD_SUB.
+// open_comments counts unresolved comment threads (see useComments.js).
+const HISTORY_ROW_FIELDS = gql`
+  fragment HistoryRow on chats {
+    id
+    file_name
+    file_type
+    title
+    status
+    created_at
+    file_id
+    query
+    archived
+    user_id
+    workspace_id
+    risk_level
+    risk_score
+    open_comments: comments_aggregate(where: { parent_id: { _is_null: true }, resolved_at: { _is_null: true } }) {
+      aggregate {
+        count
+      }
+    }
+  }
+`;
+
+// Newest rows, kept live. Once the user pages back, `limit` is dropped and the
+// window is pinned to `created_at >= boundary` so new rows keep arriving on top
+// without pushing older ones out of the list.
+const HISTORY_HEAD_SUB = gql`
+  ${HISTORY_ROW_FIELDS}
+  subscription GetMyHistory($where: chats_bool_exp!, $limit: Int) {
+    chats(where: $where, order_by: { created_at: desc }, limit: $limit) {
+      ...HistoryRow
+    }
+  }
+`;
+
+const HISTORY_PAGE_QUERY = gql`
+  ${HISTORY_ROW_FIELDS}
+  query GetMyHistoryPage($where: chats_bool_exp!, $limit: Int!) {
+    chats(where: $where, order_by: { created_at: desc }, limit: $limit) {
+      ...HistoryRow
+    }
+  }
+`;
+
+// The root analysis plus its follow-up turns, with full results. Not filtered by
+// owner: permissions also return analyses shared with the user (see useSharing.js).
+const GET_CHAT_THREAD_SUB = gql`
+  subscription GetChatThread($id: uuid!) {
+    chats(
+      where: { _or: [{ id: { _eq: $id } }, { parent_id: { _eq: $id } }] },
+      order_by: { created_at: asc }
+    ) {
+      id
+      file_name
+      file_type
+      ocr
+      title
+      status
+      analysis_result
+      created_at
+      file_id
+      user_id
+      workspace_id
+      query
+      parent_id
+      attempts
+      archived
+      progress
+      partial_result
+    }
+  }
+`;
+
+// Several analyses with full results, for the comparison view. Like the thread,
+// visibility is left to permissions so teammates' analyses can be compared too.
+const GET_CHATS_BY_IDS_SUB = gql`
+  subscription GetChatsByIds($ids: [uuid!]!) {
+    chats(where: { id: { _in: $ids } }) {
+      id
+      file_name
+      file_type
+      title
+      status
+      analysis_result
+      created_at
+      file_id
+      query
+    }
+  }
+`;
+
+// Completed analyses in the workspace whose report has a metrics block and mentions
+// the company; the exact company match happens after the blocks are parsed
+const COMPANY_METRICS_QUERY = gql`
+  query GetCompanyMetrics($workspace_id: uuid!, $user_id: uuid!, $block_pattern: String!, $company_pattern: String!) {
+    chats(
+      where: {
+        _or: [{ workspace_id: { _eq: $workspace_id } }, { user_id: { _eq: $user_id }, workspace_id: { _is_null: true } }],
+        status: { _eq: "completed" },
+        _and: [{ analysis_result: { _ilike: $block_pattern } }, { analysis_result: { _ilike: $company_pattern } }]
+      },
+      order_by: { created_at: asc },
+      limit: 100
+    ) {
+      id
+      created_at
+      analysis_result
+    }
+  }
+`;
+
+export const HISTORY_PAGE_SIZE = 30;
+
+// Rows from before workspaces existed have no workspace_id until useWorkspaces moves
+// them into their owner's personal workspace; until then they still show for the owner
+const workspaceScope = (workspaceId, userId) => ({
+  _or: [
+    { workspace_id: { _eq: workspaceId } },
+    { user_id: { _eq: userId }, workspace_id: { _is_null: true } },
+  ],
+});
+
+// Every analysis in the workspace, whoever ran it
+export function useChatHistory({ workspaceId, userId, filters, skip = false }) {
+  const [boundary, setBoundary] = useState(null);
+  // Set once a "load more" page comes back short
+  const [olderExhausted, setOlderExhausted] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+
+  const baseWhere = useMemo(() => ({
+    _and: [
+      workspaceScope(workspaceId, userId),
+      { parent_id: { _is_null: true } },
+      buildHistoryWhere(filters),
+    ],
+  }), [workspaceId, userId, filters]);
+
+  // New filters start a fresh list
+  useEffect(() => {
+    setBoundary(null);
+    setOlderExhausted(false);
+  }, [baseWhere]);
+
+  const headVariables = boundary
+    ? { where: { _and: [baseWhere, { created_at: { _gte: boundary } }] }, limit: null }
+    : { where: baseWhere, limit: HISTORY_PAGE_SIZE };
+
+  const { data: headData, loading, error } = useSubscription(HISTORY_HEAD_SUB, {
+    variables: headVariables,
+    skip: skip || !workspaceId || !userId,
+    onError: (err) => console.error("Subscription error:", err),
+  });
+
+  // Resubscribing with new variables briefly clears `data`; keep showing the last rows meanwhile
+  const lastHead = useRef([]);
+  if (headData?.chats) lastHead.current = headData.chats;
+  const headChats = headData?.chats || lastHead.current;
+
+  const { data: tailData, fetchMore } = useQuery(HISTORY_PAGE_QUERY, {
+    variables: {
+      where: { _and: [baseWhere, { created_at: { _lt: boundary } }] },
+      limit: HISTORY_PAGE_SIZE,
+    },
+    skip: skip || !workspaceId || !userId || !boundary,
+    notifyOnNetworkStatusChange: true,
+  });
+  const tailRows = tailData?.chats;
+  // A short first tail page means there is nothing older; until it arrives, assume there is
+  const hasMoreOlder = useMemo(
+    () => !olderExhausted && (!tailRows || tailRows.length >= HISTORY_PAGE_SIZE),
+    [olderExhausted, tailRows]
+  );
+
+  const chats = useMemo(() => {
+    const seen = new Set();
+    const tailChats = boundary ? tailRows || [] : [];
+    return [...headChats, ...tailChats].filter(chat => !seen.has(chat.id) && seen.add(chat.id));
+  }, [headChats, tailRows, boundary]);
+
+  const hasMore = boundary
+    ? hasMoreOlder
+    : headChats.length === HISTORY_PAGE_SIZE;
+
+  const loadMore = useCallback(async () => {
+    if (isLoadingMore || !hasMore || chats.length === 0) return;
+
+    // First page back: pin the live window; the tail query fires on its own
+    if (!boundary) {
+      setBoundary(chats[chats.length - 1].created_at);
+      return;
+    }
+
+    setIsLoadingMore(true);
+    try {
+      const cursor = chats[chats.length - 1].created_at;
+      const { data: page } = await fetchMore({
+        variables: { where: { _and: [baseWhere, { created_at: { _lt: cursor } }] } },
+        updateQuery: (previous, { fetchMoreResult }) => ({
+          chats: [...(previous?.chats || []), ...(fetchMoreResult?.chats || [])],
+        }),
+      });
+      if (page.chats.length < HISTORY_PAGE_SIZE) setOlderExhausted(true);
+    } catch (err) {
+      console.error("History page error:", err);
+    } finally {
+      setIsLoadingMore(false);
+    }
+  }, [isLoadingMore, hasMore, chats, boundary, fetchMore, baseWhere]);
+
+  return { chats, loading: loading && chats.length === 0, error, hasMore, isLoadingMore, loadMore };
+}
+
+export function useChatThread({ chatId, userId }) {
+  const { data, loading, error } = useSubscription(GET_CHAT_THREAD_SUB, {
+    variables: { id: chatId },
+    skip: !chatId || !userId,
+    onError: (err) => console.error("Thread subscription error:", err),
+  });
+
+  const rows = data?.chats || [];
+  const chat = rows.find(row => row.id === chatId) || null;
+  const thread = rows.filter(row => row.parent_id === chatId);
+
+  return { chat, thread, loading, error };
+}
+
+// Rows come back in the order of `chatIds`; ids that no longer exist are dropped
+export function useChatsByIds({ chatIds, userId }) {
+  const { data, loading, error } = useSubscription(GET_CHATS_BY_IDS_SUB, {
+    variables: { ids: chatIds },
+    skip: chatIds.length === 0 || !userId,
+    onError: (err) => console.error("Comparison subscription error:", err),
+  });
+
+  const chats = useMemo(() => {
+    const byId = Object.fromEntries((data?.chats || []).map(chat => [chat.id, chat]));
+    return chatIds.map(id => byId[id]).filter(Boolean);
+  }, [data, chatIds]);
+
+  return { chats, loading, error };
+}
+
+// Parsed metrics from every analysis of `company` in the workspace's history
+export function useCompanyMetrics({ workspaceId, userId, company }) {
+  const { data, loading, error } = useQuery(COMPANY_METRICS_QUERY, {
+    variables: { workspace_id: workspaceId, user_id: userId, block_pattern: '%```metrics%', company_pattern: toIlikePattern(company || '') },
+    skip: !workspaceId || !userId || !company,
+  });
+
+  const analyses = useMemo(() => {
+    const target = normalizeCompany(company || '');
+    return (data?.chats || [])
+      .map(chat => ({ id: chat.id, created_at: chat.created_at, metrics: extractMetrics(chat.analysis_result).metrics }))
+      .filter(analysis => analysis.metrics?.company && normalizeCompany(analysis.metrics.company) === target);
+  }, [data, company]);
+
+  return { analyses, loading, error };
+}
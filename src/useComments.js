@@ -0,0 +1,124 @@
+// useComments.js - Live comment threads on an analysis result
+//
+// Table:
+//   chat_comments  id, chat_id → chats (`chat`), parent_id → chat_comments (replies; cascades on
+//                  delete), user_id → auth.users (preset from the session), body, quote,
+//                  prefix, suffix, mentions (jsonb array of user ids), resolved_at,
+//                  resolved_by, created_at
+//
+// Anyone who can see the chat selects its comments. Inserting needs the chat's owner, a
+// workspace member, or a 'comment' share for the caller's email; only authors delete
+// their own. The chats → comments relationship feeds the open-thread counts in history;
+// `mentions` feeds the mentioned user's notification centre (useNotifications.js).
+import { useCallback, useMemo } from 'react';
+import { useMutation, useQuery, useSubscription, gql } from '@apollo/client';
+import { useToast } from './Toast';
+import { groupThreads } from './comments';
+
+const CHAT_COMMENTS_SUB = gql`
+  subscription GetChatComments($chat_id: uuid!) {
+    chat_comments(where: { chat_id: { _eq: $chat_id } }, order_by: { created_at: asc }) {
+      id
+      parent_id
+      user_id
+      body
+      quote
+      prefix
+      suffix
+      mentions
+      resolved_at
+      created_at
+      author {
+        email
+        displayName
+      }
+    }
+  }
+`;
+
+// Who can be @mentioned: members of the workspace the analysis belongs to
+const MENTIONABLE_MEMBERS_QUERY = gql`
+  query GetMentionableMembers($workspace_id: uuid!) {
+    workspace_members(where: { workspace_id: { _eq: $workspace_id } }) {
+      user_id
+      user {
+        email
+        displayName
+      }
+    }
+  }
+`;
+
+const INSERT_COMMENT = gql`
+  mutation InsertComment($object: chat_comments_insert_input!) {
+    insert_chat_comments_one(object: $object) {
+      id
+    }
+  }
+`;
+
+const SET_COMMENT_RESOLVED = gql`
+  mutation SetCommentResolved($id: uuid!, $resolved_at: timestamptz, $resolved_by: uuid) {
+    update_chat_comments_by_pk(pk_columns: { id: $id }, _set: { resolved_at: $resolved_at, resolved_by: $resolved_by }) {
+      id
+      resolved_at
+    }
+  }
+`;
+
+const DELETE_COMMENT = gql`
+  mutation DeleteComment($id: uuid!) {
+    delete_chat_comments_by_pk(id: $id) {
+      id
+    }
+  }
+`;
+
+export function useComments({ chatId, workspaceId, userId }) {
+  const { showToast } = useToast();
+  const { data, loading } = useSubscription(CHAT_COMMENTS_SUB, {
+    variables: { chat_id: chatId },
+    skip: !chatId,
+    onError: (err) => console.error("Comment subscription error:", err),
+  });
+  const { data: membersData } = useQuery(MENTIONABLE_MEMBERS_QUERY, {
+    variables: { workspace_id: workspaceId },
+    skip: !workspaceId,
+  });
+  const [insertComment] = useMutation(INSERT_COMMENT);
+  const [setResolved] = useMutation(SET_COMMENT_RESOLVED);
+  const [deleteComment] = useMutation(DELETE_COMMENT);
+
+  const threads = useMemo(() => groupThreads(data?.chat_comments || []), [data]);
+
+  // Throws so the composer can keep the draft and show the error inline.
+  // `anchor` ({ quote, prefix, suffix }) starts a thread; `parentId` replies to one.
+  const add = useCallback(async ({ body, anchor = null, parentId = null, mentions = [] }) => {
+    const { errors } = await insertComment({
+      variables: { object: { chat_id: chatId, parent_id: parentId, body: body.trim(), mentions, ...anchor } },
+    });
+    if (errors) throw new Error(`Database error: ${errors[0]?.message || "Unknown database error"}`);
+  }, [insertComment, chatId]);
+
+  const resolve = useCallback(async (thread, resolved) => {
+    try {
+      await setResolved({
+        variables: { id: thread.id, resolved_at: resolved ? new Date().toISOString() : null, resolved_by: resolved ? userId : null },
+      });
+    } catch (err) {
+      console.error("Resolve Comment Error:", err);
+      showToast({ tone: 'error', message: `Could not ${resolved ? 'resolve' : 'reopen'} the thread: ${err.message}` });
+    }
+  }, [setResolved, userId, showToast]);
+
+  const remove = useCallback(async (comment) => {
+    try {
+      await deleteComment({ variables: { id: comment.id } });
+    } catch (err) {
+      console.error("Delete Comment Error:", err);
+      showToast({ tone: 'error', message: `Could not delete the comment: ${err.message}` });
+    }
+  }, [deleteComment, showToast]);
+
+  return { threads, members: membersData?.workspace_members || [], loading, add, resolve, remove };
+}
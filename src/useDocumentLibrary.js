@@ -0,0 +1,171 @@
+// useDocumentLibrary.js - The user's stored files, with their analyses, tags and actions
+//
+// Files live in Nhost Storage (the `files` table); analyses point at them through
+// chats.file_id. The library joins the two client-side because storage files have
+// no relationship to chats in the schema.
+import { useCallback, useMemo } from 'react';
+import { useNhostClient } from '@nhost/react';
+import { useMutation, useQuery, useSubscription, gql } from '@apollo/client';
+import { useToast } from './Toast';
+import { downloadBlob } from './exportAnalysis';
+import { inputTypeForStoredFile } from './inputTypes';
+import { releaseStoredFile } from './storageUpload';
+
+// Chunks of an unfinished resumable upload are stored as "<name>.partNofM" until
+// they are composed; they aren't documents yet.
+const GET_MY_FILES = gql`
+  query GetMyFiles($user_id: uuid!) {
+    files(
+      where: {
+        uploadedByUserId: { _eq: $user_id },
+        isUploaded: { _eq: true },
+        _not: { name: { _similar: "%.part[0-9]+of[0-9]+" } }
+      },
+      order_by: { createdAt: desc }
+    ) {
+      id
+      name
+      size
+      mimeType
+      createdAt
+      metadata
+    }
+  }
+`;
+
+// Root analyses only; follow-up turns belong to the analysis they continue
+const FILE_ANALYSES_SUB = gql`
+  subscription GetFileAnalyses($user_id: uuid!, $file_ids: [uuid!]!) {
+    chats(
+      where: { user_id: { _eq: $user_id }, parent_id: { _is_null: true }, file_id: { _in: $file_ids } },
+      order_by: { created_at: desc }
+    ) {
+      id
+      workspace_id
+      file_id
+      file_type
+      file_hash
+      ocr
+      status
+      created_at
+    }
+  }
+`;
+
+// `_append` merges top-level keys, so other metadata on the file is kept
+const SET_FILE_TAGS = gql`
+  mutation SetFileTags($id: uuid!, $metadata: jsonb!) {
+    updateFile(pk_columns: { id: $id }, _append: { metadata: $metadata }) {
+      id
+      metadata
+    }
+  }
+`;
+
+// Only the active workspace's analyses; the others aren't this view's to delete
+const DELETE_FILE_ANALYSES = gql`
+  mutation DeleteFileAnalyses($user_id: uuid!, $workspace_id: uuid!, $file_id: uuid!) {
+    delete_chats(where: { user_id: { _eq: $user_id }, workspace_id: { _eq: $workspace_id }, file_id: { _eq: $file_id } }) {
+      affected_rows
+      returning {
+        id
+      }
+    }
+  }
+`;
+
+export const normalizeTag = (tag) => tag.trim().replace(/\s+/g, ' ').toLowerCase();
+
+export function useDocumentLibrary({ userId, workspaceId, skip = false }) {
+  const nhost = useNhostClient();
+  const { showToast } = useToast();
+
+  const { data: filesData, loading, error, refetch } = useQuery(GET_MY_FILES, {
+    variables: { user_id: userId },
+    skip: skip || !userId,
+    fetchPolicy: 'cache-and-network',
+  });
+  const files = useMemo(() => filesData?.files || [], [filesData]);
+
+  const { data: analysesData } = useSubscription(FILE_ANALYSES_SUB, {
+    variables: { user_id: userId, file_ids: files.map(f => f.id) },
+    skip: skip || !userId || files.length === 0,
+    onError: (err) => console.error("Library subscription error:", err),
+  });
+
+  const [setFileTags] = useMutation(SET_FILE_TAGS);
+  const [deleteFileAnalyses] = useMutation(DELETE_FILE_ANALYSES);
+
+  const documents = useMemo(() => {
+    const analysesByFile = {};
+    (analysesData?.chats || []).forEach(chat => {
+      (analysesByFile[chat.file_id] = analysesByFile[chat.file_id] || []).push(chat);
+    });
+
+    return files.map(file => {
+      const analyses = analysesByFile[file.id] || [];
+      // Newest analysis first; it knows the detected type better than the file name does
+      const latest = analyses[0] || null;
+      return {
+        id: file.id,
+        name: file.name,
+        size: file.size,
+        mimeType: file.mimeType,
+        createdAt: file.createdAt,
+        tags: Array.isArray(file.metadata?.tags) ? file.metadata.tags : [],
+        analyses,
+        fileType: latest?.file_type || inputTypeForStoredFile(file)?.id || null,
+        fileHash: latest?.file_hash || null,
+        ocr: Boolean(latest?.ocr),
+      };
+    });
+  }, [files, analysesData]);
+
+  const download = useCallback(async (doc) => {
+    try {
+      const { presignedUrl, error: urlError } = await nhost.storage.getPresignedUrl({ fileId: doc.id });
+      if (urlError) throw new Error(urlError.message);
+      const response = await fetch(presignedUrl.url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      downloadBlob(await response.blob(), doc.name, doc.mimeType);
+    } catch (err) {
+      console.error("Download Error:", err);
+      showToast({ tone: 'error', message: `Could not download "${doc.name}": ${err.message}` });
+    }
+  }, [nhost, showToast]);
+
+  const setTags = useCallback(async (doc, tags) => {
+    const unique = [...new Set(tags.map(normalizeTag).filter(Boolean))];
+    try {
+      await setFileTags({ variables: { id: doc.id, metadata: { tags: unique } } });
+    } catch (err) {
+      console.error("Tag Error:", err);
+      showToast({ tone: 'error', message: `Could not update tags: ${err.message}` });
+    }
+  }, [setFileTags, showToast]);
+
+  // Deletes the file's analyses in the active workspace, then the file itself unless
+  // analyses elsewhere still use it. Unlike deleting a single analysis there is no
+  // undo window: the stored bytes are gone once storage confirms.
+  const remove = useCallback(async (doc) => {
+    try {
+      await deleteFileAnalyses({
+        variables: { user_id: userId, workspace_id: workspaceId, file_id: doc.id },
+        update: (cache, { data }) => {
+          (data?.delete_chats?.returning || []).forEach(({ id }) => cache.evict({ id: cache.identify({ __typename: 'chats', id }) }));
+          cache.gc();
+        },
+      });
+      const deleted = await releaseStoredFile(nhost, doc.id);
+      await refetch();
+      showToast(deleted
+        ? { tone: 'success', message: `Deleted "${doc.name}"` }
+        : { tone: 'info', message: `Deleted this workspace's analyses of "${doc.name}". The file is kept for the analyses that still use it.` });
+    } catch (err) {
+      console.error("Delete Document Error:", err);
+      showToast({ tone: 'error', message: `Could not delete "${doc.name}": ${err.message}` });
+    }
+  }, [deleteFileAnalyses, nhost, refetch, showToast, userId, workspaceId]);
+
+  return { documents, loading: loading && files.length === 0, error, refetch, download, setTags, remove };
+}
@@ -0,0 +1,238 @@
+// useNotifications.js - Tells the user when their analyses finish or a teammate
+// @mentions them, wherever they are
+//
+// Keeps its own subscription on the user's running chats, in every workspace and
+// including follow-up turns, independent of what the sidebar is filtered or paged to,
+// and one on comments whose `mentions` hold the user's id.
+// A finished analysis or a new mention lands in the notification centre, raises a toast
+// when the tab is visible (unless its analysis is already open), and when the tab is in
+// the background badges the tab title and, if the user turned them on, shows a desktop
+// alert via the Web Notifications API.
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useApolloClient, useSubscription, gql } from '@apollo/client';
+import { useToast } from './Toast';
+import {
+  MAX_NOTIFICATIONS, badgedTitle, isFinished, stoppedRunning, toNotification, unseenMentions, toMentionNotification,
+} from './notifications';
+
+const RUNNING_CHATS_SUB = gql`
+  subscription GetMyRunningChats($user_id: uuid!) {
+    chats(where: { user_id: { _eq: $user_id }, status: { _in: ["pending", "processing"] } }) {
+      id
+    }
+  }
+`;
+
+// Rows that left the running set: finished, or deleted (and then simply absent)
+const STOPPED_CHATS_QUERY = gql`
+  query GetStoppedChats($ids: [uuid!]!) {
+    chats(where: { id: { _in: $ids } }) {
+      id
+      parent_id
+      title
+      file_name
+      query
+      status
+    }
+  }
+`;
+
+// Newest first, so a burst bigger than the limit still reports the latest mentions
+const MY_MENTIONS_SUB = gql`
+  subscription GetMyMentions($user_id: uuid!, $mention: jsonb!, $since: timestamptz!) {
+    chat_comments(
+      where: { mentions: { _contains: $mention }, user_id: { _neq: $user_id }, created_at: { _gt: $since } },
+      order_by: { created_at: desc },
+      limit: 20
+    ) {
+      id
+      chat_id
+      body
+      created_at
+      author {
+        email
+        displayName
+      }
+      chat {
+        parent_id
+        title
+        file_name
+      }
+    }
+  }
+`;
+
+const ALERTS_KEY = 'wingify.desktopAlerts';
+const itemsKey = (userId) => `wingify.notifications.${userId}`;
+// When the user last heard about a mention; mentions from before the first sign-in stay quiet
+const mentionsSeenKey = (userId) => `wingify.mentionsSeenAt.${userId}`;
+const loadMentionsSeenAt = (userId) => localStorage.getItem(mentionsSeenKey(userId)) || new Date().toISOString();
+
+const loadItems = (userId) => {
+  if (!userId) return [];
+  try {
+    return JSON.parse(localStorage.getItem(itemsKey(userId))) || [];
+  } catch {
+    return [];
+  }
+};
+
+const supportsDesktopAlerts = () => 'Notification' in window;
+
+// Desktop alerts can still throw after permission is granted: some browsers (Android
+// Chrome) only allow them from a service worker
+const showDesktopAlert = ({ id, title, body }, onClick) => {
+  try {
+    const alert = new window.Notification(title, { body, tag: id });
+    alert.onclick = () => {
+      window.focus();
+      onClick();
+      alert.close();
+    };
+  } catch (err) {
+    console.error("Desktop alert error:", err);
+  }
+};
+
+const TOAST_TONES = { completed: 'success', failed: 'error', mention: 'info' };
+
+// `activeChatId` is the analysis on screen; `onOpenChat(id)` opens one from a toast,
+// the notification centre or a desktop alert
+export function useAnalysisNotifications({ userId, activeChatId, onOpenChat }) {
+  const client = useApolloClient();
+  const { showToast } = useToast();
+  const { data: runningData } = useSubscription(RUNNING_CHATS_SUB, {
+    variables: { user_id: userId },
+    skip: !userId,
+    onError: (err) => console.error("Running chats subscription error:", err),
+  });
+  // Items are tagged with their owner so a sign-in switch never saves one user's list under another's key
+  const [store, setStore] = useState(() => ({ userId, items: loadItems(userId) }));
+  const items = store.userId === userId ? store.items : [];
+  const [backgroundCount, setBackgroundCount] = useState(0);
+  const [alertsEnabled, setAlertsEnabled] = useState(() => localStorage.getItem(ALERTS_KEY) === 'on');
+  const [permission, setPermission] = useState(() => (supportsDesktopAlerts() ? window.Notification.permission : 'unsupported'));
+  // Running ids at the last update; null until the first one arrives
+  const runningRef = useRef(null);
+  const mentionsSince = useMemo(() => (userId ? loadMentionsSeenAt(userId) : null), [userId]);
+  const mentionsSeenRef = useRef(null);
+  const { data: mentionsData } = useSubscription(MY_MENTIONS_SUB, {
+    variables: { user_id: userId, mention: [userId], since: mentionsSince },
+    skip: !userId,
+    onError: (err) => console.error("Mentions subscription error:", err),
+  });
+
+  // The watcher below reads these without re-running when they change
+  const latest = useRef({});
+  latest.current = { activeChatId, onOpenChat, desktopAlerts: alertsEnabled && permission === 'granted' };
+
+  useEffect(() => {
+    runningRef.current = null;
+  }, [userId]);
+
+  useEffect(() => {
+    mentionsSeenRef.current = mentionsSince;
+    if (userId) localStorage.setItem(mentionsSeenKey(userId), mentionsSince);
+  }, [userId, mentionsSince]);
+
+  useEffect(() => {
+    if (store.userId !== userId) setStore({ userId, items: loadItems(userId) });
+  }, [userId, store.userId]);
+
+  useEffect(() => {
+    if (store.userId) localStorage.setItem(itemsKey(store.userId), JSON.stringify(store.items));
+  }, [store]);
+
+  // `notifications` are built by toNotification / toMentionNotification
+  const notify = useCallback((notifications) => {
+    const inBackground = document.hidden;
+    const { activeChatId: openId, onOpenChat: open, desktopAlerts } = latest.current;
+    const fresh = notifications.map(item => ({ ...item, read: !inBackground && item.chatId === openId }));
+    setStore(current => ({ ...current, items: [...fresh, ...current.items].slice(0, MAX_NOTIFICATIONS) }));
+
+    if (inBackground) {
+      setBackgroundCount(count => count + fresh.length);
+      if (desktopAlerts) fresh.forEach(item => showDesktopAlert(item, () => open(item.chatId)));
+      return;
+    }
+
+    fresh.filter(item => item.chatId !== openId).forEach(item => {
+      showToast({
+        tone: TOAST_TONES[item.status],
+        message: `${item.title} — ${item.body}`,
+        action: { label: 'Open', onClick: () => open(item.chatId) },
+        durationMs: 8000,
+      });
+    });
+  }, [showToast]);
+
+  useEffect(() => {
+    if (!runningData) return;
+    const running = runningData.chats || [];
+    const stopped = stoppedRunning(runningRef.current, running);
+    runningRef.current = running.map(chat => chat.id);
+    if (stopped.length === 0) return;
+
+    client.query({ query: STOPPED_CHATS_QUERY, variables: { ids: stopped }, fetchPolicy: 'network-only' })
+      .then(({ data }) => {
+        const now = Date.now();
+        const finished = (data?.chats || []).filter(isFinished);
+        if (finished.length) notify(finished.map(chat => toNotification(chat, now)));
+      })
+      .catch(err => console.error("Finished chats lookup error:", err));
+  }, [runningData, client, notify]);
+
+  useEffect(() => {
+    if (!mentionsData || !mentionsSeenRef.current) return;
+    const fresh = unseenMentions(mentionsSeenRef.current, mentionsData.chat_comments || []);
+    if (fresh.length === 0) return;
+    mentionsSeenRef.current = fresh[fresh.length - 1].created_at;
+    localStorage.setItem(mentionsSeenKey(userId), mentionsSeenRef.current);
+    notify(fresh.reverse().map(toMentionNotification));
+  }, [mentionsData, userId, notify]);
+
+  useEffect(() => {
+    const handleVisibility = () => {
+      if (!document.hidden) setBackgroundCount(0);
+    };
+    document.addEventListener('visibilitychange', handleVisibility);
+    return () => document.removeEventListener('visibilitychange', handleVisibility);
+  }, []);
+
+  useEffect(() => {
+    document.title = badgedTitle(document.title, backgroundCount);
+  }, [backgroundCount]);
+
+  const markRead = useCallback((id) => {
+    setStore(current => ({ ...current, items: current.items.map(item => (item.id === id ? { ...item, read: true } : item)) }));
+  }, []);
+
+  const markAllRead = useCallback(() => {
+    setStore(current => ({ ...current, items: current.items.map(item => ({ ...item, read: true })) }));
+  }, []);
+
+  const clear = useCallback(() => setStore(current => ({ ...current, items: [] })), []);
+
+  // Asks for permission the first time; the browser remembers a refusal, so after that
+  // the setting reports 'denied' and the user has to lift it in site settings
+  const setDesktopAlerts = useCallback(async (enabled) => {
+    if (enabled && permission !== 'granted') {
+      const result = await window.Notification.requestPermission();
+      setPermission(result);
+      if (result !== 'granted') return;
+    }
+    localStorage.setItem(ALERTS_KEY, enabled ? 'on' : 'off');
+    setAlertsEnabled(enabled);
+  }, [permission]);
+
+  let desktopAlerts = 'off';
+  if (permission === 'unsupported' || permission === 'denied') desktopAlerts = permission;
+  else if (alertsEnabled && permission === 'granted') desktopAlerts = 'on';
+
+  return {
+    items,
+    unreadCount: items.filter(item => !item.read).length,
+    markRead, markAllRead, clear,
+    desktopAlerts, setDesktopAlerts,
+  };
+}
@@ -0,0 +1,74 @@
+// usePromptTemplates.js - Built-in, personal and workspace-shared prompt templates
+import { useCallback, useMemo } from 'react';
+import { useMutation, useSubscription, gql } from '@apollo/client';
+import { useToast } from './Toast';
+import { BUILT_IN_TEMPLATES } from './promptTemplates';
+
+// The user's own templates plus those a member of the workspace marked as shared
+const PROMPT_TEMPLATES_SUB = gql`
+  subscription GetPromptTemplates($user_id: uuid!, $workspace_id: uuid!) {
+    prompt_templates(
+      where: { _or: [{ user_id: { _eq: $user_id } }, { shared: { _eq: true }, workspace_id: { _eq: $workspace_id } }] },
+      order_by: { name: asc }
+    ) {
+      id
+      name
+      body
+      shared
+      user_id
+    }
+  }
+`;
+
+const INSERT_PROMPT_TEMPLATE = gql`
+  mutation InsertPromptTemplate($name: String!, $body: String!, $shared: Boolean!, $workspace_id: uuid!) {
+    insert_prompt_templates_one(object: { name: $name, body: $body, shared: $shared, workspace_id: $workspace_id }) {
+      id
+    }
+  }
+`;
+
+const DELETE_PROMPT_TEMPLATE = gql`
+  mutation DeletePromptTemplate($id: uuid!) {
+    delete_prompt_templates_by_pk(id: $id) {
+      id
+    }
+  }
+`;
+
+export function usePromptTemplates({ userId, workspaceId }) {
+  const { showToast } = useToast();
+  const { data, loading } = useSubscription(PROMPT_TEMPLATES_SUB, {
+    variables: { user_id: userId, workspace_id: workspaceId },
+    skip: !userId || !workspaceId,
+    onError: (err) => console.error("Prompt template subscription error:", err),
+  });
+  const [insertTemplate] = useMutation(INSERT_PROMPT_TEMPLATE);
+  const [deleteTemplate] = useMutation(DELETE_PROMPT_TEMPLATE);
+
+  const { mine, team } = useMemo(() => {
+    const rows = data?.prompt_templates || [];
+    return {
+      mine: rows.filter(t => t.user_id === userId),
+      team: rows.filter(t => t.user_id !== userId),
+    };
+  }, [data, userId]);
+
+  // Throws so the save form can keep its input and show the error inline
+  const save = useCallback(async ({ name, body, shared }) => {
+    const { errors } = await insertTemplate({ variables: { name: name.trim(), body, shared, workspace_id: workspaceId } });
+    if (errors) throw new Error(`Database error: ${errors[0]?.message || "Unknown database error"}`);
+    showToast({ tone: 'success', message: shared ? `Saved "${name.trim()}" and shared it with your workspace` : `Saved "${name.trim()}"` });
+  }, [insertTemplate, showToast, workspaceId]);
+
+  const remove = useCallback(async (template) => {
+    try {
+      await deleteTemplate({ variables: { id: template.id } });
+    } catch (err) {
+      console.error("Template Delete Error:", err);
+      showToast({ tone: 'error', message: `Could not delete "${template.name}": ${err.message}` });
+    }
+  }, [deleteTemplate, showToast]);
+
+  return { builtIn: BUILT_IN_TEMPLATES, mine, team, loading, save, remove };
+}
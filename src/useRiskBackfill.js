@@ -0,0 +1,57 @@
+// useRiskBackfill.js - Stores the risk roll-up on completed chats rows that lack one
+//
+// The sidebar shows a severity indicator per analysis but never loads
+// analysis_result, so the level and score are saved on the row itself
+// (risk_level, risk_score). They're derived from the report by risks.js; this
+// hook fills them in for visible rows that finished without them.
+import { useEffect, useRef } from 'react';
+import { useApolloClient, gql } from '@apollo/client';
+import { extractRiskFlags, summarizeRisks } from './risks';
+
+const GET_RESULTS_FOR_RISK = gql`
+  query GetResultsForRisk($ids: [uuid!]!) {
+    chats(where: { id: { _in: $ids } }) {
+      id
+      analysis_result
+    }
+  }
+`;
+
+const SET_CHAT_RISK = gql`
+  mutation SetChatRisk($id: uuid!, $risk_level: String!, $risk_score: Int!) {
+    update_chats_by_pk(pk_columns: { id: $id }, _set: { risk_level: $risk_level, risk_score: $risk_score }) {
+      id
+      risk_level
+      risk_score
+    }
+  }
+`;
+
+export function useRiskBackfill({ chats }) {
+  const apollo = useApolloClient();
+  // Each row is tried once per session, so a failing write doesn't loop
+  const attempted = useRef(new Set());
+
+  const missing = chats
+    .filter(chat => chat.status === 'completed' && !chat.risk_level && !attempted.current.has(chat.id))
+    .map(chat => chat.id);
+  const missingKey = missing.join(',');
+
+  useEffect(() => {
+    if (!missingKey) return;
+    const ids = missingKey.split(',');
+    ids.forEach(id => attempted.current.add(id));
+
+    (async () => {
+      try {
+        const { data } = await apollo.query({ query: GET_RESULTS_FOR_RISK, variables: { ids }, fetchPolicy: 'network-only' });
+        await Promise.all((data?.chats || []).map(chat => {
+          const { score, level } = summarizeRisks(extractRiskFlags(chat.analysis_result || '').flags);
+          return apollo.mutate({ mutation: SET_CHAT_RISK, variables: { id: chat.id, risk_level: level, risk_score: score } });
+        }));
+      } catch (err) {
+        console.error("Risk backfill failed:", err);
+      }
+    })();
+  }, [missingKey, apollo]);
+}
@@ -0,0 +1,232 @@
+// useSharing.js - Per-user shares and read-only links for an analysis
+//
+// Two tables back this:
+//   chat_shares  id, chat_id → chats, email (lower-case), role ('view' | 'comment'), created_at;
+//                unique (chat_id, email). Only the chat's owner may insert or delete. The
+//                chats select permission also admits a row (and its follow-ups) when it has
+//                a share for the caller's email claim, which is how recipients see it.
+//   share_links  id, chat_id → chats, token (unique), expires_at, revoked_at, created_at.
+//
+// The unauthenticated `public` role must not be able to list links, so its permissions
+// are bound to the token the visitor sends in the X-Hasura-Share-Token header rather
+// than to a filter any caller could satisfy:
+//   share_links  { token: { _eq: X-Hasura-Share-Token }, revoked_at: { _is_null: true },
+//                  expires_at: { _gt: now } }; columns token and expires_at
+//   chats        { share_links: <the same filter> }; the columns the public page shows
+// `public` has no other select permission on either table. The public page sends no
+// session even when someone is signed in: under the `user` role the header filter
+// wouldn't apply, and the owner's own links would match instead.
+import { useCallback, useMemo } from 'react';
+import { ApolloClient, HttpLink, InMemoryCache, useMutation, useQuery, useSubscription, gql } from '@apollo/client';
+import { useNhostClient } from '@nhost/react';
+import { useToast } from './Toast';
+import { generateShareToken, linkExpiry, normalizeEmail } from './sharing';
+
+const CHAT_SHARES_SUB = gql`
+  subscription GetChatShares($chat_id: uuid!) {
+    chat_shares(where: { chat_id: { _eq: $chat_id } }, order_by: { created_at: asc }) {
+      id
+      email
+      role
+      created_at
+    }
+  }
+`;
+
+const SHARE_LINKS_SUB = gql`
+  subscription GetShareLinks($chat_id: uuid!) {
+    share_links(where: { chat_id: { _eq: $chat_id } }, order_by: { created_at: desc }) {
+      id
+      token
+      expires_at
+      revoked_at
+      created_at
+    }
+  }
+`;
+
+// Sharing with someone who already has access just changes their role
+const UPSERT_SHARE = gql`
+  mutation UpsertShare($chat_id: uuid!, $email: String!, $role: String!) {
+    insert_chat_shares_one(
+      object: { chat_id: $chat_id, email: $email, role: $role },
+      on_conflict: { constraint: chat_shares_chat_id_email_key, update_columns: [role] }
+    ) {
+      id
+      role
+    }
+  }
+`;
+
+const DELETE_SHARE = gql`
+  mutation DeleteShare($id: uuid!) {
+    delete_chat_shares_by_pk(id: $id) {
+      id
+    }
+  }
+`;
+
+const INSERT_SHARE_LINK = gql`
+  mutation InsertShareLink($chat_id: uuid!, $token: String!, $expires_at: timestamptz!) {
+    insert_share_links_one(object: { chat_id: $chat_id, token: $token, expires_at: $expires_at }) {
+      id
+      token
+    }
+  }
+`;
+
+const REVOKE_SHARE_LINK = gql`
+  mutation RevokeShareLink($id: uuid!, $revoked_at: timestamptz!) {
+    update_share_links_by_pk(pk_columns: { id: $id }, _set: { revoked_at: $revoked_at }) {
+      id
+      revoked_at
+    }
+  }
+`;
+
+// Analyses other people have shared with the signed-in user
+const SHARED_WITH_ME_SUB = gql`
+  subscription GetSharedWithMe($email: String!) {
+    chat_shares(where: { email: { _eq: $email } }, order_by: { created_at: desc }) {
+      id
+      role
+      chat_id
+      chat {
+        id
+        title
+        file_name
+        status
+        created_at
+        query
+        user_id
+        open_comments: comments_aggregate(where: { parent_id: { _is_null: true }, resolved_at: { _is_null: true } }) {
+          aggregate {
+            count
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Runs without a session (see publicClient). The token travels in a header, which the
+// `public` role's permissions compare against, so this only ever returns that link.
+const SHARED_RESULT_QUERY = gql`
+  query GetSharedResult($token: String!) {
+    share_links(where: { token: { _eq: $token } }, limit: 1) {
+      expires_at
+      chat {
+        title
+        file_name
+        query
+        status
+        created_at
+        analysis_result
+      }
+    }
+  }
+`;
+
+// Management for the owner's Share dialog. `share` and `createLink` throw so the
+// dialog can keep its input and show the error inline.
+export function useChatSharing({ chatId }) {
+  const { showToast } = useToast();
+  const { data: sharesData, loading: sharesLoading } = useSubscription(CHAT_SHARES_SUB, {
+    variables: { chat_id: chatId },
+    skip: !chatId,
+    onError: (err) => console.error("Share subscription error:", err),
+  });
+  const { data: linksData, loading: linksLoading } = useSubscription(SHARE_LINKS_SUB, {
+    variables: { chat_id: chatId },
+    skip: !chatId,
+    onError: (err) => console.error("Share link subscription error:", err),
+  });
+  const [upsertShare] = useMutation(UPSERT_SHARE);
+  const [deleteShare] = useMutation(DELETE_SHARE);
+  const [insertLink] = useMutation(INSERT_SHARE_LINK);
+  const [revokeLink] = useMutation(REVOKE_SHARE_LINK);
+
+  const share = useCallback(async (email, role) => {
+    const { errors } = await upsertShare({ variables: { chat_id: chatId, email: normalizeEmail(email), role } });
+    if (errors) throw new Error(`Database error: ${errors[0]?.message || "Unknown database error"}`);
+  }, [upsertShare, chatId]);
+
+  const changeRole = useCallback(async (entry, role) => {
+    try {
+      await upsertShare({ variables: { chat_id: chatId, email: entry.email, role } });
+    } catch (err) {
+      console.error("Share Update Error:", err);
+      showToast({ tone: 'error', message: `Could not update access for ${entry.email}: ${err.message}` });
+    }
+  }, [upsertShare, chatId, showToast]);
+
+  const unshare = useCallback(async (entry) => {
+    try {
+      await deleteShare({ variables: { id: entry.id } });
+      showToast({ tone: 'success', message: `Removed access for ${entry.email}` });
+    } catch (err) {
+      console.error("Unshare Error:", err);
+      showToast({ tone: 'error', message: `Could not remove ${entry.email}: ${err.message}` });
+    }
+  }, [deleteShare, showToast]);
+
+  const createLink = useCallback(async (days) => {
+    const token = generateShareToken();
+    const { errors } = await insertLink({ variables: { chat_id: chatId, token, expires_at: linkExpiry(days) } });
+    if (errors) throw new Error(`Database error: ${errors[0]?.message || "Unknown database error"}`);
+    return token;
+  }, [insertLink, chatId]);
+
+  const revoke = useCallback(async (link) => {
+    try {
+      await revokeLink({ variables: { id: link.id, revoked_at: new Date().toISOString() } });
+      showToast({ tone: 'success', message: 'Link revoked — it no longer opens the analysis' });
+    } catch (err) {
+      console.error("Revoke Link Error:", err);
+      showToast({ tone: 'error', message: `Could not revoke the link: ${err.message}` });
+    }
+  }, [revokeLink, showToast]);
+
+  return {
+    shares: sharesData?.chat_shares || [],
+    links: linksData?.share_links || [],
+    loading: sharesLoading || linksLoading,
+    share, changeRole, unshare, createLink, revoke,
+  };
+}
+
+export function useSharedWithMe({ email }) {
+  const { data, loading } = useSubscription(SHARED_WITH_ME_SUB, {
+    variables: { email: normalizeEmail(email || '') },
+    skip: !email,
+    onError: (err) => console.error("Shared-with-me subscription error:", err),
+  });
+
+  const shares = useMemo(() => (data?.chat_shares || []).filter(share => share.chat), [data]);
+  return { shares, loading };
+}
+
+// Talks to Hasura as the anonymous `public` role, bypassing the app's Apollo client
+// and the signed-in user's JWT it attaches
+const publicClient = (nhost, token) => new ApolloClient({
+  link: new HttpLink({
+    uri: nhost.graphql.httpUrl,
+    headers: { 'x-hasura-role': 'public', 'x-hasura-share-token': token },
+  }),
+  cache: new InMemoryCache(),
+});
+
+// The analysis behind a public link, or null once it has expired or been revoked
+export function useSharedResult({ token }) {
+  const nhost = useNhostClient();
+  const client = useMemo(() => publicClient(nhost, token), [nhost, token]);
+  const { data, loading, error } = useQuery(SHARED_RESULT_QUERY, {
+    client,
+    variables: { token },
+    skip: !token,
+    fetchPolicy: 'network-only',
+  });
+
+  const link = data?.share_links?.[0] || null;
+  return { chat: link?.chat || null, expiresAt: link?.expires_at || null, loading, error };
+}
@@ -0,0 +1,414 @@
+// useUploadQueue.js - Batch upload → INSERT_CHAT → analysis pipeline
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useNhostClient } from '@nhost/react';
+import { useApolloClient, useMutation, gql } from '@apollo/client';
+import { requestAnalysis, DEFAULT_QUERY } from './analysisService';
+import { runWithConcurrency, formatFileSize, createAbortError, isAbortError } from './utils';
+import { validateInput } from './inputTypes';
+import { uploadToStorage, hasResumableUpload, releaseStoredFile } from './storageUpload';
+import { identifyFile } from './fileDedup';
+import { nextAttemptNumber, withAttemptFailure } from './attempts';
+
+// Also used to start an analysis of a file already in the document library
+export const INSERT_CHAT = gql`
+  mutation InsertChat($workspace_id: uuid!, $file_id: uuid!, $file_name: String!, $file_type: String, $file_hash: String, $ocr: Boolean, $query: String!) {
+    insert_chats_one(object: {
+      workspace_id: $workspace_id,
+      file_id: $file_id,
+      file_name: $file_name,
+      file_type: $file_type,
+      file_hash: $file_hash,
+      ocr: $ocr,
+      status: "pending",
+      query: $query
+    }) {
+      id
+    }
+  }
+`;
+
+// Puts a failed row back in the queue. `attempts` is a jsonb array log of every
+// retry so the attempt history survives reloads (see attempts.js).
+export const RETRY_CHAT = gql`
+  mutation RetryChat($id: uuid!, $query: String!, $attempt: jsonb!) {
+    update_chats_by_pk(
+      pk_columns: { id: $id },
+      _set: { status: "pending", query: $query, analysis_result: null, risk_level: null, risk_score: null, progress: null, partial_result: null },
+      _append: { attempts: $attempt }
+    ) {
+      id
+      status
+      query
+      attempts
+    }
+  }
+`;
+
+// `attempts` is the whole log with the failure merged into its run's entry
+// (withAttemptFailure), so a failed retry stays one entry
+export const MARK_CHAT_FAILED = gql`
+  mutation MarkChatFailed($id: uuid!, $attempts: jsonb!) {
+    update_chats_by_pk(
+      pk_columns: { id: $id },
+      _set: { status: "failed", attempts: $attempts }
+    ) {
+      id
+      status
+      attempts
+    }
+  }
+`;
+
+// Rolls back the record of a file cancelled after it was created
+const DELETE_CANCELLED_CHAT = gql`
+  mutation DeleteCancelledChat($id: uuid!) {
+    delete_chats_by_pk(id: $id) {
+      id
+    }
+  }
+`;
+
+export const MAX_CONCURRENT_UPLOADS = 3;
+
+// Share of the progress bar covered by the byte upload; the rest is record + hand-off
+const UPLOAD_PROGRESS_SHARE = 85;
+
+export const PROGRESS_MESSAGES = {
+  queued: "Waiting in queue...",
+  uploading: "Uploading file to secure storage...",
+  queueing: "Creating analysis record...",
+  processing: "Sending to AI agents...",
+  completed: "Analysis queued successfully!",
+  error: "Upload failed. Please try again.",
+  cancelled: "Cancelled",
+  resumable: "Waiting in queue · will resume the earlier partial upload",
+  reused: "Already in your library — reusing the stored copy",
+};
+
+let nextItemId = 0;
+
+const createQueueItem = (file, inputType) => ({
+  id: `upload-${++nextItemId}`,
+  file,
+  inputType,
+  // Pre-flight findings ({ status: 'checking' } while running); null for types without one
+  preflight: inputType.preflight ? { status: 'checking', issues: [] } : null,
+  // The password never leaves the browser except with this file's analysis request
+  options: { password: null, ocr: false },
+  status: 'queued',
+  progress: 0,
+  message: hasResumableUpload(file) ? PROGRESS_MESSAGES.resumable : PROGRESS_MESSAGES.queued,
+  error: null,
+  // The storage file and chats row an earlier run got as far as creating; a retry
+  // picks up from them instead of uploading or inserting again
+  fileId: null,
+  ownsFile: false,
+  chatId: null,
+  // That row's attempt log as last written (see attempts.js)
+  attempts: [],
+  query: null,
+  // SHA-256 of the contents and the library file with the same hash, once known
+  hash: null,
+  libraryMatch: null,
+});
+
+const isActive = (item) => ['uploading', 'queueing', 'processing'].includes(item.status);
+
+// Finished without a result and can be run again
+const isRetryable = (item) => item.status === 'error' || item.status === 'cancelled';
+
+// Queued and not held back by a pre-flight problem (locked, corrupted, still checking)
+export const isReady = (item) => item.status === 'queued'
+  && (!item.preflight || item.preflight.status === 'ok' || item.preflight.status === 'warning');
+
+// New analyses are filed under `workspaceId`
+export function useUploadQueue({ userId, workspaceId }) {
+  const nhost = useNhostClient();
+  const apollo = useApolloClient();
+  const [insertChat] = useMutation(INSERT_CHAT);
+  const [deleteCancelledChat] = useMutation(DELETE_CANCELLED_CHAT);
+  const [retryChat] = useMutation(RETRY_CHAT);
+  const [markChatFailed] = useMutation(MARK_CHAT_FAILED);
+  // One AbortController per item while it is running (or waiting in a started batch)
+  const controllers = useRef({});
+  const [queue, setQueue] = useState([]);
+  const [summary, setSummary] = useState(null);
+  // Mirrors `queue` so async workers always see the latest items
+  const queueRef = useRef(queue);
+  queueRef.current = queue;
+
+  const updateItem = useCallback((id, patch) => {
+    setQueue(items => items.map(item => (item.id === id ? { ...item, ...patch } : item)));
+  }, []);
+
+  const runPreflight = useCallback(async (item, password) => {
+    updateItem(item.id, { preflight: { status: 'checking', issues: [] } });
+    const result = await item.inputType.preflight(item.file, { password })
+      .catch(err => ({ status: 'error', issues: [{ level: 'error', message: err.message }] }));
+    const unlocked = password && result.status !== 'needs-password';
+    setQueue(items => items.map(i => (i.id !== item.id ? i : {
+      ...i,
+      preflight: result,
+      options: {
+        ...i.options,
+        password: unlocked ? password : i.options.password,
+        // Default OCR on when scanned pages were found; the user can still turn it off
+        ocr: i.options.ocr || Boolean(result.textlessPages?.length),
+      },
+    })));
+  }, [updateItem]);
+
+  const identifyItem = useCallback(async (item) => {
+    const identified = await identifyFile(apollo, { userId, file: item.file, hash: item.hash });
+    updateItem(item.id, identified);
+    return identified;
+  }, [apollo, userId, updateItem]);
+
+  // Detects, validates and enqueues files. Resolves with the rejection messages for files that were skipped.
+  const addFiles = useCallback(async (files) => {
+    const rejected = [];
+    const accepted = [];
+    const list = Array.from(files);
+    const validations = await Promise.all(list.map(file => validateInput(file).catch(err => ({ valid: false, error: err.message }))));
+    list.forEach((file, i) => {
+      const validation = validations[i];
+      const isDuplicate = queueRef.current.some(item => item.file.name === file.name && item.file.size === file.size);
+      if (!validation.valid) rejected.push(`${file.name}: ${validation.error}`);
+      else if (!isDuplicate) accepted.push(createQueueItem(file, validation.type));
+    });
+    if (accepted.length) {
+      setQueue(items => [...items, ...accepted]);
+      setSummary(null);
+      accepted.filter(item => item.preflight).forEach(item => runPreflight(item));
+      accepted.forEach(item => identifyItem(item).catch(err => console.error("Hashing failed:", err)));
+    }
+    return rejected;
+  }, [runPreflight, identifyItem]);
+
+  // Re-runs the pre-flight with the password the user entered for a protected PDF
+  const unlockItem = useCallback((id, password) => {
+    const item = queueRef.current.find(i => i.id === id);
+    if (item?.preflight) runPreflight(item, password);
+  }, [runPreflight]);
+
+  const setItemOptions = useCallback((id, patch) => {
+    setQueue(items => items.map(item => (item.id === id ? { ...item, options: { ...item.options, ...patch } } : item)));
+  }, []);
+
+  const removeItem = useCallback((id) => {
+    controllers.current[id]?.abort();
+    setQueue(items => items.filter(item => item.id !== id || isActive(item)));
+  }, []);
+
+  const clearQueue = useCallback(() => {
+    setQueue(items => items.filter(isActive));
+    setSummary(null);
+  }, []);
+
+  // Abort everything still in flight when the workspace unmounts
+  useEffect(() => {
+    const running = controllers.current;
+    return () => Object.values(running).forEach(controller => controller.abort());
+  }, []);
+
+  // Undoes what a cancelled item already created, so no half-started analysis is left behind.
+  // A job that already reached the service may still run; its result has no row to land in.
+  const rollBack = useCallback(async ({ fileId, chatId }) => {
+    try {
+      if (chatId) await deleteCancelledChat({ variables: { id: chatId } });
+      // Another file in the batch may have matched this upload by hash in the meantime
+      if (fileId) await releaseStoredFile(nhost, fileId);
+    } catch (err) {
+      console.error("Cancel cleanup failed:", err);
+    }
+  }, [deleteCancelledChat, nhost]);
+
+  // Runs one file from wherever its last attempt stopped: a row left by a failed run is
+  // put back in the queue, a file uploaded before the insert failed is not uploaded again
+  const processItem = useCallback(async (item, query, controller) => {
+    const { signal } = controller;
+    const isRerun = Boolean(item.chatId);
+    const attempt = isRerun ? nextAttemptNumber(item.attempts) : 1;
+    let { fileId, ownsFile, chatId } = item;
+    let attempts = isRerun ? item.attempts : [];
+    // The row this run inserted, to roll back on cancel
+    let insertedChatId = null;
+
+    try {
+      if (signal.aborted) throw createAbortError();
+      updateItem(item.id, { status: 'uploading', progress: 0, message: PROGRESS_MESSAGES.uploading, error: null, query });
+
+      let hash = item.hash;
+      if (!fileId) {
+        // Checked again at start time: the library may have changed since the file was added
+        const identified = await identifyItem(item);
+        hash = identified.hash;
+        if (signal.aborted) throw createAbortError();
+
+        if (identified.libraryMatch) {
+          fileId = identified.libraryMatch.fileId;
+          ownsFile = false;
+          updateItem(item.id, { progress: UPLOAD_PROGRESS_SHARE, message: PROGRESS_MESSAGES.reused });
+        } else {
+          const total = item.file.size;
+          fileId = await uploadToStorage(nhost, item.file, {
+            signal,
+            onProgress: loaded => updateItem(item.id, {
+              progress: Math.round((Math.min(loaded, total) / total) * UPLOAD_PROGRESS_SHARE),
+              message: `Uploading… ${formatFileSize(Math.min(loaded, total))} of ${formatFileSize(total)}`,
+            }),
+          });
+          ownsFile = true;
+        }
+        updateItem(item.id, { fileId, ownsFile });
+      }
+      if (signal.aborted) throw createAbortError();
+
+      updateItem(item.id, { status: 'queueing', progress: UPLOAD_PROGRESS_SHARE + 5, message: PROGRESS_MESSAGES.queueing });
+
+      if (isRerun) {
+        const entry = { attempt, at: new Date().toISOString(), query };
+        const { data: retryData, errors } = await retryChat({
+          context: { fetchOptions: { signal } },
+          variables: { id: chatId, query, attempt: [entry] },
+        });
+        if (errors) throw new Error(`Database error: ${errors[0]?.message || "Unknown database error"}`);
+        attempts = retryData?.update_chats_by_pk?.attempts || [...attempts, entry];
+      } else {
+        const { data: mutationData, errors } = await insertChat({
+          context: { fetchOptions: { signal } },
+          variables: {
+            workspace_id: workspaceId,
+            file_id: fileId,
+            file_name: item.file.name,
+            file_type: item.inputType.id,
+            file_hash: hash,
+            ocr: item.options.ocr,
+            query,
+          },
+        });
+
+        if (errors) throw new Error(`Database error: ${errors[0]?.message || "Unknown database error"}`);
+
+        chatId = mutationData?.insert_chats_one?.id;
+        if (!chatId) throw new Error("Failed to create analysis record");
+        insertedChatId = chatId;
+      }
+      if (signal.aborted) throw createAbortError();
+
+      updateItem(item.id, { status: 'processing', progress: UPLOAD_PROGRESS_SHARE + 10, message: PROGRESS_MESSAGES.processing, chatId });
+
+      await requestAnalysis({
+        chatId, fileId, userId, query,
+        fileType: item.inputType.id,
+        ocr: item.options.ocr,
+        password: item.options.password,
+        signal,
+        onRetry: ({ attempt: serviceAttempt, maxAttempts, delayMs }) => updateItem(item.id, {
+          message: `Analysis service is waking up — retrying in ${Math.ceil(delayMs / 1000)}s (attempt ${serviceAttempt + 1}/${maxAttempts})`,
+        }),
+      });
+
+      updateItem(item.id, { status: 'done', progress: 100, message: PROGRESS_MESSAGES.completed });
+      return chatId;
+    } catch (err) {
+      const aborted = isAbortError(err);
+      if (aborted && !isRerun) {
+        // Nothing of this file is left behind, so a retry starts over
+        updateItem(item.id, { status: 'cancelled', progress: 0, message: PROGRESS_MESSAGES.cancelled, error: null, chatId: null, fileId: null, ownsFile: false });
+        await rollBack({ chatId: insertedChatId, fileId: ownsFile ? fileId : null });
+        throw err;
+      }
+
+      if (aborted) {
+        updateItem(item.id, { status: 'cancelled', progress: 0, message: PROGRESS_MESSAGES.cancelled, error: null });
+      } else {
+        console.error(`Upload/Analysis Error (${item.file.name}):`, err);
+        updateItem(item.id, { status: 'error', message: PROGRESS_MESSAGES.error, error: err.message, chatId });
+      }
+      // Don't leave the row stuck in "pending" when the job never reached the service
+      if (chatId) {
+        attempts = withAttemptFailure(attempts, attempt, aborted ? new Error('Cancelled') : err);
+        updateItem(item.id, { attempts });
+        await markChatFailed({ variables: { id: chatId, attempts } })
+          .catch(markErr => console.error("Failed to mark chat as failed:", markErr));
+      }
+      throw err;
+    } finally {
+      delete controllers.current[item.id];
+    }
+  }, [nhost, insertChat, retryChat, markChatFailed, updateItem, rollBack, identifyItem, userId, workspaceId]);
+
+  const startItem = useCallback((item, query) => {
+    const controller = controllers.current[item.id] || new AbortController();
+    controllers.current[item.id] = controller;
+    return processItem(item, query, controller);
+  }, [processItem]);
+
+  // Stops one file wherever it is: waiting in the batch, uploading, or being handed off
+  const cancelItem = useCallback((id) => {
+    const controller = controllers.current[id];
+    if (controller) controller.abort();
+  }, []);
+
+  const cancelAll = useCallback(() => {
+    Object.values(controllers.current).forEach(controller => controller.abort());
+  }, []);
+
+  // Runs every queued file with bounded concurrency and resolves with
+  // one { item, chatId, error } result per file once the whole batch settles.
+  const startBatch = useCallback(async (userQuery) => {
+    const pending = queueRef.current.filter(isReady);
+    if (pending.length === 0 || !userId || !workspaceId) return [];
+
+    const query = userQuery.trim() || DEFAULT_QUERY;
+    setSummary(null);
+    // Controllers up front, so files still waiting their turn can be cancelled too
+    pending.forEach(item => { controllers.current[item.id] = new AbortController(); });
+    const settled = await runWithConcurrency(pending, MAX_CONCURRENT_UPLOADS, item => startItem(item, query));
+    const results = settled.map((r, i) => ({
+      item: pending[i],
+      chatId: r.status === 'fulfilled' ? r.value : null,
+      error: r.status === 'rejected' ? r.reason : null,
+    }));
+
+    setSummary({
+      total: results.length,
+      succeeded: results.filter(r => r.chatId).length,
+      failed: results.filter(r => r.error && !isAbortError(r.error)).length,
+      cancelled: results.filter(r => isAbortError(r.error)).length,
+    });
+    return results;
+  }, [startItem, userId, workspaceId]);
+
+  // Retries a failed or cancelled file with the query it was originally submitted with.
+  const retryItem = useCallback(async (id) => {
+    const item = queueRef.current.find(i => i.id === id);
+    if (!item || !isRetryable(item)) return null;
+    const key = item.status === 'cancelled' ? 'cancelled' : 'failed';
+    try {
+      const chatId = await startItem(item, item.query || DEFAULT_QUERY);
+      setSummary(s => (s ? { ...s, succeeded: s.succeeded + 1, [key]: Math.max(0, s[key] - 1) } : s));
+      return chatId;
+    } catch {
+      return null;
+    }
+  }, [startItem]);
+
+  return {
+    queue,
+    summary,
+    isProcessing: queue.some(isActive),
+    readyCount: queue.filter(isReady).length,
+    addFiles,
+    unlockItem,
+    setItemOptions,
+    removeItem,
+    clearQueue,
+    startBatch,
+    retryItem,
+    cancelItem,
+    cancelAll,
+    dismissSummary: () => setSummary(null),
+  };
+}
@@ -0,0 +1,338 @@
+// useWorkspaces.js - The user's workspaces, the active one, members and invitations
+//
+// Tables:
+//   workspaces         id, name, created_at
+//   workspace_members  id, workspace_id, user_id → auth.users, role, created_at; unique (workspace_id, user_id)
+//   workspace_invites  id, workspace_id, email (lower-case), role, created_at, accepted_at;
+//                      unique (workspace_id, email)
+//   chats.workspace_id and prompt_templates.workspace_id point at the workspace a row belongs to.
+//   Rows created before workspaces have it null until ADOPT_LEGACY_ROWS moves them into
+//   their owner's personal workspace, so owners may update workspace_id from null to a
+//   workspace they belong to.
+//
+// Hasura permissions read the caller's workspace_members row: any member selects the
+// workspace's chats, analysts and up insert them, admins manage members and invites
+// (see workspaces.js for the full matrix). A user may insert their own membership only
+// for a pending invite to their email with the same role.
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useMutation, useSubscription, gql } from '@apollo/client';
+import { useNhostClient } from '@nhost/react';
+import { useToast } from './Toast';
+import { normalizeEmail } from './sharing';
+import { routeUrl } from './router';
+
+const MY_WORKSPACES_SUB = gql`
+  subscription GetMyWorkspaces($user_id: uuid!) {
+    workspace_members(where: { user_id: { _eq: $user_id } }, order_by: { created_at: asc }) {
+      id
+      role
+      workspace {
+        id
+        name
+      }
+    }
+  }
+`;
+
+const MY_INVITES_SUB = gql`
+  subscription GetMyInvites($email: String!) {
+    workspace_invites(where: { email: { _eq: $email }, accepted_at: { _is_null: true } }, order_by: { created_at: desc }) {
+      id
+      role
+      workspace_id
+      workspace {
+        name
+      }
+    }
+  }
+`;
+
+// The creator becomes the owner; user_id on the member row is preset from the session
+const CREATE_WORKSPACE = gql`
+  mutation CreateWorkspace($name: String!) {
+    insert_workspaces_one(object: { name: $name, members: { data: [{ role: "owner" }] } }) {
+      id
+    }
+  }
+`;
+
+// Both fields run in one transaction, so an invite is never half-accepted
+const ACCEPT_INVITE = gql`
+  mutation AcceptInvite($invite_id: uuid!, $workspace_id: uuid!, $role: String!, $accepted_at: timestamptz!) {
+    insert_workspace_members_one(object: { workspace_id: $workspace_id, role: $role }) {
+      id
+    }
+    update_workspace_invites_by_pk(pk_columns: { id: $invite_id }, _set: { accepted_at: $accepted_at }) {
+      id
+    }
+  }
+`;
+
+// Both updates are no-ops once there is nothing left to adopt
+const ADOPT_LEGACY_ROWS = gql`
+  mutation AdoptLegacyRows($user_id: uuid!, $workspace_id: uuid!) {
+    update_chats(where: { user_id: { _eq: $user_id }, workspace_id: { _is_null: true } }, _set: { workspace_id: $workspace_id }) {
+      affected_rows
+    }
+    update_prompt_templates(where: { user_id: { _eq: $user_id }, workspace_id: { _is_null: true } }, _set: { workspace_id: $workspace_id }) {
+      affected_rows
+    }
+  }
+`;
+
+const DELETE_INVITE = gql`
+  mutation DeleteInvite($id: uuid!) {
+    delete_workspace_invites_by_pk(id: $id) {
+      id
+    }
+  }
+`;
+
+const WORKSPACE_MEMBERS_SUB = gql`
+  subscription GetWorkspaceMembers($workspace_id: uuid!) {
+    workspace_members(where: { workspace_id: { _eq: $workspace_id } }, order_by: { created_at: asc }) {
+      id
+      role
+      user_id
+      user {
+        email
+        displayName
+      }
+    }
+  }
+`;
+
+const WORKSPACE_INVITES_SUB = gql`
+  subscription GetWorkspaceInvites($workspace_id: uuid!) {
+    workspace_invites(where: { workspace_id: { _eq: $workspace_id }, accepted_at: { _is_null: true } }, order_by: { created_at: desc }) {
+      id
+      email
+      role
+      created_at
+    }
+  }
+`;
+
+// Re-inviting an address updates the pending invite's role
+const UPSERT_INVITE = gql`
+  mutation UpsertInvite($workspace_id: uuid!, $email: String!, $role: String!) {
+    insert_workspace_invites_one(
+      object: { workspace_id: $workspace_id, email: $email, role: $role },
+      on_conflict: { constraint: workspace_invites_workspace_id_email_key, update_columns: [role] }
+    ) {
+      id
+    }
+  }
+`;
+
+const UPDATE_MEMBER_ROLE = gql`
+  mutation UpdateMemberRole($id: uuid!, $role: String!) {
+    update_workspace_members_by_pk(pk_columns: { id: $id }, _set: { role: $role }) {
+      id
+      role
+    }
+  }
+`;
+
+const DELETE_MEMBER = gql`
+  mutation DeleteMember($id: uuid!) {
+    delete_workspace_members_by_pk(id: $id) {
+      id
+    }
+  }
+`;
+
+const RENAME_WORKSPACE = gql`
+  mutation RenameWorkspace($id: uuid!, $name: String!) {
+    update_workspaces_by_pk(pk_columns: { id: $id }, _set: { name: $name }) {
+      id
+      name
+    }
+  }
+`;
+
+const activeWorkspaceKey = (userId) => `wingify.activeWorkspace.${userId}`;
+
+// Magic-link sign-in email from Nhost auth. It signs existing users in and creates an
+// account for new addresses, so it doubles as the invitation email. Called over REST
+// because the client's own sign-in flow would disturb the inviter's session.
+const sendInviteEmail = async (nhost, email) => {
+  const response = await fetch(`${nhost.auth.url}/signin/passwordless/email`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, options: { redirectTo: routeUrl({ name: 'new' }) } }),
+  });
+  if (!response.ok) throw new Error(await response.text().catch(() => `HTTP ${response.status}`));
+};
+
+// Memberships, the active workspace (remembered per user in localStorage) and invites
+// waiting for the signed-in user. A user with no workspace and no invite gets a
+// personal one, so there is always somewhere to put analyses.
+export function useWorkspaces({ userId, email }) {
+  const { showToast } = useToast();
+  const { data, loading } = useSubscription(MY_WORKSPACES_SUB, {
+    variables: { user_id: userId },
+    skip: !userId,
+    onError: (err) => console.error("Workspace subscription error:", err),
+  });
+  const { data: invitesData, loading: invitesLoading } = useSubscription(MY_INVITES_SUB, {
+    variables: { email: normalizeEmail(email || '') },
+    skip: !email,
+    onError: (err) => console.error("Invite subscription error:", err),
+  });
+  const [createWorkspace] = useMutation(CREATE_WORKSPACE);
+  const [acceptInviteMutation] = useMutation(ACCEPT_INVITE);
+  const [deleteInvite] = useMutation(DELETE_INVITE);
+  const [adoptLegacyRows] = useMutation(ADOPT_LEGACY_ROWS);
+
+  const workspaces = useMemo(
+    () => (data?.workspace_members || []).filter(m => m.workspace).map(m => ({ ...m.workspace, role: m.role, membershipId: m.id })),
+    [data]
+  );
+  const invites = invitesData?.workspace_invites || [];
+
+  const [activeId, setActiveId] = useState(() => (userId ? localStorage.getItem(activeWorkspaceKey(userId)) : null));
+  useEffect(() => {
+    if (userId) setActiveId(localStorage.getItem(activeWorkspaceKey(userId)));
+  }, [userId]);
+
+  const active = workspaces.find(w => w.id === activeId) || workspaces[0] || null;
+
+  const switchTo = useCallback((workspaceId) => {
+    localStorage.setItem(activeWorkspaceKey(userId), workspaceId);
+    setActiveId(workspaceId);
+  }, [userId]);
+
+  // Throws so the create form can keep its input and show the error inline
+  const create = useCallback(async (name) => {
+    const { data: created, errors } = await createWorkspace({ variables: { name: name.trim() } });
+    if (errors) throw new Error(`Database error: ${errors[0]?.message || "Unknown database error"}`);
+    const workspaceId = created?.insert_workspaces_one?.id;
+    if (workspaceId) switchTo(workspaceId);
+    return workspaceId;
+  }, [createWorkspace, switchTo]);
+
+  const bootstrapped = useRef(false);
+  useEffect(() => {
+    if (!userId || loading || invitesLoading || !data || workspaces.length || invites.length || bootstrapped.current) return;
+    bootstrapped.current = true;
+    create('Personal').catch(err => console.error("Personal workspace error:", err));
+  }, [userId, loading, invitesLoading, data, workspaces.length, invites.length, create]);
+
+  // Analyses from before workspaces go to the first workspace the user owns, which for
+  // anyone who had them is the Personal one created above. Once per session is enough:
+  // nothing creates rows without a workspace any more.
+  const personalId = workspaces.find(w => w.role === 'owner')?.id;
+  const adoptedFor = useRef(null);
+  useEffect(() => {
+    if (!userId || !personalId || adoptedFor.current === userId) return;
+    adoptedFor.current = userId;
+    adoptLegacyRows({ variables: { user_id: userId, workspace_id: personalId } })
+      .catch(err => console.error("Legacy row adoption error:", err));
+  }, [userId, personalId, adoptLegacyRows]);
+
+  const acceptInvite = useCallback(async (invite) => {
+    try {
+      await acceptInviteMutation({
+        variables: { invite_id: invite.id, workspace_id: invite.workspace_id, role: invite.role, accepted_at: new Date().toISOString() },
+      });
+      switchTo(invite.workspace_id);
+      showToast({ tone: 'success', message: `Joined ${invite.workspace?.name || 'the workspace'}` });
+    } catch (err) {
+      console.error("Accept Invite Error:", err);
+      showToast({ tone: 'error', message: `Could not join the workspace: ${err.message}` });
+    }
+  }, [acceptInviteMutation, switchTo, showToast]);
+
+  const declineInvite = useCallback(async (invite) => {
+    try {
+      await deleteInvite({ variables: { id: invite.id } });
+    } catch (err) {
+      console.error("Decline Invite Error:", err);
+      showToast({ tone: 'error', message: `Could not decline the invite: ${err.message}` });
+    }
+  }, [deleteInvite, showToast]);
+
+  return {
+    workspaces,
+    active,
+    role: active?.role || null,
+    loading: loading && workspaces.length === 0,
+    invites,
+    switchTo, create, acceptInvite, declineInvite,
+  };
+}
+
+// Member and invitation management for one workspace (Settings)
+export function useWorkspaceMembers({ workspaceId }) {
+  const nhost = useNhostClient();
+  const { showToast } = useToast();
+  const { data: membersData } = useSubscription(WORKSPACE_MEMBERS_SUB, {
+    variables: { workspace_id: workspaceId },
+    skip: !workspaceId,
+    onError: (err) => console.error("Member subscription error:", err),
+  });
+  const { data: invitesData } = useSubscription(WORKSPACE_INVITES_SUB, {
+    variables: { workspace_id: workspaceId },
+    skip: !workspaceId,
+    onError: (err) => console.error("Workspace invite subscription error:", err),
+  });
+  const [upsertInvite] = useMutation(UPSERT_INVITE);
+  const [deleteInvite] = useMutation(DELETE_INVITE);
+  const [updateMemberRole] = useMutation(UPDATE_MEMBER_ROLE);
+  const [deleteMember] = useMutation(DELETE_MEMBER);
+  const [renameWorkspace] = useMutation(RENAME_WORKSPACE);
+
+  // Throws if the invite can't be saved. A failed email only warns: the invite still
+  // appears for that address the next time they sign in.
+  const invite = useCallback(async (email, role) => {
+    const address = normalizeEmail(email);
+    const { errors } = await upsertInvite({ variables: { workspace_id: workspaceId, email: address, role } });
+    if (errors) throw new Error(`Database error: ${errors[0]?.message || "Unknown database error"}`);
+    try {
+      await sendInviteEmail(nhost, address);
+      showToast({ tone: 'success', message: `Invitation sent to ${address}` });
+    } catch (err) {
+      console.error("Invite Email Error:", err);
+      showToast({ tone: 'info', message: `Invited ${address}, but the email could not be sent. They'll see the invite when they sign in.` });
+    }
+  }, [upsertInvite, workspaceId, nhost, showToast]);
+
+  const revokeInvite = useCallback(async (entry) => {
+    try {
+      await deleteInvite({ variables: { id: entry.id } });
+    } catch (err) {
+      console.error("Revoke Invite Error:", err);
+      showToast({ tone: 'error', message: `Could not revoke the invite for ${entry.email}: ${err.message}` });
+    }
+  }, [deleteInvite, showToast]);
+
+  const changeRole = useCallback(async (member, role) => {
+    try {
+      await updateMemberRole({ variables: { id: member.id, role } });
+    } catch (err) {
+      console.error("Member Role Error:", err);
+      showToast({ tone: 'error', message: `Could not change the role: ${err.message}` });
+    }
+  }, [updateMemberRole, showToast]);
+
+  const removeMember = useCallback(async (member) => {
+    try {
+      await deleteMember({ variables: { id: member.id } });
+    } catch (err) {
+      console.error("Remove Member Error:", err);
+      showToast({ tone: 'error', message: `Could not remove ${member.user?.email || 'the member'}: ${err.message}` });
+    }
+  }, [deleteMember, showToast]);
+
+  const rename = useCallback(async (name) => {
+    const { errors } = await renameWorkspace({ variables: { id: workspaceId, name: name.trim() } });
+    if (errors) throw new Error(`Database error: ${errors[0]?.message || "Unknown database error"}`);
+  }, [renameWorkspace, workspaceId]);
+
+  return {
+    members: membersData?.workspace_members || [],
+    invites: invitesData?.workspace_invites || [],
+    invite, revokeInvite, changeRole, removeMember, rename,
+  };
+}
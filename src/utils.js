@@ -0,0 +1,96 @@
+// utils.js - Shared helpers
+
+// Reads bytes [start, end) of a File/Blob as a Uint8Array.
+export const readBytes = (blob, start = 0, end = blob.size) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = () => resolve(new Uint8Array(reader.result));
+  reader.onerror = () => reject(reader.error || new Error('Could not read file'));
+  reader.readAsArrayBuffer(blob.slice(start, end));
+});
+
+// Hex SHA-256 of a File/Blob's contents
+export const sha256Hex = async (blob) => {
+  const digest = await crypto.subtle.digest('SHA-256', await readBytes(blob));
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+};
+
+export const createAbortError = (message = 'Cancelled') => new DOMException(message, 'AbortError');
+
+export const isAbortError = (err) => err?.name === 'AbortError';
+
+// setTimeout as a promise that rejects with an AbortError if `signal` fires first
+export const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+export const formatFileSize = (bytes) => {
+  if (bytes === 0) return '0 Bytes';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+// Runs `worker` over `items` with at most `limit` in flight at once.
+// Resolves with one { status, value | reason } entry per item, like Promise.allSettled.
+export const runWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+  return results;
+};
+
+// Flattens a drop into a list of Files, walking into dropped folders where the
+// browser exposes them through the (non-standard but universal) entry API.
+export const collectDroppedFiles = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .map(item => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter(Boolean);
+
+  if (entries.length === 0) return Array.from(dataTransfer.files || []);
+
+  const readEntry = async (entry) => {
+    if (entry.isFile) {
+      return [await new Promise((resolve, reject) => entry.file(resolve, reject))];
+    }
+    if (!entry.isDirectory) return [];
+
+    const reader = entry.createReader();
+    const children = [];
+    // readEntries returns results in batches until it yields an empty array
+    for (;;) {
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (batch.length === 0) break;
+      children.push(...batch);
+    }
+    const nested = await Promise.all(children.map(readEntry));
+    return nested.flat();
+  };
+
+  const files = await Promise.all(entries.map(readEntry));
+  return files.flat();
+};
@@ -0,0 +1,53 @@
+// workspaces.js - Workspace roles and what each one may do
+//
+// The same matrix is enforced by Hasura's permissions, which read the caller's row in
+// workspace_members; the client only uses it to hide actions a role can't take.
+
+export const WORKSPACE_ROLES = ['owner', 'admin', 'analyst', 'viewer'];
+
+export const ROLE_LABELS = { owner: 'Owner', admin: 'Admin', analyst: 'Analyst', viewer: 'Viewer' };
+
+export const ROLE_DESCRIPTIONS = {
+  owner: 'Full control, including renaming the workspace',
+  admin: 'Manages members and every analysis',
+  analyst: 'Runs analyses and manages their own',
+  viewer: 'Reads and comments on analyses',
+};
+
+// Lowest role allowed to take each action
+const MINIMUM_ROLE = {
+  comment: 'viewer',
+  analyze: 'analyst',        // upload, ask follow-ups, retry
+  manageOwnChats: 'analyst', // rename, archive, delete, share what you created
+  manageAllChats: 'admin',
+  invite: 'admin',
+  manageMembers: 'admin',
+  renameWorkspace: 'owner',
+};
+
+const rank = (role) => {
+  const index = WORKSPACE_ROLES.indexOf(role);
+  return index === -1 ? WORKSPACE_ROLES.length : index;
+};
+
+export const can = (role, action) => Boolean(role) && rank(role) <= rank(MINIMUM_ROLE[action]);
+
+// Admins manage analysts and viewers; only owners can touch admins or other owners
+export const assignableRoles = (actorRole) => {
+  if (actorRole === 'owner') return WORKSPACE_ROLES;
+  if (actorRole === 'admin') return ['analyst', 'viewer'];
+  return [];
+};
+
+export const canManageMember = (actorRole, member) => assignableRoles(actorRole).includes(member.role);
+
+// Whether a member may rename, archive, delete or share a given analysis
+export const canManageChat = (role, chat, userId) => can(role, 'manageAllChats')
+  || (can(role, 'manageOwnChats') && chat.user_id === userId);
+
+// "Ana Lopez" → "AL", "ana@example.com" → "A"
+export const initials = (nameOrEmail = '') => {
+  const name = nameOrEmail.split('@')[0].trim();
+  const words = nameOrEmail.includes('@') ? [name] : name.split(/\s+/);
+  return words.filter(Boolean).slice(0, 2).map(word => word[0].toUpperCase()).join('') || '?';
+};
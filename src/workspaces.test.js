@@ -0,0 +1,27 @@
+import { can, assignableRoles, canManageMember, canManageChat, initials } from './workspaces';
+
+test('roles inherit the permissions of the roles below them', () => {
+  expect(can('owner', 'renameWorkspace')).toBe(true);
+  expect(can('admin', 'renameWorkspace')).toBe(false);
+  expect(can('admin', 'invite')).toBe(true);
+  expect(can('analyst', 'analyze')).toBe(true);
+  expect(can('analyst', 'invite')).toBe(false);
+  expect(can('viewer', 'analyze')).toBe(false);
+  expect(can(null, 'analyze')).toBe(false);
+});
+
+test('admins manage analysts and viewers, owners manage everyone', () => {
+  expect(assignableRoles('admin')).toEqual(['analyst', 'viewer']);
+  expect(canManageMember('admin', { role: 'owner' })).toBe(false);
+  expect(canManageMember('owner', { role: 'admin' })).toBe(true);
+  expect(assignableRoles('viewer')).toEqual([]);
+});
+
+test('analysts manage only their own analyses', () => {
+  const chat = { user_id: 'u1' };
+  expect(canManageChat('analyst', chat, 'u1')).toBe(true);
+  expect(canManageChat('analyst', chat, 'u2')).toBe(false);
+  expect(canManageChat('admin', chat, 'u2')).toBe(true);
+  expect(canManageChat('viewer', chat, 'u1')).toBe(false);
+  expect([initials('Ana Lopez'), initials('ana@example.com'), initials('')]).toEqual(['AL', 'A', '?']);
+});